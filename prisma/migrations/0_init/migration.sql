@@ -0,0 +1,3 @@
+-- Baseline: the tables prisma/schema.prisma started from. The Payload CMS that shares the database
+-- creates and owns them, so there is nothing to run here. Mark it as applied once on that database:
+--   npx prisma migrate resolve --applied 0_init
@@ -0,0 +1,76 @@
+-- CreateEnum
+CREATE TYPE "enum_game_sessions_status" AS ENUM ('active', 'paused', 'completed', 'abandoned');
+
+-- CreateTable
+CREATE TABLE "game_sessions" (
+    "id" SERIAL NOT NULL,
+    "user_id_id" INTEGER NOT NULL,
+    "region_id_id" INTEGER NOT NULL,
+    "game_type_id_id" INTEGER NOT NULL,
+    "status" "enum_game_sessions_status" NOT NULL DEFAULT 'active',
+    "started_time" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "paused_time" TIMESTAMPTZ(3),
+    "paused_ms" INTEGER NOT NULL DEFAULT 0,
+    "completed_time" TIMESTAMPTZ(3),
+    "duration_ms" INTEGER,
+    "score" DECIMAL NOT NULL DEFAULT 0,
+    "max_score" DECIMAL NOT NULL DEFAULT 0,
+    "correct_count" INTEGER NOT NULL DEFAULT 0,
+    "attempt_count" INTEGER NOT NULL DEFAULT 0,
+    "history_id_id" INTEGER,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "game_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "game_session_attempts" (
+    "id" SERIAL NOT NULL,
+    "session_id_id" INTEGER NOT NULL,
+    "item_id" INTEGER NOT NULL,
+    "answer" JSONB,
+    "correct" BOOLEAN,
+    "score" DECIMAL,
+    "max_score" DECIMAL,
+    "served_time" TIMESTAMPTZ(3),
+    "answered_time" TIMESTAMPTZ(3),
+    "time_spent_ms" INTEGER,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "game_session_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "game_sessions_created_at_idx" ON "game_sessions"("created_at");
+
+-- CreateIndex
+CREATE INDEX "game_sessions_updated_at_idx" ON "game_sessions"("updated_at");
+
+-- CreateIndex
+CREATE INDEX "game_sessions_user_status_idx" ON "game_sessions"("user_id_id", "status");
+
+-- CreateIndex
+CREATE INDEX "game_sessions_region_game_type_idx" ON "game_sessions"("region_id_id", "game_type_id_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "game_session_attempts_session_item_idx" ON "game_session_attempts"("session_id_id", "item_id");
+
+-- CreateIndex
+CREATE INDEX "game_session_attempts_created_at_idx" ON "game_session_attempts"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "game_sessions" ADD CONSTRAINT "game_sessions_game_type_id_id_game_types_id_fk" FOREIGN KEY ("game_type_id_id") REFERENCES "game_types"("id") ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "game_sessions" ADD CONSTRAINT "game_sessions_history_id_id_history_id_fk" FOREIGN KEY ("history_id_id") REFERENCES "history"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "game_sessions" ADD CONSTRAINT "game_sessions_region_id_id_regions_id_fk" FOREIGN KEY ("region_id_id") REFERENCES "regions"("id") ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "game_sessions" ADD CONSTRAINT "game_sessions_user_id_id_user_id_fk" FOREIGN KEY ("user_id_id") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "game_session_attempts" ADD CONSTRAINT "game_session_attempts_session_id_id_game_sessions_id_fk" FOREIGN KEY ("session_id_id") REFERENCES "game_sessions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "enum_user_role" AS ENUM ('user', 'editor', 'admin');
+
+-- AlterTable
+ALTER TABLE "user" ADD COLUMN     "role" "enum_user_role" NOT NULL DEFAULT 'user';
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "user_question_memory" (
+    "id" SERIAL NOT NULL,
+    "user_id_id" INTEGER NOT NULL,
+    "question_id_id" INTEGER NOT NULL,
+    "repetitions" INTEGER NOT NULL DEFAULT 0,
+    "interval_days" INTEGER NOT NULL DEFAULT 0,
+    "ease_factor" DECIMAL NOT NULL DEFAULT 2.5,
+    "due_time" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_answered_time" TIMESTAMPTZ(3),
+    "attempt_count" INTEGER NOT NULL DEFAULT 0,
+    "correct_count" INTEGER NOT NULL DEFAULT 0,
+    "lapse_count" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_question_memory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_question_memory_user_question_idx" ON "user_question_memory"("user_id_id", "question_id_id");
+
+-- CreateIndex
+CREATE INDEX "user_question_memory_user_due_idx" ON "user_question_memory"("user_id_id", "due_time");
+
+-- AddForeignKey
+ALTER TABLE "user_question_memory" ADD CONSTRAINT "user_question_memory_question_id_id_quiz_game_questions_id_fk" FOREIGN KEY ("question_id_id") REFERENCES "quiz_game_questions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "user_question_memory" ADD CONSTRAINT "user_question_memory_user_id_id_user_id_fk" FOREIGN KEY ("user_id_id") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "daily_challenges" (
+    "id" SERIAL NOT NULL,
+    "challenge_date" DATE NOT NULL,
+    "seed" VARCHAR NOT NULL,
+    "items" JSONB NOT NULL,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "daily_challenges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "daily_challenge_attempts" (
+    "id" SERIAL NOT NULL,
+    "challenge_id_id" INTEGER NOT NULL,
+    "user_id_id" INTEGER NOT NULL,
+    "started_time" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_time" TIMESTAMPTZ(3),
+    "duration_ms" INTEGER,
+    "results" JSONB,
+    "score" DECIMAL NOT NULL DEFAULT 0,
+    "max_score" DECIMAL NOT NULL DEFAULT 0,
+    "correct_count" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "daily_challenge_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "daily_challenges_challenge_date_idx" ON "daily_challenges"("challenge_date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "daily_challenge_attempts_challenge_user_idx" ON "daily_challenge_attempts"("challenge_id_id", "user_id_id");
+
+-- CreateIndex
+CREATE INDEX "daily_challenge_attempts_challenge_score_idx" ON "daily_challenge_attempts"("challenge_id_id", "score");
+
+-- CreateIndex
+CREATE INDEX "daily_challenge_attempts_user_completed_idx" ON "daily_challenge_attempts"("user_id_id", "completed_time");
+
+-- AddForeignKey
+ALTER TABLE "daily_challenge_attempts" ADD CONSTRAINT "daily_challenge_attempts_challenge_id_id_daily_challenges_id_fk" FOREIGN KEY ("challenge_id_id") REFERENCES "daily_challenges"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "daily_challenge_attempts" ADD CONSTRAINT "daily_challenge_attempts_user_id_id_user_id_fk" FOREIGN KEY ("user_id_id") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "game_sessions_leaderboard_idx" ON "game_sessions"("region_id_id", "game_type_id_id", "status", "completed_time");
@@ -0,0 +1,68 @@
+-- AlterEnum
+ALTER TYPE "enum_game_types_code" ADD VALUE 'timeline';
+
+-- AlterTable
+ALTER TABLE "after_question_info" ADD COLUMN     "timeline_event_id_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "timeline_games" (
+    "id" SERIAL NOT NULL,
+    "region_id" INTEGER,
+    "gametype_id" INTEGER,
+    "title" VARCHAR,
+    "description" VARCHAR,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "timeline_games_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "timeline_events" (
+    "id" SERIAL NOT NULL,
+    "timeline_game_id" INTEGER NOT NULL,
+    "label" VARCHAR NOT NULL,
+    "description" VARCHAR,
+    "event_year" INTEGER NOT NULL,
+    "event_month" INTEGER,
+    "event_day" INTEGER,
+    "date_label" VARCHAR,
+    "image_id" INTEGER,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "timeline_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "timeline_games_created_at_idx" ON "timeline_games"("created_at");
+
+-- CreateIndex
+CREATE INDEX "timeline_games_region_idx" ON "timeline_games"("region_id");
+
+-- CreateIndex
+CREATE INDEX "timeline_games_gametype_idx" ON "timeline_games"("gametype_id");
+
+-- CreateIndex
+CREATE INDEX "timeline_events_timeline_game_idx" ON "timeline_events"("timeline_game_id");
+
+-- CreateIndex
+CREATE INDEX "timeline_events_image_idx" ON "timeline_events"("image_id");
+
+-- CreateIndex
+CREATE INDEX "after_question_info_timeline_event_id_idx" ON "after_question_info"("timeline_event_id_id");
+
+-- AddForeignKey
+ALTER TABLE "timeline_games" ADD CONSTRAINT "timeline_games_gametype_id_game_types_id_fk" FOREIGN KEY ("gametype_id") REFERENCES "game_types"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "timeline_games" ADD CONSTRAINT "timeline_games_region_id_regions_id_fk" FOREIGN KEY ("region_id") REFERENCES "regions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "timeline_events" ADD CONSTRAINT "timeline_events_image_id_media_id_fk" FOREIGN KEY ("image_id") REFERENCES "media"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "timeline_events" ADD CONSTRAINT "timeline_events_timeline_game_id_timeline_games_id_fk" FOREIGN KEY ("timeline_game_id") REFERENCES "timeline_games"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "after_question_info" ADD CONSTRAINT "after_question_info_timeline_event_id_id_timeline_events_id_fk" FOREIGN KEY ("timeline_event_id_id") REFERENCES "timeline_events"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,3 @@
+-- The game type has to exist before timeline games can be authored or played. Kept apart from the
+-- migration that adds the enum value, which Postgres only lets a later transaction use.
+INSERT INTO "game_types" ("code", "name") VALUES ('timeline', 'Timeline') ON CONFLICT ("code") DO NOTHING;
@@ -0,0 +1,50 @@
+-- AlterEnum
+ALTER TYPE "enum_game_types_code" ADD VALUE 'map';
+
+-- AlterTable
+ALTER TABLE "after_question_info" ADD COLUMN     "map_game_id_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "map_games" (
+    "id" SERIAL NOT NULL,
+    "region_id" INTEGER,
+    "gametype_id" INTEGER,
+    "prompt" VARCHAR NOT NULL,
+    "hint" VARCHAR,
+    "place_name" VARCHAR,
+    "image_id" INTEGER,
+    "latitude" DECIMAL(9,6) NOT NULL,
+    "longitude" DECIMAL(9,6) NOT NULL,
+    "tolerance_km" DECIMAL(8,2) NOT NULL,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "map_games_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "map_games_created_at_idx" ON "map_games"("created_at");
+
+-- CreateIndex
+CREATE INDEX "map_games_region_idx" ON "map_games"("region_id");
+
+-- CreateIndex
+CREATE INDEX "map_games_gametype_idx" ON "map_games"("gametype_id");
+
+-- CreateIndex
+CREATE INDEX "map_games_image_idx" ON "map_games"("image_id");
+
+-- CreateIndex
+CREATE INDEX "after_question_info_map_game_id_idx" ON "after_question_info"("map_game_id_id");
+
+-- AddForeignKey
+ALTER TABLE "map_games" ADD CONSTRAINT "map_games_gametype_id_game_types_id_fk" FOREIGN KEY ("gametype_id") REFERENCES "game_types"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "map_games" ADD CONSTRAINT "map_games_image_id_media_id_fk" FOREIGN KEY ("image_id") REFERENCES "media"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "map_games" ADD CONSTRAINT "map_games_region_id_regions_id_fk" FOREIGN KEY ("region_id") REFERENCES "regions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "after_question_info" ADD CONSTRAINT "after_question_info_map_game_id_id_map_games_id_fk" FOREIGN KEY ("map_game_id_id") REFERENCES "map_games"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,47 @@
+-- AlterEnum
+ALTER TYPE "enum_user_role" ADD VALUE 'moderator' BEFORE 'admin';
+
+-- CreateEnum
+CREATE TYPE "enum_review_status" AS ENUM ('clear', 'flagged', 'approved', 'rejected');
+
+-- AlterTable
+ALTER TABLE "game_sessions" ADD COLUMN     "review_status" "enum_review_status" NOT NULL DEFAULT 'clear';
+
+-- AlterTable
+ALTER TABLE "game_sessions" ADD COLUMN     "flag_reasons" JSONB;
+
+-- AlterTable
+ALTER TABLE "game_sessions" ADD COLUMN     "reviewed_by_id_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "game_sessions" ADD COLUMN     "reviewed_time" TIMESTAMPTZ(3);
+
+-- AlterTable
+ALTER TABLE "game_sessions" ADD COLUMN     "review_note" VARCHAR;
+
+-- AlterTable
+ALTER TABLE "daily_challenge_attempts" ADD COLUMN     "review_status" "enum_review_status" NOT NULL DEFAULT 'clear';
+
+-- AlterTable
+ALTER TABLE "daily_challenge_attempts" ADD COLUMN     "flag_reasons" JSONB;
+
+-- AlterTable
+ALTER TABLE "daily_challenge_attempts" ADD COLUMN     "reviewed_by_id_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "daily_challenge_attempts" ADD COLUMN     "reviewed_time" TIMESTAMPTZ(3);
+
+-- AlterTable
+ALTER TABLE "daily_challenge_attempts" ADD COLUMN     "review_note" VARCHAR;
+
+-- CreateIndex
+CREATE INDEX "game_sessions_review_status_idx" ON "game_sessions"("review_status");
+
+-- CreateIndex
+CREATE INDEX "daily_challenge_attempts_review_status_idx" ON "daily_challenge_attempts"("review_status");
+
+-- AddForeignKey
+ALTER TABLE "game_sessions" ADD CONSTRAINT "game_sessions_reviewed_by_id_id_user_id_fk" FOREIGN KEY ("reviewed_by_id_id") REFERENCES "user"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "daily_challenge_attempts" ADD CONSTRAINT "daily_challenge_attempts_reviewed_by_id_id_user_id_fk" FOREIGN KEY ("reviewed_by_id_id") REFERENCES "user"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
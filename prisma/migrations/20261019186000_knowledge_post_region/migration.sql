@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "knowledge_post" ADD COLUMN     "region_id_id" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "knowledge_post_region_id_idx" ON "knowledge_post"("region_id_id");
+
+-- AddForeignKey
+ALTER TABLE "knowledge_post" ADD CONSTRAINT "knowledge_post_region_id_id_regions_id_fk" FOREIGN KEY ("region_id_id") REFERENCES "regions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
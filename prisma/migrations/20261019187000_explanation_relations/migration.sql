@@ -0,0 +1,14 @@
+-- References left behind by deleted questions and explanations would fail the foreign keys
+UPDATE "after_question_info" SET "quiz_game_question_id_id" = NULL
+WHERE "quiz_game_question_id_id" IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM "quiz_game_questions" WHERE "id" = "after_question_info"."quiz_game_question_id_id");
+
+UPDATE "information_slides" SET "after_question_info_id_id" = NULL
+WHERE "after_question_info_id_id" IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM "after_question_info" WHERE "id" = "information_slides"."after_question_info_id_id");
+
+-- AddForeignKey
+ALTER TABLE "after_question_info" ADD CONSTRAINT "after_question_info_quiz_game_question_id_id_fk" FOREIGN KEY ("quiz_game_question_id_id") REFERENCES "quiz_game_questions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "information_slides" ADD CONSTRAINT "information_slides_after_question_info_id_id_fk" FOREIGN KEY ("after_question_info_id_id") REFERENCES "after_question_info"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
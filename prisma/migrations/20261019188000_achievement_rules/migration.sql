@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "enum_achievement_rules_condition" AS ENUM ('region_completed', 'games_completed', 'perfect_games', 'correct_answers', 'daily_streak');
+
+-- CreateTable
+CREATE TABLE "achievement_rules" (
+    "id" SERIAL NOT NULL,
+    "code" VARCHAR NOT NULL,
+    "name" VARCHAR NOT NULL,
+    "description" VARCHAR,
+    "condition" "enum_achievement_rules_condition" NOT NULL,
+    "params" JSONB NOT NULL DEFAULT '{}',
+    "badge_id" INTEGER,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "achievement_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "user_achievement_unlocks" (
+    "id" SERIAL NOT NULL,
+    "user_id_id" INTEGER NOT NULL,
+    "rule_id_id" INTEGER NOT NULL,
+    "unlocked_time" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "event" VARCHAR,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_achievement_unlocks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "achievement_rules_code_idx" ON "achievement_rules"("code");
+
+-- CreateIndex
+CREATE INDEX "achievement_rules_active_idx" ON "achievement_rules"("active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_achievement_unlocks_user_rule_idx" ON "user_achievement_unlocks"("user_id_id", "rule_id_id");
+
+-- CreateIndex
+CREATE INDEX "user_achievement_unlocks_rule_id_id_idx" ON "user_achievement_unlocks"("rule_id_id");
+
+-- AddForeignKey
+ALTER TABLE "achievement_rules" ADD CONSTRAINT "achievement_rules_badge_id_media_id_fk" FOREIGN KEY ("badge_id") REFERENCES "media"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "user_achievement_unlocks" ADD CONSTRAINT "user_achievement_unlocks_user_id_id_user_id_fk" FOREIGN KEY ("user_id_id") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "user_achievement_unlocks" ADD CONSTRAINT "user_achievement_unlocks_rule_id_id_fk" FOREIGN KEY ("rule_id_id") REFERENCES "achievement_rules"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "enum_heritage_star_mappings_category" AS ENUM ('history', 'intangible_heritage', 'tangible_heritage');
+
+-- CreateTable
+CREATE TABLE "heritage_star_mappings" (
+    "id" SERIAL NOT NULL,
+    "game_type" "enum_game_types_code" NOT NULL,
+    "category" "enum_heritage_star_mappings_category" NOT NULL,
+    "region_id_id" INTEGER,
+    "topic" VARCHAR,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "heritage_star_mappings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "heritage_star_mappings_game_type_idx" ON "heritage_star_mappings"("game_type");
+
+-- CreateIndex
+CREATE INDEX "heritage_star_mappings_region_id_id_idx" ON "heritage_star_mappings"("region_id_id");
+
+-- AddForeignKey
+ALTER TABLE "heritage_star_mappings" ADD CONSTRAINT "heritage_star_mappings_region_id_id_regions_id_fk" FOREIGN KEY ("region_id_id") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
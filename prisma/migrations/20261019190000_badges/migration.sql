@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "enum_badges_tier" AS ENUM ('bronze', 'silver', 'gold');
+
+-- CreateTable
+CREATE TABLE "badges" (
+    "id" SERIAL NOT NULL,
+    "code" VARCHAR NOT NULL,
+    "name" VARCHAR NOT NULL,
+    "description" VARCHAR,
+    "tier" "enum_badges_tier" NOT NULL,
+    "region_id_id" INTEGER,
+    "min_stars" INTEGER NOT NULL,
+    "media_id" INTEGER,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "updated_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "badges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "badges_code_idx" ON "badges"("code");
+
+-- CreateIndex
+CREATE INDEX "badges_region_id_id_idx" ON "badges"("region_id_id");
+
+-- CreateIndex
+CREATE INDEX "badges_active_idx" ON "badges"("active");
+
+-- AlterTable
+ALTER TABLE "achievements" ADD COLUMN     "earned_badge_id" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "achievements_earned_badge_id_idx" ON "achievements"("earned_badge_id");
+
+-- AddForeignKey
+ALTER TABLE "badges" ADD CONSTRAINT "badges_region_id_id_regions_id_fk" FOREIGN KEY ("region_id_id") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "badges" ADD CONSTRAINT "badges_media_id_media_id_fk" FOREIGN KEY ("media_id") REFERENCES "media"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "achievements" ADD CONSTRAINT "achievements_earned_badge_id_badges_id_fk" FOREIGN KEY ("earned_badge_id") REFERENCES "badges"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
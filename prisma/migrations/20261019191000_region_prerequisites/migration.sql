@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "region_prerequisites" (
+    "id" SERIAL NOT NULL,
+    "region_id_id" INTEGER NOT NULL,
+    "required_region_id_id" INTEGER NOT NULL,
+    "min_stars" INTEGER NOT NULL,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "region_prerequisites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "region_prerequisites_region_required_idx" ON "region_prerequisites"("region_id_id", "required_region_id_id");
+
+-- CreateIndex
+CREATE INDEX "region_prerequisites_required_region_id_id_idx" ON "region_prerequisites"("required_region_id_id");
+
+-- AddForeignKey
+ALTER TABLE "region_prerequisites" ADD CONSTRAINT "region_prerequisites_region_id_id_regions_id_fk" FOREIGN KEY ("region_id_id") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "region_prerequisites" ADD CONSTRAINT "region_prerequisites_required_region_id_id_fk" FOREIGN KEY ("required_region_id_id") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "certificates" (
+    "id" SERIAL NOT NULL,
+    "code" VARCHAR NOT NULL,
+    "user_id_id" INTEGER NOT NULL,
+    "region_id_id" INTEGER NOT NULL,
+    "achievement_id_id" INTEGER,
+    "badge_id" INTEGER,
+    "full_name" VARCHAR NOT NULL,
+    "region_name" VARCHAR NOT NULL,
+    "stars" INTEGER NOT NULL,
+    "issued_time" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revoked_time" TIMESTAMPTZ(3),
+    "revoked_reason" VARCHAR,
+    "created_at" TIMESTAMPTZ(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "certificates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "certificates_code_idx" ON "certificates"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "certificates_user_region_idx" ON "certificates"("user_id_id", "region_id_id");
+
+-- AddForeignKey
+ALTER TABLE "certificates" ADD CONSTRAINT "certificates_user_id_id_user_id_fk" FOREIGN KEY ("user_id_id") REFERENCES "user"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "certificates" ADD CONSTRAINT "certificates_region_id_id_regions_id_fk" FOREIGN KEY ("region_id_id") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "certificates" ADD CONSTRAINT "certificates_achievement_id_id_achievements_id_fk" FOREIGN KEY ("achievement_id_id") REFERENCES "achievements"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "certificates" ADD CONSTRAINT "certificates_badge_id_badges_id_fk" FOREIGN KEY ("badge_id") REFERENCES "badges"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
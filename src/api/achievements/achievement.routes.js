@@ -1,5 +1,26 @@
 const express = require('express')
 const { getAllAchievements, getAchievementById, createAchievement, updateAchievement, deleteAchievement, createAchievementForAllRegions, getAchievementByUserId } = require('./achievement.services')
+const {
+    listAchievementRules,
+    createAchievementRule,
+    updateAchievementRule,
+    deleteAchievementRule,
+    getUserAchievements,
+} = require('./achievementRule.services')
+const {
+    listHeritageMappings,
+    createHeritageMapping,
+    updateHeritageMapping,
+    deleteHeritageMapping,
+} = require('./heritageStar.services')
+const {
+    listBadges,
+    getBadgeById,
+    createBadge,
+    updateBadge,
+    deleteBadge,
+} = require('./badge.services')
+const { isCookieAuthenticated, hasRole } = require('../../middlewares')
 const router = express.Router()
 const jwt = require('jsonwebtoken')
 /**
@@ -28,7 +49,9 @@ const jwt = require('jsonwebtoken')
  *   get:
  *     tags: [Achievements]
  *     summary: Get an achievement by userId and regionId
- *     description: Retrieve a specific achievement by user ID and region ID.
+ *     description: >
+ *       Retrieve a specific achievement by user ID and region ID, with the lock state of the region
+ *       (locked, requirements left and prerequisites).
  *     parameters:
  *       - in: path
  *         name: regionId
@@ -55,7 +78,9 @@ const jwt = require('jsonwebtoken')
  *   get:
  *     tags: [Achievements]
  *     summary: Get all achievements
- *     description: Retrieve a list of all achievements of user.
+ *     description: >
+ *       Retrieve a list of all achievements of user, each with the lock state of its region
+ *       (locked, requirements left and prerequisites).
  *     responses:
  *       200:
  *         description: Successfully retrieved all achievements of user
@@ -134,7 +159,10 @@ const jwt = require('jsonwebtoken')
  *   patch:
  *     tags: [Achievements]
  *     summary: Update an achievement by ID
- *     description: Update an existing achievement by its ID.
+ *     description: >
+ *       Update the current user's achievement of a region. Only the name and description can be set: stars,
+ *       the history, intangible_heritage and tangible_heritage stages and the badge are awarded when a game
+ *       is completed.
  *     parameters:
  *       - in: path
  *         name: regionId
@@ -149,18 +177,10 @@ const jwt = require('jsonwebtoken')
  *           schema:
  *             type: object
  *             properties:
- *               history:
- *                 type: boolean
- *                 description: Whether the history stage is completed
- *                 example: true
- *               intangible_heritage:
- *                 type: boolean
- *                 description: Whether the intangible heritage stage is completed
- *                 example: false
- *               tangible_heritage:
- *                 type: boolean
- *                 description: Whether the tangible heritage stage is completed
- *                 example: true
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Achievement updated successfully
@@ -168,6 +188,8 @@ const jwt = require('jsonwebtoken')
  *           application/json:
  *             schema:
  *               type: object
+ *       400:
+ *         description: Stars, a heritage stage or another field that cannot be updated was sent
  *       404:
  *         description: Achievement not found
  *       500:
@@ -311,4 +333,453 @@ router.delete('/delete-achievement/:regionId', async (req, res, next) => {
     }
 })
 
-module.exports = router
\ No newline at end of file
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AchievementRuleInput:
+ *       type: object
+ *       description: >
+ *         Conditions and their params:
+ *         `region_completed` (regionId, optional gameType): every item of the region answered;
+ *         `games_completed` (count, optional regionId and gameType);
+ *         `perfect_games` (count, optional regionId and gameType): games finished with the full score;
+ *         `correct_answers` (count, optional gameType): in games and daily challenges;
+ *         `daily_streak` (days): longest run of consecutive daily challenges.
+ *         Flagged and rejected results do not count. A game counts for `games_completed` and `perfect_games`
+ *         with at least 5 quiz questions, 3 words or 3 map pins answered, or one puzzle, treasure hunt or timeline.
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: quiz-ha-noi
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         condition:
+ *           type: string
+ *           enum: [region_completed, games_completed, perfect_games, correct_answers, daily_streak]
+ *         params:
+ *           type: object
+ *           example: { regionId: 1, gameType: quiz }
+ *         badgeId:
+ *           type: integer
+ *           description: Media shown as the badge
+ *         active:
+ *           type: boolean
+ *           default: true
+ *     BadgeInput:
+ *       type: object
+ *       description: >
+ *         A region badge is earned by achievements of the region with at least minStars stars
+ *         (one star per heritage category). A badge without regionId can be earned in every region;
+ *         the highest badge reached is kept, a badge of the region before one of every region.
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: ha-noi-gold
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         tier:
+ *           type: string
+ *           enum: [bronze, silver, gold]
+ *         regionId:
+ *           type: integer
+ *           nullable: true
+ *         minStars:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 3
+ *           description: Defaults to 1 for bronze, 2 for silver and 3 for gold
+ *         mediaId:
+ *           type: integer
+ *           description: Media shown as the badge artwork
+ *         active:
+ *           type: boolean
+ *           default: true
+ *     HeritageMappingInput:
+ *       type: object
+ *       description: >
+ *         Completed games of gameType earn a star in category for their region, when they are finished with at
+ *         least half of their maximum score. regionId limits the mapping to one region; topic to games whose
+ *         answered items have an explanation on that topic.
+ *       properties:
+ *         gameType:
+ *           type: string
+ *           enum: [puzzle, quiz, word, treasure, timeline, map]
+ *         category:
+ *           type: string
+ *           enum: [history, intangible_heritage, tangible_heritage]
+ *         regionId:
+ *           type: integer
+ *           nullable: true
+ *         topic:
+ *           type: string
+ *           nullable: true
+ *           example: Lễ hội
+ */
+
+/**
+ * @swagger
+ * /achievements/me:
+ *   get:
+ *     tags: [Achievements]
+ *     summary: Achievements of the current user with their progress
+ *     description: >
+ *       Every active rule, and inactive ones the user unlocked, with unlocked, unlockedTime
+ *       and progress (current and target). Rules are unlocked automatically when a game or daily challenge is finished.
+ *     responses:
+ *       200:
+ *         description: Rules with the user's progress
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await getUserAchievements(req.payload.userId));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /achievements/rules:
+ *   get:
+ *     tags: [Achievements]
+ *     summary: List achievement rules (editor or admin role)
+ *     responses:
+ *       200:
+ *         description: Rules, inactive ones included
+ *   post:
+ *     tags: [Achievements]
+ *     summary: Define an achievement rule (editor or admin role)
+ *     description: Players who already meet the rule unlock it on their next finished game or daily challenge.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AchievementRuleInput'
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: The code is already used
+ */
+router.get('/rules', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.json(await listAchievementRules());
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/rules', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.status(201).json(await createAchievementRule(req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /achievements/rules/{id}:
+ *   put:
+ *     tags: [Achievements]
+ *     summary: Update an achievement rule (editor or admin role)
+ *     description: Unlocks already awarded are kept. Set active to false to stop awarding a rule.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AchievementRuleInput'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Rule not found
+ *   delete:
+ *     tags: [Achievements]
+ *     summary: Delete an achievement rule and its unlocks (editor or admin role)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/rules/:id', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.json(await updateAchievementRule(req.params.id, req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/rules/:id', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        await deleteAchievementRule(req.params.id);
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /achievements/heritage-mappings:
+ *   get:
+ *     tags: [Achievements]
+ *     summary: List the mappings from games to heritage categories (editor or admin role)
+ *     responses:
+ *       200:
+ *         description: Mappings
+ *   post:
+ *     tags: [Achievements]
+ *     summary: Map completed games to a heritage category (editor or admin role)
+ *     description: Games completed before are not re-evaluated.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HeritageMappingInput'
+ *     responses:
+ *       201:
+ *         description: Mapping created
+ *       400:
+ *         description: Validation failed
+ */
+router.get('/heritage-mappings', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.json(await listHeritageMappings());
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/heritage-mappings', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.status(201).json(await createHeritageMapping(req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /achievements/heritage-mappings/{id}:
+ *   put:
+ *     tags: [Achievements]
+ *     summary: Update a heritage category mapping (editor or admin role)
+ *     description: Stars already awarded are kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HeritageMappingInput'
+ *     responses:
+ *       200:
+ *         description: Mapping updated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Mapping not found
+ *   delete:
+ *     tags: [Achievements]
+ *     summary: Delete a heritage category mapping (editor or admin role)
+ *     description: Stars already awarded are kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Mapping deleted
+ *       404:
+ *         description: Mapping not found
+ */
+router.put('/heritage-mappings/:id', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.json(await updateHeritageMapping(req.params.id, req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/heritage-mappings/:id', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        await deleteHeritageMapping(req.params.id);
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /achievements/badges:
+ *   get:
+ *     tags: [Achievements]
+ *     summary: Badge catalogue
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         description: Only the badges this region can earn
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: false to include inactive badges
+ *     responses:
+ *       200:
+ *         description: Badges with tier, minStars and imageUrl
+ *   post:
+ *     tags: [Achievements]
+ *     summary: Add a badge to the catalogue (editor or admin role)
+ *     description: Achievements that already have the stars earn it right away.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BadgeInput'
+ *     responses:
+ *       201:
+ *         description: Badge created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: The code is already used
+ */
+router.get('/badges', async (req, res, next) => {
+    try {
+        res.json(await listBadges(req.query));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/badges', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.status(201).json(await createBadge(req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /achievements/badges/{id}:
+ *   get:
+ *     tags: [Achievements]
+ *     summary: Get a badge
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The badge
+ *       404:
+ *         description: Badge not found
+ *   put:
+ *     tags: [Achievements]
+ *     summary: Update a badge (editor or admin role)
+ *     description: Achievements are moved to the badges their stars now earn.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BadgeInput'
+ *     responses:
+ *       200:
+ *         description: Badge updated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Badge not found
+ *       409:
+ *         description: The code is already used
+ *   delete:
+ *     tags: [Achievements]
+ *     summary: Delete a badge (editor or admin role)
+ *     description: Achievements that had it get the next badge their stars earn.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Badge deleted
+ *       404:
+ *         description: Badge not found
+ */
+router.get('/badges/:id', async (req, res, next) => {
+    try {
+        res.json(await getBadgeById(req.params.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.put('/badges/:id', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.json(await updateBadge(req.params.id, req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/badges/:id', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        await deleteBadge(req.params.id);
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router
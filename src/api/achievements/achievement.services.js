@@ -1,24 +1,16 @@
 const { db } = require('../../utils/db')
+const { createHttpError } = require('../../utils/errors')
+const { HERITAGE_CATEGORIES } = require('../../helper/heritageStars.helper')
+const { getRegionLock, getRegionLocks } = require('../region/regionProgress.services')
 
 const IMAGE_BASE_URL = 'https://qauff8c31y.ufs.sh/f/';
 
-function getBadge(regionId) {
-    switch (regionId) {
-        case 1:
-            return 107
-        case 2: 
-            return 106
-        case 3:
-            return 109
-        case 4: 
-            return 108
-        case 6:
-            return 110
-        case 7:
-            return 111
-        default:
-            break;
-    }
+// Catalogue badge earned by an achievement
+const earnedBadgeSelect = {
+    id: true,
+    code: true,
+    name: true,
+    tier: true
 }
 
 async function createAchievement(data) { 
@@ -41,7 +33,8 @@ async function createAchievementForAllRegions(userId) {
         name: region.region_name,
         description: `Default achievement for region ${region.region_name}`,
         stars: 0,
-        badge_id: getBadge(region.id),
+        // Badges are earned with stars, see earnedBadgeColumns
+        badge_id: null,
         history: false,
         intangible_heritage: false,
         tangible_heritage: false
@@ -55,7 +48,10 @@ async function createAchievementForAllRegions(userId) {
 async function getAllAchievements() {
     const achievements = await db.achievements.findMany({
         include: {
-            media: true
+            media: true,
+            badges: {
+                select: earnedBadgeSelect
+            }
         }
     })
 
@@ -72,13 +68,17 @@ async function getAchievementById(userId, regionId) {
             region_id_id: regionId,
         },
         include: {
-            media: true
+            media: true,
+            badges: {
+                select: earnedBadgeSelect
+            }
         }
     })
 
     return {
         ...achievement,
         imageUrl: achievement.media && achievement.media.key ? `${IMAGE_BASE_URL}${achievement.media.key}` : null,
+        lock: await getRegionLock(userId, regionId)
     }
 }
 
@@ -88,17 +88,40 @@ async function getAchievementByUserId(userId) {
             user_id_id: userId
         },
         include: {
-            media: true
+            media: true,
+            badges: {
+                select: earnedBadgeSelect
+            }
         }
     })
+    const regionIds = [...new Set(achievements.map((achievement) => achievement.region_id_id))]
+    const locks = await getRegionLocks(userId, regionIds)
 
     return achievements.map((achievement) => ({
         ...achievement,
         imageUrl: achievement.media && achievement.media.key ? `${IMAGE_BASE_URL}${achievement.media.key}` : null,
+        lock: locks.get(achievement.region_id_id)
     }))
 }
 
+// Columns a player can change. Stars, the heritage categories and the badge are awarded by the
+// server, see awardHeritageStars, and the owner and region are fixed.
+const EDITABLE_ACHIEVEMENT_FIELDS = ['name', 'description']
+
 async function updateAchievement(userId, regionId, updateData) {
+    const awardedFields = [...HERITAGE_CATEGORIES, 'stars'].filter(field => updateData[field] !== undefined)
+    if (awardedFields.length) {
+        throw createHttpError(400, `${awardedFields.join(', ')} cannot be updated: stars are awarded when a game is completed`)
+    }
+    const otherFields = Object.keys(updateData)
+        .filter(field => !EDITABLE_ACHIEVEMENT_FIELDS.includes(field))
+    if (otherFields.length) {
+        throw createHttpError(
+            400,
+            `${otherFields.join(', ')} cannot be updated, only ${EDITABLE_ACHIEVEMENT_FIELDS.join(', ')}`
+        )
+    }
+
     const achievement = await db.achievements.findFirst({
         where: {
             user_id_id: userId,
@@ -108,34 +131,18 @@ async function updateAchievement(userId, regionId, updateData) {
 
     if(!achievement)
     {
-        throw new Error("Achievement not found")
+        throw createHttpError(404, 'Achievement not found')
     }
 
-    let stars = parseInt(achievement.stars) || 0
-
-    if(!achievement.history && updateData.history === true)
-    {
-        stars += 1
-    }
-
-    if(!achievement.intangible_heritage && updateData.intangible_heritage === true)
-    {
-        stars += 1
-    }
-
-    if(!achievement.tangible_heritage && updateData.tangible_heritage === true)
-    {
-        stars += 1
-    }
-    console.log(stars);
-    
     return await db.achievements.update({
         where: {
             id: parseInt(achievement.id)
         },
         data: {
-            ...updateData,
-            stars: stars
+            ...EDITABLE_ACHIEVEMENT_FIELDS
+                .filter(field => updateData[field] !== undefined)
+                .reduce((data, field) => ({ ...data, [field]: updateData[field] }), {}),
+            updated_at: new Date()
         }
     })
 }
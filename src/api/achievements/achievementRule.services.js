@@ -0,0 +1,357 @@
+const { Prisma, enum_game_types_code } = require('@prisma/client');
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { countGameItems } = require('../game/game.services');
+const { COUNTED_REVIEW_STATUSES } = require('../../helper/plausibility.helper');
+const { getLocalDay, dateToDay, countStreaks } = require('../../helper/date.helper');
+const {
+    ACHIEVEMENT_EVENTS,
+    MIN_GAME_ITEMS,
+    validateAchievementRule,
+    normalizeRuleParams,
+    isRuleAffectedBy,
+    ruleProgress,
+} = require('../../helper/achievementRules.helper');
+
+const IMAGE_BASE_URL = 'https://qauff8c31y.ufs.sh/f/';
+
+const pick = (value, fallback) => (value === undefined ? fallback : value);
+
+const optionalId = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+const ruleInclude = {
+    media: { select: { id: true, key: true } },
+};
+
+// Completed sessions that count: not flagged or rejected by a moderator
+const countedSessions = (userId, { regionId, gameType } = {}) => ({
+    user_id_id: userId,
+    status: 'completed',
+    review_status: { in: COUNTED_REVIEW_STATUSES },
+    ...(regionId ? { region_id_id: regionId } : {}),
+    ...(gameType ? { game_types: { code: gameType } } : {}),
+});
+
+// Counted sessions long enough to be a game, see MIN_GAME_ITEMS
+const countedGames = (userId, filters) => ({
+    ...countedSessions(userId, filters),
+    OR: Object.entries(MIN_GAME_ITEMS).map(([code, min]) => ({
+        game_types: { code },
+        attempt_count: { gte: min },
+    })),
+});
+
+const countedChallengeAttempts = (userId) => ({
+    user_id_id: userId,
+    completed_time: { not: null },
+    review_status: { in: COUNTED_REVIEW_STATUSES },
+});
+
+// Progress of a user towards each condition
+const conditionProgress = {
+    async region_completed(userId, { regionId, gameType }) {
+        const gameTypes = gameType ? [gameType] : Object.values(enum_game_types_code);
+        const counts = await Promise.all(gameTypes.map(async (type) => {
+            const [answered, total] = await Promise.all([
+                db.game_session_attempts.findMany({
+                    where: {
+                        answered_time: { not: null },
+                        game_sessions: countedSessions(userId, { regionId, gameType: type }),
+                    },
+                    distinct: ['item_id'],
+                    select: { item_id: true },
+                }),
+                countGameItems(regionId, type),
+            ]);
+            return { answered: Math.min(answered.length, total), total };
+        }));
+
+        return ruleProgress(
+            counts.reduce((sum, count) => sum + count.answered, 0),
+            counts.reduce((sum, count) => sum + count.total, 0),
+        );
+    },
+
+    async games_completed(userId, { count, regionId, gameType }) {
+        const completed = await db.game_sessions.count({
+            where: countedGames(userId, { regionId, gameType }),
+        });
+        return ruleProgress(completed, count);
+    },
+
+    async perfect_games(userId, { count, regionId, gameType }) {
+        const perfect = await db.game_sessions.count({
+            where: {
+                ...countedGames(userId, { regionId, gameType }),
+                max_score: { gt: 0 },
+                score: { equals: db.game_sessions.fields.max_score },
+            },
+        });
+        return ruleProgress(perfect, count);
+    },
+
+    async correct_answers(userId, { count, gameType }) {
+        const [sessionAnswers, challengeAttempts] = await Promise.all([
+            db.game_session_attempts.count({
+                where: { correct: true, game_sessions: countedSessions(userId, { gameType }) },
+            }),
+            db.daily_challenge_attempts.findMany({
+                where: countedChallengeAttempts(userId),
+                select: { results: true },
+            }),
+        ]);
+        const challengeAnswers = challengeAttempts
+            .flatMap((attempt) => attempt.results || [])
+            .filter((result) => result.correct && (!gameType || result.gameType === gameType))
+            .length;
+
+        return ruleProgress(sessionAnswers + challengeAnswers, count);
+    },
+
+    async daily_streak(userId, { days }) {
+        const attempts = await db.daily_challenge_attempts.findMany({
+            where: countedChallengeAttempts(userId),
+            select: { daily_challenges: { select: { challenge_date: true } } },
+        });
+        const played = attempts
+            .map((attempt) => dateToDay(attempt.daily_challenges.challenge_date));
+
+        return ruleProgress(countStreaks(played, getLocalDay()).longestStreak, days);
+    },
+};
+
+function formatRule(rule) {
+    return {
+        id: rule.id,
+        code: rule.code,
+        name: rule.name,
+        description: rule.description,
+        condition: rule.condition,
+        params: rule.params,
+        active: rule.active,
+        badge: rule.media ? {
+            id: rule.media.id,
+            imageUrl: rule.media.key ? `${IMAGE_BASE_URL}${rule.media.key}` : null,
+        } : null,
+    };
+}
+
+async function findRule(id) {
+    const rule = await db.achievement_rules.findUnique({
+        where: { id: Number(id) },
+        include: ruleInclude,
+    });
+    if (!rule) {
+        throw createHttpError(404, 'Achievement rule not found');
+    }
+    return rule;
+}
+
+async function assertBadge(badgeId) {
+    const id = optionalId(badgeId);
+    if (id === null) return;
+    if (!Number.isInteger(id) || !(await db.media.count({ where: { id } }))) {
+        throw createHttpError(400, 'Badge media not found');
+    }
+}
+
+function assertValidRule(rule) {
+    const errors = validateAchievementRule(rule);
+    if (errors.length) {
+        throw createHttpError(400, errors.join('; '));
+    }
+}
+
+async function saveRule(write) {
+    try {
+        return formatRule(await write());
+    } catch (err) {
+        if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+            throw createHttpError(409, 'An achievement rule with this code already exists');
+        }
+        throw err;
+    }
+}
+
+/**
+ * List achievement rules, inactive ones included
+ * @returns {Promise<Object[]>}
+ */
+async function listAchievementRules() {
+    const rules = await db.achievement_rules.findMany({ include: ruleInclude, orderBy: { id: 'asc' } });
+    return rules.map(formatRule);
+}
+
+/**
+ * Define an achievement. Players who already meet it unlock it on their next game event.
+ * @param {Object} data - code, name, description, condition, params, badgeId and active
+ * @returns {Promise<Object>} The created rule
+ */
+async function createAchievementRule(data) {
+    assertValidRule(data);
+    await assertBadge(data.badgeId);
+
+    return saveRule(() => db.achievement_rules.create({
+        data: {
+            code: data.code,
+            name: data.name,
+            description: data.description,
+            condition: data.condition,
+            params: normalizeRuleParams(data.condition, data.params),
+            badge_id: optionalId(data.badgeId),
+            active: data.active === undefined ? true : Boolean(data.active),
+        },
+        include: ruleInclude,
+    }));
+}
+
+/**
+ * Update an achievement rule. Unlocks already awarded are kept.
+ * @param {number} id - Rule ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} The updated rule
+ */
+async function updateAchievementRule(id, data) {
+    const rule = await findRule(id);
+    const merged = {
+        code: pick(data.code, rule.code),
+        name: pick(data.name, rule.name),
+        description: pick(data.description, rule.description),
+        condition: pick(data.condition, rule.condition),
+        params: pick(data.params, rule.params),
+        badgeId: pick(data.badgeId, rule.badge_id),
+        active: pick(data.active, rule.active),
+    };
+    assertValidRule(merged);
+    await assertBadge(merged.badgeId);
+
+    return saveRule(() => db.achievement_rules.update({
+        where: { id: rule.id },
+        data: {
+            code: merged.code,
+            name: merged.name,
+            description: merged.description,
+            condition: merged.condition,
+            params: normalizeRuleParams(merged.condition, merged.params),
+            badge_id: optionalId(merged.badgeId),
+            active: Boolean(merged.active),
+            updated_at: new Date(),
+        },
+        include: ruleInclude,
+    }));
+}
+
+async function deleteAchievementRule(id) {
+    const rule = await findRule(id);
+    return db.achievement_rules.delete({ where: { id: rule.id } });
+}
+
+// Record an unlock once; null when the user already had it, e.g. from a concurrent evaluation
+async function unlock(userId, rule, event) {
+    try {
+        return await db.user_achievement_unlocks.create({
+            data: { user_id_id: userId, rule_id_id: rule.id, event },
+        });
+    } catch (err) {
+        if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Evaluate the active rules an event can change and unlock the ones the user now meets.
+ * Rules are unlocked at most once per user.
+ * @param {number} userId - User ID
+ * @param {string} event - game_completed or daily_completed
+ * @returns {Promise<Object[]>} Rules unlocked by this event, with their unlocked time
+ */
+async function evaluateAchievements(userId, event) {
+    if (!ACHIEVEMENT_EVENTS.includes(event)) {
+        throw new Error(`Unknown achievement event: ${event}`);
+    }
+
+    const rules = await db.achievement_rules.findMany({
+        where: { active: true, user_achievement_unlocks: { none: { user_id_id: userId } } },
+        include: ruleInclude,
+        orderBy: { id: 'asc' },
+    });
+    const affected = rules.filter((rule) => isRuleAffectedBy(rule, event));
+    const progress = await Promise.all(affected.map(
+        (rule) => conditionProgress[rule.condition](userId, rule.params),
+    ));
+    const met = affected.filter((rule, i) => progress[i].met);
+
+    const unlocks = await Promise.all(met.map((rule) => unlock(userId, rule, event)));
+
+    return met
+        .map((rule, i) => unlocks[i] && {
+            ...formatRule(rule),
+            unlockedTime: unlocks[i].unlocked_time,
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Evaluate achievements for a game result that is already committed. The result stands when this
+ * fails, so the failure is reported with it instead of failing the request; the rules are evaluated
+ * again on the user's next event.
+ * @param {number} userId - User ID
+ * @param {string} event - game_completed or daily_completed
+ * @returns {Promise<{achievements: Object[], achievementsError: string|null}>} Rules unlocked by
+ * this event, and why none could be unlocked when evaluating failed
+ */
+async function evaluateCommittedAchievements(userId, event) {
+    try {
+        return { achievements: await evaluateAchievements(userId, event), achievementsError: null };
+    } catch (err) {
+        return {
+            achievements: [],
+            achievementsError: `Achievements could not be evaluated: ${err.message}`,
+        };
+    }
+}
+
+/**
+ * Every active rule with the user's progress, and the rules the user unlocked
+ * @param {number} userId - User ID
+ * @returns {Promise<Object[]>} Rules with unlocked, unlockedTime and progress
+ */
+async function getUserAchievements(userId) {
+    const rules = await db.achievement_rules.findMany({
+        where: {
+            OR: [
+                { active: true },
+                { user_achievement_unlocks: { some: { user_id_id: userId } } },
+            ],
+        },
+        include: {
+            ...ruleInclude,
+            user_achievement_unlocks: { where: { user_id_id: userId } },
+        },
+        orderBy: { id: 'asc' },
+    });
+
+    return Promise.all(rules.map(async (rule) => {
+        const [unlocked] = rule.user_achievement_unlocks;
+        const progress = await conditionProgress[rule.condition](userId, rule.params);
+
+        return {
+            ...formatRule(rule),
+            unlocked: Boolean(unlocked),
+            unlockedTime: unlocked ? unlocked.unlocked_time : null,
+            progress: { current: progress.current, target: progress.target },
+        };
+    }));
+}
+
+module.exports = {
+    listAchievementRules,
+    createAchievementRule,
+    updateAchievementRule,
+    deleteAchievementRule,
+    evaluateAchievements,
+    evaluateCommittedAchievements,
+    getUserAchievements,
+};
@@ -0,0 +1,255 @@
+const { Prisma } = require('@prisma/client');
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { isBlank } = require('../../helper/gameContent.helper');
+const { validateBadge, badgeMinStars, pickBadge } = require('../../helper/badge.helper');
+
+const IMAGE_BASE_URL = 'https://qauff8c31y.ufs.sh/f/';
+
+const pick = (value, fallback) => (value === undefined ? fallback : value);
+
+const optionalId = (value) => (isBlank(value) ? null : Number(value));
+
+const badgeInclude = {
+    media: { select: { id: true, key: true } },
+};
+
+function formatBadge(badge) {
+    return {
+        id: badge.id,
+        code: badge.code,
+        name: badge.name,
+        description: badge.description,
+        tier: badge.tier,
+        regionId: badge.region_id_id,
+        minStars: badge.min_stars,
+        mediaId: badge.media_id,
+        imageUrl: badge.media && badge.media.key ? `${IMAGE_BASE_URL}${badge.media.key}` : null,
+        active: badge.active,
+    };
+}
+
+async function findBadge(id) {
+    const badge = await db.badges.findUnique({ where: { id: Number(id) }, include: badgeInclude });
+    if (!badge) {
+        throw createHttpError(404, 'Badge not found');
+    }
+    return badge;
+}
+
+async function assertValidBadge(badge) {
+    const errors = validateBadge(badge);
+    if (errors.length) {
+        throw createHttpError(400, errors.join('; '));
+    }
+
+    const regionId = optionalId(badge.regionId);
+    if (regionId !== null && !(await db.regions.count({ where: { id: regionId } }))) {
+        throw createHttpError(400, 'Region not found');
+    }
+    const mediaId = optionalId(badge.mediaId);
+    const mediaExists = Number.isInteger(mediaId)
+        && await db.media.count({ where: { id: mediaId } }) > 0;
+    if (mediaId !== null && !mediaExists) {
+        throw createHttpError(400, 'Badge media not found');
+    }
+}
+
+function badgeColumns(badge) {
+    return {
+        code: badge.code,
+        name: badge.name,
+        description: isBlank(badge.description) ? null : badge.description,
+        tier: badge.tier,
+        region_id_id: optionalId(badge.regionId),
+        min_stars: badgeMinStars(badge.tier, badge.minStars),
+        media_id: optionalId(badge.mediaId),
+        active: badge.active === undefined ? true : Boolean(badge.active),
+    };
+}
+
+/**
+ * Active badges a region can earn, its own and the ones of every region
+ * @param {number[]} [regionIds] - Regions to load badges for, all when omitted
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object[]>}
+ */
+function findActiveBadges(regionIds, client = db) {
+    return client.badges.findMany({
+        where: {
+            active: true,
+            ...(regionIds
+                ? { OR: [{ region_id_id: null }, { region_id_id: { in: regionIds } }] }
+                : {}),
+        },
+        include: badgeInclude,
+    });
+}
+
+/**
+ * Catalogue badge an achievement earns with its stars
+ * @param {number} regionId - Region of the achievement
+ * @param {number} stars - Stars of the achievement
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<{earned_badge_id: number|null, badge_id: number|null}>} Achievement columns
+ * referencing the badge and its artwork
+ */
+async function earnedBadgeColumns(regionId, stars, client = db) {
+    const badge = pickBadge(await findActiveBadges([regionId], client), { regionId, stars });
+
+    return {
+        earned_badge_id: badge ? badge.id : null,
+        badge_id: badge ? badge.media_id : null,
+    };
+}
+
+/**
+ * Point achievements at the badges their stars earn after the catalogue changed
+ * @param {number[]|null} regionIds - Regions whose achievements to update, all when null
+ * @returns {Promise<number>} Number of achievements updated
+ */
+async function syncAchievementBadges(regionIds) {
+    const [badges, achievements] = await Promise.all([
+        findActiveBadges(regionIds || undefined),
+        db.achievements.findMany({
+            where: regionIds ? { region_id_id: { in: regionIds } } : {},
+            select: {
+                id: true,
+                region_id_id: true,
+                stars: true,
+                earned_badge_id: true,
+                badge_id: true,
+            },
+        }),
+    ]);
+
+    const changed = achievements
+        .map((achievement) => {
+            const badge = pickBadge(badges, {
+                regionId: achievement.region_id_id,
+                stars: achievement.stars,
+            });
+            return {
+                achievement,
+                earned_badge_id: badge ? badge.id : null,
+                badge_id: badge ? badge.media_id : null,
+            };
+        })
+        .filter(({ achievement, earned_badge_id: earnedBadgeId, badge_id: badgeId }) => (
+            achievement.earned_badge_id !== earnedBadgeId || achievement.badge_id !== badgeId
+        ));
+
+    await db.$transaction(changed.map(({ achievement, ...columns }) => db.achievements.update({
+        where: { id: achievement.id },
+        data: columns,
+    })));
+
+    return changed.length;
+}
+
+// Regions whose achievements a badge change can affect, null for a badge of every region
+const affectedRegions = (...badges) => (badges.some((badge) => !badge.region_id_id)
+    ? null
+    : [...new Set(badges.map((badge) => badge.region_id_id))]);
+
+async function saveBadge(write) {
+    try {
+        return await write();
+    } catch (err) {
+        if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+            throw createHttpError(409, 'A badge with this code already exists');
+        }
+        throw err;
+    }
+}
+
+/**
+ * List the badge catalogue
+ * @param {Object} query - regionId to only list the badges a region can earn, active=false to
+ * include inactive ones
+ * @returns {Promise<Object[]>}
+ */
+async function listBadges(query = {}) {
+    const regionId = optionalId(query.regionId);
+    const badges = await db.badges.findMany({
+        where: {
+            ...(query.active === 'false' ? {} : { active: true }),
+            ...(regionId ? { OR: [{ region_id_id: null }, { region_id_id: regionId }] } : {}),
+        },
+        include: badgeInclude,
+        orderBy: [{ region_id_id: 'asc' }, { min_stars: 'asc' }, { id: 'asc' }],
+    });
+    return badges.map(formatBadge);
+}
+
+async function getBadgeById(id) {
+    return formatBadge(await findBadge(id));
+}
+
+/**
+ * Add a badge to the catalogue. Achievements that already have the stars earn it right away.
+ * @param {Object} data - code, name, description, tier, regionId, minStars (the tier default when
+ * omitted), mediaId and active
+ * @returns {Promise<Object>} The created badge
+ */
+async function createBadge(data) {
+    await assertValidBadge(data);
+
+    const badge = await saveBadge(() => db.badges.create({
+        data: badgeColumns(data),
+        include: badgeInclude,
+    }));
+    await syncAchievementBadges(affectedRegions(badge));
+    return formatBadge(badge);
+}
+
+/**
+ * Update a badge; achievements are moved to the badges their stars now earn
+ * @param {number} id - Badge ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} The updated badge
+ */
+async function updateBadge(id, data) {
+    const badge = await findBadge(id);
+    const merged = {
+        code: pick(data.code, badge.code),
+        name: pick(data.name, badge.name),
+        description: pick(data.description, badge.description),
+        tier: pick(data.tier, badge.tier),
+        regionId: pick(data.regionId, badge.region_id_id),
+        // A new tier without minStars takes the stars of that tier
+        minStars: pick(data.minStars, data.tier === undefined ? badge.min_stars : undefined),
+        mediaId: pick(data.mediaId, badge.media_id),
+        active: pick(data.active, badge.active),
+    };
+    await assertValidBadge(merged);
+
+    const updated = await saveBadge(() => db.badges.update({
+        where: { id: badge.id },
+        data: { ...badgeColumns(merged), updated_at: new Date() },
+        include: badgeInclude,
+    }));
+    await syncAchievementBadges(affectedRegions(badge, updated));
+    return formatBadge(updated);
+}
+
+/**
+ * Remove a badge; achievements that had it get the next badge their stars earn
+ * @param {number} id - Badge ID
+ */
+async function deleteBadge(id) {
+    const badge = await findBadge(id);
+    await db.badges.delete({ where: { id: badge.id } });
+    await syncAchievementBadges(affectedRegions(badge));
+}
+
+module.exports = {
+    findActiveBadges,
+    earnedBadgeColumns,
+    syncAchievementBadges,
+    listBadges,
+    getBadgeById,
+    createBadge,
+    updateBadge,
+    deleteBadge,
+};
@@ -0,0 +1,303 @@
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { earnedBadgeColumns } = require('./badge.services');
+const { ITEM_KEYS } = require('../afterInfo/afterInfo.services');
+const { countGameItems } = require('../game/game.services');
+const { isBlank } = require('../../helper/gameContent.helper');
+const { COUNTED_REVIEW_STATUSES } = require('../../helper/plausibility.helper');
+const {
+    HERITAGE_CATEGORIES,
+    earnsHeritageStars,
+    validateHeritageMapping,
+    matchHeritageCategories,
+    applyHeritageCategories,
+} = require('../../helper/heritageStars.helper');
+
+const pick = (value, fallback) => (value === undefined ? fallback : value);
+
+const optionalId = (value) => (isBlank(value) ? null : Number(value));
+
+// Explanations of the items answered in a session. Treasure and timeline sessions are played per
+// game, their explanations are written per card and event.
+const explanationsOf = (gameType, itemIds) => {
+    switch (gameType) {
+        case 'treasure':
+            return { treasure_cards: { treasure_game_id: { in: itemIds } } };
+        case 'timeline':
+            return { timeline_events: { timeline_game_id: { in: itemIds } } };
+        default:
+            return { [ITEM_KEYS[gameType]]: { in: itemIds } };
+    }
+};
+
+function formatMapping(mapping) {
+    return {
+        id: mapping.id,
+        gameType: mapping.game_type,
+        category: mapping.category,
+        regionId: mapping.region_id_id,
+        topic: mapping.topic,
+    };
+}
+
+async function findMapping(id) {
+    const mapping = await db.heritage_star_mappings.findUnique({ where: { id: Number(id) } });
+    if (!mapping) {
+        throw createHttpError(404, 'Heritage star mapping not found');
+    }
+    return mapping;
+}
+
+async function assertValidMapping(mapping) {
+    const errors = validateHeritageMapping(mapping);
+    if (errors.length) {
+        throw createHttpError(400, errors.join('; '));
+    }
+
+    const regionId = optionalId(mapping.regionId);
+    if (regionId !== null && !(await db.regions.count({ where: { id: regionId } }))) {
+        throw createHttpError(400, 'Region not found');
+    }
+}
+
+function mappingColumns(mapping) {
+    return {
+        game_type: mapping.gameType,
+        category: mapping.category,
+        region_id_id: optionalId(mapping.regionId),
+        topic: isBlank(mapping.topic) ? null : mapping.topic.trim(),
+    };
+}
+
+/**
+ * List the mappings from games to heritage categories
+ * @returns {Promise<Object[]>}
+ */
+async function listHeritageMappings() {
+    const mappings = await db.heritage_star_mappings.findMany({ orderBy: { id: 'asc' } });
+    return mappings.map(formatMapping);
+}
+
+/**
+ * Make completed games of a type, optionally of a region or on a topic, earn a heritage category.
+ * Games completed before are not re-evaluated.
+ * @param {Object} data - gameType, category, regionId and topic
+ * @returns {Promise<Object>} The created mapping
+ */
+async function createHeritageMapping(data) {
+    await assertValidMapping(data);
+
+    return formatMapping(await db.heritage_star_mappings.create({ data: mappingColumns(data) }));
+}
+
+/**
+ * Update a mapping. Stars already awarded are kept.
+ * @param {number} id - Mapping ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} The updated mapping
+ */
+async function updateHeritageMapping(id, data) {
+    const mapping = await findMapping(id);
+    const merged = {
+        gameType: pick(data.gameType, mapping.game_type),
+        category: pick(data.category, mapping.category),
+        regionId: pick(data.regionId, mapping.region_id_id),
+        topic: pick(data.topic, mapping.topic),
+    };
+    await assertValidMapping(merged);
+
+    return formatMapping(await db.heritage_star_mappings.update({
+        where: { id: mapping.id },
+        data: { ...mappingColumns(merged), updated_at: new Date() },
+    }));
+}
+
+async function deleteHeritageMapping(id) {
+    const mapping = await findMapping(id);
+    return db.heritage_star_mappings.delete({ where: { id: mapping.id } });
+}
+
+async function findSessionTopics(session, tx) {
+    const attempts = await tx.game_session_attempts.findMany({
+        where: { session_id_id: session.id, answered_time: { not: null } },
+        distinct: ['item_id'],
+        select: { item_id: true },
+    });
+    if (!attempts.length) return [];
+
+    const explanations = await tx.after_question_info.findMany({
+        where: explanationsOf(session.game_types.code, attempts.map((attempt) => attempt.item_id)),
+        select: { topic_name: true },
+    });
+    return explanations.map((explanation) => explanation.topic_name).filter(Boolean);
+}
+
+/**
+ * The region achievement of a user that stars are written to, the first of duplicates
+ * @param {number} userId - User ID
+ * @param {number} regionId - Region ID
+ * @param {Object} [client] - Transaction to read in
+ * @returns {Promise<Object|null>}
+ */
+function findRegionAchievement(userId, regionId, client = db) {
+    return client.achievements.findFirst({
+        where: { user_id_id: userId, region_id_id: regionId },
+        orderBy: { id: 'asc' },
+    });
+}
+
+// The region achievement of a user, created like createAchievementForAllRegions does when the
+// client never did
+async function findOrCreateAchievement(userId, regionId, tx) {
+    const achievement = await findRegionAchievement(userId, regionId, tx);
+    if (achievement) return achievement;
+
+    const region = await tx.regions.findUnique({ where: { id: regionId } });
+    return tx.achievements.create({
+        data: {
+            user_id_id: userId,
+            region_id_id: regionId,
+            name: region.region_name,
+            description: `Default achievement for region ${region.region_name}`,
+            stars: 0,
+            badge_id: null,
+            history: false,
+            intangible_heritage: false,
+            tangible_heritage: false,
+        },
+    });
+}
+
+const findRegionMappings = (regionId, gameType, tx) => tx.heritage_star_mappings.findMany({
+    where: { game_type: gameType, OR: [{ region_id_id: null }, { region_id_id: regionId }] },
+});
+
+// Heritage categories one completed session earns under the mappings of its region
+async function sessionCategories(session, mappings, tx) {
+    const gameType = session.game_types.code;
+    const hasTopics = mappings
+        .some((mapping) => mapping.game_type === gameType && !isBlank(mapping.topic));
+    const topics = hasTopics
+        ? await findSessionTopics(session, tx)
+        : [];
+    return matchHeritageCategories(mappings, { gameType, regionId: session.region_id_id, topics });
+}
+
+// Write the flags and stars to the region achievement, with the catalogue badge its stars earn, and
+// to its play process
+async function writeHeritageFlags(userId, achievement, processes, { flags, stars }, tx) {
+    const now = new Date();
+
+    await tx.achievements.update({
+        where: { id: achievement.id },
+        data: {
+            ...flags,
+            stars,
+            ...(await earnedBadgeColumns(achievement.region_id_id, stars, tx)),
+            updated_at: now,
+        },
+    });
+    if (processes.length) {
+        await tx.play_process.updateMany({
+            where: { id: { in: processes.map((process) => process.id) } },
+            data: { ...flags, stars, updated_at: now },
+        });
+    } else {
+        await tx.play_process.create({
+            data: {
+                achievement_id_id: achievement.id,
+                user_id_id: userId,
+                ...flags,
+                stars,
+            },
+        });
+    }
+}
+
+/**
+ * Award the heritage categories a completed, counted game session earns, when it scored at least
+ * MIN_STAR_SCORE_RATIO of what every item of its region and game type can give.
+ * The region achievement and its play process are written with the same flags and stars, in the
+ * transaction the session is completed or approved in. The achievement gets the catalogue badge its
+ * stars earn.
+ * @param {Object} session - The session with game_types.code
+ * @param {number} totalItems - Playable items of the region and game type (countGameItems)
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<{regionId: number, awarded: string[], total: number}>} Categories earned for
+ * the first time and the stars of the region
+ */
+async function awardHeritageStars(session, totalItems, tx) {
+    // A session played poorly earns nothing
+    const categories = earnsHeritageStars(session, totalItems)
+        ? await sessionCategories(
+            session,
+            await findRegionMappings(session.region_id_id, session.game_types.code, tx),
+            tx,
+        )
+        : [];
+
+    if (!categories.length) {
+        const { user_id_id: userId, region_id_id: regionId } = session;
+        const achievement = await findRegionAchievement(userId, regionId, tx);
+        return { regionId, awarded: [], total: achievement ? Number(achievement.stars) || 0 : 0 };
+    }
+
+    const achievement = await findOrCreateAchievement(session.user_id_id, session.region_id_id, tx);
+    const processes = await tx.play_process.findMany({
+        where: { achievement_id_id: achievement.id, user_id_id: session.user_id_id },
+    });
+    // Categories either table already has are kept, so both end up with the same flags
+    const earned = HERITAGE_CATEGORIES.filter((category) => categories.includes(category)
+        || processes.some((process) => process[category]));
+    const { flags, stars, awarded } = applyHeritageCategories(achievement, earned);
+    await writeHeritageFlags(session.user_id_id, achievement, processes, { flags, stars }, tx);
+
+    return {
+        regionId: session.region_id_id,
+        awarded: awarded.filter((category) => categories.includes(category)),
+        total: stars,
+    };
+}
+
+/**
+ * Heritage categories a user's completed sessions of a region earn today: only sessions that count
+ * (not flagged or rejected), played well enough against the region's current items, under the
+ * current mappings
+ * @param {number} userId - User ID
+ * @param {number} regionId - Region ID
+ * @returns {Promise<string[]>} Categories earned
+ */
+async function findCountedHeritageCategories(userId, regionId) {
+    const sessions = await db.game_sessions.findMany({
+        where: {
+            user_id_id: userId,
+            region_id_id: regionId,
+            status: 'completed',
+            review_status: { in: COUNTED_REVIEW_STATUSES },
+        },
+        include: { game_types: { select: { code: true } } },
+    });
+    const gameTypes = [...new Set(sessions.map((session) => session.game_types.code))];
+    const [totals, mappings] = await Promise.all([
+        Promise.all(gameTypes.map((gameType) => countGameItems(regionId, gameType))),
+        Promise.all(gameTypes.map((gameType) => findRegionMappings(regionId, gameType, db))),
+    ]);
+
+    const earned = await Promise.all(sessions.map((session) => {
+        const i = gameTypes.indexOf(session.game_types.code);
+        return earnsHeritageStars(session, totals[i])
+            ? sessionCategories(session, mappings[i], db)
+            : [];
+    }));
+    return HERITAGE_CATEGORIES.filter((category) => earned.flat().includes(category));
+}
+
+module.exports = {
+    listHeritageMappings,
+    createHeritageMapping,
+    updateHeritageMapping,
+    deleteHeritageMapping,
+    awardHeritageStars,
+    findRegionAchievement,
+    findCountedHeritageCategories,
+};
@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 
 
-const { getAfterInfo } = require('./afterInfo.services');
+const { getAfterInfo, getItemAfterInfo, getGameAfterInfo } = require('./afterInfo.services');
+
+// Explanations change only when editors publish, clients may reuse them for a while.
+// Express adds an ETag, so revalidation after that is a cheap 304.
+const CACHE_CONTROL = 'public, max-age=600';
 
 /**
  * @swagger
@@ -11,6 +15,10 @@ const { getAfterInfo } = require('./afterInfo.services');
  *   post:
  *     tags: [AfterInfo]
  *     summary: Retrieve afterInfo based on gameId and questionNumber
+ *     deprecated: true
+ *     description: >
+ *       Use GET /afterInfo/{gameType}/items/{itemId}. gameId is read as the item ID of the given
+ *       game type only.
  *     parameters:
  *       - in: query
  *         name: gameTypeId
@@ -26,7 +34,7 @@ const { getAfterInfo } = require('./afterInfo.services');
  *         description: The ID of the game
  *     responses:
  *       200:
- *         description: Successfully retrieved afterInfo
+ *         description: Successfully retrieved afterInfo, null when there is none
  *         content:
  *           application/json:
  *             schema:
@@ -46,4 +54,87 @@ router.post('/get-afterInfo', async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /afterInfo/{gameType}/items/{itemId}:
+ *   get:
+ *     tags: [AfterInfo]
+ *     summary: Explanation of one item
+ *     description: >
+ *       Items are word games, quiz questions, puzzle games, treasure cards, timeline events and map
+ *       games. Cacheable for 10 minutes.
+ *     parameters:
+ *       - in: path
+ *         name: gameType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [word, quiz, puzzle, treasure, timeline, map]
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: >
+ *           topic with its name, links and slides. Links with a YouTube video have youtube set to
+ *           its videoId, start and end seconds and a youtube-nocookie embedUrl, null otherwise.
+ *           relatedPosts lists up to 3 knowledge posts to read next, ranked by keyword overlap of
+ *           their title, subject and content with the topic and slides, then by region.
+ *       400:
+ *         description: Unsupported game type or invalid item ID
+ *       404:
+ *         description: The item has no explanation
+ */
+router.get('/:gameType/items/:itemId', async (req, res, next) => {
+    try {
+        const afterInfo = await getItemAfterInfo(req.params.gameType, req.params.itemId);
+        res.set('Cache-Control', CACHE_CONTROL);
+        res.json(afterInfo);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /afterInfo/{gameType}/games/{gameId}:
+ *   get:
+ *     tags: [AfterInfo]
+ *     summary: Explanations of every item of a game
+ *     description: >
+ *       Prefetch for a whole game: every question of a quiz, card of a treasure game and event of a
+ *       timeline, or the game itself for word, puzzle and map games. Items without an explanation
+ *       have afterInfo null. Every explanation has its relatedPosts. Cacheable for 10 minutes.
+ *     parameters:
+ *       - in: path
+ *         name: gameType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [word, quiz, puzzle, treasure, timeline, map]
+ *       - in: path
+ *         name: gameId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: gameType, gameId and items with itemId and afterInfo
+ *       400:
+ *         description: Unsupported game type or invalid game ID
+ *       404:
+ *         description: Game not found
+ */
+router.get('/:gameType/games/:gameId', async (req, res, next) => {
+    try {
+        const afterInfo = await getGameAfterInfo(req.params.gameType, req.params.gameId);
+        res.set('Cache-Control', CACHE_CONTROL);
+        res.json(afterInfo);
+    } catch (err) {
+        next(err);
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,63 +1,183 @@
 const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { parseYoutubeLink } = require('../../helper/youtube.helper');
+const { searchTerms, rankRelatedPosts } = require('../../helper/relatedPosts.helper');
 
 const IMAGE_BASE_URL = 'https://qauff8c31y.ufs.sh/f/';
 
-async function getAfterInfo(gameTypeId, gameId) {
-    const info = await db.after_question_info.findFirst({
-        where: {
-            game_type_id_id: Number(gameTypeId),
-            OR: [
-                { puzzle_game_id_id: Number(gameId) },
-                { quiz_game_question_id_id: Number(gameId) },
-                { treasure_card_id_id: Number(gameId) }, // Changed from treasure_game_id_id to treasure_card_id_id
-                { word_game_id_id: Number(gameId) }
-            ]
-        },
-        include: {
-            media_links: {
+// Column of after_question_info holding the item an explanation is written for, per game type
+const ITEM_KEYS = {
+    puzzle: 'puzzle_game_id_id',
+    quiz: 'quiz_game_question_id_id',
+    treasure: 'treasure_card_id_id',
+    word: 'word_game_id_id',
+    timeline: 'timeline_event_id_id',
+    map: 'map_game_id_id',
+};
+
+const afterInfoInclude = {
+    media_links: {
+        select: {
+            alt: true,
+            youtube_link: true,
+            media_links_rels: {
                 select: {
-                    alt: true,
-                    youtube_link: true, // Added youtube_link from media_links
-                    media_links_rels: {
+                    id: true,
+                    order: true,
+                    path: true,
+                    media: {
                         select: {
-                            id: true,
-                            order: true,
-                            path: true,
-                            media: {
-                                select: {
-                                    key: true
-                                }
-                            }
+                            key: true
                         }
                     }
+                },
+                orderBy: {
+                    order: 'asc'
                 }
-            },
-            information_slides: {
+            }
+        }
+    },
+    information_slides: {
+        select: {
+            heading: true,
+            information_slides_content: {
                 select: {
-                    heading: true,
-                    information_slides_content: {
-                        select: {
-                            id: true,
-                            order: true,
-                            paragraph: true
-                        },
-                        orderBy: {
-                            order: 'asc'
-                        }
-                    }
+                    id: true,
+                    order: true,
+                    paragraph: true
+                },
+                orderBy: {
+                    order: 'asc'
                 }
             }
+        },
+        orderBy: {
+            id: 'asc'
         }
+    },
+    // The region of the explained item, for related posts
+    word_games: { select: { region_id: true } },
+    quiz_game_questions: { select: { quiz_games: { select: { regionid_id: true } } } },
+    puzzle_games: { select: { regionid_id: true } },
+    treasure_cards: { select: { treasure_games: { select: { region_id: true } } } },
+    timeline_events: { select: { timeline_games: { select: { region_id: true } } } },
+    map_games: { select: { region_id: true } }
+};
+
+function findItemRegionId(info) {
+    const regionIds = [
+        info.word_games && info.word_games.region_id,
+        info.quiz_game_questions
+            && info.quiz_game_questions.quiz_games
+            && info.quiz_game_questions.quiz_games.regionid_id,
+        info.puzzle_games && info.puzzle_games.regionid_id,
+        info.treasure_cards && info.treasure_cards.treasure_games.region_id,
+        info.timeline_events && info.timeline_events.timeline_games.region_id,
+        info.map_games && info.map_games.region_id,
+    ];
+    return regionIds.find(Boolean) || null;
+}
+
+const containing = (term) => ({ contains: term, mode: 'insensitive' });
+
+/**
+ * Candidates for the related posts of explanations, searched in the database: the posts of the
+ * regions of the explained items and the posts with a phrase of the topics or slide headings in
+ * their title, subject or content. rankRelatedPosts only keeps posts that share words with an
+ * explanation.
+ * @param {Object[]} infos - Explanations with afterInfoInclude
+ * @returns {Promise<Object[]>} Knowledge posts
+ */
+async function findKnowledgePosts(infos) {
+    const regionIds = [...new Set(infos.map(findItemRegionId).filter(Boolean))];
+    const terms = searchTerms(infos.flatMap(info => [
+        info.topic_name,
+        ...info.information_slides.map(slide => slide.heading),
+    ]).filter(Boolean));
+    const regions = regionIds.length
+        ? await db.regions.findMany({
+            where: { id: { in: regionIds } },
+            select: { region_name: true },
+        })
+        : [];
+
+    const conditions = [
+        ...(regionIds.length ? [{ region_id_id: { in: regionIds } }] : []),
+        ...regions.flatMap(region => [
+            { subject: containing(region.region_name) },
+            { title: containing(region.region_name) },
+        ]),
+        ...terms.flatMap(term => [
+            { title: containing(term) },
+            { subject: containing(term) },
+            { content: containing(term) },
+        ]),
+    ];
+    if (!conditions.length) return [];
+
+    return db.knowledge_post.findMany({
+        where: { OR: conditions },
+        select: {
+            id: true,
+            subject: true,
+            title: true,
+            content: true,
+            post_type: true,
+            region_id_id: true,
+            media: {
+                select: {
+                    key: true
+                }
+            }
+        },
     });
+}
 
-    if (!info) {
-        return null;
+function findRelatedPosts(info, posts) {
+    const text = info.information_slides
+        .flatMap(slide => [
+            slide.heading,
+            ...slide.information_slides_content.map(content => content.paragraph),
+        ])
+        .filter(Boolean)
+        .join(' ');
+    const related = rankRelatedPosts({
+        regionId: findItemRegionId(info),
+        topicName: info.topic_name,
+        text,
+    }, posts);
+
+    return related.map(({ post, score }) => ({
+        id: post.id,
+        title: post.title,
+        subject: post.subject,
+        postType: post.post_type,
+        regionId: post.region_id_id,
+        imageUrl: post.media && post.media.key ? `${IMAGE_BASE_URL}${post.media.key}` : null,
+        score,
+    }));
+}
+
+function readItemKey(gameType) {
+    if (!ITEM_KEYS[gameType]) {
+        throw createHttpError(400, `gameType must be one of ${Object.keys(ITEM_KEYS).join(', ')}`);
     }
+    return ITEM_KEYS[gameType];
+}
+
+function readId(value, name) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw createHttpError(400, `${name} must be a positive integer`);
+    }
+    return id;
+}
 
-    // Format the response data to include youtube_link
+function formatAfterInfo(info, posts) {
     const formattedLinks = info.media_links.map(link => ({
         alt: link.alt,
-        youtubeLink: link.youtube_link, // Added youtube_link to the formatted output
+        youtubeLink: link.youtube_link,
+        youtube: parseYoutubeLink(link.youtube_link),
         images: link.media_links_rels.map(rel => ({
             id: rel.id,
             order: rel.order,
@@ -71,17 +191,137 @@ async function getAfterInfo(gameTypeId, gameId) {
         content: slide.information_slides_content
     }));
 
-    const formattedOutput = {
+    return {
         topic: {
             name: info.topic_name,
             link: formattedLinks,
             slides: formattedSlides,
         },
+        relatedPosts: findRelatedPosts(info, posts),
     };
+}
+
+/**
+ * Explanation shown after answering one item
+ * @param {string} gameType - word, quiz, puzzle, treasure, timeline or map
+ * @param {number} itemId - Word game, quiz question, puzzle game, treasure card, timeline event or
+ * map game ID
+ * @returns {Promise<Object>} The formatted explanation
+ */
+async function getItemAfterInfo(gameType, itemId) {
+    const key = readItemKey(gameType);
+    const info = await db.after_question_info.findFirst({
+        where: { [key]: readId(itemId, 'itemId') },
+        include: afterInfoInclude,
+        orderBy: { id: 'asc' },
+    });
+
+    if (!info) {
+        throw createHttpError(404, 'After question info not found');
+    }
+
+    return formatAfterInfo(info, await findKnowledgePosts([info]));
+}
+
+// IDs of the items of a game that explanations are written for, null when the game does not exist
+async function findExplainedItemIds(gameType, gameId) {
+    switch (gameType) {
+        case 'quiz': {
+            const game = await db.quiz_games.findUnique({
+                where: { id: gameId },
+                select: { quiz_game_questions: { select: { id: true }, orderBy: { id: 'asc' } } },
+            });
+            return game && game.quiz_game_questions.map(question => question.id);
+        }
+        case 'treasure': {
+            const game = await db.treasure_games.findUnique({
+                where: { id: gameId },
+                select: { treasure_cards: { select: { id: true }, orderBy: { id: 'asc' } } },
+            });
+            return game && game.treasure_cards.map(card => card.id);
+        }
+        case 'timeline': {
+            const game = await db.timeline_games.findUnique({
+                where: { id: gameId },
+                select: { timeline_events: { select: { id: true }, orderBy: { id: 'asc' } } },
+            });
+            return game && game.timeline_events.map(event => event.id);
+        }
+        case 'word':
+            return (await db.word_games.count({ where: { id: gameId } })) ? [gameId] : null;
+        case 'puzzle':
+            return (await db.puzzle_games.count({ where: { id: gameId } })) ? [gameId] : null;
+        case 'map':
+            return (await db.map_games.count({ where: { id: gameId } })) ? [gameId] : null;
+        default:
+            throw createHttpError(400, 'Unsupported game type');
+    }
+}
+
+/**
+ * Explanations of every item of a game, so the client can prefetch them in one call
+ * @param {string} gameType - word, quiz, puzzle, treasure, timeline or map
+ * @param {number} gameId - Word, quiz, puzzle, treasure, timeline or map game ID
+ * @returns {Promise<Object>} gameType, gameId and every item with its explanation, null when it has
+ * none
+ */
+async function getGameAfterInfo(gameType, gameId) {
+    const key = readItemKey(gameType);
+    const itemIds = await findExplainedItemIds(gameType, readId(gameId, 'gameId'));
+    if (!itemIds) {
+        throw createHttpError(404, 'Game not found');
+    }
+
+    const infos = await db.after_question_info.findMany({
+        where: { [key]: { in: itemIds } },
+        include: afterInfoInclude,
+        orderBy: { id: 'asc' },
+    });
+    const posts = infos.length ? await findKnowledgePosts(infos) : [];
+    // An item with several explanations gets the oldest one, like getItemAfterInfo
+    const byItem = infos.reduce(
+        (found, info) => (found.has(info[key]) ? found : found.set(info[key], info)),
+        new Map(),
+    );
+
+    return {
+        gameType,
+        gameId: Number(gameId),
+        items: itemIds.map(itemId => ({
+            itemId,
+            afterInfo: byItem.has(itemId) ? formatAfterInfo(byItem.get(itemId), posts) : null,
+        })),
+    };
+}
+
+/**
+ * Explanation lookup by game type ID, kept for clients of POST /afterInfo/get-afterInfo
+ * @deprecated Use getItemAfterInfo
+ * @param {number} gameTypeId - Game type ID
+ * @param {number} gameId - Item ID, see getItemAfterInfo
+ * @returns {Promise<Object|null>} The formatted explanation, null when there is none
+ */
+async function getAfterInfo(gameTypeId, gameId) {
+    const gameType = await db.game_types.findUnique({
+        where: { id: readId(gameTypeId, 'gameTypeId') },
+        select: { code: true },
+    });
+    if (!gameType) {
+        throw createHttpError(400, 'Unknown game type');
+    }
+
+    const info = await db.after_question_info.findFirst({
+        where: { [readItemKey(gameType.code)]: readId(gameId, 'gameId') },
+        include: afterInfoInclude,
+        orderBy: { id: 'asc' },
+    });
 
-    return formattedOutput;
+    return info ? formatAfterInfo(info, await findKnowledgePosts([info])) : null;
 }
 
 module.exports = {
+    ITEM_KEYS,
     getAfterInfo,
-};
\ No newline at end of file
+    getItemAfterInfo,
+    getGameAfterInfo,
+};
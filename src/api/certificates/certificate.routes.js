@@ -0,0 +1,180 @@
+const express = require('express');
+const { isCookieAuthenticated } = require('../../middlewares');
+const {
+    issueCertificate,
+    listMyCertificates,
+    renderCertificateFile,
+    verifyCertificate,
+} = require('./certificate.services');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Certificates
+ *   description: Printable certificates for finished regions and their public verification
+ */
+
+/**
+ * @swagger
+ * /certificates/me:
+ *   get:
+ *     summary: List the current user's certificates
+ *     tags: [Certificates]
+ *     responses:
+ *       200:
+ *         description: Certificates, newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await listMyCertificates(req.payload.userId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /certificates/regions/{regionId}:
+ *   post:
+ *     summary: Issue the certificate of a finished region
+ *     description: >
+ *       The user needs every heritage star of the region, each still earned by a completed game
+ *       that counts (not flagged or rejected). The name, region and badge are recorded when the
+ *       certificate is issued. A user has one certificate per region; asking again returns it.
+ *       A revoked certificate is issued again, with the same code, once the region has every star
+ *       again.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: The new or reissued certificate
+ *       200:
+ *         description: The certificate issued before
+ *       400:
+ *         description: Invalid region ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Region not found
+ *       409:
+ *         description: The region is not finished with every star
+ */
+router.post('/regions/:regionId', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        const { certificate, created } = await issueCertificate(
+            req.payload.userId,
+            req.params.regionId,
+        );
+        res.status(created ? 201 : 200).json(certificate);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /certificates/verify/{code}:
+ *   get:
+ *     summary: Verify a certificate code
+ *     description: >
+ *       Public. Returns what the certificate with this code states. The code can be typed in any
+ *       case, with or without dashes. A certificate revoked by moderation is reported with valid
+ *       false.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         schema:
+ *           type: string
+ *           example: 7KQ2-M9XD-4RTA
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: >
+ *           valid, revoked, revokedTime, code, fullName, regionName, stars, maxStars, issuedTime
+ *           and badge
+ *       400:
+ *         description: Not a certificate code
+ *       404:
+ *         description: No certificate has this code
+ */
+router.get('/verify/:code', async (req, res, next) => {
+    try {
+        res.json(await verifyCertificate(req.params.code));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /certificates/{code}/download:
+ *   get:
+ *     summary: Download one of the current user's certificates
+ *     description: >
+ *       Rendered on the server with the badge artwork, the issue date and the verification code.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum:
+ *             - pdf
+ *             - png
+ *           default: pdf
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: The certificate file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Certificate not found
+ *       409:
+ *         description: The certificate was revoked
+ */
+router.get('/:code/download', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        const { buffer, contentType, filename } = await renderCertificateFile(
+            req.payload.userId,
+            req.params.code,
+            req.query.format || 'pdf',
+        );
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'private, no-store',
+        });
+        res.send(buffer);
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
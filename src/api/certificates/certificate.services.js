@@ -0,0 +1,302 @@
+const axios = require('axios');
+const { Prisma } = require('@prisma/client');
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { getLocalDay } = require('../../helper/date.helper');
+const { HERITAGE_CATEGORIES, MAX_REGION_STARS } = require('../../helper/heritageStars.helper');
+const {
+    findRegionAchievement,
+    findCountedHeritageCategories,
+} = require('../achievements/heritageStar.services');
+const {
+    CERTIFICATE_FORMATS,
+    generateCertificateCode,
+    normalizeCertificateCode,
+    certificateSvg,
+    toBadgeDataUri,
+    renderCertificate,
+} = require('../../helper/certificate.helper');
+
+const IMAGE_BASE_URL = 'https://qauff8c31y.ufs.sh/f/';
+
+const CODE_ATTEMPTS = 5;
+
+const CONTENT_TYPES = { pdf: 'application/pdf', png: 'image/png' };
+
+const certificateInclude = {
+    badges: {
+        select: {
+            id: true,
+            code: true,
+            name: true,
+            tier: true,
+            media: { select: { key: true } },
+        },
+    },
+};
+
+const verifyUrl = (code) => `${process.env.SERVER_URL || 'http://localhost:5000/api/v1'}/certificates/verify/${code}`;
+
+const badgeImageUrl = (badge) => (badge && badge.media && badge.media.key ? `${IMAGE_BASE_URL}${badge.media.key}` : null);
+
+function formatBadge(badge) {
+    if (!badge) return null;
+    return {
+        id: badge.id,
+        code: badge.code,
+        name: badge.name,
+        tier: badge.tier,
+        imageUrl: badgeImageUrl(badge),
+    };
+}
+
+function formatCertificate(certificate) {
+    return {
+        id: certificate.id,
+        code: certificate.code,
+        regionId: certificate.region_id_id,
+        fullName: certificate.full_name,
+        regionName: certificate.region_name,
+        stars: certificate.stars,
+        maxStars: MAX_REGION_STARS,
+        issuedTime: certificate.issued_time,
+        revoked: Boolean(certificate.revoked_time),
+        revokedTime: certificate.revoked_time,
+        badge: formatBadge(certificate.badges),
+        verifyUrl: verifyUrl(certificate.code),
+    };
+}
+
+const findUserCertificate = (userId, regionId) => db.certificates.findUnique({
+    where: { user_id_id_region_id_id: { user_id_id: userId, region_id_id: regionId } },
+    include: certificateInclude,
+});
+
+// Create the certificate with a new code, another one when the code is taken
+async function createWithUniqueCode(data, attempt = 1) {
+    try {
+        const certificate = await db.certificates.create({
+            data: { ...data, code: generateCertificateCode() },
+            include: certificateInclude,
+        });
+        return { certificate, created: true };
+    } catch (err) {
+        if (!(err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002')) throw err;
+
+        // Another request issued the certificate first, otherwise the code was taken
+        const issued = await findUserCertificate(data.user_id_id, data.region_id_id);
+        if (issued) return { certificate: issued, created: false };
+        if (attempt >= CODE_ATTEMPTS) {
+            throw createHttpError(500, 'Could not generate a unique certificate code');
+        }
+        return createWithUniqueCode(data, attempt + 1);
+    }
+}
+
+/**
+ * Issue the certificate of a region the user finished with every heritage star. Each star has to be
+ * on the region achievement awardHeritageStars writes to, and still earned by a completed session
+ * that counts, see findCountedHeritageCategories.
+ * A user has one certificate per region; asking again returns it. A revoked certificate is issued
+ * again, with its code, once the region has every star again.
+ * @param {number} userId - User ID
+ * @param {number} regionId - Region ID
+ * @returns {Promise<{certificate: Object, created: boolean}>}
+ */
+async function issueCertificate(userId, regionId) {
+    const id = Number(regionId);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw createHttpError(400, 'regionId must be a positive integer');
+    }
+
+    const existing = await findUserCertificate(userId, id);
+    if (existing && !existing.revoked_time) {
+        return { certificate: formatCertificate(existing), created: false };
+    }
+
+    const [user, region, achievement, counted] = await Promise.all([
+        db.user.findUnique({ where: { id: userId }, select: { full_name: true } }),
+        db.regions.findUnique({ where: { id }, select: { region_name: true } }),
+        findRegionAchievement(userId, id),
+        findCountedHeritageCategories(userId, id),
+    ]);
+    if (!user) {
+        throw createHttpError(404, 'User not found');
+    }
+    if (!region) {
+        throw createHttpError(404, 'Region not found');
+    }
+
+    const stars = HERITAGE_CATEGORIES
+        .filter((category) => achievement && achievement[category] && counted.includes(category))
+        .length;
+    if (stars < MAX_REGION_STARS) {
+        throw createHttpError(
+            409,
+            `The region needs all ${MAX_REGION_STARS} stars for a certificate, you have ${stars}`,
+        );
+    }
+
+    const data = {
+        user_id_id: userId,
+        region_id_id: id,
+        achievement_id_id: achievement.id,
+        badge_id: achievement.earned_badge_id,
+        full_name: user.full_name,
+        region_name: region.region_name,
+        stars,
+    };
+    if (existing) {
+        const reissued = await db.certificates.update({
+            where: { id: existing.id },
+            data: {
+                ...data,
+                issued_time: new Date(),
+                revoked_time: null,
+                revoked_reason: null,
+            },
+            include: certificateInclude,
+        });
+        return { certificate: formatCertificate(reissued), created: true };
+    }
+
+    const { certificate, created } = await createWithUniqueCode(data);
+    return { certificate: formatCertificate(certificate), created };
+}
+
+/**
+ * Revoke a certificate by its code
+ * @param {string} code - Verification code, as typed
+ * @param {string} [reason] - Why, for moderators
+ * @returns {Promise<Object>} The revoked certificate
+ */
+async function revokeCertificate(code, reason) {
+    const normalized = normalizeCertificateCode(code);
+    const certificate = normalized && await db.certificates.findUnique({
+        where: { code: normalized },
+    });
+    if (!certificate) {
+        throw createHttpError(404, 'Certificate not found');
+    }
+    if (certificate.revoked_time) {
+        throw createHttpError(409, 'Certificate is already revoked');
+    }
+
+    return formatCertificate(await db.certificates.update({
+        where: { id: certificate.id },
+        data: {
+            revoked_time: new Date(),
+            revoked_reason: reason === undefined ? null : String(reason),
+        },
+        include: certificateInclude,
+    }));
+}
+
+/**
+ * Certificates of a user, newest first
+ * @param {number} userId - User ID
+ * @returns {Promise<Object[]>}
+ */
+async function listMyCertificates(userId) {
+    const certificates = await db.certificates.findMany({
+        where: { user_id_id: userId },
+        include: certificateInclude,
+        orderBy: { issued_time: 'desc' },
+    });
+    return certificates.map(formatCertificate);
+}
+
+// The certificate is still printed when the artwork cannot be fetched, only without the badge
+async function badgeDataUri(badge) {
+    const url = badgeImageUrl(badge);
+    if (!url) return null;
+    try {
+        const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 15000 });
+        return await toBadgeDataUri(Buffer.from(response.data));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Print one of the user's certificates
+ * @param {number} userId - User ID
+ * @param {string} code - Verification code of the certificate
+ * @param {string} [format] - pdf (default) or png
+ * @returns {Promise<{buffer: Buffer, contentType: string, filename: string}>}
+ */
+async function renderCertificateFile(userId, code, format = 'pdf') {
+    if (!CERTIFICATE_FORMATS.includes(format)) {
+        throw createHttpError(400, `format must be one of ${CERTIFICATE_FORMATS.join(', ')}`);
+    }
+    const normalized = normalizeCertificateCode(code);
+    const certificate = normalized && await db.certificates.findUnique({
+        where: { code: normalized },
+        include: certificateInclude,
+    });
+    // Someone else's certificate is not found either, verification is the public view
+    if (!certificate || certificate.user_id_id !== userId) {
+        throw createHttpError(404, 'Certificate not found');
+    }
+    if (certificate.revoked_time) {
+        throw createHttpError(409, 'Certificate was revoked');
+    }
+
+    const svg = certificateSvg({
+        fullName: certificate.full_name,
+        regionName: certificate.region_name,
+        stars: certificate.stars,
+        maxStars: MAX_REGION_STARS,
+        issuedDate: getLocalDay(certificate.issued_time).split('-').reverse().join('/'),
+        code: certificate.code,
+        verifyUrl: verifyUrl(certificate.code),
+        badgeDataUri: await badgeDataUri(certificate.badges),
+    });
+
+    return {
+        buffer: await renderCertificate(svg, format),
+        contentType: CONTENT_TYPES[format],
+        filename: `certificate-${certificate.code}.${format}`,
+    };
+}
+
+/**
+ * Check a code printed on a certificate
+ * @param {string} code - Verification code, as typed
+ * @returns {Promise<Object>} What the certificate says, without the user's account details.
+ * A revoked certificate is not valid.
+ */
+async function verifyCertificate(code) {
+    const normalized = normalizeCertificateCode(code);
+    if (!normalized) {
+        throw createHttpError(400, 'This is not a certificate code');
+    }
+    const certificate = await db.certificates.findUnique({
+        where: { code: normalized },
+        include: certificateInclude,
+    });
+    if (!certificate) {
+        throw createHttpError(404, 'Certificate not found');
+    }
+
+    return {
+        valid: !certificate.revoked_time,
+        revoked: Boolean(certificate.revoked_time),
+        revokedTime: certificate.revoked_time,
+        code: certificate.code,
+        fullName: certificate.full_name,
+        regionName: certificate.region_name,
+        stars: certificate.stars,
+        maxStars: MAX_REGION_STARS,
+        issuedTime: certificate.issued_time,
+        badge: formatBadge(certificate.badges),
+    };
+}
+
+module.exports = {
+    issueCertificate,
+    revokeCertificate,
+    listMyCertificates,
+    renderCertificateFile,
+    verifyCertificate,
+};
@@ -0,0 +1,176 @@
+const express = require('express');
+const { isCookieAuthenticated } = require('../../middlewares');
+const {
+    getTodayChallenge,
+    startTodayChallenge,
+    submitTodayChallenge,
+    getStreak,
+    getRanking,
+} = require('./dailyChallenge.services');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Daily Challenge
+ *   description: One mixed challenge per day, the same for every player
+ */
+
+/**
+ * @swagger
+ * /game/daily:
+ *   get:
+ *     summary: Get today's challenge
+ *     description: >
+ *       Items are drawn from every game type across regions and are the same for all players.
+ *       Days change at midnight Asia/Ho_Chi_Minh time. Solutions are left out.
+ *     tags: [Daily Challenge]
+ *     responses:
+ *       200:
+ *         description: >
+ *           date, items (gameType, itemId, regionId and data) and the user's attempt or null
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No games available for a daily challenge
+ */
+router.get('/', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await getTodayChallenge(req.payload.userId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game/daily/start:
+ *   post:
+ *     summary: Start today's challenge
+ *     description: >
+ *       The time is measured from the first start, starting again returns the same attempt.
+ *     tags: [Daily Challenge]
+ *     responses:
+ *       200:
+ *         description: The attempt
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Today's challenge was already played
+ */
+router.post('/start', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await startTodayChallenge(req.payload.userId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game/daily/submit:
+ *   post:
+ *     summary: Submit the answers to today's challenge
+ *     description: Every player gets one scored attempt, items without an answer score nothing.
+ *     tags: [Daily Challenge]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     gameType:
+ *                       type: string
+ *                     itemId:
+ *                       type: integer
+ *                     answer:
+ *                       description: >
+ *                         Same format as /game/submit-answer, quiz letters as shown in the
+ *                         challenge
+ *     responses:
+ *       200:
+ *         description: >
+ *           The completed attempt with the result of every item, the achievements it unlocked, and
+ *           achievementsError when they could not be evaluated; the attempt is completed either way
+ *       400:
+ *         description: answers is not an array
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Challenge not started or already played today
+ */
+router.post('/submit', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await submitTodayChallenge(req.payload.userId, req.body.answers));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game/daily/streak:
+ *   get:
+ *     summary: Get the user's daily challenge streak
+ *     tags: [Daily Challenge]
+ *     responses:
+ *       200:
+ *         description: currentStreak, longestStreak, playedToday and lastPlayedDate
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/streak', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await getStreak(req.payload.userId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game/daily/ranking:
+ *   get:
+ *     summary: Get the ranking of a day
+ *     description: Highest score first, then the fastest. The user's own entry is returned as `me`.
+ *     tags: [Daily Challenge]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: YYYY-MM-DD, today by default
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: date, players, ranking and me
+ *       400:
+ *         description: Invalid date or limit
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/ranking', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        const { date, limit } = req.query;
+        res.json(await getRanking(req.payload.userId, { date, limit }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+const { Prisma } = require('@prisma/client');
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { getGameItems, findGameItem, gradeAnswer } = require('../game/game.services');
+const { evaluateCommittedAchievements } = require('../achievements/achievementRule.services');
+const { findLockableRegionIds } = require('../region/regionProgress.services');
+const { createSeededRandom, shuffle } = require('../../helper/random.helper');
+const { COUNTED_REVIEW_STATUSES, checkChallengePlausibility } = require('../../helper/plausibility.helper');
+const {
+    getLocalDay,
+    isDay,
+    dayToDate,
+    dateToDay,
+    countStreaks,
+} = require('../../helper/date.helper');
+
+// Number of items of each game type in a challenge
+const DAILY_CHALLENGE_ITEMS = {
+    quiz: 3,
+    word: 2,
+    puzzle: 1,
+    treasure: 1,
+    timeline: 1,
+    map: 1,
+};
+
+const RANKING_DEFAULT_LIMIT = 20;
+const RANKING_MAX_LIMIT = 100;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Where clause of the one attempt of a user at a challenge
+const attemptWhere = (challengeId, userId) => ({
+    challenge_id_id_user_id_id: { challenge_id_id: challengeId, user_id_id: userId },
+});
+
+// Candidates of every game type, with the region they belong to
+const candidateQueries = {
+    word: () => db.word_games.findMany({ select: { id: true, region_id: true }, orderBy: { id: 'asc' } })
+        .then((rows) => rows.map((row) => ({ itemId: row.id, regionId: row.region_id }))),
+    quiz: () => db.quiz_game_questions.findMany({
+        select: { id: true, quiz_games: { select: { regionid_id: true } } },
+        orderBy: { id: 'asc' },
+    }).then((rows) => rows.map((row) => ({
+        itemId: row.id,
+        regionId: row.quiz_games ? row.quiz_games.regionid_id : null,
+    }))),
+    puzzle: () => db.puzzle_games.findMany({ select: { id: true, regionid_id: true }, orderBy: { id: 'asc' } })
+        .then((rows) => rows.map((row) => ({ itemId: row.id, regionId: row.regionid_id }))),
+    treasure: () => db.treasure_games.findMany({ select: { id: true, region_id: true }, orderBy: { id: 'asc' } })
+        .then((rows) => rows.map((row) => ({ itemId: row.id, regionId: row.region_id }))),
+    timeline: () => db.timeline_games.findMany({ select: { id: true, region_id: true }, orderBy: { id: 'asc' } })
+        .then((rows) => rows.map((row) => ({ itemId: row.id, regionId: row.region_id }))),
+    map: () => db.map_games.findMany({ select: { id: true, region_id: true }, orderBy: { id: 'asc' } })
+        .then((rows) => rows.map((row) => ({ itemId: row.id, regionId: row.region_id }))),
+};
+
+// Take items from as many different regions as possible before using a region twice
+function pickAcrossRegions(candidates, count, random) {
+    const picked = [];
+    const usedRegions = new Set();
+    const shuffled = shuffle(candidates, random);
+
+    shuffled.forEach((candidate) => {
+        if (picked.length < count && !usedRegions.has(candidate.regionId)) {
+            picked.push(candidate);
+            usedRegions.add(candidate.regionId);
+        }
+    });
+    shuffled.forEach((candidate) => {
+        if (picked.length < count && !picked.includes(candidate)) {
+            picked.push(candidate);
+        }
+    });
+
+    return picked;
+}
+
+/**
+ * Draw the items of a day's challenge; the same day and content always give the same items.
+ * Every player gets the same challenge, so items only come from regions without prerequisites,
+ * which no player has locked.
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Promise<Object[]>} gameType, itemId and regionId of every item
+ */
+async function drawChallengeItems(day) {
+    const gameTypes = Object.keys(DAILY_CHALLENGE_ITEMS);
+    const [lockable, ...candidates] = await Promise.all([
+        findLockableRegionIds(),
+        ...gameTypes.map((gameType) => candidateQueries[gameType]()),
+    ]);
+
+    return gameTypes.flatMap((gameType, i) => pickAcrossRegions(
+        candidates[i].filter(({ regionId }) => regionId !== null && !lockable.has(regionId)),
+        DAILY_CHALLENGE_ITEMS[gameType],
+        createSeededRandom(`daily:${day}:${gameType}`),
+    ).map((candidate) => ({ gameType, ...candidate })));
+}
+
+/**
+ * Get the challenge of a day, drawing and storing it on first use so later content changes do not
+ * alter it
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Promise<Object>} The daily challenge record
+ */
+async function getOrCreateChallenge(day) {
+    const challengeDate = dayToDate(day);
+    const existing = await db.daily_challenges
+        .findUnique({ where: { challenge_date: challengeDate } });
+    if (existing) return existing;
+
+    const items = await drawChallengeItems(day);
+    if (!items.length) {
+        throw createHttpError(404, 'No games available for a daily challenge');
+    }
+
+    try {
+        return await db.daily_challenges.create({
+            data: { challenge_date: challengeDate, seed: `daily:${day}`, items },
+        });
+    } catch (err) {
+        // Another request created the challenge first
+        if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+            return db.daily_challenges.findUnique({ where: { challenge_date: challengeDate } });
+        }
+        throw err;
+    }
+}
+
+function formatAttempt(attempt) {
+    if (!attempt) return null;
+
+    return {
+        id: attempt.id,
+        startedTime: attempt.started_time,
+        completedTime: attempt.completed_time,
+        durationMs: attempt.duration_ms,
+        score: toNumber(attempt.score),
+        maxScore: toNumber(attempt.max_score),
+        correctCount: attempt.correct_count,
+        results: attempt.results,
+        reviewStatus: attempt.review_status,
+    };
+}
+
+// Items of the challenge in play mode, in the order they were drawn
+async function loadChallengeItems(challenge) {
+    const gameTypes = [...new Set(challenge.items.map((item) => item.gameType))];
+    const loaded = await Promise.all(gameTypes.map((gameType) => getGameItems(
+        gameType,
+        challenge.items.filter((item) => item.gameType === gameType).map((item) => item.itemId),
+        { mode: 'play', seed: challenge.seed },
+    )));
+    const byKey = new Map(gameTypes.flatMap((gameType, i) => loaded[i].map((data) => [`${gameType}:${data.id}`, data])));
+
+    return challenge.items
+        .filter((item) => byKey.has(`${item.gameType}:${item.itemId}`))
+        .map((item) => ({
+            gameType: item.gameType,
+            itemId: item.itemId,
+            regionId: item.regionId,
+            data: byKey.get(`${item.gameType}:${item.itemId}`),
+        }));
+}
+
+/**
+ * Get today's challenge and the user's attempt at it
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} date, items without solutions and the user's attempt or null
+ */
+async function getTodayChallenge(userId) {
+    const day = getLocalDay();
+    const challenge = await getOrCreateChallenge(day);
+    const [items, attempt] = await Promise.all([
+        loadChallengeItems(challenge),
+        db.daily_challenge_attempts.findUnique({ where: attemptWhere(challenge.id, userId) }),
+    ]);
+
+    return {
+        date: day,
+        items,
+        attempt: formatAttempt(attempt),
+    };
+}
+
+/**
+ * Start the user's attempt at today's challenge; starting again keeps the first start time
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} The attempt
+ */
+async function startTodayChallenge(userId) {
+    const challenge = await getOrCreateChallenge(getLocalDay());
+    const where = attemptWhere(challenge.id, userId);
+
+    const attempt = await db.daily_challenge_attempts.upsert({
+        where,
+        create: { challenge_id_id: challenge.id, user_id_id: userId },
+        update: {},
+    });
+    if (attempt.completed_time) {
+        throw createHttpError(409, 'Daily challenge already played today');
+    }
+
+    return formatAttempt(attempt);
+}
+
+// Grade one item of the challenge; unanswered or removed items score nothing
+async function gradeChallengeItem(challenge, item, answers) {
+    const submitted = answers.find((answer) => answer.gameType === item.gameType
+        && Number(answer.itemId) === item.itemId);
+
+    let loaded;
+    try {
+        ({ item: loaded } = await findGameItem(item.gameType, item.itemId));
+    } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+    }
+
+    // An empty answer scores nothing in every game type but still counts towards the maximum score
+    const answered = submitted && submitted.answer !== undefined && submitted.answer !== null;
+    const answer = answered ? submitted.answer : [];
+    const result = gradeAnswer(item.gameType, loaded, answer, { seed: challenge.seed });
+
+    return {
+        gameType: item.gameType,
+        itemId: item.itemId,
+        answer: submitted ? answer : null,
+        ...result,
+    };
+}
+
+/**
+ * Grade and record the user's single attempt at today's challenge; an implausibly fast attempt is
+ * flagged and stays out of the ranking and streak until a moderator approves it
+ * @param {number} userId - User ID
+ * @param {Object[]} answers - gameType, itemId and answer of every answered item
+ * @returns {Promise<Object>} The completed attempt with its results and the achievements it
+ * unlocked
+ */
+async function submitTodayChallenge(userId, answers) {
+    if (!Array.isArray(answers)) {
+        throw createHttpError(400, 'answers must be an array');
+    }
+
+    const challenge = await getOrCreateChallenge(getLocalDay());
+    const where = attemptWhere(challenge.id, userId);
+    const attempt = await db.daily_challenge_attempts.findUnique({ where });
+    if (!attempt) {
+        throw createHttpError(409, 'Start the daily challenge first');
+    }
+    if (attempt.completed_time) {
+        throw createHttpError(409, 'Daily challenge already played today');
+    }
+
+    const graded = await Promise.all(challenge.items
+        .map((item) => gradeChallengeItem(challenge, item, answers)));
+    const results = graded.filter(Boolean);
+    const now = new Date();
+    const durationMs = now - attempt.started_time;
+    const flagReasons = checkChallengePlausibility({ durationMs, results });
+
+    // Only the first submission is recorded, a concurrent one finds the attempt completed
+    const { count } = await db.daily_challenge_attempts.updateMany({
+        where: { id: attempt.id, completed_time: null },
+        data: {
+            completed_time: now,
+            duration_ms: durationMs,
+            results,
+            score: results.reduce((sum, result) => sum + result.score, 0),
+            max_score: results.reduce((sum, result) => sum + result.maxScore, 0),
+            correct_count: results.filter((result) => result.correct).length,
+            review_status: flagReasons.length ? 'flagged' : 'clear',
+            flag_reasons: flagReasons.length ? flagReasons : undefined,
+            updated_at: now,
+        },
+    });
+    if (!count) {
+        throw createHttpError(409, 'Daily challenge already played today');
+    }
+
+    const { achievements, achievementsError } = flagReasons.length
+        ? { achievements: [], achievementsError: null }
+        : await evaluateCommittedAchievements(userId, 'daily_completed');
+
+    return {
+        ...formatAttempt(await db.daily_challenge_attempts
+            .findUnique({ where: { id: attempt.id } })),
+        achievements,
+        achievementsError,
+    };
+}
+
+/**
+ * Current and longest run of consecutive days on which the user completed the challenge
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} currentStreak, longestStreak, playedToday and lastPlayedDate
+ */
+async function getStreak(userId) {
+    const attempts = await db.daily_challenge_attempts.findMany({
+        where: {
+            user_id_id: userId,
+            completed_time: { not: null },
+            review_status: { in: COUNTED_REVIEW_STATUSES },
+        },
+        select: { daily_challenges: { select: { challenge_date: true } } },
+    });
+    const days = [...new Set(attempts
+        .map((attempt) => dateToDay(attempt.daily_challenges.challenge_date)))]
+        .sort();
+
+    // Today's challenge not being played yet does not break the streak
+    const today = getLocalDay();
+    const { currentStreak, longestStreak } = countStreaks(days, today);
+
+    return {
+        currentStreak,
+        longestStreak,
+        playedToday: days.includes(today),
+        lastPlayedDate: days.length ? days[days.length - 1] : null,
+    };
+}
+
+/**
+ * Ranking of a day's completed attempts: highest score first, then fastest
+ * @param {number} userId - Current user ID, whose own rank is always returned
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD, today by default
+ * @param {number} [options.limit] - Number of ranked players
+ * @returns {Promise<Object>} date, ranking and the user's own entry
+ */
+async function getRanking(userId, { date, limit } = {}) {
+    const day = date || getLocalDay();
+    if (!isDay(day)) {
+        throw createHttpError(400, 'date must be formatted YYYY-MM-DD');
+    }
+    const take = limit === undefined || limit === '' ? RANKING_DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(take) || take < 1 || take > RANKING_MAX_LIMIT) {
+        throw createHttpError(400, `limit must be between 1 and ${RANKING_MAX_LIMIT}`);
+    }
+
+    const challenge = await db.daily_challenges
+        .findUnique({ where: { challenge_date: dayToDate(day) } });
+    if (!challenge) {
+        return {
+            date: day,
+            players: 0,
+            ranking: [],
+            me: null,
+        };
+    }
+
+    // Ranked in the database so only the top rows and the user's own row are sent back.
+    // Equal score and time share a rank
+    const rows = await db.$queryRaw`
+        WITH ranked AS (
+            SELECT a.user_id_id, a.score, a.max_score, a.correct_count,
+                a.duration_ms, a.completed_time,
+                RANK() OVER (ORDER BY a.score DESC, a.duration_ms ASC NULLS LAST) AS rank,
+                COUNT(*) OVER () AS players
+            FROM daily_challenge_attempts a
+            WHERE a.challenge_id_id = ${challenge.id}
+                AND a.completed_time IS NOT NULL
+                AND a.review_status::text IN (${Prisma.join(COUNTED_REVIEW_STATUSES)})
+        )
+        SELECT ranked.*, u.full_name, u.username, u.avatar_url
+        FROM ranked
+        JOIN "user" u ON u.id = ranked.user_id_id
+        WHERE ranked.rank <= ${take} OR ranked.user_id_id = ${userId}
+        ORDER BY ranked.rank, ranked.completed_time`;
+
+    const entries = rows.map((row) => ({
+        rank: Number(row.rank),
+        user: {
+            id: row.user_id_id,
+            full_name: row.full_name,
+            username: row.username,
+            avatar_url: row.avatar_url,
+        },
+        score: toNumber(row.score),
+        maxScore: toNumber(row.max_score),
+        correctCount: row.correct_count,
+        durationMs: row.duration_ms,
+    }));
+
+    return {
+        date: day,
+        players: rows.length ? Number(rows[0].players) : 0,
+        ranking: entries.filter((entry) => entry.rank <= take).slice(0, take),
+        me: entries.find((entry) => entry.user.id === userId) || null,
+    };
+}
+
+module.exports = {
+    DAILY_CHALLENGE_ITEMS,
+    getTodayChallenge,
+    startTodayChallenge,
+    submitTodayChallenge,
+    getStreak,
+    getRanking,
+};
@@ -2,7 +2,34 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 
-const { getGameData, updateGameHistory, getGameHistory } = require('./game.services');
+const {
+    isCookieAuthenticated,
+    readCookieUser,
+    hasRole,
+    rateLimit,
+} = require('../../middlewares');
+const { assertRegionUnlocked } = require('../region/regionProgress.services');
+const {
+    getGameData,
+    getAdaptiveQuiz,
+    checkAnswer,
+    updateGameHistory,
+    getGameHistory,
+} = require('./game.services');
+
+// Checking answers outside a game session must not become a way to try every answer
+const answerLimiter = rateLimit({ windowMs: 60 * 1000, max: 30 });
+const isEditor = hasRole('editor', 'admin');
+
+// Full game data holds the solutions: only editors and admins get it, everyone else plays
+function fullModeForEditors(req, res, next) {
+    if (req.query.mode !== 'full') return next();
+    if (!req.payload) {
+        res.status(401);
+        throw new Error('🚫 Un-Authorized 🚫');
+    }
+    return isEditor(req, res, next);
+}
 
 /**
  * @swagger
@@ -27,8 +54,22 @@ const { getGameData, updateGameHistory, getGameHistory } = require('./game.servi
  *             - quiz
  *             - puzzle
  *             - treasure
+ *             - timeline
+ *             - map
  *         required: true
  *         description: The code of the game type
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum:
+ *             - full
+ *             - play
+ *           default: play
+ *         required: false
+ *         description: >
+ *           "play" (default) leaves out correct answers, letters, puzzle answers, match groups
+ *           and map targets. "full" keeps them and is only served to editors and admins.
  *     responses:
  *       200:
  *         description: Successfully retrieved game data
@@ -39,16 +80,23 @@ const { getGameData, updateGameHistory, getGameHistory } = require('./game.servi
  *               additionalProperties: true
  *       400:
  *         description: Unsupported game type
+ *       401:
+ *         description: Full mode was asked for without a login
+ *       403:
+ *         description: >
+ *           The region is locked for the current user, or for visitors when it has prerequisites,
+ *           or full mode was asked for by a user who is not an editor or admin
  *       404:
  *         description: Game type not found
  *       500:
  *         description: Internal server error
  */
-router.get('/get-gamedata', async (req, res, next) => {
+router.get('/get-gamedata', readCookieUser, fullModeForEditors, async (req, res, next) => {
     try {
-        const { regionId, gameType } = req.query;
+        const { regionId, gameType, mode } = req.query;
 
-        const data = await getGameData(regionId, gameType);
+        await assertRegionUnlocked(req.payload ? req.payload.userId : null, regionId);
+        const data = await getGameData(regionId, gameType, { mode });
 
         res.json(data);
     } catch (err) {
@@ -59,5 +107,140 @@ router.get('/get-gamedata', async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /game/adaptive-quiz:
+ *   get:
+ *     summary: Pick quiz questions of a region for the current user
+ *     description: >
+ *       Uses spaced repetition on the user's past answers in game sessions: missed and due
+ *       questions come back first, then unseen questions, and mastered questions only when nothing
+ *       else is left.
+ *     tags:
+ *       - Games
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         required: false
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: >
+ *           Quiz game session the questions are answered in. Options are then laid out from its
+ *           seed, like /game-session/{id}/game-data, so the letters match the ones the session
+ *           grades. Without it options keep their stored letters, as /game/submit-answer expects.
+ *     responses:
+ *       200:
+ *         description: >
+ *           Questions in the same format as the quiz game data in play mode, without the correct
+ *           answers, each with a review object (isNew, due, dueTime, mastered)
+ *       400:
+ *         description: Invalid count, or the session is not a quiz session of the region
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The region is locked
+ *       404:
+ *         description: Game session not found
+ */
+router.get('/adaptive-quiz', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        const { regionId, count, sessionId } = req.query;
+
+        const data = await getAdaptiveQuiz(req.payload.userId, regionId, { count, sessionId });
+
+        res.json(data);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game/submit-answer:
+ *   post:
+ *     summary: Check a player's answer on the server
+ *     description: >
+ *       Practice check outside a game session. Limited to 30 answers a minute per user, and the
+ *       item's region has to be unlocked. Only the verdict is returned.
+ *     tags:
+ *       - Games
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gameId:
+ *                 type: integer
+ *                 description: Word game, quiz question, puzzle, treasure, timeline or map game ID
+ *               gameType:
+ *                 type: string
+ *                 enum:
+ *                   - word
+ *                   - quiz
+ *                   - puzzle
+ *                   - treasure
+ *                   - timeline
+ *                   - map
+ *               answer:
+ *                 description: |
+ *                   word: the answer text or an array of letters;
+ *                   quiz: the option letter (A-D);
+ *                   puzzle: piece indexes in slot order;
+ *                   treasure: array of matched card id pairs, e.g. [[1, 4], [2, 3]];
+ *                   timeline: event ids from earliest to latest;
+ *                   map: the pin as { lat, lng }
+ *             required:
+ *               - gameId
+ *               - gameType
+ *               - answer
+ *     responses:
+ *       200:
+ *         description: The answer was checked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 correct:
+ *                   type: boolean
+ *       400:
+ *         description: Missing answer or unsupported game type
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The region is locked
+ *       404:
+ *         description: Game not found
+ *       429:
+ *         description: Too many answers, try again later
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/submit-answer', isCookieAuthenticated, answerLimiter, async (req, res, next) => {
+    try {
+        const { gameId, gameType, answer } = req.body;
+
+        const result = await checkAnswer(req.payload.userId, gameType, gameId, answer);
+
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+});
 
 module.exports = router;
\ No newline at end of file
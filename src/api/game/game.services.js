@@ -1,8 +1,159 @@
 const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const {
+    checkQuizAnswer,
+    checkWordAnswer,
+    checkPuzzleAnswer,
+    checkTreasureAnswer,
+    checkTimelineAnswer,
+    checkMapAnswer,
+    compareEvents,
+} = require('../../helper/answer.helper');
+const { getWordLengths } = require('../../helper/letter.helper');
+const { isBlank } = require('../../helper/gameContent.helper');
+const {
+    getShuffledQuizOptions,
+    toShownOptionLetter,
+    toStoredOptionLetter,
+    shuffleTreasureCards,
+    shuffleTimelineEvents,
+} = require('../../helper/layout.helper');
+const { isMastered, selectQuestions } = require('../../helper/spacedRepetition.helper');
+const { assertRegionUnlocked } = require('../region/regionProgress.services');
+
+const ADAPTIVE_QUIZ_DEFAULT_COUNT = 10;
+const ADAPTIVE_QUIZ_MAX_COUNT = 50;
 
 const IMAGE_BASE_URL = 'https://qauff8c31y.ufs.sh/f/';
 
-async function getGameData(regionId, gameType) {
+const mediaUrl = (media) => (media && media.key ? `${IMAGE_BASE_URL}${media.key}` : null);
+
+// In "play" mode every field that would give the solution away is left out
+function formatWordGame(game, play) {
+    return {
+        id: game.id,
+        question: game.question,
+        hint: game.hint,
+        ...(!play && {
+            answer: game.answer,
+            // Extract letters from the included relations
+            correct_letters: game.word_games_correct_letters.map(l => l.letter),
+        }),
+        letters: game.word_games_letters.map(l => l.letter),
+        word_lengths: getWordLengths(game.answer),
+    };
+}
+
+// With a session seed the options are shuffled and relabelled, and the correct answer follows them
+function formatQuizQuestion(q, play, seed) {
+    return {
+        id: q.id,
+        question: q.question,
+        options: seed ? getShuffledQuizOptions(seed, q) : {
+            A: q.option_a,
+            B: q.option_b,
+            C: q.option_c,
+            ...(q.option_d && { D: q.option_d }), // Include D only if it exists
+        },
+        ...(!play && {
+            correctAnswer: seed ? toShownOptionLetter(seed, q, q.correct_answer) : q.correct_answer,
+        }),
+        audioUrl: q.audio_url,
+    };
+}
+
+function formatPuzzleGame(game, play) {
+    return {
+        id: game.id,
+        imageUrl: mediaUrl(game.media),
+        hint: game.hint,
+        pieces: game.puzzle_pieces.map((piece) => ({
+            id: piece.id,
+            piece_index: piece.piece_index,
+            // Removed x_position, y_position, correct_x, correct_y as they are not in the schema
+            imageUrl: mediaUrl(piece.media),
+        })),
+        ...(!play && {
+            // Map over the included answers
+            answers: game.puzzle_games_answer.map((answer) => ({
+                id: answer.id,
+                index: answer.index
+            })),
+            answer_text: game.answer_text
+        }),
+    };
+}
+
+function formatTreasureGame(game, play, seed) {
+    return {
+        id: game.id,
+        title: game.title,
+        description: game.description,
+        cardsData: shuffleTreasureCards(seed, game, game.treasure_cards).map((card) => ({
+            id: card.id,
+            type: card.type,
+            value: card.value,
+            ...(!play && { matchGroup: card.match_group }),
+            imageUrl: mediaUrl(card.media),
+        })),
+    };
+}
+
+// Events are dealt out of order to play; outside play they come in chronological order with their
+// dates
+function formatTimelineGame(game, play, seed) {
+    const events = play
+        ? shuffleTimelineEvents(seed, game, game.timeline_events)
+        : [...game.timeline_events].sort((a, b) => compareEvents(a, b) || a.id - b.id);
+
+    return {
+        id: game.id,
+        title: game.title,
+        description: game.description,
+        events: events.map((event) => ({
+            id: event.id,
+            label: event.label,
+            description: event.description,
+            imageUrl: mediaUrl(event.media),
+            ...(!play && {
+                year: event.event_year,
+                month: event.event_month,
+                day: event.event_day,
+                dateLabel: event.date_label,
+            }),
+        })),
+        ...(!play && { answer: events.map((event) => event.id) }),
+    };
+}
+
+// The target is only sent outside play, the tolerance lets the client draw the circle after
+// answering
+function formatMapGame(game, play) {
+    return {
+        id: game.id,
+        prompt: game.prompt,
+        hint: game.hint,
+        imageUrl: mediaUrl(game.media),
+        toleranceKm: Number(game.tolerance_km),
+        ...(!play && {
+            placeName: game.place_name,
+            target: { lat: Number(game.latitude), lng: Number(game.longitude) },
+        }),
+    };
+}
+
+/**
+ * Retrieve the games of one type for a region
+ * @param {number} regionId - Region ID
+ * @param {string} gameType - word, quiz, puzzle, treasure, timeline or map
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "play" (default) leaves out the solutions, "full" keeps them
+ * @param {string} [options.seed] - Game session seed; shuffles quiz options, treasure cards and
+ * timeline events reproducibly
+ * @returns {Promise<Object|Array>} Formatted game data
+ */
+async function getGameData(regionId, gameType, { mode = 'play', seed } = {}) {
+    const play = mode !== 'full';
     const gameTypeData = await db.game_types.findUnique({
         where: { code: gameType },
         include: {
@@ -36,6 +187,14 @@ async function getGameData(regionId, gameType) {
                     }
                 },
             },
+            timeline_games: {
+                where: { region_id: Number(regionId) },
+                include: { timeline_events: { include: { media: true } } },
+            },
+            map_games: {
+                where: { region_id: Number(regionId) },
+                include: { media: true },
+            },
         },
     });
 
@@ -45,77 +204,321 @@ async function getGameData(regionId, gameType) {
 
     switch (gameTypeData.code) {
         case 'word':
-            // Map over word games and extract letters from relations
-            return gameTypeData.word_games.map((game) => ({
-                id: game.id,
-                question: game.question,
-                hint: game.hint,
-                answer: game.answer,
-                // Extract letters from the included relations
-                correct_letters: game.word_games_correct_letters.map(l => l.letter),
-                letters: game.word_games_letters.map(l => l.letter),
-            }));
+            return gameTypeData.word_games.map((game) => formatWordGame(game, play));
 
         case 'quiz':
             // Flatten the questions from all quiz games in the region
             return {
                 // Return an array of questions directly as per your previous structure
                 question: gameTypeData.quiz_games.flatMap((game) =>
-                    game.quiz_game_questions.map((q) => ({
-                        id: q.id,
-                        question: q.question,
-                        options: {
-                            A: q.option_a,
-                            B: q.option_b,
-                            C: q.option_c,
-                            ...(q.option_d && { D: q.option_d }), // Include D only if it exists
-                        },
-                        correctAnswer: q.correct_answer,
-                        audioUrl: q.audio_url,
-                    }))
+                    game.quiz_game_questions.map((q) => formatQuizQuestion(q, play, seed))
                 ),
             };
 
         case 'puzzle':
-            return gameTypeData.puzzle_games.map((game) => ({
-                id: game.id,
-                imageUrl: game.media && game.media.key ? `${IMAGE_BASE_URL}${game.media.key}` : null,
-                hint: game.hint,
-                pieces: game.puzzle_pieces.map((piece) => ({
-                    id: piece.id,
-                    piece_index: piece.piece_index,
-                    // Removed x_position, y_position, correct_x, correct_y as they are not in the schema
-                    imageUrl: piece.media && piece.media.key ? `${IMAGE_BASE_URL}${piece.media.key}` : null,
-                })),
-                // Map over the included answers
-                answers: game.puzzle_games_answer.map((answer) => ({
-                    id: answer.id,
-                    index: answer.index
-                })),
-                answer_text: game.answer_text
-            }));
+            return gameTypeData.puzzle_games.map((game) => formatPuzzleGame(game, play));
 
         case 'treasure':
-            return gameTypeData.treasure_games.map((game) => ({
-                id: game.id,
-                title: game.title,
-                description: game.description,
-                cardsData: game.treasure_cards.map((card) => ({
-                    id: card.id,
-                    type: card.type,
-                    value: card.value,
-                    matchGroup: card.match_group,
-                    imageUrl: card.media && card.media.key ? `${IMAGE_BASE_URL}${card.media.key}` : null,
-                })),
-            }));
+            return gameTypeData.treasure_games.map((game) => formatTreasureGame(game, play, seed));
+
+        case 'timeline':
+            return gameTypeData.timeline_games.map((game) => formatTimelineGame(game, play, seed));
+
+        case 'map':
+            return gameTypeData.map_games.map((game) => formatMapGame(game, play));
 
         default:
             throw new Error('Unsupported game type');
     }
 }
 
+// Loading and formatting of single items, for sets mixing several regions or game types
+const itemSources = {
+    word: {
+        delegate: 'word_games',
+        include: { word_games_correct_letters: true, word_games_letters: true },
+        format: formatWordGame,
+    },
+    quiz: {
+        delegate: 'quiz_game_questions',
+        include: undefined,
+        format: formatQuizQuestion,
+    },
+    puzzle: {
+        delegate: 'puzzle_games',
+        include: {
+            puzzle_pieces: { include: { media: true } },
+            media: true,
+            puzzle_games_answer: true,
+        },
+        format: formatPuzzleGame,
+    },
+    treasure: {
+        delegate: 'treasure_games',
+        include: { treasure_cards: { include: { media: true } } },
+        format: formatTreasureGame,
+    },
+    timeline: {
+        delegate: 'timeline_games',
+        include: { timeline_events: { include: { media: true } } },
+        format: formatTimelineGame,
+    },
+    map: {
+        delegate: 'map_games',
+        include: { media: true },
+        format: formatMapGame,
+    },
+};
+
+/**
+ * Load and format items of one game type by ID, in the order of the given IDs
+ * @param {string} gameType - word, quiz, puzzle, treasure, timeline or map
+ * @param {number[]} ids - Item IDs; IDs that no longer exist are left out
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "play" leaves out the solutions
+ * @param {string} [options.seed] - Seed for the layout of quiz options and treasure cards
+ * @returns {Promise<Object[]>} Formatted items
+ */
+async function getGameItems(gameType, ids, { mode, seed } = {}) {
+    const source = itemSources[gameType];
+    if (!source) {
+        throw createHttpError(400, 'Unsupported game type');
+    }
+
+    const items = await db[source.delegate].findMany({
+        where: { id: { in: ids.map(Number) } },
+        include: source.include,
+    });
+    const byId = new Map(items.map((item) => [item.id, item]));
+
+    return ids
+        .filter((id) => byId.has(Number(id)))
+        .map((id) => source.format(byId.get(Number(id)), mode === 'play', seed));
+}
+
+/**
+ * Pick quiz questions of a region for a user with spaced repetition: missed and due questions come
+ * back first, then questions the user has not seen, and mastered questions only when nothing else
+ * is left
+ * @param {number} userId - User ID
+ * @param {number} regionId - Region ID
+ * @param {Object} [options]
+ * @param {number} [options.count] - Number of questions, 10 by default
+ * @param {number} [options.sessionId] - Quiz game session the questions are answered in; its seed
+ *   lays out the options, so the letters shown are the letters the session grades
+ * @returns {Promise<Object>} { question: [...] } like the quiz branch of getGameData in play mode,
+ *   with review info per question
+ */
+async function getAdaptiveQuiz(userId, regionId, { count, sessionId } = {}) {
+    const size = count === undefined || count === '' ? ADAPTIVE_QUIZ_DEFAULT_COUNT : Number(count);
+    if (!Number.isInteger(size) || size < 1 || size > ADAPTIVE_QUIZ_MAX_COUNT) {
+        throw createHttpError(400, `count must be between 1 and ${ADAPTIVE_QUIZ_MAX_COUNT}`);
+    }
+
+    await assertRegionUnlocked(userId, regionId);
+
+    let seed = null;
+    if (!isBlank(sessionId)) {
+        const session = await db.game_sessions.findUnique({
+            where: { id: Number(sessionId) },
+            select: {
+                user_id_id: true,
+                region_id_id: true,
+                seed: true,
+                game_types: { select: { code: true } },
+            },
+        });
+        if (!session || session.user_id_id !== userId) {
+            throw createHttpError(404, 'Game session not found');
+        }
+        if (session.game_types.code !== 'quiz' || session.region_id_id !== Number(regionId)) {
+            throw createHttpError(400, 'The game session is not a quiz session of this region');
+        }
+        seed = session.seed;
+    }
+
+    const questions = await db.quiz_game_questions.findMany({
+        where: { quiz_games: { regionid_id: Number(regionId) } },
+        orderBy: { id: 'asc' },
+    });
+    const memories = await db.user_question_memory.findMany({
+        where: { user_id_id: userId, question_id_id: { in: questions.map((q) => q.id) } },
+    });
+
+    const now = new Date();
+    const selected = selectQuestions(questions, memories, size, { now });
+    return {
+        question: selected.map(({ question, memory }) => ({
+            ...formatQuizQuestion(question, true, seed),
+            review: {
+                isNew: !memory,
+                due: memory ? memory.due_time <= now : true,
+                dueTime: memory ? memory.due_time : null,
+                mastered: memory ? isMastered(memory) : false,
+            },
+        })),
+    };
+}
+
+/**
+ * Load a single playable item together with the region it belongs to
+ * @param {string} gameType - word, quiz, puzzle, treasure, timeline or map
+ * @param {number} gameId - Word game, quiz question, puzzle, treasure, timeline or map game ID
+ * @returns {Promise<Object>} The item and its region ID
+ */
+async function findGameItem(gameType, gameId) {
+    const id = Number(gameId);
+    let item;
+    let regionId;
+
+    switch (gameType) {
+        case 'word':
+            item = await db.word_games.findUnique({
+                where: { id },
+                include: { word_games_correct_letters: { orderBy: { order: 'asc' } } },
+            });
+            regionId = item && item.region_id;
+            break;
+
+        case 'quiz':
+            item = await db.quiz_game_questions.findUnique({
+                where: { id },
+                include: { quiz_games: { select: { regionid_id: true } } },
+            });
+            regionId = item && item.quiz_games && item.quiz_games.regionid_id;
+            break;
+
+        case 'puzzle':
+            item = await db.puzzle_games.findUnique({
+                where: { id },
+                include: { puzzle_games_answer: true },
+            });
+            regionId = item && item.regionid_id;
+            break;
+
+        case 'treasure':
+            item = await db.treasure_games.findUnique({
+                where: { id },
+                include: { treasure_cards: true },
+            });
+            regionId = item && item.region_id;
+            break;
+
+        case 'timeline':
+            item = await db.timeline_games.findUnique({
+                where: { id },
+                include: { timeline_events: true },
+            });
+            regionId = item && item.region_id;
+            break;
+
+        case 'map':
+            item = await db.map_games.findUnique({ where: { id } });
+            regionId = item && item.region_id;
+            break;
+
+        default:
+            throw createHttpError(400, 'Unsupported game type');
+    }
+
+    if (!item) {
+        throw createHttpError(404, 'Game not found');
+    }
+
+    return { item, regionId };
+}
+
+/**
+ * Grade an answer against an item loaded by findGameItem
+ * @param {string} gameType - word, quiz, puzzle, treasure, timeline or map
+ * @param {Object} item - The loaded item
+ * @param {*} answer - The player's answer
+ * @param {Object} [options]
+ * @param {string} [options.seed] - Seed the item was laid out with; quiz letters are mapped back to
+ * the stored options
+ * @returns {{correct: boolean, score: number, maxScore: number}} Map answers also get distanceKm
+ */
+function gradeAnswer(gameType, item, answer, { seed } = {}) {
+    if (answer === undefined || answer === null) {
+        throw createHttpError(400, 'Answer is required');
+    }
+
+    switch (gameType) {
+        case 'word':
+            return checkWordAnswer(item, answer);
+        case 'quiz':
+            return checkQuizAnswer(item, seed ? toStoredOptionLetter(seed, item, answer) : answer);
+        case 'puzzle':
+            return checkPuzzleAnswer(item.puzzle_games_answer, answer);
+        case 'treasure':
+            return checkTreasureAnswer(item.treasure_cards, answer);
+        case 'timeline':
+            return checkTimelineAnswer(item.timeline_events, answer);
+        case 'map':
+            return checkMapAnswer(item, answer);
+        default:
+            throw createHttpError(400, 'Unsupported game type');
+    }
+}
+
+/**
+ * Load a single playable item and grade the player's answer against it.
+ * Only the verdict is returned: no per-part scores or map distances the player could probe the
+ * solution with.
+ * @param {number} userId - User ID, the item's region has to be unlocked for them
+ * @param {string} gameType - word, quiz, puzzle, treasure, timeline or map
+ * @param {number} gameId - Word game, quiz question, puzzle, treasure, timeline or map game ID
+ * @param {*} answer - Text for word, option letter for quiz, piece order for puzzle, card id pairs
+ *   for treasure, event ids in chronological order for timeline, { lat, lng } of the pin for map
+ * @returns {Promise<{correct: boolean}>}
+ */
+async function checkAnswer(userId, gameType, gameId, answer) {
+    if (answer === undefined || answer === null) {
+        throw createHttpError(400, 'Answer is required');
+    }
+
+    const { item, regionId } = await findGameItem(gameType, gameId);
+    await assertRegionUnlocked(userId, regionId);
+
+    const { correct } = gradeAnswer(gameType, item, answer);
+    return { correct };
+}
+
+/**
+ * Count the playable items of one game type in a region
+ * @param {number} regionId - Region ID
+ * @param {string} gameType - word, quiz, puzzle, treasure, timeline or map
+ * @returns {Promise<number>} Number of items
+ */
+function countGameItems(regionId, gameType) {
+    const region = Number(regionId);
+
+    switch (gameType) {
+        case 'word':
+            return db.word_games.count({ where: { region_id: region } });
+        case 'quiz':
+            return db.quiz_game_questions.count({ where: { quiz_games: { regionid_id: region } } });
+        case 'puzzle':
+            return db.puzzle_games.count({ where: { regionid_id: region } });
+        case 'treasure':
+            return db.treasure_games.count({ where: { region_id: region } });
+        case 'timeline':
+            return db.timeline_games.count({ where: { region_id: region } });
+        case 'map':
+            return db.map_games.count({ where: { region_id: region } });
+        default:
+            throw createHttpError(400, 'Unsupported game type');
+    }
+}
 
 module.exports = {
+    mediaUrl,
     getGameData,
+    getAdaptiveQuiz,
+    getGameItems,
+    findGameItem,
+    gradeAnswer,
+    checkAnswer,
+    countGameItems,
 };
 
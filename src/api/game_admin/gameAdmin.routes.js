@@ -0,0 +1,1459 @@
+const express = require('express');
+const { isCookieAuthenticated, hasRole } = require('../../middlewares');
+const {
+    listWordGames,
+    generateLetterPool,
+    createWordGame,
+    updateWordGame,
+    reorderWordGame,
+    deleteWordGame,
+    listQuizGames,
+    createQuizGame,
+    updateQuizGame,
+    deleteQuizGame,
+    addQuizQuestion,
+    updateQuizQuestion,
+    deleteQuizQuestion,
+    listPuzzleGames,
+    createPuzzleGame,
+    updatePuzzleGame,
+    reorderPuzzleGame,
+    slicePuzzleGame,
+    deletePuzzleGame,
+    listTreasureGames,
+    createTreasureGame,
+    updateTreasureGame,
+    deleteTreasureGame,
+    listTimelineGames,
+    createTimelineGame,
+    updateTimelineGame,
+    deleteTimelineGame,
+    listMapGames,
+    createMapGame,
+    updateMapGame,
+    deleteMapGame,
+    listAfterInfo,
+    getAfterInfoRecord,
+    createAfterInfo,
+    updateAfterInfo,
+    deleteAfterInfo,
+    checkYoutubeLinks,
+} = require('./gameAdmin.services');
+const { readImportRows, importContent, exportContent } = require('./gameImport.services');
+
+const router = express.Router();
+
+// Game content can only be edited by the content team
+router.use(isCookieAuthenticated, hasRole('editor', 'admin'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Game Admin
+ *   description: >
+ *     Authoring of word, quiz, puzzle, treasure, timeline and map games and their after question
+ *     info (editor or admin role)
+ * components:
+ *   schemas:
+ *     WordGameInput:
+ *       type: object
+ *       properties:
+ *         regionId:
+ *           type: integer
+ *         question:
+ *           type: string
+ *         hint:
+ *           type: string
+ *         answer:
+ *           type: string
+ *         correctLetters:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Letters spelling the answer, in order
+ *         letters:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Letter pool shown to the player, must contain every correct letter
+ *         letterOptions:
+ *           $ref: '#/components/schemas/LetterOptions'
+ *     LetterOptions:
+ *       type: object
+ *       description: >
+ *         Generate correctLetters and letters from the answer. Used when sent, or when no letters
+ *         are sent.
+ *       properties:
+ *         diacritics:
+ *           type: string
+ *           enum: [keep, tones, fold]
+ *           default: keep
+ *           description: >
+ *             Keep all diacritics, drop only the tone marks, or fold to plain letters
+ *             (ă → A, đ → D)
+ *         difficulty:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *           default: medium
+ *           description: >
+ *             Controls how many decoy letters are added and how many of them look like correct
+ *             letters
+ *     QuizQuestionInput:
+ *       type: object
+ *       properties:
+ *         question:
+ *           type: string
+ *         optionA:
+ *           type: string
+ *         optionB:
+ *           type: string
+ *         optionC:
+ *           type: string
+ *         optionD:
+ *           type: string
+ *         correctAnswer:
+ *           type: string
+ *           description: Option letter (A-D) or the text of the correct option
+ *         audioUrl:
+ *           type: string
+ *     QuizGameInput:
+ *       type: object
+ *       properties:
+ *         regionId:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         questions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuizQuestionInput'
+ *     PuzzleGameInput:
+ *       type: object
+ *       properties:
+ *         regionId:
+ *           type: integer
+ *         imageId:
+ *           type: integer
+ *           description: Media ID of the full puzzle image
+ *         hint:
+ *           type: string
+ *         answerText:
+ *           type: string
+ *         pieces:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               pieceIndex:
+ *                 type: integer
+ *               imageId:
+ *                 type: integer
+ *         answer:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Piece indexes in slot order
+ *     TreasureGameInput:
+ *       type: object
+ *       properties:
+ *         regionId:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         cards:
+ *           type: array
+ *           description: >
+ *             Every match group needs exactly two cards. On update, cards with an id are kept,
+ *             others are created.
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               type:
+ *                 type: string
+ *                 enum: [text, image]
+ *               value:
+ *                 type: string
+ *               imageId:
+ *                 type: integer
+ *               matchGroup:
+ *                 type: integer
+ *     TimelineGameInput:
+ *       type: object
+ *       properties:
+ *         regionId:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           description: >
+ *             At least two events on different dates. On update, events with an id are kept, others
+ *             are created.
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               label:
+ *                 type: string
+ *                 example: Trận Bạch Đằng
+ *               description:
+ *                 type: string
+ *               year:
+ *                 type: integer
+ *                 description: Negative before the common era
+ *                 example: 938
+ *               month:
+ *                 type: integer
+ *               day:
+ *                 type: integer
+ *               dateLabel:
+ *                 type: string
+ *                 description: How the date is shown after playing
+ *               imageId:
+ *                 type: integer
+ *     MapGameInput:
+ *       type: object
+ *       properties:
+ *         regionId:
+ *           type: integer
+ *         prompt:
+ *           type: string
+ *           example: Chùa Một Cột
+ *         hint:
+ *           type: string
+ *         placeName:
+ *           type: string
+ *           description: Shown after playing
+ *         imageId:
+ *           type: integer
+ *         latitude:
+ *           type: number
+ *           example: 21.035872
+ *         longitude:
+ *           type: number
+ *           example: 105.833604
+ *         toleranceKm:
+ *           type: number
+ *           description: >
+ *             Pins within this distance of the target are correct, further pins score less
+ *           example: 5
+ *     AfterInfoInput:
+ *       type: object
+ *       description: >
+ *         An explanation belongs to exactly one item: a word game, quiz question, puzzle game,
+ *         treasure card, timeline event or map game. An item has at most one explanation.
+ *         Slides and links with an id are updated, those without one are created and the missing
+ *         ones are deleted.
+ *       properties:
+ *         gameType:
+ *           type: string
+ *           enum: [word, quiz, puzzle, treasure, timeline, map]
+ *         itemId:
+ *           type: integer
+ *         topicName:
+ *           type: string
+ *         slides:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               heading:
+ *                 type: string
+ *               paragraphs:
+ *                 type: array
+ *                 description: >
+ *                   Replace the paragraphs of the slide, stored by order and then by position
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     paragraph:
+ *                       type: string
+ *                     order:
+ *                       type: integer
+ *         links:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               alt:
+ *                 type: string
+ *               youtubeLink:
+ *                 type: string
+ *                 description: >
+ *                   YouTube watch, share, shorts, live or embed link, with optional t, start and
+ *                   end times
+ *               imageIds:
+ *                 type: array
+ *                 description: Media ids, shown in this order
+ *                 items:
+ *                   type: integer
+ */
+
+/**
+ * @swagger
+ * /game-admin/word-games:
+ *   get:
+ *     summary: List word games with their letters
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Word games
+ *       403:
+ *         description: Forbidden
+ *   post:
+ *     summary: Create a word game
+ *     tags: [Game Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WordGameInput'
+ *     responses:
+ *       201:
+ *         description: Word game created
+ *       400:
+ *         description: Validation failed
+ */
+router.get('/word-games', async (req, res, next) => {
+    try {
+        res.json(await listWordGames(req.query.regionId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/word-games', async (req, res, next) => {
+    try {
+        res.status(201).json(await createWordGame(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/word-games/letter-pool:
+ *   post:
+ *     summary: Preview the letters generated from an answer
+ *     description: >
+ *       Nothing is saved, the result can be edited and sent as correctLetters and letters.
+ *     tags: [Game Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/LetterOptions'
+ *               - type: object
+ *                 properties:
+ *                   answer:
+ *                     type: string
+ *                 required:
+ *                   - answer
+ *     responses:
+ *       200:
+ *         description: answer, wordLengths, correctLetters and a shuffled letter pool
+ *       400:
+ *         description: Missing answer or invalid option
+ */
+router.post('/word-games/letter-pool', async (req, res, next) => {
+    try {
+        const { answer, diacritics, difficulty } = req.body;
+        res.json(generateLetterPool(answer, { diacritics, difficulty }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/word-games/{id}:
+ *   put:
+ *     summary: Update a word game
+ *     description: >
+ *       Only the fields that are sent change, letter arrays replace the stored ones. Sending
+ *       letterOptions regenerates both letter arrays from the answer.
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WordGameInput'
+ *     responses:
+ *       200:
+ *         description: Word game updated
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Game not found
+ *   delete:
+ *     summary: Delete a word game and its letters
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Word game deleted
+ *       404:
+ *         description: Game not found
+ *       409:
+ *         description: The game still has after question info
+ */
+router.put('/word-games/:id', async (req, res, next) => {
+    try {
+        res.json(await updateWordGame(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/word-games/:id', async (req, res, next) => {
+    try {
+        await deleteWordGame(req.params.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/word-games/{id}/reorder:
+ *   patch:
+ *     summary: Reorder the letter rows of a word game
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               letters:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every letter row id in the new order
+ *               correctLetters:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every correct letter row id in the new order
+ *     responses:
+ *       200:
+ *         description: Word game reordered
+ *       400:
+ *         description: Unknown row ids, or the correct letters no longer spell the answer
+ */
+router.patch('/word-games/:id/reorder', async (req, res, next) => {
+    try {
+        const { letters, correctLetters } = req.body;
+        res.json(await reorderWordGame(req.params.id, { letters, correctLetters }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/quiz-games:
+ *   get:
+ *     summary: List quiz games with their questions
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Quiz games
+ *   post:
+ *     summary: Create a quiz game with its questions
+ *     tags: [Game Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizGameInput'
+ *     responses:
+ *       201:
+ *         description: Quiz game created
+ *       400:
+ *         description: Validation failed
+ */
+router.get('/quiz-games', async (req, res, next) => {
+    try {
+        res.json(await listQuizGames(req.query.regionId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/quiz-games', async (req, res, next) => {
+    try {
+        res.status(201).json(await createQuizGame(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/quiz-games/{id}:
+ *   put:
+ *     summary: Update the title, description or region of a quiz game
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizGameInput'
+ *     responses:
+ *       200:
+ *         description: Quiz game updated
+ *       404:
+ *         description: Game not found
+ *   delete:
+ *     summary: Delete a quiz game and its questions
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Quiz game deleted
+ *       409:
+ *         description: A question still has after question info
+ */
+router.put('/quiz-games/:id', async (req, res, next) => {
+    try {
+        res.json(await updateQuizGame(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/quiz-games/:id', async (req, res, next) => {
+    try {
+        await deleteQuizGame(req.params.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/quiz-games/{id}/questions:
+ *   post:
+ *     summary: Add a question to a quiz game
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizQuestionInput'
+ *     responses:
+ *       201:
+ *         description: Question created
+ *       400:
+ *         description: Validation failed
+ */
+router.post('/quiz-games/:id/questions', async (req, res, next) => {
+    try {
+        res.status(201).json(await addQuizQuestion(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/quiz-questions/{id}:
+ *   put:
+ *     summary: Update a quiz question
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizQuestionInput'
+ *     responses:
+ *       200:
+ *         description: Question updated
+ *       400:
+ *         description: Validation failed
+ *   delete:
+ *     summary: Delete a quiz question
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Question deleted
+ *       409:
+ *         description: The question still has after question info
+ */
+router.put('/quiz-questions/:id', async (req, res, next) => {
+    try {
+        res.json(await updateQuizQuestion(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/quiz-questions/:id', async (req, res, next) => {
+    try {
+        await deleteQuizQuestion(req.params.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/puzzle-games:
+ *   get:
+ *     summary: List puzzle games with their pieces and answers
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Puzzle games
+ *   post:
+ *     summary: Create a puzzle game
+ *     tags: [Game Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PuzzleGameInput'
+ *     responses:
+ *       201:
+ *         description: Puzzle game created
+ *       400:
+ *         description: Validation failed
+ */
+router.get('/puzzle-games', async (req, res, next) => {
+    try {
+        res.json(await listPuzzleGames(req.query.regionId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/puzzle-games', async (req, res, next) => {
+    try {
+        res.status(201).json(await createPuzzleGame(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/puzzle-games/{id}:
+ *   put:
+ *     summary: Update a puzzle game
+ *     description: Only the fields that are sent change, pieces and answer replace the stored ones.
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PuzzleGameInput'
+ *     responses:
+ *       200:
+ *         description: Puzzle game updated
+ *       400:
+ *         description: Validation failed
+ *   delete:
+ *     summary: Delete a puzzle game, its pieces and answers
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Puzzle game deleted
+ *       409:
+ *         description: The game still has after question info
+ */
+router.put('/puzzle-games/:id', async (req, res, next) => {
+    try {
+        res.json(await updatePuzzleGame(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/puzzle-games/:id', async (req, res, next) => {
+    try {
+        await deletePuzzleGame(req.params.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/puzzle-games/{id}/reorder:
+ *   patch:
+ *     summary: Change the correct piece order of a puzzle
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answer:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Every piece index in slot order
+ *     responses:
+ *       200:
+ *         description: Puzzle game updated
+ *       400:
+ *         description: The answer does not list every piece exactly once
+ */
+router.patch('/puzzle-games/:id/reorder', async (req, res, next) => {
+    try {
+        res.json(await reorderPuzzleGame(req.params.id, req.body.answer));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/puzzle-games/{id}/slice:
+ *   post:
+ *     summary: Cut the puzzle image into pieces on the server
+ *     description: >
+ *       Cuts the image into a gridSize x gridSize grid, uploads every piece as a media record and
+ *       replaces the pieces and answer of the puzzle. Pieces get shuffled piece indexes from 0, and
+ *       the answer lists the piece index of every slot in reading order. Pieces and files of an
+ *       earlier slicing are removed. The width and height of the image and of every piece are
+ *       stored on their media records.
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gridSize:
+ *                 type: integer
+ *                 enum: [3, 4, 5]
+ *               imageId:
+ *                 type: integer
+ *                 description: >
+ *                   Media to cut, replaces the puzzle image. Defaults to the current puzzle image.
+ *             required:
+ *               - gridSize
+ *     responses:
+ *       200:
+ *         description: Puzzle game with its new pieces
+ *       400:
+ *         description: Invalid grid size, unknown media or unreadable image
+ *       404:
+ *         description: Game not found
+ *       502:
+ *         description: The image could not be downloaded or the pieces could not be uploaded
+ */
+router.post('/puzzle-games/:id/slice', async (req, res, next) => {
+    try {
+        const { gridSize, imageId } = req.body;
+        res.json(await slicePuzzleGame(req.params.id, { gridSize, imageId }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/treasure-games:
+ *   get:
+ *     summary: List treasure games with their cards
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Treasure games
+ *   post:
+ *     summary: Create a treasure game with its cards
+ *     tags: [Game Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TreasureGameInput'
+ *     responses:
+ *       201:
+ *         description: Treasure game created
+ *       400:
+ *         description: Validation failed
+ */
+router.get('/treasure-games', async (req, res, next) => {
+    try {
+        res.json(await listTreasureGames(req.query.regionId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/treasure-games', async (req, res, next) => {
+    try {
+        res.status(201).json(await createTreasureGame(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/treasure-games/{id}:
+ *   put:
+ *     summary: Update a treasure game and synchronise its cards
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TreasureGameInput'
+ *     responses:
+ *       200:
+ *         description: Treasure game updated
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: A removed card still has after question info
+ *   delete:
+ *     summary: Delete a treasure game and its cards
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Treasure game deleted
+ *       409:
+ *         description: A card still has after question info
+ */
+router.put('/treasure-games/:id', async (req, res, next) => {
+    try {
+        res.json(await updateTreasureGame(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/treasure-games/:id', async (req, res, next) => {
+    try {
+        await deleteTreasureGame(req.params.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/timeline-games:
+ *   get:
+ *     summary: List timeline games with their events in chronological order
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Timeline games
+ *   post:
+ *     summary: Create a timeline game with its events
+ *     tags: [Game Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TimelineGameInput'
+ *     responses:
+ *       201:
+ *         description: Timeline game created
+ *       400:
+ *         description: Validation failed
+ */
+router.get('/timeline-games', async (req, res, next) => {
+    try {
+        res.json(await listTimelineGames(req.query.regionId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/timeline-games', async (req, res, next) => {
+    try {
+        res.status(201).json(await createTimelineGame(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/timeline-games/{id}:
+ *   put:
+ *     summary: Update a timeline game and synchronise its events
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TimelineGameInput'
+ *     responses:
+ *       200:
+ *         description: Timeline game updated
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: A removed event still has after question info
+ *   delete:
+ *     summary: Delete a timeline game and its events
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Timeline game deleted
+ *       409:
+ *         description: An event still has after question info
+ */
+router.put('/timeline-games/:id', async (req, res, next) => {
+    try {
+        res.json(await updateTimelineGame(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/timeline-games/:id', async (req, res, next) => {
+    try {
+        await deleteTimelineGame(req.params.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/map-games:
+ *   get:
+ *     summary: List map games
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Map games
+ *   post:
+ *     summary: Create a map game
+ *     tags: [Game Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MapGameInput'
+ *     responses:
+ *       201:
+ *         description: Map game created
+ *       400:
+ *         description: Validation failed
+ */
+router.get('/map-games', async (req, res, next) => {
+    try {
+        res.json(await listMapGames(req.query.regionId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/map-games', async (req, res, next) => {
+    try {
+        res.status(201).json(await createMapGame(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/map-games/{id}:
+ *   put:
+ *     summary: Update a map game
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MapGameInput'
+ *     responses:
+ *       200:
+ *         description: Map game updated
+ *       400:
+ *         description: Validation failed
+ *   delete:
+ *     summary: Delete a map game
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Map game deleted
+ *       409:
+ *         description: The game still has after question info
+ */
+router.put('/map-games/:id', async (req, res, next) => {
+    try {
+        res.json(await updateMapGame(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/map-games/:id', async (req, res, next) => {
+    try {
+        await deleteMapGame(req.params.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/after-info:
+ *   get:
+ *     summary: List after question info with slides and media links
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: query
+ *         name: gameType
+ *         schema:
+ *           type: string
+ *           enum: [word, quiz, puzzle, treasure, timeline, map]
+ *         required: false
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Explanations with the gameType and itemId they belong to
+ *   post:
+ *     summary: Create the after question info of a game item
+ *     tags: [Game Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AfterInfoInput'
+ *     responses:
+ *       201:
+ *         description: After question info created
+ *       400:
+ *         description: Validation failed or the item does not exist
+ *       409:
+ *         description: The item already has after question info
+ */
+router.get('/after-info', async (req, res, next) => {
+    try {
+        res.json(await listAfterInfo(req.query));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.post('/after-info', async (req, res, next) => {
+    try {
+        res.status(201).json(await createAfterInfo(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/after-info/{id}:
+ *   get:
+ *     summary: Get after question info with its slides and media links
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The explanation
+ *       404:
+ *         description: After question info not found
+ *   put:
+ *     summary: Update after question info, its slides and media links
+ *     description: >
+ *       Explanations linked to several items in the CMS must be sent a gameType and itemId.
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AfterInfoInput'
+ *     responses:
+ *       200:
+ *         description: After question info updated
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: The item already has other after question info
+ *   delete:
+ *     summary: Delete after question info with its slides and media links
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: After question info deleted
+ */
+router.get('/after-info/:id', async (req, res, next) => {
+    try {
+        res.json(await getAfterInfoRecord(req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.put('/after-info/:id', async (req, res, next) => {
+    try {
+        res.json(await updateAfterInfo(req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+router.delete('/after-info/:id', async (req, res, next) => {
+    try {
+        await deleteAfterInfo(req.params.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/media-links/youtube-check:
+ *   get:
+ *     summary: Find media links with a YouTube link that cannot be played
+ *     description: >
+ *       Links are checked when saved through this API; this reports the ones saved before or
+ *       through the CMS. Watch, youtu.be, shorts, live and embed links are valid, with optional t,
+ *       start and end times.
+ *     tags: [Game Admin]
+ *     responses:
+ *       200:
+ *         description: Number of links checked and the invalid ones with their after question info
+ */
+router.get('/media-links/youtube-check', async (req, res, next) => {
+    try {
+        res.json(await checkYoutubeLinks());
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/import/{contentType}:
+ *   post:
+ *     summary: Import quiz questions, word games or treasure cards from CSV or JSON
+ *     description: >
+ *       Rows use the columns of the export. Rows with an id update that item, rows without one
+ *       create it. Quiz rows go to quizGameId, or to the quiz game titled quizTitle (created when
+ *       missing). Treasure rows are grouped by game and replace that game's cards. Nothing is
+ *       written when a row is invalid or with dryRun; the report lists the errors of every row.
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: contentType
+ *         schema:
+ *           type: string
+ *           enum: [quiz, word, treasure]
+ *         required: true
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json]
+ *               content:
+ *                 type: string
+ *                 description: CSV text with a header row, or a JSON array of rows
+ *               rows:
+ *                 type: array
+ *                 description: Rows as objects, instead of format and content
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Dry run report
+ *       201:
+ *         description: Rows imported
+ *       400:
+ *         description: Some rows are invalid, the report lists their errors
+ *       404:
+ *         description: Region not found
+ */
+router.post('/import/:contentType', async (req, res, next) => {
+    try {
+        const report = await importContent(req.params.contentType, {
+            regionId: req.query.regionId,
+            rows: readImportRows(req.body),
+            dryRun: req.query.dryRun === 'true',
+        });
+        let status = 201;
+        if (!report.valid) status = 400;
+        else if (report.dryRun) status = 200;
+        res.status(status).json(report);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-admin/export/{contentType}:
+ *   get:
+ *     summary: Export the quiz questions, word games or treasure cards of a region
+ *     description: The file can be edited and imported again.
+ *     tags: [Game Admin]
+ *     parameters:
+ *       - in: path
+ *         name: contentType
+ *         schema:
+ *           type: string
+ *           enum: [quiz, word, treasure]
+ *         required: true
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: CSV file or JSON array of rows
+ *       404:
+ *         description: Region not found
+ */
+router.get('/export/:contentType', async (req, res, next) => {
+    try {
+        const { contentType } = req.params;
+        const format = req.query.format || 'json';
+        const { rows, csv } = await exportContent(contentType, req.query.regionId, format);
+        const filename = `${contentType}-region-${Number(req.query.regionId)}.${format}`;
+
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.type('text/csv').send(csv);
+        } else {
+            res.json(rows);
+        }
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
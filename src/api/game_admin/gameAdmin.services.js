@@ -0,0 +1,1323 @@
+const axios = require('axios');
+const { UTFile } = require('uploadthing/server');
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { createRowId } = require('../../utils/id');
+const { utapi } = require('../../utils/uploadthing');
+const { mediaUrl } = require('../game/game.services');
+const { ITEM_KEYS } = require('../afterInfo/afterInfo.services');
+const { parseYoutubeLink } = require('../../helper/youtube.helper');
+const { resolveOptionLetter, getQuizOptions } = require('../../helper/answer.helper');
+const {
+    isBlank,
+    validateWordGame,
+    validateQuizQuestion,
+    validatePuzzleGame,
+    validateTreasureCards,
+    validateTimelineEvents,
+    validateMapGame,
+    validateAfterInfo,
+} = require('../../helper/gameContent.helper');
+const { buildLetterPool } = require('../../helper/letter.helper');
+const { PUZZLE_GRID_SIZES, sliceImage } = require('../../helper/image.helper');
+const { shuffle } = require('../../helper/random.helper');
+
+const wordGameInclude = {
+    word_games_correct_letters: { orderBy: { order: 'asc' } },
+    word_games_letters: { orderBy: { order: 'asc' } },
+};
+
+const quizGameInclude = {
+    quiz_game_questions: { orderBy: { id: 'asc' } },
+};
+
+const puzzleGameInclude = {
+    media: true,
+    puzzle_pieces: { include: { media: true }, orderBy: { piece_index: 'asc' } },
+    puzzle_games_answer: { orderBy: { order: 'asc' } },
+};
+
+const treasureGameInclude = {
+    treasure_cards: { include: { media: true }, orderBy: { id: 'asc' } },
+};
+
+const timelineGameInclude = {
+    timeline_events: {
+        include: { media: true },
+        orderBy: [{ event_year: 'asc' }, { event_month: 'asc' }, { event_day: 'asc' }, { id: 'asc' }],
+    },
+};
+
+const pick = (value, fallback) => (value === undefined ? fallback : value);
+
+const optionalId = (value) => (isBlank(value) ? null : Number(value));
+
+function assertValid(errors) {
+    if (errors.length) {
+        throw createHttpError(400, errors.join('; '));
+    }
+}
+
+async function getGameTypeId(tx, code) {
+    const gameType = await tx.game_types.findUnique({ where: { code } });
+    if (!gameType) {
+        throw createHttpError(400, `Game type ${code} not found`);
+    }
+    return gameType.id;
+}
+
+async function assertRegion(tx, regionId) {
+    const region = isBlank(regionId)
+        ? null
+        : await tx.regions.findUnique({ where: { id: Number(regionId) } });
+    if (!region) {
+        throw createHttpError(400, 'Region not found');
+    }
+}
+
+async function assertMedia(tx, ids) {
+    const unique = [...new Set(ids.filter((id) => !isBlank(id)).map(Number))];
+    if (!unique.length) return;
+
+    const count = await tx.media.count({ where: { id: { in: unique } } });
+    if (count !== unique.length) {
+        throw createHttpError(400, 'Some media ids do not exist');
+    }
+}
+
+// Explanations reference game items, so those items cannot be deleted under them
+async function assertNoExplanation(tx, where) {
+    const count = await tx.after_question_info.count({ where });
+    if (count) {
+        throw createHttpError(409, 'Delete the after question info of this item first');
+    }
+}
+
+// Write in the caller's transaction, so several writes can succeed or fail together, or in a new
+// one
+const inTransaction = (client, work) => (client ? work(client) : db.$transaction(work));
+
+async function findOrFail(delegate, id, include) {
+    const record = await delegate.findUnique({ where: { id: Number(id) }, include });
+    if (!record) {
+        throw createHttpError(404, 'Game not found');
+    }
+    return record;
+}
+
+// Payload array rows are ordered from 1
+const arrayRows = (values, field) => values.map((value, i) => ({
+    id: createRowId(),
+    order: i + 1,
+    [field]: value,
+}));
+
+/* ----------------------------- Word games ----------------------------- */
+
+function listWordGames(regionId) {
+    return db.word_games.findMany({
+        where: isBlank(regionId) ? {} : { region_id: Number(regionId) },
+        include: wordGameInclude,
+        orderBy: { id: 'asc' },
+    });
+}
+
+/**
+ * Build the correct letters and a decoy letter pool from an answer
+ * @param {string} answer - The answer
+ * @param {Object} [options] - diacritics (keep, tones, fold) and difficulty (easy, medium, hard)
+ * @returns {{answer: string, wordLengths: number[], correctLetters: string[], letters: string[]}}
+ */
+function generateLetterPool(answer, options = {}) {
+    if (isBlank(answer)) {
+        throw createHttpError(400, 'answer is required');
+    }
+    try {
+        return buildLetterPool(answer, {
+            diacritics: options.diacritics,
+            difficulty: options.difficulty,
+        });
+    } catch (err) {
+        throw createHttpError(400, err.message);
+    }
+}
+
+// Letters are generated when none are sent, or when letterOptions ask for it
+const wantsGeneratedLetters = (data) => Boolean(data.letterOptions)
+    || (data.correctLetters === undefined && data.letters === undefined);
+
+/**
+ * Create a word game with its correct letters and letter pool
+ * @param {Object} data - regionId, question, hint, answer, and either correctLetters and letters or
+ * letterOptions
+ * @param {Object} [client] - Transaction to write in, a new one when omitted
+ * @returns {Promise<Object>} The created word game
+ */
+async function createWordGame(input, client) {
+    const data = wantsGeneratedLetters(input)
+        ? {
+            ...input,
+            ...generateLetterPool(input.answer, input.letterOptions),
+            answer: input.answer,
+        }
+        : input;
+    assertValid(validateWordGame(data));
+
+    return inTransaction(client, async (tx) => {
+        await assertRegion(tx, data.regionId);
+
+        return tx.word_games.create({
+            data: {
+                region_id: Number(data.regionId),
+                gametype_id: await getGameTypeId(tx, 'word'),
+                question: data.question,
+                hint: data.hint,
+                answer: data.answer,
+                word_games_correct_letters: { create: arrayRows(data.correctLetters, 'letter') },
+                word_games_letters: { create: arrayRows(data.letters, 'letter') },
+            },
+            include: wordGameInclude,
+        });
+    });
+}
+
+/**
+ * Update a word game; letter arrays that are sent replace the stored ones,
+ * and letterOptions regenerate both from the answer
+ * @param {number} id - Word game ID
+ * @param {Object} input - Fields to change
+ * @param {Object} [client] - Transaction to write in, a new one when omitted
+ * @returns {Promise<Object>} The updated word game
+ */
+async function updateWordGame(id, input, client) {
+    return inTransaction(client, async (tx) => {
+        const game = await findOrFail(tx.word_games, id, wordGameInclude);
+        const data = input.letterOptions
+            ? {
+                ...input,
+                ...generateLetterPool(pick(input.answer, game.answer), input.letterOptions),
+                answer: input.answer,
+            }
+            : input;
+        const merged = {
+            regionId: pick(data.regionId, game.region_id),
+            question: pick(data.question, game.question),
+            hint: pick(data.hint, game.hint),
+            answer: pick(data.answer, game.answer),
+            correctLetters: pick(
+                data.correctLetters,
+                game.word_games_correct_letters.map((l) => l.letter),
+            ),
+            letters: pick(data.letters, game.word_games_letters.map((l) => l.letter)),
+        };
+        assertValid(validateWordGame(merged));
+        await assertRegion(tx, merged.regionId);
+
+        if (data.correctLetters) {
+            await tx.word_games_correct_letters.deleteMany({ where: { parent_id: game.id } });
+        }
+        if (data.letters) {
+            await tx.word_games_letters.deleteMany({ where: { parent_id: game.id } });
+        }
+
+        return tx.word_games.update({
+            where: { id: game.id },
+            data: {
+                region_id: Number(merged.regionId),
+                question: merged.question,
+                hint: merged.hint,
+                answer: merged.answer,
+                updated_at: new Date(),
+                ...(data.correctLetters && {
+                    word_games_correct_letters: { create: arrayRows(merged.correctLetters, 'letter') },
+                }),
+                ...(data.letters && {
+                    word_games_letters: { create: arrayRows(merged.letters, 'letter') },
+                }),
+            },
+            include: wordGameInclude,
+        });
+    });
+}
+
+// Put existing array rows in the order of the given row ids
+function reorderRows(rows, ids, label) {
+    if (!Array.isArray(ids) || ids.length !== rows.length || new Set(ids).size !== ids.length) {
+        throw createHttpError(400, `${label} must list every row id exactly once`);
+    }
+
+    const byId = new Map(rows.map((row) => [row.id, row]));
+    if (ids.some((rowId) => !byId.has(rowId))) {
+        throw createHttpError(400, `${label} contains unknown row ids`);
+    }
+
+    return ids.map((rowId) => byId.get(rowId));
+}
+
+/**
+ * Reorder the letter rows of a word game without changing their ids
+ * @param {number} id - Word game ID
+ * @param {Object} order - letters and/or correctLetters, as arrays of row ids
+ * @returns {Promise<Object>} The reordered word game
+ */
+async function reorderWordGame(id, { letters, correctLetters }) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.word_games, id, wordGameInclude);
+        const letterRows = letters ? reorderRows(game.word_games_letters, letters, 'letters') : game.word_games_letters;
+        const correctRows = correctLetters
+            ? reorderRows(game.word_games_correct_letters, correctLetters, 'correctLetters')
+            : game.word_games_correct_letters;
+
+        assertValid(validateWordGame({
+            question: game.question,
+            answer: game.answer,
+            correctLetters: correctRows.map((row) => row.letter),
+            letters: letterRows.map((row) => row.letter),
+        }));
+
+        await Promise.all([
+            ...letterRows.map((row, i) => tx.word_games_letters.update({
+                where: { id: row.id },
+                data: { order: i + 1 },
+            })),
+            ...correctRows.map((row, i) => tx.word_games_correct_letters.update({
+                where: { id: row.id },
+                data: { order: i + 1 },
+            })),
+        ]);
+
+        return tx.word_games.findUnique({ where: { id: game.id }, include: wordGameInclude });
+    });
+}
+
+async function deleteWordGame(id) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.word_games, id);
+        await assertNoExplanation(tx, { word_game_id_id: game.id });
+
+        // Letter rows are removed by the cascading foreign keys
+        return tx.word_games.delete({ where: { id: game.id } });
+    });
+}
+
+/* ----------------------------- Quiz games ----------------------------- */
+
+// Map the API fields of a question to its columns, storing the correct answer as a letter
+function toQuestionData(input, current = {}) {
+    const question = {
+        question: pick(input.question, current.question),
+        option_a: pick(input.optionA, current.option_a),
+        option_b: pick(input.optionB, current.option_b),
+        option_c: pick(input.optionC, current.option_c),
+        option_d: pick(input.optionD, current.option_d),
+        audio_url: pick(input.audioUrl, current.audio_url),
+        correct_answer: pick(input.correctAnswer, current.correct_answer),
+    };
+
+    return {
+        ...question,
+        correct_answer: resolveOptionLetter(getQuizOptions(question), question.correct_answer)
+            || question.correct_answer,
+    };
+}
+
+function validateQuestions(questions) {
+    return questions.flatMap((question, i) => validateQuizQuestion(question).map((error) => `question ${i + 1}: ${error}`));
+}
+
+function listQuizGames(regionId) {
+    return db.quiz_games.findMany({
+        where: isBlank(regionId) ? {} : { regionid_id: Number(regionId) },
+        include: quizGameInclude,
+        orderBy: { id: 'asc' },
+    });
+}
+
+/**
+ * Create a quiz game, optionally with its questions
+ * @param {Object} data - regionId, title, description and questions
+ * @param {Object} [client] - Transaction to write in, a new one when omitted
+ * @returns {Promise<Object>} The created quiz game
+ */
+async function createQuizGame(data, client) {
+    const questions = (data.questions || []).map((question) => toQuestionData(question));
+    assertValid(validateQuestions(questions));
+
+    return inTransaction(client, async (tx) => {
+        await assertRegion(tx, data.regionId);
+
+        return tx.quiz_games.create({
+            data: {
+                regionid_id: Number(data.regionId),
+                gametype_id: await getGameTypeId(tx, 'quiz'),
+                title: data.title,
+                description: data.description,
+                quiz_game_questions: { create: questions },
+            },
+            include: quizGameInclude,
+        });
+    });
+}
+
+async function updateQuizGame(id, data) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.quiz_games, id);
+        const regionId = pick(data.regionId, game.regionid_id);
+        await assertRegion(tx, regionId);
+
+        return tx.quiz_games.update({
+            where: { id: game.id },
+            data: {
+                regionid_id: Number(regionId),
+                title: pick(data.title, game.title),
+                description: pick(data.description, game.description),
+                updated_at: new Date(),
+            },
+            include: quizGameInclude,
+        });
+    });
+}
+
+async function deleteQuizGame(id) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.quiz_games, id, quizGameInclude);
+        const questionIds = game.quiz_game_questions.map((question) => question.id);
+        await assertNoExplanation(tx, { quiz_game_question_id_id: { in: questionIds } });
+
+        await tx.quiz_game_questions.deleteMany({ where: { quiz_game_id_id: game.id } });
+        return tx.quiz_games.delete({ where: { id: game.id } });
+    });
+}
+
+async function addQuizQuestion(quizGameId, input, client) {
+    const question = toQuestionData(input);
+    assertValid(validateQuizQuestion(question));
+
+    return inTransaction(client, async (tx) => {
+        const game = await findOrFail(tx.quiz_games, quizGameId);
+
+        return tx.quiz_game_questions.create({
+            data: { ...question, quiz_game_id_id: game.id },
+        });
+    });
+}
+
+async function updateQuizQuestion(id, input, client) {
+    return inTransaction(client, async (tx) => {
+        const current = await tx.quiz_game_questions.findUnique({ where: { id: Number(id) } });
+        if (!current) {
+            throw createHttpError(404, 'Question not found');
+        }
+
+        const question = toQuestionData(input, current);
+        assertValid(validateQuizQuestion(question));
+
+        return tx.quiz_game_questions.update({
+            where: { id: current.id },
+            data: { ...question, updated_at: new Date() },
+        });
+    });
+}
+
+async function deleteQuizQuestion(id) {
+    return db.$transaction(async (tx) => {
+        const question = await tx.quiz_game_questions.findUnique({ where: { id: Number(id) } });
+        if (!question) {
+            throw createHttpError(404, 'Question not found');
+        }
+        await assertNoExplanation(tx, { quiz_game_question_id_id: question.id });
+
+        return tx.quiz_game_questions.delete({ where: { id: question.id } });
+    });
+}
+
+/* ---------------------------- Puzzle games ---------------------------- */
+
+function listPuzzleGames(regionId) {
+    return db.puzzle_games.findMany({
+        where: isBlank(regionId) ? {} : { regionid_id: Number(regionId) },
+        include: puzzleGameInclude,
+        orderBy: { id: 'asc' },
+    });
+}
+
+const pieceRows = (pieces) => pieces.map((piece) => ({
+    piece_index: Number(piece.pieceIndex),
+    image_piece_id: Number(piece.imageId),
+}));
+
+/**
+ * Create a puzzle game with its pieces and the correct piece order
+ * @param {Object} data - regionId, imageId, hint, answerText, pieces and answer
+ * @returns {Promise<Object>} The created puzzle game
+ */
+async function createPuzzleGame(data) {
+    assertValid(validatePuzzleGame(data));
+
+    return db.$transaction(async (tx) => {
+        await assertRegion(tx, data.regionId);
+        await assertMedia(tx, [data.imageId, ...data.pieces.map((piece) => piece.imageId)]);
+
+        return tx.puzzle_games.create({
+            data: {
+                regionid_id: Number(data.regionId),
+                gametype_id: await getGameTypeId(tx, 'puzzle'),
+                image_id: Number(data.imageId),
+                hint: data.hint,
+                answer_text: data.answerText,
+                puzzle_pieces: { create: pieceRows(data.pieces) },
+                puzzle_games_answer: { create: arrayRows(data.answer.map(Number), 'index') },
+            },
+            include: puzzleGameInclude,
+        });
+    });
+}
+
+/**
+ * Update a puzzle game; pieces and answer that are sent replace the stored ones
+ * @param {number} id - Puzzle game ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} The updated puzzle game
+ */
+async function updatePuzzleGame(id, data) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.puzzle_games, id, puzzleGameInclude);
+        const merged = {
+            regionId: pick(data.regionId, game.regionid_id),
+            imageId: pick(data.imageId, game.image_id),
+            pieces: pick(data.pieces, game.puzzle_pieces.map((piece) => ({
+                pieceIndex: Number(piece.piece_index),
+                imageId: piece.image_piece_id,
+            }))),
+            answer: pick(data.answer, game.puzzle_games_answer.map((row) => Number(row.index))),
+        };
+        assertValid(validatePuzzleGame(merged));
+        await assertRegion(tx, merged.regionId);
+        await assertMedia(tx, [merged.imageId, ...merged.pieces.map((piece) => piece.imageId)]);
+
+        if (data.pieces) {
+            await tx.puzzle_pieces.deleteMany({ where: { puzzleid_id: game.id } });
+        }
+        if (data.answer) {
+            await tx.puzzle_games_answer.deleteMany({ where: { parent_id: game.id } });
+        }
+
+        return tx.puzzle_games.update({
+            where: { id: game.id },
+            data: {
+                regionid_id: Number(merged.regionId),
+                image_id: Number(merged.imageId),
+                hint: pick(data.hint, game.hint),
+                answer_text: pick(data.answerText, game.answer_text),
+                updated_at: new Date(),
+                ...(data.pieces && { puzzle_pieces: { create: pieceRows(merged.pieces) } }),
+                ...(data.answer && { puzzle_games_answer: { create: arrayRows(merged.answer.map(Number), 'index') } }),
+            },
+            include: puzzleGameInclude,
+        });
+    });
+}
+
+/**
+ * Change the correct piece order of a puzzle
+ * @param {number} id - Puzzle game ID
+ * @param {number[]} answer - Piece indexes in slot order
+ * @returns {Promise<Object>} The updated puzzle game
+ */
+function reorderPuzzleGame(id, answer) {
+    return updatePuzzleGame(id, { answer });
+}
+
+async function downloadImage(media) {
+    const url = mediaUrl(media) || media.url;
+    if (!url) {
+        throw createHttpError(400, 'The puzzle image has no file');
+    }
+    try {
+        const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+        return Buffer.from(response.data);
+    } catch (err) {
+        throw createHttpError(502, `Could not download the puzzle image: ${err.message}`);
+    }
+}
+
+// Upload all pieces; if one fails the others are removed again
+async function uploadPieces(files) {
+    const results = await utapi.uploadFiles(files);
+    const uploaded = results.filter((result) => result.data).map((result) => result.data);
+    if (uploaded.length !== files.length) {
+        if (uploaded.length) await utapi.deleteFiles(uploaded.map((file) => file.key));
+        throw createHttpError(502, 'Could not upload the puzzle pieces');
+    }
+    return uploaded;
+}
+
+// Rows other than puzzle pieces that can use a media, checked before old piece images are deleted
+const OTHER_MEDIA_USES = [
+    'achievements',
+    'achievement_rules',
+    'badges',
+    'knowledge_post',
+    'knowledge_section_items',
+    'media_links_rels',
+    'payload_locked_documents_rels',
+    'posts',
+    'puzzle_games',
+    'map_games',
+    'timeline_events',
+    'treasure_cards',
+];
+
+/**
+ * Cut the puzzle image into a grid and store the pieces as media, replacing the pieces and answer
+ * of the puzzle
+ * @param {number} id - Puzzle game ID
+ * @param {Object} data - gridSize (3, 4 or 5) and an optional imageId replacing the puzzle image
+ * @returns {Promise<Object>} The updated puzzle game
+ */
+async function slicePuzzleGame(id, { gridSize, imageId }) {
+    const size = Number(gridSize);
+    if (!PUZZLE_GRID_SIZES.includes(size)) {
+        throw createHttpError(400, `gridSize must be one of ${PUZZLE_GRID_SIZES.join(', ')}`);
+    }
+
+    const game = await findOrFail(db.puzzle_games, id);
+    const media = await db.media
+        .findUnique({ where: { id: optionalId(imageId) || game.image_id } });
+    if (!media) {
+        throw createHttpError(400, 'Some media ids do not exist');
+    }
+
+    let sliced;
+    try {
+        sliced = await sliceImage(await downloadImage(media), size);
+    } catch (err) {
+        if (err.status) throw err;
+        throw createHttpError(400, `Could not read the puzzle image: ${err.message}`);
+    }
+
+    // Pieces get shuffled labels: the label of a piece says nothing about its place in the picture,
+    // and the answer maps every slot, in reading order, to the label of the piece that belongs
+    // there
+    const labels = shuffle(sliced.pieces.map((piece) => piece.index));
+    const pieces = sliced.pieces
+        .map((piece, i) => ({ ...piece, label: labels[i] }))
+        .sort((a, b) => a.label - b.label);
+
+    const batch = createRowId();
+    const files = pieces.map((piece) => new UTFile(
+        [piece.buffer],
+        `puzzle-${game.id}-${batch}-${piece.label + 1}.png`,
+        { type: 'image/png' },
+    ));
+    const uploaded = await uploadPieces(files);
+
+    // Media of pieces cut by an earlier slicing of this puzzle, which nothing else uses
+    const oldPieceMedia = await db.media.findMany({
+        where: {
+            id: { not: media.id },
+            filename: { startsWith: `puzzle-${game.id}-` },
+            puzzle_pieces: {
+                some: { puzzleid_id: game.id },
+                none: { puzzleid_id: { not: game.id } },
+            },
+            ...Object.fromEntries(OTHER_MEDIA_USES.map((relation) => [relation, { none: {} }])),
+        },
+        select: { id: true, key: true },
+    });
+
+    let updated;
+    try {
+        updated = await db.$transaction(async (tx) => {
+            await tx.media.update({
+                where: { id: media.id },
+                data: { width: sliced.width, height: sliced.height, updated_at: new Date() },
+            });
+
+            const pieceMedia = await Promise.all(pieces.map((piece, i) => tx.media.create({
+                data: {
+                    alt: `${media.alt} (${piece.label + 1})`,
+                    key: uploaded[i].key,
+                    url: uploaded[i].ufsUrl || uploaded[i].url,
+                    filename: uploaded[i].name,
+                    mime_type: 'image/png',
+                    filesize: uploaded[i].size,
+                    width: piece.width,
+                    height: piece.height,
+                },
+            })));
+
+            await tx.puzzle_pieces.deleteMany({ where: { puzzleid_id: game.id } });
+            await tx.puzzle_games_answer.deleteMany({ where: { parent_id: game.id } });
+            await tx.media
+                .deleteMany({ where: { id: { in: oldPieceMedia.map((old) => old.id) } } });
+
+            return tx.puzzle_games.update({
+                where: { id: game.id },
+                data: {
+                    image_id: media.id,
+                    updated_at: new Date(),
+                    puzzle_pieces: {
+                        create: pieceRows(pieces.map((piece, i) => ({
+                            pieceIndex: piece.label,
+                            imageId: pieceMedia[i].id,
+                        }))),
+                    },
+                    puzzle_games_answer: { create: arrayRows(labels, 'index') },
+                },
+                include: puzzleGameInclude,
+            });
+        });
+    } catch (err) {
+        await utapi.deleteFiles(uploaded.map((file) => file.key));
+        throw err;
+    }
+
+    const oldKeys = oldPieceMedia.map((old) => old.key).filter(Boolean);
+    if (oldKeys.length) {
+        await utapi.deleteFiles(oldKeys);
+    }
+    return updated;
+}
+
+async function deletePuzzleGame(id) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.puzzle_games, id);
+        await assertNoExplanation(tx, { puzzle_game_id_id: game.id });
+
+        await tx.puzzle_pieces.deleteMany({ where: { puzzleid_id: game.id } });
+        return tx.puzzle_games.delete({ where: { id: game.id } });
+    });
+}
+
+/* --------------------------- Treasure games --------------------------- */
+
+function listTreasureGames(regionId) {
+    return db.treasure_games.findMany({
+        where: isBlank(regionId) ? {} : { region_id: Number(regionId) },
+        include: treasureGameInclude,
+        orderBy: { id: 'asc' },
+    });
+}
+
+const cardData = (card) => ({
+    type: card.type,
+    value: card.value,
+    image_id: optionalId(card.imageId),
+    match_group: Number(card.matchGroup),
+});
+
+/**
+ * Create a treasure game with its cards
+ * @param {Object} data - regionId, title, description and cards
+ * @param {Object} [client] - Transaction to write in, a new one when omitted
+ * @returns {Promise<Object>} The created treasure game
+ */
+async function createTreasureGame(data, client) {
+    assertValid(validateTreasureCards(data.cards));
+
+    return inTransaction(client, async (tx) => {
+        await assertRegion(tx, data.regionId);
+        await assertMedia(tx, data.cards.map((card) => card.imageId));
+
+        return tx.treasure_games.create({
+            data: {
+                region_id: Number(data.regionId),
+                gametype_id: await getGameTypeId(tx, 'treasure'),
+                title: data.title,
+                description: data.description,
+                treasure_cards: { create: data.cards.map(cardData) },
+            },
+            include: treasureGameInclude,
+        });
+    });
+}
+
+/**
+ * Update a treasure game. When cards are sent, cards with an id are updated,
+ * cards without one are created and the missing ones are deleted.
+ * @param {number} id - Treasure game ID
+ * @param {Object} data - Fields to change
+ * @param {Object} [client] - Transaction to write in, a new one when omitted
+ * @returns {Promise<Object>} The updated treasure game
+ */
+async function updateTreasureGame(id, data, client) {
+    return inTransaction(client, async (tx) => {
+        const game = await findOrFail(tx.treasure_games, id, treasureGameInclude);
+        const regionId = pick(data.regionId, game.region_id);
+        await assertRegion(tx, regionId);
+
+        if (data.cards) {
+            const existingIds = game.treasure_cards.map((card) => card.id);
+            const keptIds = data.cards
+                .filter((card) => !isBlank(card.id))
+                .map((card) => Number(card.id));
+            if (keptIds.some((cardId) => !existingIds.includes(cardId))) {
+                throw createHttpError(400, 'Some cards do not belong to this treasure game');
+            }
+
+            assertValid(validateTreasureCards(data.cards));
+            await assertMedia(tx, data.cards.map((card) => card.imageId));
+
+            const removedIds = existingIds.filter((cardId) => !keptIds.includes(cardId));
+            await assertNoExplanation(tx, { treasure_card_id_id: { in: removedIds } });
+            await tx.treasure_cards.deleteMany({ where: { id: { in: removedIds } } });
+
+            await Promise.all(data.cards.map((card) => (isBlank(card.id)
+                ? tx.treasure_cards
+                    .create({ data: { ...cardData(card), treasure_game_id: game.id } })
+                : tx.treasure_cards.update({
+                    where: { id: Number(card.id) },
+                    data: { ...cardData(card), updated_at: new Date() },
+                }))));
+        }
+
+        return tx.treasure_games.update({
+            where: { id: game.id },
+            data: {
+                region_id: Number(regionId),
+                title: pick(data.title, game.title),
+                description: pick(data.description, game.description),
+                updated_at: new Date(),
+            },
+            include: treasureGameInclude,
+        });
+    });
+}
+
+async function deleteTreasureGame(id) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.treasure_games, id, treasureGameInclude);
+        await assertNoExplanation(tx, {
+            treasure_card_id_id: { in: game.treasure_cards.map((card) => card.id) },
+        });
+
+        await tx.treasure_cards.deleteMany({ where: { treasure_game_id: game.id } });
+        return tx.treasure_games.delete({ where: { id: game.id } });
+    });
+}
+
+/* --------------------------- Timeline games --------------------------- */
+
+function listTimelineGames(regionId) {
+    return db.timeline_games.findMany({
+        where: isBlank(regionId) ? {} : { region_id: Number(regionId) },
+        include: timelineGameInclude,
+        orderBy: { id: 'asc' },
+    });
+}
+
+const eventData = (event) => ({
+    label: event.label,
+    description: event.description,
+    event_year: Number(event.year),
+    event_month: optionalId(event.month),
+    event_day: optionalId(event.day),
+    date_label: event.dateLabel,
+    image_id: optionalId(event.imageId),
+});
+
+/**
+ * Create a timeline game with its events
+ * @param {Object} data - regionId, title, description and events
+ * @returns {Promise<Object>} The created timeline game
+ */
+async function createTimelineGame(data) {
+    assertValid(validateTimelineEvents(data.events));
+
+    return db.$transaction(async (tx) => {
+        await assertRegion(tx, data.regionId);
+        await assertMedia(tx, data.events.map((event) => event.imageId));
+
+        return tx.timeline_games.create({
+            data: {
+                region_id: Number(data.regionId),
+                gametype_id: await getGameTypeId(tx, 'timeline'),
+                title: data.title,
+                description: data.description,
+                timeline_events: { create: data.events.map(eventData) },
+            },
+            include: timelineGameInclude,
+        });
+    });
+}
+
+/**
+ * Update a timeline game. When events are sent, events with an id are updated,
+ * events without one are created and the missing ones are deleted.
+ * @param {number} id - Timeline game ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} The updated timeline game
+ */
+async function updateTimelineGame(id, data) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.timeline_games, id, timelineGameInclude);
+        const regionId = pick(data.regionId, game.region_id);
+        await assertRegion(tx, regionId);
+
+        if (data.events) {
+            const existingIds = game.timeline_events.map((event) => event.id);
+            const keptIds = data.events
+                .filter((event) => !isBlank(event.id))
+                .map((event) => Number(event.id));
+            if (keptIds.some((eventId) => !existingIds.includes(eventId))) {
+                throw createHttpError(400, 'Some events do not belong to this timeline game');
+            }
+
+            assertValid(validateTimelineEvents(data.events));
+            await assertMedia(tx, data.events.map((event) => event.imageId));
+
+            const removedIds = existingIds.filter((eventId) => !keptIds.includes(eventId));
+            await assertNoExplanation(tx, { timeline_event_id_id: { in: removedIds } });
+            await tx.timeline_events.deleteMany({ where: { id: { in: removedIds } } });
+
+            await Promise.all(data.events.map((event) => (isBlank(event.id)
+                ? tx.timeline_events
+                    .create({ data: { ...eventData(event), timeline_game_id: game.id } })
+                : tx.timeline_events.update({
+                    where: { id: Number(event.id) },
+                    data: { ...eventData(event), updated_at: new Date() },
+                }))));
+        }
+
+        return tx.timeline_games.update({
+            where: { id: game.id },
+            data: {
+                region_id: Number(regionId),
+                title: pick(data.title, game.title),
+                description: pick(data.description, game.description),
+                updated_at: new Date(),
+            },
+            include: timelineGameInclude,
+        });
+    });
+}
+
+async function deleteTimelineGame(id) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.timeline_games, id, timelineGameInclude);
+        await assertNoExplanation(tx, {
+            timeline_event_id_id: { in: game.timeline_events.map((event) => event.id) },
+        });
+
+        return tx.timeline_games.delete({ where: { id: game.id } });
+    });
+}
+
+/* ------------------------------ Map games ------------------------------ */
+
+function listMapGames(regionId) {
+    return db.map_games.findMany({
+        where: isBlank(regionId) ? {} : { region_id: Number(regionId) },
+        include: { media: true },
+        orderBy: { id: 'asc' },
+    });
+}
+
+/**
+ * Create a map game
+ * @param {Object} data - regionId, prompt, hint, placeName, imageId, latitude, longitude and
+ * toleranceKm
+ * @returns {Promise<Object>} The created map game
+ */
+async function createMapGame(data) {
+    assertValid(validateMapGame(data));
+
+    return db.$transaction(async (tx) => {
+        await assertRegion(tx, data.regionId);
+        await assertMedia(tx, [data.imageId]);
+
+        return tx.map_games.create({
+            data: {
+                region_id: Number(data.regionId),
+                gametype_id: await getGameTypeId(tx, 'map'),
+                prompt: data.prompt,
+                hint: data.hint,
+                place_name: data.placeName,
+                image_id: optionalId(data.imageId),
+                latitude: Number(data.latitude),
+                longitude: Number(data.longitude),
+                tolerance_km: Number(data.toleranceKm),
+            },
+            include: { media: true },
+        });
+    });
+}
+
+async function updateMapGame(id, data) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.map_games, id);
+        const merged = {
+            regionId: pick(data.regionId, game.region_id),
+            prompt: pick(data.prompt, game.prompt),
+            hint: pick(data.hint, game.hint),
+            placeName: pick(data.placeName, game.place_name),
+            imageId: pick(data.imageId, game.image_id),
+            latitude: pick(data.latitude, game.latitude),
+            longitude: pick(data.longitude, game.longitude),
+            toleranceKm: pick(data.toleranceKm, game.tolerance_km),
+        };
+        assertValid(validateMapGame(merged));
+        await assertRegion(tx, merged.regionId);
+        await assertMedia(tx, [merged.imageId]);
+
+        return tx.map_games.update({
+            where: { id: game.id },
+            data: {
+                region_id: Number(merged.regionId),
+                prompt: merged.prompt,
+                hint: merged.hint,
+                place_name: merged.placeName,
+                image_id: optionalId(merged.imageId),
+                latitude: Number(merged.latitude),
+                longitude: Number(merged.longitude),
+                tolerance_km: Number(merged.toleranceKm),
+                updated_at: new Date(),
+            },
+            include: { media: true },
+        });
+    });
+}
+
+async function deleteMapGame(id) {
+    return db.$transaction(async (tx) => {
+        const game = await findOrFail(tx.map_games, id);
+        await assertNoExplanation(tx, { map_game_id_id: game.id });
+
+        return tx.map_games.delete({ where: { id: game.id } });
+    });
+}
+
+/* ------------------------ After question info ------------------------ */
+
+const afterInfoInclude = {
+    information_slides: {
+        include: { information_slides_content: { orderBy: { order: 'asc' } } },
+        orderBy: { id: 'asc' },
+    },
+    media_links: {
+        include: { media_links_rels: { include: { media: true }, orderBy: { order: 'asc' } } },
+        orderBy: { id: 'asc' },
+    },
+};
+
+// Relationship path Payload stores the images of a media link under
+const MEDIA_LINK_IMAGES_PATH = 'images';
+
+// Tables of the items explanations are written for
+const explainedItems = (tx) => ({
+    word: tx.word_games,
+    quiz: tx.quiz_game_questions,
+    puzzle: tx.puzzle_games,
+    treasure: tx.treasure_cards,
+    timeline: tx.timeline_events,
+    map: tx.map_games,
+});
+
+// The game items an explanation is linked to; anything but exactly one needs fixing
+const linkedItems = (info) => Object.entries(ITEM_KEYS)
+    .filter(([, key]) => info[key] !== null)
+    .map(([gameType, key]) => ({ gameType, itemId: info[key] }));
+
+function formatAfterInfoRecord(info) {
+    const items = linkedItems(info);
+    return {
+        ...info,
+        gameType: items.length === 1 ? items[0].gameType : null,
+        itemId: items.length === 1 ? items[0].itemId : null,
+    };
+}
+
+async function findAfterInfo(tx, id) {
+    const info = await tx.after_question_info.findUnique({
+        where: { id: Number(id) },
+        include: afterInfoInclude,
+    });
+    if (!info) {
+        throw createHttpError(404, 'After question info not found');
+    }
+    return info;
+}
+
+// Check the item exists and has no other explanation, and build the columns linking to it alone
+async function explainedItemColumns(tx, gameType, itemId, afterInfoId) {
+    const id = Number(itemId);
+    if (!(await explainedItems(tx)[gameType].count({ where: { id } }))) {
+        throw createHttpError(400, `${gameType} item ${id} not found`);
+    }
+
+    const key = ITEM_KEYS[gameType];
+    const other = await tx.after_question_info.findFirst({
+        where: { [key]: id, ...(afterInfoId ? { id: { not: afterInfoId } } : {}) },
+        select: { id: true },
+    });
+    if (other) {
+        throw createHttpError(409, `${gameType} item ${id} already has after question info ${other.id}`);
+    }
+
+    return {
+        ...Object.values(ITEM_KEYS)
+            .reduce((columns, column) => ({ ...columns, [column]: null }), {}),
+        [key]: id,
+        game_type_id_id: await getGameTypeId(tx, gameType),
+    };
+}
+
+// Paragraphs are stored in the order given by their order field, then by position
+const paragraphRows = (paragraphs) => paragraphs
+    .map((paragraph, i) => ({
+        paragraph: paragraph.paragraph,
+        position: isBlank(paragraph.order) ? i + 1 : Number(paragraph.order),
+        i,
+    }))
+    .sort((a, b) => a.position - b.position || a.i - b.i)
+    .map(({ paragraph }, i) => ({ id: createRowId(), order: i + 1, paragraph }));
+
+const imageRows = (imageIds = []) => imageIds.map((imageId, i) => ({
+    order: i + 1,
+    path: MEDIA_LINK_IMAGES_PATH,
+    media_id: Number(imageId),
+}));
+
+const linkImageIds = (links = []) => links.flatMap((link) => link.imageIds || []);
+
+// Rows with an id are updated, rows without one are created and the missing ones are deleted
+function splitRows(existing, rows, name) {
+    const existingIds = existing.map((row) => row.id);
+    const keptIds = rows.filter((row) => !isBlank(row.id)).map((row) => Number(row.id));
+    if (keptIds.some((id) => !existingIds.includes(id))) {
+        throw createHttpError(400, `Some ${name} do not belong to this after question info`);
+    }
+    return existingIds.filter((id) => !keptIds.includes(id));
+}
+
+async function syncSlides(tx, info, slides) {
+    const removedIds = splitRows(info.information_slides, slides, 'slides');
+    await tx.information_slides.deleteMany({ where: { id: { in: removedIds } } });
+
+    await Promise.all(slides.map((slide) => (isBlank(slide.id)
+        ? tx.information_slides.create({
+            data: {
+                heading: slide.heading,
+                after_question_info_id_id: info.id,
+                information_slides_content: { create: paragraphRows(slide.paragraphs) },
+            },
+        })
+        : tx.information_slides.update({
+            where: { id: Number(slide.id) },
+            data: {
+                heading: slide.heading,
+                information_slides_content: {
+                    deleteMany: {},
+                    create: paragraphRows(slide.paragraphs),
+                },
+                updated_at: new Date(),
+            },
+        }))));
+}
+
+async function syncMediaLinks(tx, info, links) {
+    const removedIds = splitRows(info.media_links, links, 'links');
+    await tx.media_links.deleteMany({ where: { id: { in: removedIds } } });
+
+    await Promise.all(links.map((link) => (isBlank(link.id)
+        ? tx.media_links.create({
+            data: {
+                alt: link.alt,
+                youtube_link: isBlank(link.youtubeLink) ? null : link.youtubeLink,
+                after_question_info_id_id: info.id,
+                media_links_rels: { create: imageRows(link.imageIds) },
+            },
+        })
+        : tx.media_links.update({
+            where: { id: Number(link.id) },
+            data: {
+                alt: link.alt,
+                youtube_link: isBlank(link.youtubeLink) ? null : link.youtubeLink,
+                media_links_rels: { deleteMany: {}, create: imageRows(link.imageIds) },
+                updated_at: new Date(),
+            },
+        }))));
+}
+
+/**
+ * List explanations, optionally of one game type or one item
+ * @param {Object} query - gameType and itemId
+ * @returns {Promise<Object[]>} Explanations with their slides, media links, gameType and itemId
+ */
+async function listAfterInfo({ gameType, itemId }) {
+    if (!isBlank(gameType) && !ITEM_KEYS[gameType]) {
+        throw createHttpError(400, `gameType must be one of ${Object.keys(ITEM_KEYS).join(', ')}`);
+    }
+    if (!isBlank(itemId) && isBlank(gameType)) {
+        throw createHttpError(400, 'itemId needs a gameType');
+    }
+
+    const where = isBlank(gameType)
+        ? {}
+        : { [ITEM_KEYS[gameType]]: isBlank(itemId) ? { not: null } : Number(itemId) };
+    const infos = await db.after_question_info.findMany({
+        where,
+        include: afterInfoInclude,
+        orderBy: { id: 'asc' },
+    });
+
+    return infos.map(formatAfterInfoRecord);
+}
+
+async function getAfterInfoRecord(id) {
+    return formatAfterInfoRecord(await findAfterInfo(db, id));
+}
+
+/**
+ * Create the explanation of one game item with its slides and media links
+ * @param {Object} data - gameType, itemId, topicName, slides and links
+ * @returns {Promise<Object>} The created explanation
+ */
+async function createAfterInfo(data) {
+    assertValid(validateAfterInfo(data));
+
+    const info = await db.$transaction(async (tx) => {
+        await assertMedia(tx, linkImageIds(data.links));
+
+        const created = await tx.after_question_info.create({
+            data: {
+                topic_name: data.topicName,
+                ...(await explainedItemColumns(tx, data.gameType, data.itemId)),
+            },
+            include: afterInfoInclude,
+        });
+        await syncSlides(tx, created, data.slides || []);
+        await syncMediaLinks(tx, created, data.links || []);
+
+        return findAfterInfo(tx, created.id);
+    });
+
+    return formatAfterInfoRecord(info);
+}
+
+/**
+ * Update an explanation. Slides and links are synced when sent: rows with an id are updated,
+ * rows without one are created and the missing ones are deleted. Paragraphs of a sent slide are
+ * replaced.
+ * @param {number} id - After question info ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} The updated explanation
+ */
+async function updateAfterInfo(id, data) {
+    const updated = await db.$transaction(async (tx) => {
+        const info = await findAfterInfo(tx, id);
+        const items = linkedItems(info);
+        if (items.length !== 1 && (isBlank(data.gameType) || isBlank(data.itemId))) {
+            throw createHttpError(400, `This after question info is linked to ${items.length} items, send the gameType and itemId it explains`);
+        }
+
+        const current = items.length === 1 ? items[0] : {};
+        const merged = {
+            gameType: pick(data.gameType, current.gameType),
+            itemId: pick(data.itemId, current.itemId),
+            topicName: pick(data.topicName, info.topic_name),
+            slides: data.slides,
+            links: data.links,
+        };
+        assertValid(validateAfterInfo(merged));
+        await assertMedia(tx, linkImageIds(data.links));
+
+        if (data.slides) await syncSlides(tx, info, data.slides);
+        if (data.links) await syncMediaLinks(tx, info, data.links);
+
+        await tx.after_question_info.update({
+            where: { id: info.id },
+            data: {
+                topic_name: merged.topicName,
+                ...(await explainedItemColumns(tx, merged.gameType, merged.itemId, info.id)),
+                updated_at: new Date(),
+            },
+        });
+
+        return findAfterInfo(tx, info.id);
+    });
+
+    return formatAfterInfoRecord(updated);
+}
+
+/**
+ * Find saved media links whose YouTube link cannot be parsed, e.g. entered in the CMS before links
+ * were checked
+ * @returns {Promise<{checked: number, invalid: Object[]}>} Number of links checked and the invalid
+ * ones
+ */
+async function checkYoutubeLinks() {
+    const links = await db.media_links.findMany({
+        where: { youtube_link: { not: null } },
+        select: {
+            id: true,
+            alt: true,
+            youtube_link: true,
+            after_question_info_id_id: true,
+        },
+        orderBy: { id: 'asc' },
+    });
+    const invalid = links
+        .filter((link) => !isBlank(link.youtube_link) && !parseYoutubeLink(link.youtube_link));
+
+    return {
+        checked: links.length,
+        invalid: invalid.map((link) => ({
+            mediaLinkId: link.id,
+            afterQuestionInfoId: link.after_question_info_id_id,
+            alt: link.alt,
+            youtubeLink: link.youtube_link,
+        })),
+    };
+}
+
+async function deleteAfterInfo(id) {
+    return db.$transaction(async (tx) => {
+        const info = await findAfterInfo(tx, id);
+
+        await tx.information_slides.deleteMany({ where: { after_question_info_id_id: info.id } });
+        await tx.media_links.deleteMany({ where: { after_question_info_id_id: info.id } });
+        return tx.after_question_info.delete({ where: { id: info.id } });
+    });
+}
+
+module.exports = {
+    listWordGames,
+    generateLetterPool,
+    createWordGame,
+    updateWordGame,
+    reorderWordGame,
+    deleteWordGame,
+    listQuizGames,
+    createQuizGame,
+    updateQuizGame,
+    deleteQuizGame,
+    addQuizQuestion,
+    updateQuizQuestion,
+    deleteQuizQuestion,
+    listPuzzleGames,
+    createPuzzleGame,
+    updatePuzzleGame,
+    reorderPuzzleGame,
+    slicePuzzleGame,
+    deletePuzzleGame,
+    listTreasureGames,
+    createTreasureGame,
+    updateTreasureGame,
+    deleteTreasureGame,
+    listTimelineGames,
+    createTimelineGame,
+    updateTimelineGame,
+    deleteTimelineGame,
+    listMapGames,
+    createMapGame,
+    updateMapGame,
+    deleteMapGame,
+    listAfterInfo,
+    getAfterInfoRecord,
+    createAfterInfo,
+    updateAfterInfo,
+    deleteAfterInfo,
+    checkYoutubeLinks,
+};
@@ -0,0 +1,483 @@
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { parseCsv, toCsv } = require('../../helper/csv.helper');
+const { normalizeText, resolveOptionLetter, getQuizOptions } = require('../../helper/answer.helper');
+const { buildLetterPool } = require('../../helper/letter.helper');
+const {
+    isBlank,
+    validateWordGame,
+    validateQuizQuestion,
+    validateTreasureCards,
+} = require('../../helper/gameContent.helper');
+const {
+    createWordGame,
+    updateWordGame,
+    createQuizGame,
+    addQuizQuestion,
+    updateQuizQuestion,
+    createTreasureGame,
+    updateTreasureGame,
+} = require('./gameAdmin.services');
+
+const MAX_IMPORT_ROWS = 2000;
+// Every row is written in one transaction, which may take a while for the largest imports
+const IMPORT_TRANSACTION_TIMEOUT_MS = 2 * 60 * 1000;
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// Columns of each content type, in export order; imports use the same names
+const CONTENT_COLUMNS = {
+    quiz: ['id', 'quizGameId', 'quizTitle', 'question', 'optionA', 'optionB', 'optionC', 'optionD', 'correctAnswer', 'audioUrl'],
+    word: ['id', 'question', 'hint', 'answer', 'correctLetters', 'letters', 'diacritics', 'difficulty'],
+    treasure: ['id', 'treasureGameId', 'treasureTitle', 'treasureDescription', 'type', 'value', 'imageId', 'matchGroup'],
+};
+
+const CONTENT_TYPES = Object.keys(CONTENT_COLUMNS);
+
+// Cells are trimmed strings whether they come from CSV or JSON
+const cell = (row, name) => (row[name] === undefined || row[name] === null ? '' : String(row[name]).trim());
+
+const optional = (value) => (value === '' ? null : value);
+
+// Letters are separated by spaces in a cell, JSON may also send an array
+const readLetters = (row, name) => (Array.isArray(row[name])
+    ? row[name].map((letter) => String(letter).trim()).filter(Boolean)
+    : cell(row, name).split(/\s+/).filter(Boolean));
+
+const titleKey = (title) => normalizeText(title);
+
+function assertContentType(contentType) {
+    if (!CONTENT_TYPES.includes(contentType)) {
+        throw createHttpError(400, `Content type must be one of ${CONTENT_TYPES.join(', ')}`);
+    }
+}
+
+async function findRegion(regionId) {
+    const region = isBlank(regionId) || !Number.isInteger(Number(regionId))
+        ? null
+        : await db.regions.findUnique({ where: { id: Number(regionId) } });
+    if (!region) {
+        throw createHttpError(404, 'Region not found');
+    }
+    return region;
+}
+
+/**
+ * Read the rows of an import from a request body or a file
+ * @param {Object} input - Either rows (array of objects) or format ("csv" or "json") and content
+ * (text)
+ * @returns {Object[]} The rows
+ */
+function readImportRows({ rows, format, content }) {
+    let parsed = rows;
+    if (parsed === undefined) {
+        if (!IMPORT_FORMATS.includes(format)) {
+            throw createHttpError(400, `format must be one of ${IMPORT_FORMATS.join(', ')}`);
+        }
+        try {
+            parsed = format === 'csv' ? parseCsv(content) : JSON.parse(content);
+        } catch (err) {
+            throw createHttpError(400, `Could not read the ${format.toUpperCase()} content: ${err.message}`);
+        }
+        if (parsed && !Array.isArray(parsed) && Array.isArray(parsed.rows)) {
+            parsed = parsed.rows;
+        }
+    }
+
+    if (!Array.isArray(parsed) || parsed.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw createHttpError(400, 'Rows must be an array of objects');
+    }
+    if (!parsed.length) {
+        throw createHttpError(400, 'There are no rows to import');
+    }
+    if (parsed.length > MAX_IMPORT_ROWS) {
+        throw createHttpError(400, `At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+    }
+
+    return parsed;
+}
+
+/* ----------------------------- Quiz questions ----------------------------- */
+
+const quizInput = (row) => ({
+    question: cell(row, 'question'),
+    optionA: cell(row, 'optionA'),
+    optionB: cell(row, 'optionB'),
+    optionC: cell(row, 'optionC'),
+    optionD: optional(cell(row, 'optionD')),
+    correctAnswer: cell(row, 'correctAnswer'),
+    audioUrl: optional(cell(row, 'audioUrl')),
+});
+
+async function planQuiz(region, rows) {
+    const [games, questions] = await Promise.all([
+        db.quiz_games.findMany({
+            where: { regionid_id: region.id },
+            select: { id: true, title: true },
+        }),
+        db.quiz_game_questions.findMany({
+            where: { quiz_games: { regionid_id: region.id } },
+            select: { id: true },
+        }),
+    ]);
+    const gameIds = new Set(games.map((game) => game.id));
+    const gameByTitle = new Map(games.map((game) => [titleKey(game.title), game]));
+    const questionIds = new Set(questions.map((question) => question.id));
+
+    return rows.map((row, i) => {
+        const input = quizInput(row);
+        const errors = validateQuizQuestion({
+            question: input.question,
+            option_a: input.optionA,
+            option_b: input.optionB,
+            option_c: input.optionC,
+            option_d: input.optionD,
+            correct_answer: input.correctAnswer,
+        });
+        const id = cell(row, 'id');
+        const quizGameId = cell(row, 'quizGameId');
+        const quizTitle = cell(row, 'quizTitle');
+        const entry = { row: i + 1, input, errors };
+
+        if (id) {
+            if (!questionIds.has(Number(id))) errors.push(`question ${id} is not in this region`);
+            return { ...entry, action: 'update', id: Number(id) };
+        }
+        if (quizGameId) {
+            if (!gameIds.has(Number(quizGameId))) errors.push(`quiz game ${quizGameId} is not in this region`);
+            return { ...entry, action: 'create', quizGameId: Number(quizGameId) };
+        }
+        if (!quizTitle) {
+            errors.push('quizGameId or quizTitle is required for new questions');
+            return { ...entry, action: 'create' };
+        }
+
+        const game = gameByTitle.get(titleKey(quizTitle));
+        return game
+            ? { ...entry, action: 'create', quizGameId: game.id }
+            : { ...entry, action: 'create', quizTitle };
+    });
+}
+
+async function writeQuiz(region, plan, tx) {
+    // Questions for quiz games that do not exist yet are created together with their game
+    const newGames = plan.filter((entry) => entry.quizTitle).reduce((groups, entry) => {
+        const key = titleKey(entry.quizTitle);
+        const group = groups.get(key) || { title: entry.quizTitle, questions: [] };
+        group.questions.push(entry.input);
+        return groups.set(key, group);
+    }, new Map());
+
+    await plan.filter((entry) => !entry.quizTitle).reduce(async (previous, entry) => {
+        await previous;
+        if (entry.action === 'update') {
+            await updateQuizQuestion(entry.id, entry.input, tx);
+        } else {
+            await addQuizQuestion(entry.quizGameId, entry.input, tx);
+        }
+    }, Promise.resolve());
+
+    await [...newGames.values()].reduce(async (previous, group) => {
+        await previous;
+        await createQuizGame({
+            regionId: region.id,
+            title: group.title,
+            questions: group.questions,
+        }, tx);
+    }, Promise.resolve());
+}
+
+function exportQuizRows(region) {
+    return db.quiz_game_questions.findMany({
+        where: { quiz_games: { regionid_id: region.id } },
+        include: { quiz_games: { select: { id: true, title: true } } },
+        orderBy: [{ quiz_game_id_id: 'asc' }, { id: 'asc' }],
+    }).then((questions) => questions.map((question) => ({
+        id: question.id,
+        quizGameId: question.quiz_games.id,
+        quizTitle: question.quiz_games.title,
+        question: question.question,
+        optionA: question.option_a,
+        optionB: question.option_b,
+        optionC: question.option_c,
+        optionD: question.option_d,
+        correctAnswer: resolveOptionLetter(getQuizOptions(question), question.correct_answer)
+            || question.correct_answer,
+        audioUrl: question.audio_url,
+    })));
+}
+
+/* ------------------------------- Word games ------------------------------- */
+
+async function planWord(region, rows) {
+    const games = await db.word_games
+        .findMany({ where: { region_id: region.id }, select: { id: true } });
+    const gameIds = new Set(games.map((game) => game.id));
+
+    return rows.map((row, i) => {
+        const errors = [];
+        const input = {
+            question: cell(row, 'question'),
+            hint: optional(cell(row, 'hint')),
+            answer: cell(row, 'answer'),
+            correctLetters: readLetters(row, 'correctLetters'),
+            letters: readLetters(row, 'letters'),
+        };
+
+        // Rows without letters get them generated from the answer
+        if (!input.correctLetters.length && !input.letters.length && input.answer) {
+            try {
+                const pool = buildLetterPool(input.answer, {
+                    diacritics: cell(row, 'diacritics') || undefined,
+                    difficulty: cell(row, 'difficulty') || undefined,
+                });
+                input.correctLetters = pool.correctLetters;
+                input.letters = pool.letters;
+            } catch (err) {
+                errors.push(err.message);
+            }
+        }
+        errors.push(...validateWordGame(input));
+
+        const id = cell(row, 'id');
+        if (id && !gameIds.has(Number(id))) errors.push(`word game ${id} is not in this region`);
+
+        const entry = { row: i + 1, input, errors };
+        return id
+            ? { ...entry, action: 'update', id: Number(id) }
+            : { ...entry, action: 'create' };
+    });
+}
+
+async function writeWord(region, plan, tx) {
+    await plan.reduce(async (previous, entry) => {
+        await previous;
+        if (entry.action === 'update') {
+            await updateWordGame(entry.id, entry.input, tx);
+        } else {
+            await createWordGame({ ...entry.input, regionId: region.id }, tx);
+        }
+    }, Promise.resolve());
+}
+
+function exportWordRows(region) {
+    return db.word_games.findMany({
+        where: { region_id: region.id },
+        include: {
+            word_games_correct_letters: { orderBy: { order: 'asc' } },
+            word_games_letters: { orderBy: { order: 'asc' } },
+        },
+        orderBy: { id: 'asc' },
+    }).then((games) => games.map((game) => ({
+        id: game.id,
+        question: game.question,
+        hint: game.hint,
+        answer: game.answer,
+        correctLetters: game.word_games_correct_letters.map((row) => row.letter).join(' '),
+        letters: game.word_games_letters.map((row) => row.letter).join(' '),
+    })));
+}
+
+/* ----------------------------- Treasure cards ----------------------------- */
+
+// Every treasure game in the file gets exactly the cards listed for it, like a PUT of its cards
+// Treasure rows per game they go to
+const groupByGame = (plan) => plan.reduce(
+    (acc, entry) => acc.set(entry.gameKey, [...(acc.get(entry.gameKey) || []), entry]),
+    new Map(),
+);
+
+async function planTreasure(region, rows) {
+    const games = await db.treasure_games.findMany({
+        where: { region_id: region.id },
+        select: {
+            id: true,
+            title: true,
+            treasure_cards: {
+                select: { id: true, _count: { select: { after_question_info: true } } },
+            },
+        },
+    });
+    const gameById = new Map(games.map((game) => [game.id, game]));
+    const gameByTitle = new Map(games.map((game) => [titleKey(game.title), game]));
+
+    const imageIds = [...new Set(rows.map((row) => cell(row, 'imageId')).filter(Boolean).map(Number))]
+        .filter((id) => Number.isInteger(id));
+    const media = await db.media
+        .findMany({ where: { id: { in: imageIds } }, select: { id: true } });
+    const mediaIds = new Set(media.map((item) => item.id));
+
+    const plan = rows.map((row, i) => {
+        const errors = [];
+        const card = {
+            id: cell(row, 'id') || undefined,
+            type: cell(row, 'type'),
+            value: optional(cell(row, 'value')),
+            imageId: cell(row, 'imageId') || undefined,
+            matchGroup: cell(row, 'matchGroup'),
+        };
+        if (card.imageId && !mediaIds.has(Number(card.imageId))) errors.push(`media ${card.imageId} does not exist`);
+
+        const gameId = cell(row, 'treasureGameId');
+        const title = cell(row, 'treasureTitle');
+        const game = gameId ? gameById.get(Number(gameId)) : gameByTitle.get(titleKey(title));
+        if (gameId && !game) errors.push(`treasure game ${gameId} is not in this region`);
+        if (!gameId && !title) errors.push('treasureGameId or treasureTitle is required');
+        const ownsCard = game
+            && game.treasure_cards.some((existing) => existing.id === Number(card.id));
+        if (card.id && !ownsCard) {
+            errors.push(`card ${card.id} does not belong to this treasure game`);
+        }
+
+        return {
+            row: i + 1,
+            action: game ? 'update' : 'create',
+            gameKey: game ? `id:${game.id}` : `title:${titleKey(title)}`,
+            gameId: game ? game.id : undefined,
+            title: title || undefined,
+            description: optional(cell(row, 'treasureDescription')),
+            card,
+            errors,
+        };
+    });
+
+    // Pairs can only be checked on the whole card set of a game
+    const groups = groupByGame(plan);
+    groups.forEach((entries) => {
+        const { gameId } = entries[0];
+        const keptIds = entries.map((entry) => Number(entry.card.id));
+        const explained = gameId ? gameById.get(gameId).treasure_cards
+            .filter((card) => card._count.after_question_info && !keptIds.includes(card.id)) : [];
+        if (explained.length) {
+            const ids = explained.map((card) => card.id).join(', ');
+            entries.forEach((entry) => entry.errors.push(`cards ${ids} are missing but have after question info`));
+        }
+
+        validateTreasureCards(entries.map((entry) => entry.card)).forEach((error) => {
+            const match = /^card (\d+): (.*)$/.exec(error);
+            if (match) {
+                entries[Number(match[1]) - 1].errors.push(match[2]);
+            } else {
+                entries.forEach((entry) => entry.errors.push(error));
+            }
+        });
+    });
+
+    return plan;
+}
+
+async function writeTreasure(region, plan, tx) {
+    const groups = groupByGame(plan);
+
+    await [...groups.values()].reduce(async (previous, entries) => {
+        await previous;
+        const [first] = entries;
+        const cards = entries.map((entry) => entry.card);
+        if (first.gameId) {
+            await updateTreasureGame(first.gameId, {
+                ...(first.title && { title: first.title }),
+                ...(first.description !== null && { description: first.description }),
+                cards,
+            }, tx);
+        } else {
+            await createTreasureGame({
+                regionId: region.id,
+                title: first.title,
+                description: first.description,
+                cards,
+            }, tx);
+        }
+    }, Promise.resolve());
+}
+
+function exportTreasureRows(region) {
+    return db.treasure_games.findMany({
+        where: { region_id: region.id },
+        include: { treasure_cards: { orderBy: { id: 'asc' } } },
+        orderBy: { id: 'asc' },
+    }).then((games) => games.flatMap((game) => game.treasure_cards.map((card) => ({
+        id: card.id,
+        treasureGameId: game.id,
+        treasureTitle: game.title,
+        treasureDescription: game.description,
+        type: card.type,
+        value: card.value,
+        imageId: card.image_id,
+        matchGroup: Number(card.match_group),
+    }))));
+}
+
+const handlers = {
+    quiz: { plan: planQuiz, write: writeQuiz, export: exportQuizRows },
+    word: { plan: planWord, write: writeWord, export: exportWordRows },
+    treasure: { plan: planTreasure, write: writeTreasure, export: exportTreasureRows },
+};
+
+/**
+ * Validate rows of game content and, unless it is a dry run or a row is invalid, write them.
+ * Rows with an id update that item, rows without one create a new item.
+ * Every row is validated before anything is written, and all of them are written in one
+ * transaction: a row that fails while writing leaves the content as it was.
+ * @param {string} contentType - quiz, word or treasure
+ * @param {Object} options - regionId, rows and dryRun
+ * @returns {Promise<Object>} Report with the action and validation errors of every row
+ */
+async function importContent(contentType, { regionId, rows, dryRun = false }) {
+    assertContentType(contentType);
+    const region = await findRegion(regionId);
+    const plan = await handlers[contentType].plan(region, rows);
+    const valid = plan.every((entry) => !entry.errors.length);
+
+    const imported = valid && !dryRun;
+    if (imported) {
+        await db.$transaction(
+            (tx) => handlers[contentType].write(region, plan, tx),
+            { timeout: IMPORT_TRANSACTION_TIMEOUT_MS },
+        );
+    }
+
+    return {
+        contentType,
+        regionId: region.id,
+        dryRun: Boolean(dryRun),
+        valid,
+        imported,
+        summary: {
+            rows: plan.length,
+            create: plan.filter((entry) => entry.action === 'create').length,
+            update: plan.filter((entry) => entry.action === 'update').length,
+            invalid: plan.filter((entry) => entry.errors.length).length,
+        },
+        rows: plan.map((entry) => ({ row: entry.row, action: entry.action, errors: entry.errors })),
+    };
+}
+
+/**
+ * Export the game content of a region in the import format
+ * @param {string} contentType - quiz, word or treasure
+ * @param {number} regionId - Region ID
+ * @param {string} [format] - json (default) or csv
+ * @returns {Promise<Object>} columns and rows, plus csv text for the csv format
+ */
+async function exportContent(contentType, regionId, format = 'json') {
+    assertContentType(contentType);
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw createHttpError(400, `format must be one of ${IMPORT_FORMATS.join(', ')}`);
+    }
+    const region = await findRegion(regionId);
+    const columns = CONTENT_COLUMNS[contentType];
+    const rows = await handlers[contentType].export(region);
+
+    return {
+        columns,
+        rows,
+        ...(format === 'csv' && { csv: toCsv(rows, columns) }),
+    };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    CONTENT_COLUMNS,
+    readImportRows,
+    importContent,
+    exportContent,
+};
@@ -0,0 +1,404 @@
+const express = require('express');
+const { isCookieAuthenticated, rateLimit } = require('../../middlewares');
+const {
+    startSession,
+    findCurrentSession,
+    getSession,
+    getSessionGameData,
+    replaySession,
+    serveItem,
+    submitAttempt,
+    pauseSession,
+    resumeSession,
+    finishSession,
+} = require('./gameSession.services');
+
+const router = express.Router();
+
+// Starting sessions and answering in them must not get around the limit of /game/submit-answer
+const playLimiter = rateLimit({ windowMs: 60 * 1000, max: 30 });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Game Sessions
+ *   description: Start, play, pause, resume and finish a game
+ */
+
+/**
+ * @swagger
+ * /game-session/start:
+ *   post:
+ *     summary: Start a game session for a region and game type
+ *     description: >
+ *       Any unfinished session of the user for the same region and game type is abandoned.
+ *       Starting sessions and answering in them is limited to 30 requests a minute per user.
+ *     tags: [Game Sessions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               regionId:
+ *                 type: integer
+ *               gameType:
+ *                 type: string
+ *                 enum:
+ *                   - word
+ *                   - quiz
+ *                   - puzzle
+ *                   - treasure
+ *                   - timeline
+ *                   - map
+ *             required:
+ *               - regionId
+ *               - gameType
+ *     responses:
+ *       201:
+ *         description: Session started
+ *       400:
+ *         description: Unsupported game type
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The region is locked, the message says which stars are missing
+ *       404:
+ *         description: Region not found
+ *       429:
+ *         description: Too many requests, try again later
+ */
+router.post('/start', isCookieAuthenticated, playLimiter, async (req, res, next) => {
+    try {
+        const { regionId, gameType } = req.body;
+        const session = await startSession(req.payload.userId, { regionId, gameType });
+        res.status(201).json(session);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/current:
+ *   get:
+ *     summary: Get the latest unfinished session of the current user
+ *     description: Used to resume a game on another device.
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: gameType
+ *         schema:
+ *           type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: The session with its attempts
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No unfinished session
+ */
+router.get('/current', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        const { regionId, gameType } = req.query;
+        const session = await findCurrentSession(req.payload.userId, { regionId, gameType });
+        if (!session) {
+            return res.status(404).json({ message: 'No unfinished game session' });
+        }
+        return res.json(session);
+    } catch (err) {
+        return next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/{id}:
+ *   get:
+ *     summary: Get a game session with its attempts
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The session
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Game session not found
+ */
+router.get('/:id', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await getSession(req.payload.userId, req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/{id}/game-data:
+ *   get:
+ *     summary: Get the games of a session in the layout of its seed
+ *     description: >
+ *       Same data as /game/get-gamedata, but quiz options, treasure cards and timeline events are
+ *       shuffled from the session seed. Quiz options are relabelled A, B, C... in the shuffled
+ *       order and answers are sent with those letters.
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum:
+ *             - full
+ *             - play
+ *           default: play
+ *         required: false
+ *         description: '"full" includes the solutions, only once the session is completed'
+ *     responses:
+ *       200:
+ *         description: Game data
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Game session not found
+ */
+router.get('/:id/game-data', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        const { mode } = req.query;
+        res.json(await getSessionGameData(req.payload.userId, req.params.id, { mode }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/{id}/replay:
+ *   get:
+ *     summary: Replay a session from its seed
+ *     description: >
+ *       Returns the layout the player saw, with solutions, and grades every recorded answer again,
+ *       so a disputed result can be checked. `matches` is false when the new grade differs from the
+ *       recorded one. Only completed sessions can be replayed, since the layout holds the
+ *       solutions.
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: session, seed, layout and attempts
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Game session not found
+ *       409:
+ *         description: The game session is not completed
+ */
+router.get('/:id/replay', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await replaySession(req.payload.userId, req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/{id}/serve:
+ *   post:
+ *     summary: Record that an item was shown to the player
+ *     description: The served time is used to measure how long the player took to answer.
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *                 description: Word game, quiz question, puzzle, treasure, timeline or map game ID
+ *     responses:
+ *       200:
+ *         description: The attempt record
+ *       400:
+ *         description: Item does not belong to this game session
+ *       404:
+ *         description: Game session or item not found
+ *       409:
+ *         description: Game session is paused or finished
+ */
+router.post('/:id/serve', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await serveItem(req.payload.userId, req.params.id, req.body.itemId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/{id}/attempts:
+ *   post:
+ *     summary: Answer an item of the session
+ *     description: >
+ *       The answer is checked on the server, each item can be answered once per session.
+ *       Scores are only shown once the session is finished.
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *               answer:
+ *                 description: >
+ *                   Same format as /game/submit-answer, quiz letters as shown in
+ *                   /game-session/{id}/game-data
+ *     responses:
+ *       201:
+ *         description: Whether the answer is correct, and the stored attempt
+ *       400:
+ *         description: Missing answer or item does not belong to this game session
+ *       404:
+ *         description: Game session or item not found
+ *       409:
+ *         description: Item already answered, or game session paused or finished
+ *       429:
+ *         description: Too many requests, try again later
+ */
+router.post('/:id/attempts', isCookieAuthenticated, playLimiter, async (req, res, next) => {
+    try {
+        const { itemId, answer } = req.body;
+        const result = await submitAttempt(req.payload.userId, req.params.id, { itemId, answer });
+        res.status(201).json(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/{id}/pause:
+ *   post:
+ *     summary: Pause an active session
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The paused session
+ *       409:
+ *         description: Game session is not active
+ */
+router.post('/:id/pause', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await pauseSession(req.payload.userId, req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/{id}/resume:
+ *   post:
+ *     summary: Resume a paused session
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The resumed session with its attempts
+ *       409:
+ *         description: Game session is already finished
+ */
+router.post('/:id/resume', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await resumeSession(req.payload.userId, req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /game-session/{id}/finish:
+ *   post:
+ *     summary: Finish a session
+ *     description: >
+ *       Computes the summary and records the completed game in the history.
+ *       A session that was played implausibly fast, has answers sent before their item was served,
+ *       or comes too soon after other completions is flagged instead (see `review`):
+ *       it is left out of the history and leaderboards until a moderator approves it.
+ *     tags: [Game Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: >
+ *           The finished session, its summary, its review status and reasons, the heritage stars it
+ *           awarded (null while flagged), the achievements it unlocked, and achievementsError when
+ *           they could not be evaluated; the session is finished either way
+ *       409:
+ *         description: Game session is already finished, or has no answered item
+ */
+router.post('/:id/finish', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await finishSession(req.payload.userId, req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,565 @@
+const { Prisma, enum_game_types_code } = require('@prisma/client');
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const {
+    getGameData,
+    findGameItem,
+    gradeAnswer,
+    countGameItems,
+} = require('../game/game.services');
+const { createHistoryFromSession } = require('../history/history.services');
+const { evaluateCommittedAchievements } = require('../achievements/achievementRule.services');
+const { awardHeritageStars } = require('../achievements/heritageStar.services');
+const { assertRegionUnlocked } = require('../region/regionProgress.services');
+const { createSeed } = require('../../helper/random.helper');
+const { toStoredOptionLetter } = require('../../helper/layout.helper');
+const { reviewQuestion } = require('../../helper/spacedRepetition.helper');
+const { checkSessionPlausibility } = require('../../helper/plausibility.helper');
+
+const UNFINISHED_STATUSES = ['active', 'paused'];
+
+const sessionInclude = {
+    game_types: { select: { code: true } },
+    game_session_attempts: { orderBy: { created_at: 'asc' } },
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Scores are shown once the session is finished: graded per slot, pin or event, they would let
+// a player probe the solution one part at a time while the session is still open
+function formatAttempt(attempt, finished = true) {
+    const { score, max_score, ...rest } = attempt;
+
+    return {
+        ...rest,
+        ...(finished && { score: toNumber(score), max_score: toNumber(max_score) }),
+    };
+}
+
+function formatSession(session) {
+    const {
+        game_types, game_session_attempts, score, max_score, ...rest
+    } = session;
+    const finished = !UNFINISHED_STATUSES.includes(session.status);
+
+    return {
+        ...rest,
+        gameType: game_types ? game_types.code : undefined,
+        ...(finished && { score: toNumber(score), max_score: toNumber(max_score) }),
+        attempts: game_session_attempts
+            ? game_session_attempts.map((attempt) => formatAttempt(attempt, finished))
+            : undefined,
+    };
+}
+
+function buildSummary(session, totalItems) {
+    return {
+        attempts: session.attempt_count,
+        correct: session.correct_count,
+        score: toNumber(session.score),
+        maxScore: toNumber(session.max_score),
+        accuracy: session.attempt_count ? session.correct_count / session.attempt_count : 0,
+        durationMs: session.duration_ms,
+        answeredItems: session.attempt_count,
+        totalItems,
+        completion: totalItems ? Math.min(session.attempt_count / totalItems, 1) : 0,
+    };
+}
+
+async function getOwnedSession(userId, sessionId) {
+    const session = await db.game_sessions.findUnique({
+        where: { id: Number(sessionId) },
+        include: sessionInclude,
+    });
+
+    if (!session || session.user_id_id !== userId) {
+        throw createHttpError(404, 'Game session not found');
+    }
+
+    return session;
+}
+
+function assertActive(session) {
+    if (session.status === 'paused') {
+        throw createHttpError(409, 'Game session is paused');
+    }
+    if (session.status !== 'active') {
+        throw createHttpError(409, 'Game session is already finished');
+    }
+}
+
+// Make sure an item exists and belongs to the session's region
+async function findSessionItem(session, itemId) {
+    const { item, regionId } = await findGameItem(session.game_types.code, itemId);
+
+    if (regionId !== session.region_id_id) {
+        throw createHttpError(400, 'Item does not belong to this game session');
+    }
+
+    return item;
+}
+
+/**
+ * Start a game session, abandoning any unfinished one for the same region and game type
+ * @param {number} userId - User ID
+ * @param {Object} data - regionId and gameType
+ * @returns {Promise<Object>} The new session
+ */
+async function startSession(userId, { regionId, gameType }) {
+    if (!Object.values(enum_game_types_code).includes(gameType)) {
+        throw createHttpError(400, 'Unsupported game type');
+    }
+
+    const [gameTypeData, region] = await Promise.all([
+        db.game_types.findUnique({ where: { code: gameType } }),
+        db.regions.findUnique({ where: { id: Number(regionId) } }),
+    ]);
+
+    if (!gameTypeData) {
+        throw createHttpError(400, 'Game type not found');
+    }
+    if (!region) {
+        throw createHttpError(404, 'Region not found');
+    }
+    await assertRegionUnlocked(userId, region.id);
+
+    const [, session] = await db.$transaction([
+        db.game_sessions.updateMany({
+            where: {
+                user_id_id: userId,
+                region_id_id: region.id,
+                game_type_id_id: gameTypeData.id,
+                status: { in: UNFINISHED_STATUSES },
+            },
+            data: { status: 'abandoned', updated_at: new Date() },
+        }),
+        db.game_sessions.create({
+            data: {
+                user_id_id: userId,
+                region_id_id: region.id,
+                game_type_id_id: gameTypeData.id,
+                seed: createSeed(),
+            },
+            include: sessionInclude,
+        }),
+    ]);
+
+    return formatSession(session);
+}
+
+/**
+ * Find the latest unfinished session of a user, so it can be resumed on another device
+ * @param {number} userId - User ID
+ * @param {Object} filters - Optional regionId and gameType
+ * @returns {Promise<Object|null>} The session with its attempts or null
+ */
+async function findCurrentSession(userId, { regionId, gameType } = {}) {
+    const session = await db.game_sessions.findFirst({
+        where: {
+            user_id_id: userId,
+            status: { in: UNFINISHED_STATUSES },
+            ...(regionId && { region_id_id: Number(regionId) }),
+            ...(gameType && { game_types: { code: gameType } }),
+        },
+        include: sessionInclude,
+        orderBy: { updated_at: 'desc' },
+    });
+
+    return session ? formatSession(session) : null;
+}
+
+/**
+ * Get one of the user's sessions with its attempts
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} The session
+ */
+async function getSession(userId, sessionId) {
+    return formatSession(await getOwnedSession(userId, sessionId));
+}
+
+/**
+ * Get the games of a session, with quiz options, treasure cards and timeline events laid out from
+ * the session seed
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "full" includes the solutions once the session is completed,
+ * the games are in play mode otherwise
+ * @returns {Promise<Object|Array>} Formatted game data, same shape as /game/get-gamedata
+ */
+async function getSessionGameData(userId, sessionId, { mode } = {}) {
+    const session = await getOwnedSession(userId, sessionId);
+    const full = mode === 'full' && session.status === 'completed';
+
+    return getGameData(session.region_id_id, session.game_types.code, {
+        mode: full ? 'full' : 'play',
+        seed: session.seed,
+    });
+}
+
+// Grade a stored attempt again; items removed since the session can no longer be checked
+async function replayAttempt(session, attempt) {
+    const gameType = session.game_types.code;
+    const replayed = {
+        itemId: attempt.item_id,
+        answer: attempt.answer,
+        servedTime: attempt.served_time,
+        answeredTime: attempt.answered_time,
+        recorded: {
+            correct: attempt.correct,
+            score: toNumber(attempt.score),
+            maxScore: toNumber(attempt.max_score),
+        },
+    };
+    if (!attempt.answered_time) {
+        return replayed;
+    }
+
+    let item;
+    try {
+        ({ item } = await findGameItem(gameType, attempt.item_id));
+    } catch (err) {
+        if (err.status === 404) return { ...replayed, itemMissing: true };
+        throw err;
+    }
+
+    const regraded = gradeAnswer(gameType, item, attempt.answer, { seed: session.seed });
+
+    return {
+        ...replayed,
+        ...(gameType === 'quiz' && { storedOption: toStoredOptionLetter(session.seed, item, attempt.answer) }),
+        regraded,
+        matches: regraded.correct === replayed.recorded.correct
+            && regraded.score === replayed.recorded.score,
+    };
+}
+
+async function buildReplay(session) {
+    const [layout, attempts] = await Promise.all([
+        getGameData(session.region_id_id, session.game_types.code, { seed: session.seed }),
+        Promise.all(session.game_session_attempts
+            .map((attempt) => replayAttempt(session, attempt))),
+    ]);
+
+    return {
+        session: formatSession(session),
+        seed: session.seed,
+        layout,
+        attempts,
+    };
+}
+
+/**
+ * Replay a session from its seed: the exact layout the player saw and every answer graded again.
+ * The layout holds the solutions, so only completed sessions can be replayed.
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} The session, its layout with solutions and the replayed attempts
+ */
+async function replaySession(userId, sessionId) {
+    const session = await getOwnedSession(userId, sessionId);
+    if (session.status !== 'completed') {
+        throw createHttpError(409, 'Only a completed game session can be replayed');
+    }
+
+    return buildReplay(session);
+}
+
+/**
+ * Replay any user's session, for moderators reviewing a flagged result
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} Same as replaySession
+ */
+async function replayAnySession(sessionId) {
+    const session = await db.game_sessions.findUnique({
+        where: { id: Number(sessionId) },
+        include: sessionInclude,
+    });
+    if (!session) {
+        throw createHttpError(404, 'Game session not found');
+    }
+
+    return buildReplay(session);
+}
+
+/**
+ * Record the moment an item was shown to the player
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @param {number} itemId - ID of the served item
+ * @returns {Promise<Object>} The attempt record
+ */
+async function serveItem(userId, sessionId, itemId) {
+    const session = await getOwnedSession(userId, sessionId);
+    assertActive(session);
+    const item = await findSessionItem(session, itemId);
+
+    // Serving the same item again keeps the first served time
+    const attempt = await db.game_session_attempts.upsert({
+        where: { session_id_id_item_id: { session_id_id: session.id, item_id: item.id } },
+        create: {
+            session_id_id: session.id,
+            item_id: item.id,
+            served_time: new Date(),
+        },
+        update: {},
+    });
+
+    return formatAttempt(attempt, false);
+}
+
+// Spaced repetition memory of a quiz question, written together with the attempt
+async function updateMemory(client, userId, questionId, result, now) {
+    const where = { user_id_id_question_id_id: { user_id_id: userId, question_id_id: questionId } };
+    const memory = await client.user_question_memory.findUnique({ where });
+    const review = { ...reviewQuestion(memory, result, now), updated_at: now };
+
+    return client.user_question_memory.upsert({
+        where,
+        create: { user_id_id: userId, question_id_id: questionId, ...review },
+        update: review,
+    });
+}
+
+/**
+ * Grade and record the answer to one item of a session
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @param {Object} data - itemId and answer
+ * @returns {Promise<Object>} Whether the answer is correct and the stored attempt, without scores
+ * until the session is finished
+ */
+async function submitAttempt(userId, sessionId, { itemId, answer }) {
+    const session = await getOwnedSession(userId, sessionId);
+    assertActive(session);
+    const item = await findSessionItem(session, itemId);
+
+    const existing = session.game_session_attempts.find((attempt) => attempt.item_id === item.id);
+    if (existing && existing.answered_time) {
+        throw createHttpError(409, 'Item already answered in this game session');
+    }
+
+    const result = gradeAnswer(session.game_types.code, item, answer, { seed: session.seed });
+    const now = new Date();
+    const attemptData = {
+        answer,
+        correct: result.correct,
+        score: result.score,
+        max_score: result.maxScore,
+        answered_time: now,
+        time_spent_ms: existing && existing.served_time ? now - existing.served_time : null,
+        updated_at: now,
+    };
+    const attemptKey = { session_id_id_item_id: { session_id_id: session.id, item_id: item.id } };
+
+    let attempt;
+    try {
+        attempt = await db.$transaction(async (tx) => {
+            // Only an unanswered attempt is claimed, and a second insert hits the unique key,
+            // so of two answers sent at the same time only one is counted
+            const claimed = await tx.game_session_attempts.updateMany({
+                where: { session_id_id: session.id, item_id: item.id, answered_time: null },
+                data: attemptData,
+            });
+            if (!claimed.count) {
+                await tx.game_session_attempts.create({
+                    data: { session_id_id: session.id, item_id: item.id, ...attemptData },
+                });
+            }
+
+            const counted = await tx.game_sessions.updateMany({
+                where: { id: session.id, status: 'active' },
+                data: {
+                    attempt_count: { increment: 1 },
+                    correct_count: { increment: result.correct ? 1 : 0 },
+                    score: { increment: result.score },
+                    max_score: { increment: result.maxScore },
+                    updated_at: now,
+                },
+            });
+            if (!counted.count) {
+                throw createHttpError(409, 'Game session is no longer active');
+            }
+
+            if (session.game_types.code === 'quiz') {
+                await updateMemory(tx, userId, item.id, {
+                    correct: result.correct,
+                    timeSpentMs: attemptData.time_spent_ms,
+                }, now);
+            }
+
+            return tx.game_session_attempts.findUnique({ where: attemptKey });
+        });
+    } catch (err) {
+        if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+            throw createHttpError(409, 'Item already answered in this game session');
+        }
+        throw err;
+    }
+
+    return {
+        correct: result.correct,
+        attempt: formatAttempt(attempt, false),
+    };
+}
+
+/**
+ * Pause an active session
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} The paused session
+ */
+async function pauseSession(userId, sessionId) {
+    const session = await getOwnedSession(userId, sessionId);
+    assertActive(session);
+
+    const now = new Date();
+    const paused = await db.game_sessions.update({
+        where: { id: session.id },
+        data: { status: 'paused', paused_time: now, updated_at: now },
+        include: sessionInclude,
+    });
+
+    return formatSession(paused);
+}
+
+/**
+ * Resume a paused session, possibly from another device
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} The resumed session with its attempts
+ */
+async function resumeSession(userId, sessionId) {
+    const session = await getOwnedSession(userId, sessionId);
+    if (session.status === 'active') {
+        return formatSession(session);
+    }
+    if (session.status !== 'paused') {
+        throw createHttpError(409, 'Game session is already finished');
+    }
+
+    const now = new Date();
+    const resumed = await db.game_sessions.update({
+        where: { id: session.id },
+        data: {
+            status: 'active',
+            paused_time: null,
+            paused_ms: { increment: now - session.paused_time },
+            updated_at: now,
+        },
+        include: sessionInclude,
+    });
+
+    return formatSession(resumed);
+}
+
+// Completions by the same user shortly before this one, for the completion rate check
+const RECENT_COMPLETION_MS = 60 * 1000;
+
+/**
+ * Finish a session, compute its summary, write the history record for it, award its heritage stars
+ * and unlock the achievements it completes.
+ * Implausible sessions are flagged instead: they get no history record or stars until a moderator
+ * approves them.
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} The finished session and its summary
+ */
+async function finishSession(userId, sessionId) {
+    const session = await getOwnedSession(userId, sessionId);
+    if (!UNFINISHED_STATUSES.includes(session.status)) {
+        throw createHttpError(409, 'Game session is already finished');
+    }
+    // An empty session proves nothing, it would only add to completions and stars
+    if (!session.attempt_count) {
+        throw createHttpError(409, 'Answer at least one item before finishing the game session');
+    }
+
+    const now = new Date();
+    const pausedMs = session.paused_ms + (session.status === 'paused' ? now - session.paused_time : 0);
+    const durationMs = Math.max(now - session.started_time - pausedMs, 0);
+    const [totalItems, recentCompletions] = await Promise.all([
+        countGameItems(session.region_id_id, session.game_types.code),
+        db.game_sessions.count({
+            where: {
+                user_id_id: userId,
+                status: 'completed',
+                completed_time: { gte: new Date(now - RECENT_COMPLETION_MS) },
+            },
+        }),
+    ]);
+    const flagReasons = checkSessionPlausibility({
+        gameType: session.game_types.code,
+        durationMs,
+        attempts: session.game_session_attempts,
+        recentCompletions,
+    });
+
+    const { finished, stars } = await db.$transaction(async (tx) => {
+        // Only one of several finish requests sent at the same time completes the session and
+        // awards it
+        const { count } = await tx.game_sessions.updateMany({
+            where: { id: session.id, status: { in: UNFINISHED_STATUSES } },
+            data: {
+                status: 'completed',
+                paused_time: null,
+                paused_ms: pausedMs,
+                completed_time: now,
+                duration_ms: durationMs,
+                review_status: flagReasons.length ? 'flagged' : 'clear',
+                flag_reasons: flagReasons.length ? flagReasons : undefined,
+                updated_at: now,
+            },
+        });
+        if (!count) {
+            throw createHttpError(409, 'Game session is already finished');
+        }
+        const completed = await tx.game_sessions.findUnique({
+            where: { id: session.id },
+            include: sessionInclude,
+        });
+        if (flagReasons.length) {
+            return { finished: completed, stars: null };
+        }
+
+        const history = await createHistoryFromSession(completed, tx);
+
+        return {
+            finished: await tx.game_sessions.update({
+                where: { id: session.id },
+                data: { history_id_id: history.id },
+                include: sessionInclude,
+            }),
+            stars: await awardHeritageStars(completed, totalItems, tx),
+        };
+    });
+
+    // Flagged sessions do not count until approved, their achievements are evaluated then
+    const { achievements, achievementsError } = flagReasons.length
+        ? { achievements: [], achievementsError: null }
+        : await evaluateCommittedAchievements(userId, 'game_completed');
+
+    return {
+        session: formatSession(finished),
+        summary: buildSummary(finished, totalItems),
+        review: { status: finished.review_status, reasons: finished.flag_reasons || [] },
+        stars,
+        achievements,
+        achievementsError,
+    };
+}
+
+module.exports = {
+    startSession,
+    findCurrentSession,
+    getSession,
+    getSessionGameData,
+    replaySession,
+    replayAnySession,
+    serveItem,
+    submitAttempt,
+    pauseSession,
+    resumeSession,
+    finishSession,
+};
@@ -2,11 +2,8 @@ const express = require('express');
 const { isAuthenticated } = require('../../middlewares');
 const { 
     createHistory, 
-    updateCompletedTime, 
     findHistoryById, 
     findHistoryByUserId, 
-    createAndCompleteHistory,
-    findIncompleteHistory 
 } = require('./history.services');
 const jwt = require('jsonwebtoken');
 
@@ -23,7 +20,7 @@ const router = express.Router();
  * @swagger
  * /history:
  *   post:
- *     summary: Create a new history record or update an existing incomplete one
+ *     summary: Create a new history record for a started game
  *     tags: [History]
  *     requestBody:
  *       required: true
@@ -41,20 +38,11 @@ const router = express.Router();
  *               started_time:
  *                 type: string
  *                 format: date-time
- *               completed:
- *                 type: boolean
- *                 description: If true, looks for an incomplete history record to update, or creates a new completed one if not found
- *               completed_time:
- *                 type: string
- *                 format: date-time
- *                 description: Optional - only used if completed is true
  *     responses:
  *       201:
  *         description: History record created successfully
- *       200:
- *         description: Existing history record updated successfully
  *       400:
- *         description: Bad request
+ *         description: Completion data was sent, completed games come from finished game sessions
  *       401:
  *         description: Unauthorized
  */
@@ -75,27 +63,15 @@ router.post('/', async (req, res, next) => {
             historyData.userId = userId;
         }
 
-        // Check if we need to create and complete or just create
-        if (historyData.completed) {
-            // First check if there's an incomplete history record for this user and game type
-            const incompleteHistory = await findIncompleteHistory(historyData.userId, historyData.gameTypeId);
-            
-            if (incompleteHistory) {
-                // Update the existing incomplete history record
-                const completedHistory = await updateCompletedTime(incompleteHistory.id, {
-                    completed_time: historyData.completed_time || new Date()
-                });
-                res.status(200).json(completedHistory);
-            } else {
-                // No incomplete history found, create and complete in one operation
-                const completedHistory = await createAndCompleteHistory(historyData);
-                res.status(201).json(completedHistory);
-            }
-        } else {
-            // Just create the history
-            const newHistory = await createHistory(historyData);
-            res.status(201).json(newHistory);
+        // Completed games are derived from finished game sessions, never from the client
+        if (historyData.completed || historyData.completed_time) {
+            return res.status(400).json({
+                message: 'Completed games are recorded by finishing a game session (POST /game-session/{id}/finish)'
+            });
         }
+
+        const newHistory = await createHistory(historyData);
+        res.status(201).json(newHistory);
     } catch (err) {
         next(err);
     }
@@ -17,24 +17,6 @@ function createHistory(data) {
     });
 }
 
-/**
- * Update the completed_time of a history record
- * @param {number} id - History ID
- * @param {Object} data - Data with completed_time
- * @returns {Promise<Object>} Updated history record
- */
-function updateCompletedTime(id, data) {
-    return db.history.update({
-        where: {
-            id,
-        },
-        data: {
-            completed_time: data.completed_time || new Date(),
-            updated_at: new Date()
-        },
-    });
-}
-
 /**
  * Find history record by ID
  * @param {number} id - History ID
@@ -65,44 +47,27 @@ function findHistoryByUserId(userId) {
 }
 
 /**
- * Create a history record and update its completed_time in one request
- * @param {Object} data - History data with completed_time
- * @returns {Promise<Object>} Updated history record
- */
-async function createAndCompleteHistory(data) {
-    // First create the history record
-    const history = await createHistory(data);
-
-    // Then update its completed_time
-    return updateCompletedTime(history.id, {
-        completed_time: data.completed_time || new Date()
-    });
-}
-
-/**
- * Find an incomplete history record for a user and game type
- * @param {number} userId - User ID
- * @param {number} gameTypeId - Game type ID
- * @returns {Promise<Object>} Incomplete history record or null
+ * Create the completed history record of a finished game session
+ * @param {Object} session - The finished game session
+ * @param {Object} [client] - Prisma client or transaction to write with
+ * @returns {Promise<Object>} Created history record
  */
-function findIncompleteHistory(userId, gameTypeId) {
-    return db.history.findFirst({
-        where: {
-            user_id_id: userId,
-            game_type_id_id: gameTypeId,
-            completed_time: null
-        },
-        orderBy: {
-            created_at: 'desc',
+function createHistoryFromSession(session, client = db) {
+    return client.history.create({
+        data: {
+            game_type_id_id: session.game_type_id_id,
+            user_id_id: session.user_id_id,
+            region_id_id: session.region_id_id,
+            description: `Game session #${session.id}: ${session.correct_count}/${session.attempt_count} correct`,
+            started_time: session.started_time,
+            completed_time: session.completed_time,
         },
     });
 }
 
 module.exports = {
     createHistory,
-    updateCompletedTime,
+    createHistoryFromSession,
     findHistoryById,
     findHistoryByUserId,
-    createAndCompleteHistory,
-    findIncompleteHistory,
 };
\ No newline at end of file
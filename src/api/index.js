@@ -3,6 +3,12 @@ const auth = require('./auth/auth.routes');
 const users = require('./user/user.routes');
 const region = require('./region/region.routes');
 const game = require('./game/game.routes');
+const dailyChallenge = require('./daily_challenge/dailyChallenge.routes');
+const gameSession = require('./game_session/gameSession.routes');
+const gameAdmin = require('./game_admin/gameAdmin.routes');
+const leaderboard = require('./leaderboard/leaderboard.routes');
+const liveQuiz = require('./live_quiz/liveQuiz.routes');
+const moderation = require('./moderation/moderation.routes');
 const afterInfo = require('./afterInfo/afterInfo.routes');
 const post = require('./post/post.routes');
 const assistance = require('./assistance/assistance.routes');
@@ -18,6 +24,7 @@ const process = require('./process/process.routes')
 
 const achievement = require('./achievements/achievement.routes')
 const feedback = require('./feedback/feedback.routes')
+const certificates = require('./certificates/certificate.routes');
 
 const router = express.Router();
 
@@ -33,8 +40,20 @@ router.use('/users', users);
 
 router.use('/region', region);
 
+router.use('/game/daily', dailyChallenge);
+
 router.use('/game', game);
 
+router.use('/game-session', gameSession);
+
+router.use('/game-admin', gameAdmin);
+
+router.use('/leaderboard', leaderboard);
+
+router.use('/live-quiz', liveQuiz);
+
+router.use('/moderation', moderation);
+
 router.use('/afterInfo', afterInfo);
 
 router.use('/post', post);
@@ -59,4 +78,6 @@ router.use('/feedback', feedback)
 
 router.use('/history', history)
 
+router.use('/certificates', certificates);
+
 module.exports = router;
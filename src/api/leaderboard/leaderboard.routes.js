@@ -0,0 +1,77 @@
+const express = require('express');
+const { isCookieAuthenticated } = require('../../middlewares');
+const { getLeaderboard } = require('./leaderboard.services');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Leaderboard
+ *   description: Player rankings per region and game type
+ */
+
+/**
+ * @swagger
+ * /leaderboard:
+ *   get:
+ *     summary: Rank players of a region and game type
+ *     description: >
+ *       Each player is ranked by their best completed game session: highest score first, then the
+ *       shortest playing time. Weeks start on Monday and months on the first, in Asia/Ho_Chi_Minh
+ *       time. The current user's entry is returned as `me` even when it is outside the top entries.
+ *     tags: [Leaderboard]
+ *     parameters:
+ *       - in: query
+ *         name: regionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: gameType
+ *         schema:
+ *           type: string
+ *           enum:
+ *             - word
+ *             - quiz
+ *             - puzzle
+ *             - treasure
+ *             - timeline
+ *             - map
+ *         required: true
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum:
+ *             - all
+ *             - week
+ *             - month
+ *           default: all
+ *         required: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: ranking, players (number of ranked players) and me
+ *       400:
+ *         description: Unsupported game type, window or limit
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Region not found
+ */
+router.get('/', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        res.json(await getLeaderboard(req.payload.userId, req.query));
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const { Prisma, enum_game_types_code } = require('@prisma/client');
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const {
+    getLocalDay,
+    startOfLocalDay,
+    startOfWeek,
+    startOfMonth,
+} = require('../../helper/date.helper');
+const { COUNTED_REVIEW_STATUSES } = require('../../helper/plausibility.helper');
+
+const LEADERBOARD_WINDOWS = ['all', 'week', 'month'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Start of the current calendar window in Vietnam time, null for all time
+function getWindowStart(window, now = new Date()) {
+    const today = getLocalDay(now);
+
+    switch (window) {
+        case 'week':
+            return startOfLocalDay(startOfWeek(today));
+        case 'month':
+            return startOfLocalDay(startOfMonth(today));
+        default:
+            return null;
+    }
+}
+
+function formatEntry(row) {
+    return {
+        rank: Number(row.rank),
+        user: {
+            id: row.user_id_id,
+            full_name: row.full_name,
+            username: row.username,
+            avatar_url: row.avatar_url,
+        },
+        score: Number(row.score),
+        maxScore: Number(row.max_score),
+        durationMs: row.duration_ms,
+        completedTime: row.completed_time,
+    };
+}
+
+/**
+ * Rank players of a region and game type by their best completed session:
+ * highest score first, then the shortest playing time. Flagged and rejected sessions are not
+ * ranked.
+ * @param {number} userId - Current user ID, whose own rank is always returned
+ * @param {Object} query - regionId, gameType, window (all, week or month) and limit
+ * @returns {Promise<Object>} The top entries, the number of ranked players and the user's own entry
+ */
+async function getLeaderboard(userId, {
+    regionId,
+    gameType,
+    window = 'all',
+    limit,
+}) {
+    if (!Object.values(enum_game_types_code).includes(gameType)) {
+        throw createHttpError(400, 'Unsupported game type');
+    }
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+        throw createHttpError(400, `window must be one of ${LEADERBOARD_WINDOWS.join(', ')}`);
+    }
+    const take = limit === undefined || limit === '' ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(take) || take < 1 || take > MAX_LIMIT) {
+        throw createHttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const [gameTypeData, region] = await Promise.all([
+        db.game_types.findUnique({ where: { code: gameType } }),
+        db.regions.findUnique({ where: { id: Number(regionId) } }),
+    ]);
+    if (!gameTypeData) {
+        throw createHttpError(400, 'Game type not found');
+    }
+    if (!region) {
+        throw createHttpError(404, 'Region not found');
+    }
+
+    const since = getWindowStart(window);
+
+    // One row per player (their best session), ranked in the database so only the top rows
+    // and the user's own row are sent back; served by game_sessions_leaderboard_idx
+    const rows = await db.$queryRaw`
+        WITH best AS (
+            SELECT DISTINCT ON (s.user_id_id)
+                s.user_id_id, s.score, s.max_score, s.duration_ms, s.completed_time
+            FROM game_sessions s
+            WHERE s.region_id_id = ${region.id}
+                AND s.game_type_id_id = ${gameTypeData.id}
+                AND s.status = 'completed'
+                AND s.review_status::text IN (${Prisma.join(COUNTED_REVIEW_STATUSES)})
+                ${since ? Prisma.sql`AND s.completed_time >= ${since}` : Prisma.empty}
+            ORDER BY s.user_id_id, s.score DESC, s.duration_ms ASC NULLS LAST, s.completed_time ASC
+        ), ranked AS (
+            SELECT best.*,
+                RANK() OVER (ORDER BY best.score DESC, best.duration_ms ASC NULLS LAST) AS rank,
+                COUNT(*) OVER () AS players
+            FROM best
+        )
+        SELECT ranked.*, u.full_name, u.username, u.avatar_url
+        FROM ranked
+        JOIN "user" u ON u.id = ranked.user_id_id
+        WHERE ranked.rank <= ${take} OR ranked.user_id_id = ${userId}
+        ORDER BY ranked.rank, ranked.completed_time`;
+
+    const entries = rows.map(formatEntry);
+
+    return {
+        regionId: region.id,
+        gameType,
+        window,
+        since,
+        players: rows.length ? Number(rows[0].players) : 0,
+        ranking: entries.filter((entry) => entry.rank <= take).slice(0, take),
+        me: entries.find((entry) => entry.user.id === userId) || null,
+    };
+}
+
+module.exports = {
+    LEADERBOARD_WINDOWS,
+    getLeaderboard,
+};
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const { createHttpError } = require('../../utils/errors');
+const { checkQuizAnswer } = require('../../helper/answer.helper');
+const { createSeed } = require('../../helper/random.helper');
+const { getShuffledQuizOptions, toStoredOptionLetter, toShownOptionLetter } = require('../../helper/layout.helper');
+
+const CODE_LENGTH = 6;
+const DEFAULT_QUESTION_SECONDS = 20;
+const MIN_QUESTION_SECONDS = 5;
+const MAX_QUESTION_SECONDS = 120;
+const MAX_PLAYERS = 200;
+// Rooms nobody has used for this long are removed
+const ROOM_IDLE_MS = 2 * 60 * 60 * 1000;
+
+// A correct answer earns between half and all of the points, the faster the more
+const MAX_POINTS = 1000;
+
+const rooms = new Map();
+
+function createCode() {
+    let code;
+    do {
+        code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+    } while (rooms.has(code));
+    return code;
+}
+
+const touch = (room) => {
+    room.lastActivity = Date.now();
+};
+
+const broadcast = (room, message) => {
+    room.members.forEach((member) => member.send && member.send(message));
+};
+
+const sendTo = (room, userId, message) => {
+    const member = room.members.get(userId);
+    if (member && member.send) member.send(message);
+};
+
+const players = (room) => [...room.members.values()].filter((member) => member.role === 'player');
+
+/**
+ * Players sorted by score, equal scores share a rank
+ * @param {Object} room
+ * @returns {Object[]} rank, userId, name, score and correctCount
+ */
+function getScoreboard(room) {
+    const sorted = players(room).sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+    return sorted.map((player) => ({
+        rank: sorted.findIndex((other) => other.score === player.score) + 1,
+        userId: player.userId,
+        name: player.name,
+        score: player.score,
+        correctCount: player.correctCount,
+        connected: Boolean(player.send),
+    }));
+}
+
+function roomState(room) {
+    return {
+        code: room.code,
+        title: room.title,
+        status: room.status,
+        questionIndex: room.questionIndex,
+        questionCount: room.questions.length,
+        questionSeconds: room.questionMs / 1000,
+        hostId: room.hostId,
+        players: players(room).map((player) => ({
+            userId: player.userId,
+            name: player.name,
+            connected: Boolean(player.send),
+        })),
+    };
+}
+
+/**
+ * Create a room for a quiz game
+ * @param {Object} host - userId and name of the host
+ * @param {Object} quiz - Quiz game with its questions
+ * @param {Object} [options]
+ * @param {number} [options.questionSeconds] - Time to answer each question
+ * @returns {Object} The room
+ */
+function createRoom(host, quiz, { questionSeconds } = {}) {
+    const seconds = questionSeconds === undefined || questionSeconds === null || questionSeconds === ''
+        ? DEFAULT_QUESTION_SECONDS
+        : Number(questionSeconds);
+    if (!Number.isInteger(seconds)
+        || seconds < MIN_QUESTION_SECONDS
+        || seconds > MAX_QUESTION_SECONDS) {
+        throw createHttpError(400, `questionSeconds must be between ${MIN_QUESTION_SECONDS} and ${MAX_QUESTION_SECONDS}`);
+    }
+    if (!quiz.quiz_game_questions.length) {
+        throw createHttpError(400, 'This quiz game has no questions');
+    }
+
+    const room = {
+        code: createCode(),
+        quizGameId: quiz.id,
+        regionId: quiz.regionid_id,
+        title: quiz.title || null,
+        hostId: host.userId,
+        seed: createSeed(),
+        questions: quiz.quiz_game_questions,
+        questionMs: seconds * 1000,
+        status: 'lobby',
+        questionIndex: -1,
+        current: null,
+        timer: null,
+        members: new Map([[host.userId, {
+            userId: host.userId, name: host.name, role: 'host', send: null,
+        }]]),
+        lastActivity: Date.now(),
+    };
+    rooms.set(room.code, room);
+
+    return room;
+}
+
+const getRoom = (code) => rooms.get(String(code)) || null;
+
+function questionMessage(room) {
+    const { question, startedAt, endsAt } = room.current;
+
+    return {
+        index: room.questionIndex,
+        total: room.questions.length,
+        question: {
+            id: question.id,
+            question: question.question,
+            options: getShuffledQuizOptions(room.seed, question),
+            audioUrl: question.audio_url,
+        },
+        startedAt,
+        endsAt,
+        durationMs: room.questionMs,
+    };
+}
+
+/**
+ * Connect a user to a room; the host reconnects as host, everyone else joins as a player
+ * @param {Object} room
+ * @param {Object} user - userId and name
+ * @param {Function} send - Sends a message to this connection
+ * @returns {Object} The member
+ */
+function connect(room, user, send) {
+    let member = room.members.get(user.userId);
+    if (!member) {
+        if (room.status === 'ended') throw createHttpError(409, 'This quiz has ended');
+        if (players(room).length >= MAX_PLAYERS) throw createHttpError(409, 'This room is full');
+        member = {
+            userId: user.userId, name: user.name, role: 'player', score: 0, correctCount: 0, send: null,
+        };
+        room.members.set(user.userId, member);
+    }
+
+    member.send = send;
+    touch(room);
+    send({ type: 'joined', role: member.role, room: roomState(room) });
+    broadcast(room, { type: 'players', players: roomState(room).players });
+    if (room.current) {
+        send({ type: 'question', ...questionMessage(room) });
+    }
+
+    return member;
+}
+
+/**
+ * Mark a connection as closed; players keep their score and can reconnect
+ * @param {Object} room
+ * @param {number} userId
+ * @param {Function} send - The closed connection, ignored if the user already reconnected
+ */
+function disconnect(room, userId, send) {
+    const member = room.members.get(userId);
+    if (!member || member.send !== send) return;
+
+    member.send = null;
+    broadcast(room, { type: 'players', players: roomState(room).players });
+}
+
+const assertHost = (room, userId) => {
+    if (room.hostId !== userId) throw createHttpError(403, 'Only the host can do this');
+};
+
+/**
+ * Close the current question, reveal its answer and broadcast the scoreboard
+ * @param {Object} room
+ */
+function closeQuestion(room) {
+    if (!room.current) return;
+
+    clearTimeout(room.timer);
+    const { question } = room.current;
+    room.current = null;
+    room.timer = null;
+    room.status = room.questionIndex + 1 < room.questions.length ? 'between' : 'finished';
+
+    broadcast(room, {
+        type: 'question_closed',
+        questionId: question.id,
+        correctAnswer: toShownOptionLetter(room.seed, question, question.correct_answer),
+        scoreboard: getScoreboard(room),
+        hasNext: room.status === 'between',
+    });
+}
+
+/**
+ * Push the next question to everyone; it closes by itself when the time is up
+ * @param {Object} room
+ * @param {number} userId - Must be the host
+ */
+function nextQuestion(room, userId) {
+    assertHost(room, userId);
+    if (room.status === 'ended') throw createHttpError(409, 'This quiz has ended');
+    if (room.current) closeQuestion(room);
+    if (room.questionIndex + 1 >= room.questions.length) throw createHttpError(409, 'There are no more questions');
+
+    room.questionIndex += 1;
+    const startedAt = Date.now();
+    room.current = {
+        question: room.questions[room.questionIndex],
+        startedAt,
+        endsAt: startedAt + room.questionMs,
+        answers: new Map(),
+    };
+    room.status = 'question';
+    room.timer = setTimeout(() => closeQuestion(room), room.questionMs);
+    touch(room);
+
+    broadcast(room, { type: 'question', ...questionMessage(room) });
+}
+
+/**
+ * Grade a player's answer to the current question; the time is measured on the server
+ * @param {Object} room
+ * @param {number} userId
+ * @param {Object} data - questionId and answer (option letter as shown)
+ * @returns {Object} correct and points
+ */
+function submitAnswer(room, userId, { questionId, answer }) {
+    const member = room.members.get(userId);
+    if (!member || member.role !== 'player') throw createHttpError(403, 'Only players can answer');
+    if (!room.current || Number(questionId) !== room.current.question.id) {
+        throw createHttpError(409, 'This question is closed');
+    }
+    if (room.current.answers.has(userId)) throw createHttpError(409, 'You already answered this question');
+
+    const now = Date.now();
+    if (now > room.current.endsAt) throw createHttpError(409, 'Time is up');
+
+    const { question, startedAt } = room.current;
+    const { correct } = checkQuizAnswer(
+        question,
+        toStoredOptionLetter(room.seed, question, answer),
+    );
+    const remaining = 1 - (now - startedAt) / room.questionMs;
+    const points = correct ? Math.round(MAX_POINTS / 2 + (MAX_POINTS / 2) * remaining) : 0;
+
+    room.current.answers.set(userId, { correct, points, timeMs: now - startedAt });
+    member.score += points;
+    member.correctCount += correct ? 1 : 0;
+    touch(room);
+
+    sendTo(room, userId, {
+        type: 'answer_result',
+        questionId: question.id,
+        correct,
+        points,
+        score: member.score,
+    });
+    sendTo(room, room.hostId, {
+        type: 'answer_count',
+        count: room.current.answers.size,
+        players: players(room).length,
+    });
+
+    // Everyone connected has answered, no need to wait for the timer
+    const connected = players(room).filter((player) => player.send);
+    if (connected.every((player) => room.current.answers.has(player.userId))) {
+        closeQuestion(room);
+    }
+
+    return { correct, points };
+}
+
+/**
+ * End the quiz and broadcast the final scoreboard
+ * @param {Object} room
+ * @param {number} userId - Must be the host
+ */
+function endRoom(room, userId) {
+    assertHost(room, userId);
+    if (room.current) closeQuestion(room);
+
+    room.status = 'ended';
+    touch(room);
+    broadcast(room, { type: 'ended', scoreboard: getScoreboard(room) });
+}
+
+// Remove rooms nobody used for a while, ended rooms stay a bit so players can see the results
+function sweepRooms(now = Date.now()) {
+    rooms.forEach((room, code) => {
+        if (now - room.lastActivity > ROOM_IDLE_MS) {
+            clearTimeout(room.timer);
+            rooms.delete(code);
+        }
+    });
+}
+
+module.exports = {
+    ROOM_IDLE_MS,
+    createRoom,
+    getRoom,
+    roomState,
+    connect,
+    disconnect,
+    nextQuestion,
+    closeQuestion,
+    submitAnswer,
+    endRoom,
+    getScoreboard,
+    sweepRooms,
+};
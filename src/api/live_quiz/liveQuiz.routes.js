@@ -0,0 +1,108 @@
+const express = require('express');
+const { isCookieAuthenticated } = require('../../middlewares');
+const { isLiveQuizEnabled, createLiveRoom, getLiveRoom } = require('./liveQuiz.services');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Live Quiz
+ *   description: >
+ *     Real-time quiz rooms. After creating a room over HTTP, the host and the players connect to
+ *     `/api/v1/live-quiz/ws?code=<code>` with the token cookie and exchange JSON messages
+ *     `{ type, ... }`. Host messages: `next` (push the next question), `reveal` (close the question
+ *     now), `end`. Player messages: `answer` with `questionId` and `answer` (option letter as
+ *     shown). Anyone: `scoreboard`. Server messages: `joined`, `players`, `question` (with
+ *     `endsAt`), `answer_result`, `answer_count` (host only), `question_closed` (correct answer and
+ *     scoreboard), `scoreboard`, `ended` and `error`. Answers are timed on the server, a correct
+ *     answer earns 500 to 1000 points depending on its speed. Rooms need a long-running server:
+ *     they are kept in its memory and use its WebSocket upgrades. On serverless deployments such as
+ *     Vercel they are off and every endpoint answers 503, unless LIVE_QUIZ_ENABLED=true.
+ *     LIVE_QUIZ_ENABLED=false turns them off anywhere.
+ */
+
+router.use((req, res, next) => {
+    if (!isLiveQuizEnabled()) {
+        res.status(503);
+        throw new Error('Live quiz rooms are not available on this server');
+    }
+    return next();
+});
+
+/**
+ * @swagger
+ * /live-quiz/rooms:
+ *   post:
+ *     summary: Create a live room for a quiz game
+ *     description: >
+ *       The current user hosts the room. Rooms live in memory and are removed after two idle hours.
+ *       The quiz's region has to be unlocked for the host, and for each player who connects.
+ *     tags: [Live Quiz]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quizGameId:
+ *                 type: integer
+ *               questionSeconds:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 120
+ *                 default: 20
+ *             required:
+ *               - quizGameId
+ *     responses:
+ *       201:
+ *         description: The room with its join code
+ *       400:
+ *         description: Invalid time or quiz without questions
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The quiz's region is locked for the current user
+ *       404:
+ *         description: Quiz game not found
+ */
+router.post('/rooms', isCookieAuthenticated, async (req, res, next) => {
+    try {
+        const { quizGameId, questionSeconds } = req.body;
+        const room = await createLiveRoom(req.payload.userId, { quizGameId, questionSeconds });
+        res.status(201).json(room);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /live-quiz/rooms/{code}:
+ *   get:
+ *     summary: Check a join code
+ *     tags: [Live Quiz]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Room status, question count and players
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Room not found
+ */
+router.get('/rooms/:code', isCookieAuthenticated, (req, res, next) => {
+    try {
+        res.json(getLiveRoom(req.params.code));
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
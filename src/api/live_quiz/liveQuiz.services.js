@@ -0,0 +1,93 @@
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { assertRegionUnlocked, getRegionLock } = require('../region/regionProgress.services');
+const { createRoom, getRoom, roomState } = require('./liveQuiz.rooms');
+
+/**
+ * Whether live rooms can be used. Rooms live in the memory of one server process and players
+ * connect over a WebSocket upgrade of its HTTP server, so they need a long-running server.
+ * Serverless deployments such as Vercel (see vercel.json) have neither, and the feature is off
+ * there unless LIVE_QUIZ_ENABLED says otherwise.
+ * @returns {boolean}
+ */
+function isLiveQuizEnabled() {
+    if (process.env.LIVE_QUIZ_ENABLED !== undefined) {
+        return process.env.LIVE_QUIZ_ENABLED === 'true';
+    }
+    return !process.env.VERCEL;
+}
+
+/**
+ * Load the name shown for a user in a room
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} userId and name, null if the user does not exist
+ */
+async function findRoomUser(userId) {
+    const user = await db.user.findUnique({
+        where: { id: userId },
+        select: { id: true, full_name: true, username: true },
+    });
+
+    return user ? { userId: user.id, name: user.full_name || user.username } : null;
+}
+
+/**
+ * Whether a user may join a room: its quiz's region has to be unlocked for them
+ * @param {number} userId - User ID
+ * @param {Object} room - The room
+ * @returns {Promise<boolean>}
+ */
+async function canJoinRoom(userId, room) {
+    if (!Number.isInteger(room.regionId)) return true;
+
+    const { locked } = await getRegionLock(userId, room.regionId);
+    return !locked;
+}
+
+/**
+ * Create a live room for a quiz game, hosted by the current user. The quiz's region has to be
+ * unlocked for the host, and for each player who joins
+ * @param {number} userId - Host user ID
+ * @param {Object} data - quizGameId and optional questionSeconds
+ * @returns {Promise<Object>} The room state with its join code
+ */
+async function createLiveRoom(userId, { quizGameId, questionSeconds }) {
+    const [host, quiz] = await Promise.all([
+        findRoomUser(userId),
+        db.quiz_games.findUnique({
+            where: { id: Number(quizGameId) },
+            include: { quiz_game_questions: { orderBy: { id: 'asc' } } },
+        }),
+    ]);
+    if (!host) {
+        throw createHttpError(401, 'User not found');
+    }
+    if (!quiz) {
+        throw createHttpError(404, 'Quiz game not found');
+    }
+    await assertRegionUnlocked(userId, quiz.regionid_id);
+
+    return roomState(createRoom(host, quiz, { questionSeconds }));
+}
+
+/**
+ * Get the public state of a room, e.g. to check a join code before connecting
+ * @param {string} code - Join code
+ * @returns {Object} The room state
+ */
+function getLiveRoom(code) {
+    const room = getRoom(code);
+    if (!room) {
+        throw createHttpError(404, 'Room not found');
+    }
+
+    return roomState(room);
+}
+
+module.exports = {
+    isLiveQuizEnabled,
+    findRoomUser,
+    canJoinRoom,
+    createLiveRoom,
+    getLiveRoom,
+};
@@ -0,0 +1,176 @@
+const jwt = require('jsonwebtoken');
+const { WebSocketServer, WebSocket } = require('ws');
+const { createHttpError } = require('../../utils/errors');
+const {
+    getRoom,
+    connect,
+    disconnect,
+    nextQuestion,
+    closeQuestion,
+    submitAnswer,
+    endRoom,
+    getScoreboard,
+    sweepRooms,
+} = require('./liveQuiz.rooms');
+const { findRoomUser, canJoinRoom } = require('./liveQuiz.services');
+
+const LIVE_QUIZ_PATH = '/api/v1/live-quiz/ws';
+const HEARTBEAT_MS = 30000;
+const SWEEP_MS = 10 * 60 * 1000;
+
+// Same token cookie as isCookieAuthenticated
+const readTokenCookie = (header) => (header || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .filter(([name]) => name === 'token')
+    .map(([, ...value]) => decodeURIComponent(value.join('=')))[0];
+
+function authenticate(req) {
+    const token = readTokenCookie(req.headers.cookie);
+    if (!token) return null;
+
+    try {
+        return jwt.verify(token, process.env.JWT_ACCESS_SECRET).userId;
+    } catch (err) {
+        return null;
+    }
+}
+
+function reject(socket, status, message) {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+// Host and player actions, each message is { type, ...data }
+const handlers = {
+    next: (room, userId) => nextQuestion(room, userId),
+    reveal: (room, userId) => {
+        if (room.hostId !== userId) throw createHttpError(403, 'Only the host can do this');
+        closeQuestion(room);
+    },
+    end: (room, userId) => endRoom(room, userId),
+    answer: (room, userId, message) => submitAnswer(room, userId, message),
+    scoreboard: (room, userId, message, send) => send({ type: 'scoreboard', scoreboard: getScoreboard(room) }),
+};
+
+function onConnection(ws, room, user) {
+    const send = (message) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    try {
+        connect(room, user, send);
+    } catch (err) {
+        send({ type: 'error', message: err.message });
+        ws.close(4000 + (err.status || 500), err.message);
+        return;
+    }
+
+    ws.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            send({ type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+
+        const handler = message && handlers[message.type];
+        if (!handler) {
+            send({ type: 'error', message: 'Unknown message type' });
+            return;
+        }
+
+        try {
+            handler(room, user.userId, message, send);
+        } catch (err) {
+            send({ type: 'error', message: err.status ? err.message : 'Something went wrong' });
+        }
+    });
+
+    ws.on('close', () => disconnect(room, user.userId, send));
+}
+
+/**
+ * Serve live quiz rooms over WebSockets on the HTTP server of the app
+ * Clients connect to /api/v1/live-quiz/ws?code=<join code> with the token cookie
+ * @param {import('http').Server} server - The server returned by app.listen
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedOrigins] - Browser origins allowed to connect
+ * @returns {WebSocketServer}
+ */
+function attachLiveQuiz(server, { allowedOrigins = [] } = {}) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== LIVE_QUIZ_PATH) {
+            reject(socket, 404, 'Not Found');
+            return;
+        }
+        // The cookie is sent by any page, so only our own front ends may connect
+        if (req.headers.origin && !allowedOrigins.includes(req.headers.origin)) {
+            reject(socket, 403, 'Forbidden');
+            return;
+        }
+
+        const userId = authenticate(req);
+        if (!userId) {
+            reject(socket, 401, 'Unauthorized');
+            return;
+        }
+        const room = getRoom(url.searchParams.get('code'));
+        if (!room) {
+            reject(socket, 404, 'Not Found');
+            return;
+        }
+
+        try {
+            const user = await findRoomUser(userId);
+            if (!user) {
+                reject(socket, 401, 'Unauthorized');
+                return;
+            }
+            if (!(await canJoinRoom(userId, room))) {
+                reject(socket, 403, 'Forbidden');
+                return;
+            }
+            wss.handleUpgrade(req, socket, head, (ws) => onConnection(ws, room, user));
+        } catch (err) {
+            reject(socket, 500, 'Internal Server Error');
+        }
+    });
+
+    // Drop connections that stopped answering pings, and old rooms
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((ws) => {
+            if (!ws.isAlive) {
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, HEARTBEAT_MS);
+    const sweep = setInterval(() => sweepRooms(), SWEEP_MS);
+    heartbeat.unref();
+    sweep.unref();
+
+    server.on('close', () => {
+        clearInterval(heartbeat);
+        clearInterval(sweep);
+        wss.close();
+    });
+
+    return wss;
+}
+
+module.exports = {
+    LIVE_QUIZ_PATH,
+    attachLiveQuiz,
+};
@@ -0,0 +1,252 @@
+const express = require('express');
+const { isCookieAuthenticated, hasRole } = require('../../middlewares');
+const { replayAnySession } = require('../game_session/gameSession.services');
+const { revokeCertificate } = require('../certificates/certificate.services');
+const {
+    listReviewedSessions,
+    reviewSession,
+    listReviewedChallengeAttempts,
+    reviewChallengeAttempt,
+} = require('./moderation.services');
+
+const router = express.Router();
+
+router.use(isCookieAuthenticated, hasRole('moderator', 'admin'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Moderation
+ *   description: >
+ *     Review of game results flagged as implausible (moderator or admin role).
+ *     Flagged results are left out of history, leaderboards, daily rankings and streaks until
+ *     approved.
+ * components:
+ *   schemas:
+ *     ReviewDecision:
+ *       type: object
+ *       properties:
+ *         decision:
+ *           type: string
+ *           enum: [approve, reject]
+ *         note:
+ *           type: string
+ *       required:
+ *         - decision
+ */
+
+/**
+ * @swagger
+ * /moderation/game-sessions:
+ *   get:
+ *     summary: List completed game sessions by review status
+ *     description: >
+ *       Flag reasons: `too_fast` (under the minimum time per item of the game type),
+ *       `unserved_answer` (answered before the item was served), `instant_answer` (answered right
+ *       after serving) and `rate_limit` (too many completions in a minute).
+ *     tags: [Moderation]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [flagged, approved, rejected]
+ *         required: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Sessions with their player and review
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/game-sessions', async (req, res, next) => {
+    try {
+        res.json(await listReviewedSessions(req.query));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /moderation/game-sessions/{id}/replay:
+ *   get:
+ *     summary: Replay any player's session from its seed
+ *     description: Same as /game-session/{id}/replay, without the ownership check.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: session, seed, layout and attempts
+ *       404:
+ *         description: Game session not found
+ */
+router.get('/game-sessions/:id/replay', async (req, res, next) => {
+    try {
+        res.json(await replayAnySession(req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /moderation/game-sessions/{id}/review:
+ *   post:
+ *     summary: Approve or reject a flagged game session
+ *     description: >
+ *       Approving records the game in the player's history and awards its heritage stars.
+ *       A rejected game never counts. A session is reviewed once.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewDecision'
+ *     responses:
+ *       200:
+ *         description: >
+ *           The reviewed session, with achievementsError when the player's achievements could
+ *           not be evaluated
+ *       400:
+ *         description: Invalid decision
+ *       404:
+ *         description: Game session not found
+ *       409:
+ *         description: The session is not completed or was already reviewed
+ */
+router.post('/game-sessions/:id/review', async (req, res, next) => {
+    try {
+        res.json(await reviewSession(req.payload.userId, req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /moderation/daily-attempts:
+ *   get:
+ *     summary: List completed daily challenge attempts by review status
+ *     tags: [Moderation]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [flagged, approved, rejected]
+ *         required: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Attempts with their player, results and review
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/daily-attempts', async (req, res, next) => {
+    try {
+        res.json(await listReviewedChallengeAttempts(req.query));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /moderation/daily-attempts/{id}/review:
+ *   post:
+ *     summary: Approve or reject a flagged daily challenge attempt
+ *     description: An attempt is reviewed once.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewDecision'
+ *     responses:
+ *       200:
+ *         description: >
+ *           The reviewed attempt, with achievementsError when the player's achievements could
+ *           not be evaluated
+ *       400:
+ *         description: Invalid decision
+ *       404:
+ *         description: Attempt not found
+ *       409:
+ *         description: The attempt is not completed or was already reviewed
+ */
+router.post('/daily-attempts/:id/review', async (req, res, next) => {
+    try {
+        res.json(await reviewChallengeAttempt(req.payload.userId, req.params.id, req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /moderation/certificates/{code}/revoke:
+ *   post:
+ *     summary: Revoke a certificate
+ *     description: >
+ *       Verification reports a revoked certificate as not valid and it can no longer be downloaded.
+ *     tags: [Moderation]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The revoked certificate
+ *       404:
+ *         description: Certificate not found
+ *       409:
+ *         description: The certificate is already revoked
+ */
+router.post('/certificates/:code/revoke', async (req, res, next) => {
+    try {
+        res.json(await revokeCertificate(req.params.code, req.body && req.body.reason));
+    } catch (err) {
+        next(err);
+    }
+});
+
+module.exports = router;
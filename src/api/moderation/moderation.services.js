@@ -0,0 +1,241 @@
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { createHistoryFromSession } = require('../history/history.services');
+const { evaluateCommittedAchievements } = require('../achievements/achievementRule.services');
+const { awardHeritageStars } = require('../achievements/heritageStar.services');
+const { countGameItems } = require('../game/game.services');
+
+const REVIEW_DECISIONS = {
+    approve: 'approved',
+    reject: 'rejected',
+};
+const LISTED_STATUSES = ['flagged', 'approved', 'rejected'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const userSelect = {
+    id: true,
+    full_name: true,
+    username: true,
+    avatar_url: true,
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+function readListQuery({ status = 'flagged', limit }) {
+    if (!LISTED_STATUSES.includes(status)) {
+        throw createHttpError(400, `status must be one of ${LISTED_STATUSES.join(', ')}`);
+    }
+    const take = limit === undefined || limit === '' ? DEFAULT_LIMIT : Number(limit);
+    if (!Number.isInteger(take) || take < 1 || take > MAX_LIMIT) {
+        throw createHttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    return { status, take };
+}
+
+function readDecision({ decision, note }) {
+    if (!REVIEW_DECISIONS[decision]) {
+        throw createHttpError(400, `decision must be one of ${Object.keys(REVIEW_DECISIONS).join(', ')}`);
+    }
+    return { status: REVIEW_DECISIONS[decision], note: note === undefined ? null : String(note) };
+}
+
+const formatReview = (record) => ({
+    status: record.review_status,
+    reasons: record.flag_reasons || [],
+    reviewedBy: record.reviewed_by || null,
+    reviewedTime: record.reviewed_time,
+    note: record.review_note,
+});
+
+function formatSession(session) {
+    return {
+        id: session.id,
+        user: session.user,
+        regionId: session.region_id_id,
+        gameType: session.game_types.code,
+        startedTime: session.started_time,
+        completedTime: session.completed_time,
+        durationMs: session.duration_ms,
+        score: toNumber(session.score),
+        maxScore: toNumber(session.max_score),
+        correctCount: session.correct_count,
+        attemptCount: session.attempt_count,
+        review: formatReview(session),
+    };
+}
+
+function formatChallengeAttempt(attempt) {
+    return {
+        id: attempt.id,
+        user: attempt.user,
+        date: attempt.daily_challenges.challenge_date.toISOString().slice(0, 10),
+        startedTime: attempt.started_time,
+        completedTime: attempt.completed_time,
+        durationMs: attempt.duration_ms,
+        score: toNumber(attempt.score),
+        maxScore: toNumber(attempt.max_score),
+        correctCount: attempt.correct_count,
+        results: attempt.results,
+        review: formatReview(attempt),
+    };
+}
+
+const sessionInclude = {
+    user: { select: userSelect },
+    reviewed_by: { select: userSelect },
+    game_types: { select: { code: true } },
+};
+
+const challengeAttemptInclude = {
+    user: { select: userSelect },
+    reviewed_by: { select: userSelect },
+    daily_challenges: { select: { challenge_date: true } },
+};
+
+/**
+ * List completed game sessions by review status, most recent first
+ * @param {Object} query - status (flagged by default, approved or rejected) and limit
+ * @returns {Promise<Object[]>} Sessions with their players and review
+ */
+async function listReviewedSessions(query) {
+    const { status, take } = readListQuery(query);
+    const sessions = await db.game_sessions.findMany({
+        where: { status: 'completed', review_status: status },
+        include: sessionInclude,
+        orderBy: { completed_time: 'desc' },
+        take,
+    });
+
+    return sessions.map(formatSession);
+}
+
+/**
+ * Approve or reject a flagged game session. Approved sessions get their history record and heritage
+ * stars, count in leaderboards and unlock achievements. A rejected session never counts: like every
+ * flagged session it has no history record or stars to take back. A session is reviewed once.
+ * @param {number} moderatorId - User ID of the moderator
+ * @param {number} sessionId - Session ID
+ * @param {Object} data - decision (approve or reject) and an optional note
+ * @returns {Promise<Object>} The reviewed session
+ */
+async function reviewSession(moderatorId, sessionId, data) {
+    const { status, note } = readDecision(data);
+
+    const reviewed = await db.$transaction(async (tx) => {
+        const session = await tx.game_sessions.findUnique({ where: { id: Number(sessionId) } });
+        if (!session) {
+            throw createHttpError(404, 'Game session not found');
+        }
+        if (session.status !== 'completed') {
+            throw createHttpError(409, 'Only completed game sessions can be reviewed');
+        }
+
+        // Claimed with the flagged status, so two moderators cannot both review it
+        const { count } = await tx.game_sessions.updateMany({
+            where: { id: session.id, review_status: 'flagged' },
+            data: {
+                review_status: status,
+                reviewed_by_id_id: moderatorId,
+                reviewed_time: new Date(),
+                review_note: note,
+                updated_at: new Date(),
+            },
+        });
+        if (!count) {
+            throw createHttpError(409, 'Only flagged game sessions can be reviewed');
+        }
+
+        if (status === 'approved') {
+            const history = await createHistoryFromSession(session, tx);
+            await tx.game_sessions.update({
+                where: { id: session.id },
+                data: { history_id_id: history.id },
+            });
+        }
+
+        const updated = await tx.game_sessions.findUnique({
+            where: { id: session.id },
+            include: sessionInclude,
+        });
+        if (status === 'approved') {
+            const totalItems = await countGameItems(updated.region_id_id, updated.game_types.code);
+            await awardHeritageStars(updated, totalItems, tx);
+        }
+
+        return updated;
+    });
+
+    const { achievementsError } = status === 'approved'
+        ? await evaluateCommittedAchievements(reviewed.user_id_id, 'game_completed')
+        : { achievementsError: null };
+
+    return { ...formatSession(reviewed), achievementsError };
+}
+
+/**
+ * List completed daily challenge attempts by review status, most recent first
+ * @param {Object} query - status (flagged by default, approved or rejected) and limit
+ * @returns {Promise<Object[]>} Attempts with their players and review
+ */
+async function listReviewedChallengeAttempts(query) {
+    const { status, take } = readListQuery(query);
+    const attempts = await db.daily_challenge_attempts.findMany({
+        where: { completed_time: { not: null }, review_status: status },
+        include: challengeAttemptInclude,
+        orderBy: { completed_time: 'desc' },
+        take,
+    });
+
+    return attempts.map(formatChallengeAttempt);
+}
+
+/**
+ * Approve or reject a flagged daily challenge attempt. An attempt is reviewed once.
+ * @param {number} moderatorId - User ID of the moderator
+ * @param {number} attemptId - Attempt ID
+ * @param {Object} data - decision (approve or reject) and an optional note
+ * @returns {Promise<Object>} The reviewed attempt
+ */
+async function reviewChallengeAttempt(moderatorId, attemptId, data) {
+    const { status, note } = readDecision(data);
+    const attempt = await db.daily_challenge_attempts
+        .findUnique({ where: { id: Number(attemptId) } });
+    if (!attempt) {
+        throw createHttpError(404, 'Daily challenge attempt not found');
+    }
+    if (!attempt.completed_time) {
+        throw createHttpError(409, 'Only completed attempts can be reviewed');
+    }
+
+    const { count } = await db.daily_challenge_attempts.updateMany({
+        where: { id: attempt.id, review_status: 'flagged' },
+        data: {
+            review_status: status,
+            reviewed_by_id_id: moderatorId,
+            reviewed_time: new Date(),
+            review_note: note,
+            updated_at: new Date(),
+        },
+    });
+    if (!count) {
+        throw createHttpError(409, 'Only flagged attempts can be reviewed');
+    }
+    const reviewed = await db.daily_challenge_attempts.findUnique({
+        where: { id: attempt.id },
+        include: challengeAttemptInclude,
+    });
+
+    const { achievementsError } = status === 'approved'
+        ? await evaluateCommittedAchievements(reviewed.user_id_id, 'daily_completed')
+        : { achievementsError: null };
+
+    return { ...formatChallengeAttempt(reviewed), achievementsError };
+}
+
+module.exports = {
+    listReviewedSessions,
+    reviewSession,
+    listReviewedChallengeAttempts,
+    reviewChallengeAttempt,
+};
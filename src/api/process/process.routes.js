@@ -1,4 +1,5 @@
 const express = require('express')
+const { isCookieAuthenticated } = require('../../middlewares')
 const { createProcess, getProcessById, updateProcess, deleteProcessById } = require('./process.services')
 
 const router = express.Router()
@@ -69,7 +70,10 @@ const router = express.Router()
  *   patch:
  *     tags: [Process]
  *     summary: Update process by ID
- *     description: Update a play process by its ID. Stars will be incremented based on the provided fields.
+ *     description: >
+ *       Update one of the current user's play processes by its ID. Only the badge can be set: stars
+ *       and the history, intangible_heritage and tangible_heritage stages are awarded when a game
+ *       is completed.
  *     parameters:
  *       - in: path
  *         name: id
@@ -84,18 +88,8 @@ const router = express.Router()
  *           schema:
  *             type: object
  *             properties:
- *               history:
- *                 type: boolean
- *                 description: Whether the history stage is completed
- *                 example: true
- *               intangible_heritage:
- *                 type: boolean
- *                 description: Whether the intangible heritage stage is completed
- *                 example: false
- *               tangible_heritage:
- *                 type: boolean
- *                 description: Whether the tangible heritage stage is completed
- *                 example: true
+ *               badge:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Process updated successfully
@@ -103,6 +97,12 @@ const router = express.Router()
  *           application/json:
  *             schema:
  *               type: object
+ *       400:
+ *         description: Stars, a heritage stage or another field that cannot be updated was sent
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Process not found
  *       500:
  *         description: Internal server error
  */
@@ -150,11 +150,11 @@ router.get('/:id', async (req, res, next) => {
     }
 })
 
-router.patch('/:id', async (req, res, next) => {
+router.patch('/:id', isCookieAuthenticated, async (req, res, next) => {
     try {
         res.status(200).json({
             message: "Đã cập nhật process",
-            metadata: await updateProcess(parseInt(req.params.id), req.body)
+            metadata: await updateProcess(req.payload.userId, parseInt(req.params.id), req.body)
         })
     } catch (error) {
         next(error)
@@ -1,4 +1,6 @@
 const { db } = require('../../utils/db')
+const { createHttpError } = require('../../utils/errors')
+const { HERITAGE_CATEGORIES } = require('../../helper/heritageStars.helper')
 
 async function createProcess(userId, achievementId) {
     return await db.play_process.create({
@@ -17,39 +19,45 @@ async function getProcessById(id) {
     })
 }
 
-async function updateProcess(id, updateData) {
-    const currProcess = await db.play_process.findUnique({
-        where: {
-            id: id
-        }
-    })
+// Columns a player can change. Stars and the heritage categories are awarded by the server, see
+// awardHeritageStars, and the owner and achievement are fixed.
+const EDITABLE_PROCESS_FIELDS = ['badge']
 
-    if (!currProcess) {
-        throw new Error('Process not found');
+async function updateProcess(userId, id, updateData) {
+    const awardedFields = [...HERITAGE_CATEGORIES, 'stars'].filter(field => updateData[field] !== undefined)
+    if (awardedFields.length) {
+        throw createHttpError(400, `${awardedFields.join(', ')} cannot be updated: stars are awarded when a game is completed`)
     }
-
-    let stars = currProcess.stars || 0
-
-    if(updateData.history === true && !currProcess.history)
-    {
-        stars += 1
+    const otherFields = Object.keys(updateData)
+        .filter(field => !EDITABLE_PROCESS_FIELDS.includes(field))
+    if (otherFields.length) {
+        throw createHttpError(
+            400,
+            `${otherFields.join(', ')} cannot be updated, only ${EDITABLE_PROCESS_FIELDS.join(', ')}`
+        )
     }
 
-    if (updateData.intangible_heritage === true && !currProcess.intangible_heritage) {
-        stars += 1;
-    }
+    // Someone else's process is not found either
+    const currProcess = await db.play_process.findFirst({
+        where: {
+            id: id,
+            user_id_id: userId
+        }
+    })
 
-    if (updateData.tangible_heritage === true && !currProcess.tangible_heritage) {
-        stars += 1;
+    if (!currProcess) {
+        throw createHttpError(404, 'Process not found');
     }
 
     return await db.play_process.update({
         where: {
-            id: id
+            id: currProcess.id
         },
         data: {
-            ...updateData,
-            stars: stars
+            ...EDITABLE_PROCESS_FIELDS
+                .filter(field => updateData[field] !== undefined)
+                .reduce((data, field) => ({ ...data, [field]: updateData[field] }), {}),
+            updated_at: new Date()
         }
     })
 }
@@ -1,7 +1,20 @@
 const express = require('express');
 const router = express.Router();
 
-const { createRegion, findRegionById, editRegionById, deleteRegionById } = require('./region.services');
+const { isCookieAuthenticated, readCookieUser, hasRole } = require('../../middlewares');
+const {
+    createRegion,
+    findRegionById,
+    getRegionCoverage,
+    editRegionById,
+    deleteRegionById,
+} = require('./region.services');
+const {
+    getRegionLock,
+    listRegionsWithLocks,
+    getRegionPrerequisites,
+    setRegionPrerequisites,
+} = require('./regionProgress.services');
 
 /**
  * @swagger
@@ -75,6 +88,10 @@ router.post('/create-region', async (req, res, next) => {
  * /region/get-region:
  *   get:
  *     summary: Retrieve regions
+ *     description: >
+ *       Every region, or the region with the given id, with its lock state for the current user.
+ *       A region unlocks once the user has enough stars in each of its prerequisite regions;
+ *       visitors have no stars, so regions with prerequisites are locked for them.
  *     tags:
  *       - Region
  *     parameters:
@@ -86,7 +103,7 @@ router.post('/create-region', async (req, res, next) => {
  *         description: ID of the region to retrieve
  *     responses:
  *       200:
- *         description: A list of regions
+ *         description: A list of regions, or the region when id is given
  *         content:
  *           application/json:
  *             schema:
@@ -105,20 +122,105 @@ router.post('/create-region', async (req, res, next) => {
  *                     type: string
  *                   mediaUrl:
  *                     type: string
+ *                   lock:
+ *                     type: object
+ *                     description: >
+ *                       locked, requirements left (regionId, minStars, stars and missingStars)
+ *                       and prerequisites (regionId and minStars)
  *       404:
  *         description: No regions found
  *       500:
  *         description: Failed to fetch regions
  */
-router.get('/get-region', async (req, res, next) => {
+router.get('/get-region', readCookieUser, async (req, res, next) => {
     try {
         const { id } = req.query;
+        const userId = req.payload ? req.payload.userId : null;
+
+        if (id === undefined) {
+            return res.status(200).json(await listRegionsWithLocks(userId));
+        }
 
         const regions = await findRegionById(Number(id));
         if (!regions) {
             return res.status(404).json({ error: 'No regions found' });
         }
-        res.status(200).json(regions);
+        res.status(200).json({ ...regions, lock: await getRegionLock(userId, regions.id) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /region/coverage:
+ *   get:
+ *     summary: Content coverage of every region (editor or admin role)
+ *     description: >
+ *       Counts the games and items of every game type in each region and how many items have an
+ *       explanation (after_question_info). Explanations are written per quiz question, treasure
+ *       card and timeline event, and per game for word, puzzle and map games. Also counts the
+ *       knowledge posts about the region, the ones linked to it and the ones whose subject or title
+ *       names only this region, and checks that it has catalogue badges and that all of them have
+ *       an image. Gap codes: `no_games`, `no_items`, `missing_explanation`, `no_knowledge_post` and
+ *       `no_badge_media`.
+ *     tags:
+ *       - Region
+ *     responses:
+ *       200:
+ *         description: Coverage and gaps per region, with totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totals:
+ *                   type: object
+ *                 regions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       code:
+ *                         type: string
+ *                       games:
+ *                         type: object
+ *                         description: games, items, explained and missingExplanation per game type
+ *                       knowledgePosts:
+ *                         type: integer
+ *                       badges:
+ *                         type: array
+ *                         description: >
+ *                           Active badges the region can earn, with id, code, tier and hasImage
+ *                         items:
+ *                           type: object
+ *                       gaps:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             code:
+ *                               type: string
+ *                             gameType:
+ *                               type: string
+ *                             itemIds:
+ *                               type: array
+ *                               items:
+ *                                 type: integer
+ *                             detail:
+ *                               type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/coverage', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.status(200).json(await getRegionCoverage());
     } catch (error) {
         next(error);
     }
@@ -236,4 +338,74 @@ router.delete('/delete-region/:id', async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /region/{id}/prerequisites:
+ *   get:
+ *     summary: Prerequisite regions of a region
+ *     tags:
+ *       - Region
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: regionId and minStars of each prerequisite region
+ *       404:
+ *         description: Region not found
+ *   put:
+ *     summary: Replace the prerequisite regions of a region (editor or admin role)
+ *     description: >
+ *       The region unlocks once the user has minStars stars in each prerequisite region.
+ *       An empty list opens the region to everyone. Prerequisites cannot make a cycle.
+ *     tags:
+ *       - Region
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               properties:
+ *                 regionId:
+ *                   type: integer
+ *                 minStars:
+ *                   type: integer
+ *                   minimum: 1
+ *                   maximum: 3
+ *     responses:
+ *       200:
+ *         description: The saved prerequisites
+ *       400:
+ *         description: Validation failed, an unknown prerequisite region or a cycle
+ *       404:
+ *         description: Region not found
+ */
+router.get('/:id/prerequisites', async (req, res, next) => {
+    try {
+        res.json(await getRegionPrerequisites(req.params.id));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.put('/:id/prerequisites', isCookieAuthenticated, hasRole('editor', 'admin'), async (req, res, next) => {
+    try {
+        res.json(await setRegionPrerequisites(req.params.id, req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
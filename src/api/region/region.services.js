@@ -1,4 +1,6 @@
 const { db } = require('../../utils/db');
+const { findActiveBadges } = require('../achievements/badge.services');
+const { summarizeGameType, findPostRegionId, findCoverageGaps } = require('../../helper/coverage.helper');
 
 function createRegion(region) {
     return db.regions.create({
@@ -31,6 +33,16 @@ async function findRegionById(id) {
                     gametype_id: true,
                 },
             },
+            timeline_games: {
+                select: {
+                    gametype_id: true,
+                },
+            },
+            map_games: {
+                select: {
+                    gametype_id: true,
+                },
+            },
         },
     });
 
@@ -40,6 +52,8 @@ async function findRegionById(id) {
             ...region.quiz_games.map(game => game.gametype_id),
             ...region.treasure_games.map(game => game.gametype_id),
             ...region.word_games.map(game => game.gametype_id),
+            ...region.timeline_games.map(game => game.gametype_id),
+            ...region.map_games.map(game => game.gametype_id),
         ];
         return {
             ...region,
@@ -66,9 +80,145 @@ function deleteRegionById(id) {
     });
 }
 
+const itemIds = (items) => items.map((item) => item.id);
+
+/**
+ * Per region, how many games and items of every game type exist, which items have no
+ * explanation yet, how many knowledge posts are about it and whether its catalogue badges have
+ * images
+ * @returns {Promise<Object>} Regions with their coverage and gaps, and the totals over all regions
+ */
+async function getRegionCoverage() {
+    const [regions, explanations, posts] = await Promise.all([
+        db.regions.findMany({
+            orderBy: { id: 'asc' },
+            include: {
+                word_games: { select: { id: true } },
+                quiz_games: { select: { id: true, quiz_game_questions: { select: { id: true } } } },
+                puzzle_games: { select: { id: true } },
+                treasure_games: { select: { id: true, treasure_cards: { select: { id: true } } } },
+                timeline_games: { select: { id: true, timeline_events: { select: { id: true } } } },
+                map_games: { select: { id: true } },
+            },
+        }),
+        db.after_question_info.findMany({
+            select: {
+                word_game_id_id: true,
+                quiz_game_question_id_id: true,
+                puzzle_game_id_id: true,
+                treasure_card_id_id: true,
+                timeline_event_id_id: true,
+                map_game_id_id: true,
+            },
+        }),
+        db.knowledge_post.findMany({
+            select: {
+                id: true,
+                subject: true,
+                title: true,
+                region_id_id: true,
+            },
+        }),
+    ]);
+
+    const explained = (field) => new Set(explanations
+        .map((info) => info[field])
+        .filter((id) => id !== null));
+    const explainedIds = {
+        word: explained('word_game_id_id'),
+        quiz: explained('quiz_game_question_id_id'),
+        puzzle: explained('puzzle_game_id_id'),
+        treasure: explained('treasure_card_id_id'),
+        timeline: explained('timeline_event_id_id'),
+        map: explained('map_game_id_id'),
+    };
+    const postsByRegion = posts.reduce((counts, post) => {
+        const regionId = findPostRegionId(post, regions);
+        return counts.set(regionId, (counts.get(regionId) || 0) + 1);
+    }, new Map());
+
+    const badges = await findActiveBadges();
+
+    const coverage = regions.map((region) => {
+        const games = {
+            word: summarizeGameType(
+                region.word_games.length,
+                itemIds(region.word_games),
+                explainedIds.word,
+            ),
+            quiz: summarizeGameType(
+                region.quiz_games.length,
+                region.quiz_games.flatMap((game) => itemIds(game.quiz_game_questions)),
+                explainedIds.quiz,
+            ),
+            puzzle: summarizeGameType(
+                region.puzzle_games.length,
+                itemIds(region.puzzle_games),
+                explainedIds.puzzle,
+            ),
+            treasure: summarizeGameType(
+                region.treasure_games.length,
+                region.treasure_games.flatMap((game) => itemIds(game.treasure_cards)),
+                explainedIds.treasure,
+            ),
+            timeline: summarizeGameType(
+                region.timeline_games.length,
+                region.timeline_games.flatMap((game) => itemIds(game.timeline_events)),
+                explainedIds.timeline,
+            ),
+            map: summarizeGameType(
+                region.map_games.length,
+                itemIds(region.map_games),
+                explainedIds.map,
+            ),
+        };
+        const regionBadges = badges
+            .filter((badge) => !badge.region_id_id || badge.region_id_id === region.id)
+            .map((badge) => ({
+                id: badge.id,
+                code: badge.code,
+                tier: badge.tier,
+                hasImage: Boolean(badge.media && badge.media.key),
+            }));
+        const knowledgePosts = postsByRegion.get(region.id) || 0;
+        const hasBadgeMedia = regionBadges.length > 0
+            && regionBadges.every((badge) => badge.hasImage);
+
+        return {
+            id: region.id,
+            name: region.region_name,
+            code: region.region_code,
+            games,
+            knowledgePosts,
+            badges: regionBadges,
+            gaps: findCoverageGaps({ games, knowledgePosts, hasBadgeMedia }),
+        };
+    });
+
+    const gameTypes = Object.keys(explainedIds);
+    return {
+        totals: {
+            regions: coverage.length,
+            games: gameTypes.reduce((totals, gameType) => ({
+                ...totals,
+                [gameType]: coverage.reduce((sum, region) => ({
+                    games: sum.games + region.games[gameType].games,
+                    items: sum.items + region.games[gameType].items,
+                    explained: sum.explained + region.games[gameType].explained,
+                }), { games: 0, items: 0, explained: 0 }),
+            }), {}),
+            knowledgePosts: posts.length,
+            unassignedKnowledgePosts: postsByRegion.get(null) || 0,
+            gaps: coverage.reduce((sum, region) => sum + region.gaps.length, 0),
+        },
+        regions: coverage,
+    };
+}
+
 module.exports = {
     createRegion,
     findRegionById,
+    getRegionCoverage,
     editRegionById,
     deleteRegionById,
 };
\ No newline at end of file
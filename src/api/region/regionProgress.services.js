@@ -0,0 +1,176 @@
+const { db } = require('../../utils/db');
+const { createHttpError } = require('../../utils/errors');
+const { validatePrerequisites, findPrerequisiteCycle, regionLock } = require('../../helper/regionProgress.helper');
+
+const prerequisiteSelect = {
+    region_id_id: true,
+    required_region_id_id: true,
+    min_stars: true,
+};
+
+// Stars of a user per region; duplicate achievement rows of a region count once, with their most
+// stars
+async function findStarsByRegion(userId) {
+    if (!userId) return new Map();
+
+    const achievements = await db.achievements.findMany({
+        where: { user_id_id: Number(userId) },
+        select: { region_id_id: true, stars: true },
+    });
+    return achievements.reduce((stars, achievement) => stars.set(
+        achievement.region_id_id,
+        Math.max(stars.get(achievement.region_id_id) || 0, Number(achievement.stars) || 0),
+    ), new Map());
+}
+
+function formatPrerequisite(prerequisite) {
+    return { regionId: prerequisite.required_region_id_id, minStars: prerequisite.min_stars };
+}
+
+/**
+ * Lock state of regions for a user
+ * @param {number|null} userId - User ID, null for a visitor, who has no stars
+ * @param {number[]} regionIds - Regions to check
+ * @returns {Promise<Map<number, Object>>} Per region ID: locked, requirements left and
+ * prerequisites
+ */
+async function getRegionLocks(userId, regionIds) {
+    const [prerequisites, starsByRegion] = await Promise.all([
+        db.region_prerequisites.findMany({
+            where: { region_id_id: { in: regionIds } },
+            select: prerequisiteSelect,
+            orderBy: { id: 'asc' },
+        }),
+        findStarsByRegion(userId),
+    ]);
+
+    return new Map(regionIds.map((regionId) => {
+        const ofRegion = prerequisites
+            .filter((prerequisite) => prerequisite.region_id_id === regionId);
+        return [regionId, {
+            ...regionLock(ofRegion, starsByRegion),
+            prerequisites: ofRegion.map(formatPrerequisite),
+        }];
+    }));
+}
+
+/**
+ * Lock state of one region for a user
+ * @param {number|null} userId - User ID, null for a visitor
+ * @param {number} regionId - Region ID
+ * @returns {Promise<{locked: boolean, requirements: Object[], prerequisites: Object[]}>}
+ */
+async function getRegionLock(userId, regionId) {
+    const locks = await getRegionLocks(userId, [Number(regionId)]);
+    return locks.get(Number(regionId));
+}
+
+/**
+ * Every region with its lock state for a user: the progression graph
+ * @param {number|null} userId - User ID, null for a visitor
+ * @returns {Promise<Object[]>} Regions with lock
+ */
+async function listRegionsWithLocks(userId) {
+    const regions = await db.regions.findMany({ orderBy: { id: 'asc' } });
+    const locks = await getRegionLocks(userId, regions.map((region) => region.id));
+
+    return regions.map((region) => ({ ...region, lock: locks.get(region.id) }));
+}
+
+/**
+ * Regions that have prerequisites, and so can be locked for some users
+ * @returns {Promise<Set<number>>} Region IDs
+ */
+async function findLockableRegionIds() {
+    const prerequisites = await db.region_prerequisites.findMany({
+        select: { region_id_id: true },
+        distinct: ['region_id_id'],
+    });
+    return new Set(prerequisites.map((prerequisite) => prerequisite.region_id_id));
+}
+
+/**
+ * Refuse the games of a region the user has not unlocked yet
+ * @param {number|null} userId - User ID, null for a visitor
+ * @param {number} regionId - Region ID
+ */
+async function assertRegionUnlocked(userId, regionId) {
+    if (!Number.isInteger(Number(regionId))) return;
+
+    const lock = await getRegionLock(userId, regionId);
+    if (lock.locked) {
+        const missing = lock.requirements
+            .map((requirement) => `${requirement.missingStars} more stars in region ${requirement.regionId}`)
+            .join(', ');
+        throw createHttpError(403, `Region is locked: ${missing}`);
+    }
+}
+
+/**
+ * Prerequisites of a region
+ * @param {number} regionId - Region ID
+ * @returns {Promise<Object[]>} regionId and minStars of each prerequisite region
+ */
+async function getRegionPrerequisites(regionId) {
+    if (!(await db.regions.count({ where: { id: Number(regionId) } }))) {
+        throw createHttpError(404, 'Region not found');
+    }
+    const prerequisites = await db.region_prerequisites.findMany({
+        where: { region_id_id: Number(regionId) },
+        select: prerequisiteSelect,
+        orderBy: { id: 'asc' },
+    });
+    return prerequisites.map(formatPrerequisite);
+}
+
+/**
+ * Replace the prerequisites of a region; an empty list opens it to everyone
+ * @param {number} regionId - Region ID
+ * @param {Object[]} prerequisites - regionId and minStars of each prerequisite region
+ * @returns {Promise<Object[]>} The saved prerequisites
+ */
+async function setRegionPrerequisites(regionId, prerequisites) {
+    const id = Number(regionId);
+    const errors = validatePrerequisites(id, prerequisites);
+    if (errors.length) {
+        throw createHttpError(400, errors.join('; '));
+    }
+
+    if (!(await db.regions.count({ where: { id } }))) {
+        throw createHttpError(404, 'Region not found');
+    }
+    const requiredIds = prerequisites.map((prerequisite) => Number(prerequisite.regionId));
+    if ((await db.regions.count({ where: { id: { in: requiredIds } } })) !== requiredIds.length) {
+        throw createHttpError(400, 'Prerequisite region not found');
+    }
+
+    const rows = prerequisites.map((prerequisite) => ({
+        region_id_id: id,
+        required_region_id_id: Number(prerequisite.regionId),
+        min_stars: Number(prerequisite.minStars),
+    }));
+    const others = await db.region_prerequisites.findMany({
+        where: { region_id_id: { not: id } },
+        select: prerequisiteSelect,
+    });
+    const cycle = findPrerequisiteCycle([...others, ...rows]);
+    if (cycle) {
+        throw createHttpError(400, `Prerequisites would make a cycle: regions ${cycle.join(' -> ')}`);
+    }
+
+    await db.$transaction([
+        db.region_prerequisites.deleteMany({ where: { region_id_id: id } }),
+        db.region_prerequisites.createMany({ data: rows }),
+    ]);
+    return rows.map(formatPrerequisite);
+}
+
+module.exports = {
+    getRegionLocks,
+    getRegionLock,
+    listRegionsWithLocks,
+    findLockableRegionIds,
+    assertRegionUnlocked,
+    getRegionPrerequisites,
+    setRegionPrerequisites,
+};
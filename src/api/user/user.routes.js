@@ -1,6 +1,7 @@
 const express = require('express');
-const { isAuthenticated } = require('../../middlewares');
+const { isAuthenticated, isCookieAuthenticated } = require('../../middlewares');
 const { findUserById, updateUserById } = require('./user.services');
+const { getUserProgress } = require('./userProgress.services');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 
@@ -199,6 +200,29 @@ router.put('/update-password', async (req, res, next) => {
   }
 });
 
-
+/**
+ * @swagger
+ * /users/me/progress:
+ *   get:
+ *     summary: Progress of the current user in every region
+ *     description: >
+ *       Per region: stars out of maxStars and the heritage categories done, games played and completed,
+ *       time spent and last played per game type and overall, and completion, the percentage of the region's
+ *       items answered in counted games (null when the region has no items). Flagged and rejected games
+ *       are played but not completed. totals adds up every region.
+ *     tags: [User]
+ *     responses:
+ *       200:
+ *         description: totals and regions
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/progress', isCookieAuthenticated, async (req, res, next) => {
+  try {
+    res.json(await getUserProgress(req.payload.userId));
+  } catch (err) {
+    next(err);
+  }
+});
 
 module.exports = router;
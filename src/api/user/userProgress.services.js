@@ -0,0 +1,191 @@
+const { Prisma, enum_game_types_code } = require('@prisma/client');
+const { db } = require('../../utils/db');
+const { COUNTED_REVIEW_STATUSES } = require('../../helper/plausibility.helper');
+const {
+    latest,
+    heritageStatus,
+    emptyPlays,
+    addPlays,
+    completionPercent,
+} = require('../../helper/progress.helper');
+
+const GAME_TYPES = Object.values(enum_game_types_code);
+
+const key = (regionId, gameType) => `${regionId}:${gameType}`;
+
+const countsByKey = (rows, gameType, regionField) => rows
+    .map((row) => [key(row[regionField], gameType), row._count._all]);
+
+// Playable items per region and game type, counted like countGameItems
+async function countItems() {
+    const [word, quiz, puzzle, treasure, timeline, map] = await Promise.all([
+        db.word_games.groupBy({ by: ['region_id'], _count: { _all: true } }),
+        db.quiz_games.findMany({
+            select: { regionid_id: true, _count: { select: { quiz_game_questions: true } } },
+        }),
+        db.puzzle_games.groupBy({ by: ['regionid_id'], _count: { _all: true } }),
+        db.treasure_games.groupBy({ by: ['region_id'], _count: { _all: true } }),
+        db.timeline_games.groupBy({ by: ['region_id'], _count: { _all: true } }),
+        db.map_games.groupBy({ by: ['region_id'], _count: { _all: true } }),
+    ]);
+    const quizQuestions = quiz.reduce((counts, game) => counts.set(
+        key(game.regionid_id, 'quiz'),
+        (counts.get(key(game.regionid_id, 'quiz')) || 0) + game._count.quiz_game_questions,
+    ), new Map());
+
+    return new Map([
+        ...countsByKey(word, 'word', 'region_id'),
+        ...quizQuestions,
+        ...countsByKey(puzzle, 'puzzle', 'regionid_id'),
+        ...countsByKey(treasure, 'treasure', 'region_id'),
+        ...countsByKey(timeline, 'timeline', 'region_id'),
+        ...countsByKey(map, 'map', 'region_id'),
+    ]);
+}
+
+// Distinct items answered in counted sessions, per region and game type
+function countAnsweredItems(userId) {
+    return db.$queryRaw`
+        SELECT s.region_id_id, t.code AS game_type, COUNT(DISTINCT a.item_id)::int AS answered
+        FROM game_session_attempts a
+        JOIN game_sessions s ON s.id = a.session_id_id
+        JOIN game_types t ON t.id = s.game_type_id_id
+        WHERE s.user_id_id = ${userId}
+            AND s.status = 'completed'
+            AND s.review_status::text IN (${Prisma.join(COUNTED_REVIEW_STATUSES)})
+            AND a.answered_time IS NOT NULL
+        GROUP BY s.region_id_id, t.code`;
+}
+
+/**
+ * Progress of a user in every region: stars and heritage categories, plays per game type, time
+ * spent, last played and how much of the region's content was answered. Built from a fixed number
+ * of aggregate queries whatever the number of regions.
+ * @param {number} userId - User ID
+ * @returns {Promise<{totals: Object, regions: Object[]}>}
+ */
+async function getUserProgress(userId) {
+    const [
+        regions,
+        gameTypes,
+        achievements,
+        processes,
+        sessions,
+        legacyHistory,
+        answered,
+        items,
+    ] = await Promise.all([
+        db.regions.findMany({ select: { id: true, region_name: true, region_code: true }, orderBy: { id: 'asc' } }),
+        db.game_types.findMany({ select: { id: true, code: true } }),
+        db.achievements.findMany({
+            where: { user_id_id: userId },
+            select: {
+                region_id_id: true,
+                history: true,
+                intangible_heritage: true,
+                tangible_heritage: true,
+            },
+        }),
+        db.play_process.findMany({
+            where: { user_id_id: userId, achievements: { isNot: null } },
+            select: {
+                history: true,
+                intangible_heritage: true,
+                tangible_heritage: true,
+                achievements: { select: { region_id_id: true } },
+            },
+        }),
+        db.game_sessions.groupBy({
+            by: ['region_id_id', 'game_type_id_id', 'status', 'review_status'],
+            where: { user_id_id: userId },
+            _count: { _all: true },
+            _sum: { duration_ms: true },
+            _max: { started_time: true, completed_time: true },
+        }),
+        // Games played before game sessions, whose history was written by the client
+        db.history.findMany({
+            where: { user_id_id: userId, game_sessions: { none: {} } },
+            select: {
+                region_id_id: true, game_type_id_id: true, started_time: true, completed_time: true,
+            },
+        }),
+        countAnsweredItems(userId),
+        countItems(),
+    ]);
+    const gameTypeCodes = new Map(gameTypes.map((gameType) => [gameType.id, gameType.code]));
+
+    const plays = new Map();
+    const add = (regionId, gameType, added) => {
+        if (!gameType) return;
+        const current = plays.get(key(regionId, gameType)) || emptyPlays();
+        plays.set(key(regionId, gameType), addPlays(current, added));
+    };
+    sessions.forEach((group) => add(group.region_id_id, gameTypeCodes.get(group.game_type_id_id), {
+        played: group._count._all,
+        completed: group.status === 'completed' && COUNTED_REVIEW_STATUSES.includes(group.review_status)
+            ? group._count._all
+            : 0,
+        timeSpentMs: group._sum.duration_ms || 0,
+        lastPlayed: latest(group._max.started_time, group._max.completed_time),
+    }));
+    legacyHistory.forEach((history) => {
+        const { started_time: startedTime, completed_time: completedTime } = history;
+        add(history.region_id_id, gameTypeCodes.get(history.game_type_id_id), {
+            played: 1,
+            completed: completedTime ? 1 : 0,
+            timeSpentMs: startedTime && completedTime
+                ? Math.max(completedTime - startedTime, 0)
+                : 0,
+            lastPlayed: latest(startedTime, completedTime),
+        });
+    });
+    const answeredItems = new Map(answered
+        .map((row) => [key(row.region_id_id, row.game_type), row.answered]));
+
+    const regionProgress = regions.map((region) => {
+        const games = GAME_TYPES.reduce((byType, gameType) => ({
+            ...byType,
+            [gameType]: {
+                ...(plays.get(key(region.id, gameType)) || emptyPlays()),
+                items: items.get(key(region.id, gameType)) || 0,
+                answeredItems: answeredItems.get(key(region.id, gameType)) || 0,
+            },
+        }), {});
+        const total = Object.values(games).reduce(addPlays, emptyPlays());
+
+        return {
+            id: region.id,
+            name: region.region_name,
+            code: region.region_code,
+            ...heritageStatus([
+                ...achievements.filter((achievement) => achievement.region_id_id === region.id),
+                ...processes.filter((process) => process.achievements.region_id_id === region.id),
+            ]),
+            games,
+            played: total.played,
+            completed: total.completed,
+            timeSpentMs: total.timeSpentMs,
+            lastPlayed: total.lastPlayed,
+            completion: completionPercent(Object.values(games)),
+        };
+    });
+    const total = regionProgress.reduce(addPlays, emptyPlays());
+
+    return {
+        totals: {
+            stars: regionProgress.reduce((sum, region) => sum + region.stars, 0),
+            maxStars: regionProgress.reduce((sum, region) => sum + region.maxStars, 0),
+            played: total.played,
+            completed: total.completed,
+            timeSpentMs: total.timeSpentMs,
+            lastPlayed: total.lastPlayed,
+            completion: completionPercent(regionProgress
+                .flatMap((region) => Object.values(region.games))),
+        },
+        regions: regionProgress,
+    };
+}
+
+module.exports = {
+    getUserProgress,
+};
@@ -49,6 +49,7 @@ const corsOptions = {
 }
 
 app.use(cors(corsOptions));
+app.locals.allowedOrigins = corsOptions.origin;
 app.options('*', cors(corsOptions)); // Handle preflight requests globally
 
 // Body parsers
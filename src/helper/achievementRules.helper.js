@@ -0,0 +1,129 @@
+const { enum_game_types_code } = require('@prisma/client');
+const { isBlank } = require('./gameContent.helper');
+
+const GAME_TYPES = Object.values(enum_game_types_code);
+
+// Game events rules are evaluated on
+const ACHIEVEMENT_EVENTS = ['game_completed', 'daily_completed'];
+
+// Conditions achievements can be defined with: the events that can change them and their parameters
+const ACHIEVEMENT_CONDITIONS = {
+    // Every item of a region answered, of one game type or of all of them
+    region_completed: { events: ['game_completed'], required: ['regionId'], optional: ['gameType'] },
+    games_completed: { events: ['game_completed'], required: ['count'], optional: ['regionId', 'gameType'] },
+    // Games finished with the full score
+    perfect_games: { events: ['game_completed'], required: ['count'], optional: ['regionId', 'gameType'] },
+    correct_answers: { events: ['game_completed', 'daily_completed'], required: ['count'], optional: ['gameType'] },
+    // Longest run of consecutive daily challenges
+    daily_streak: { events: ['daily_completed'], required: ['days'], optional: [] },
+};
+
+// Fewest answered items a completed session needs to count for games_completed and perfect_games. A
+// quiz question, word or map pin is quick, so a session of one or two of them is not a game; a
+// puzzle, treasure hunt or timeline is one game of its own.
+const MIN_GAME_ITEMS = {
+    quiz: 5,
+    word: 3,
+    map: 3,
+    puzzle: 1,
+    treasure: 1,
+    timeline: 1,
+};
+
+const isPositiveInteger = (value) => !isBlank(value)
+    && Number.isInteger(Number(value))
+    && Number(value) > 0;
+
+/**
+ * Check a rule definition
+ * @param {Object} rule - code, name, condition and params
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateAchievementRule = ({
+    code,
+    name,
+    condition,
+    params,
+}) => {
+    const errors = [];
+
+    if (isBlank(code) || !/^[a-z0-9][a-z0-9_-]*$/.test(code)) {
+        errors.push('code must be lowercase letters, digits, - and _');
+    }
+    if (isBlank(name)) errors.push('name is required');
+
+    const definition = ACHIEVEMENT_CONDITIONS[condition];
+    if (!definition) {
+        errors.push(`condition must be one of ${Object.keys(ACHIEVEMENT_CONDITIONS).join(', ')}`);
+        return errors;
+    }
+    if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+        errors.push('params must be an object');
+        return errors;
+    }
+
+    const values = params || {};
+    definition.required
+        .filter((param) => isBlank(values[param]))
+        .forEach((param) => errors.push(`${condition} needs params.${param}`));
+    Object.keys(values)
+        .filter((param) => !definition.required.includes(param)
+            && !definition.optional.includes(param))
+        .forEach((param) => errors.push(`params.${param} is not used by ${condition}`));
+    ['regionId', 'count', 'days']
+        .filter((param) => !isBlank(values[param]) && !isPositiveInteger(values[param]))
+        .forEach((param) => errors.push(`params.${param} must be a positive integer`));
+    if (!isBlank(values.gameType) && !GAME_TYPES.includes(values.gameType)) {
+        errors.push(`params.gameType must be one of ${GAME_TYPES.join(', ')}`);
+    }
+
+    return errors;
+};
+
+/**
+ * Params of a valid rule as stored: only the ones its condition uses, ids and counts as numbers
+ * @param {string} condition
+ * @param {Object} [params]
+ * @returns {Object}
+ */
+const normalizeRuleParams = (condition, params = {}) => {
+    const { required, optional } = ACHIEVEMENT_CONDITIONS[condition];
+
+    return [...required, ...optional]
+        .filter((param) => !isBlank(params[param]))
+        .reduce((normalized, param) => ({
+            ...normalized,
+            [param]: param === 'gameType' ? params[param] : Number(params[param]),
+        }), {});
+};
+
+/**
+ * Whether an event can change the progress of a rule
+ * @param {Object} rule - Rule with its condition
+ * @param {string} event - game_completed or daily_completed
+ * @returns {boolean}
+ */
+const isRuleAffectedBy = (rule, event) => ACHIEVEMENT_CONDITIONS[rule.condition].events
+    .includes(event);
+
+/**
+ * Progress towards a rule; rules without a target (a region with no games) cannot be unlocked
+ * @param {number} current
+ * @param {number} target
+ * @returns {{current: number, target: number, met: boolean}}
+ */
+const ruleProgress = (current, target) => ({
+    current: Math.min(current, target),
+    target,
+    met: target > 0 && current >= target,
+});
+
+module.exports = {
+    ACHIEVEMENT_EVENTS,
+    ACHIEVEMENT_CONDITIONS,
+    MIN_GAME_ITEMS,
+    validateAchievementRule,
+    normalizeRuleParams,
+    isRuleAffectedBy,
+    ruleProgress,
+};
@@ -0,0 +1,177 @@
+const { distanceKm, readPin } = require('./geo.helper');
+
+const OPTION_KEYS = ['A', 'B', 'C', 'D'];
+
+// A pin further than this many tolerance radii from the target scores nothing
+const MAP_ZERO_SCORE_RADII = 4;
+
+const normalizeText = (value) => String(value == null ? '' : value)
+    .normalize('NFC')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLocaleLowerCase('vi');
+
+// Resolve either an option letter ("b") or the option text itself to its letter
+const resolveOptionLetter = (options, value) => {
+    const normalized = normalizeText(value);
+    if (!normalized) return null;
+
+    const letter = OPTION_KEYS.find((key) => key.toLowerCase() === normalized);
+    if (letter) return letter;
+
+    return OPTION_KEYS
+        .find((key) => options[key] && normalizeText(options[key]) === normalized) || null;
+};
+
+const getQuizOptions = (question) => ({
+    A: question.option_a,
+    B: question.option_b,
+    C: question.option_c,
+    D: question.option_d,
+});
+
+const checkQuizAnswer = (question, answer) => {
+    const options = getQuizOptions(question);
+    const correctLetter = resolveOptionLetter(options, question.correct_answer);
+    const submittedLetter = resolveOptionLetter(options, answer);
+    const correct = Boolean(correctLetter) && submittedLetter === correctLetter;
+
+    return { correct, score: correct ? 1 : 0, maxScore: 1 };
+};
+
+const checkWordAnswer = (game, answer) => {
+    const submitted = Array.isArray(answer) ? answer.join('') : answer;
+    const compact = (value) => normalizeText(value).replace(/\s/g, '');
+
+    // Either the stored answer or the ordered correct letters count as a solution
+    const accepted = [game.answer];
+    if (game.word_games_correct_letters && game.word_games_correct_letters.length) {
+        accepted.push(game.word_games_correct_letters.map((l) => l.letter).join(''));
+    }
+
+    const correct = Boolean(compact(submitted))
+        && accepted.some((value) => compact(value) === compact(submitted));
+
+    return { correct, score: correct ? 1 : 0, maxScore: 1 };
+};
+
+const checkPuzzleAnswer = (answerRows, answer) => {
+    const expected = [...answerRows]
+        .sort((a, b) => a.order - b.order)
+        .map((row) => Number(row.index));
+    const submitted = Array.isArray(answer) ? answer.map(Number) : [];
+
+    // One point for every slot holding the right piece
+    const score = expected.filter((index, slot) => submitted[slot] === index).length;
+    const correct = expected.length > 0
+        && submitted.length === expected.length
+        && score === expected.length;
+
+    return { correct, score, maxScore: expected.length };
+};
+
+const checkTreasureAnswer = (cards, answer) => {
+    const groupByCard = new Map(cards.map((card) => [card.id, Number(card.match_group)]));
+    const cardsByGroup = cards.reduce((groups, card) => groups.set(
+        Number(card.match_group),
+        [...(groups.get(Number(card.match_group)) || []), card.id],
+    ), new Map());
+    const maxScore = cardsByGroup.size;
+
+    // The answer is a list of card id pairs the player turned over together. Every card can only be
+    // in one pair, so an answer pairing each card with all the others is rejected instead of
+    // matching every group.
+    const pairs = Array.isArray(answer) ? answer : [];
+    const wellFormed = pairs.every((pair) => Array.isArray(pair) && pair.length === 2);
+    const turned = wellFormed ? pairs.flat().map(Number) : [];
+    if (!wellFormed
+        || new Set(turned).size !== turned.length
+        || turned.some((id) => !groupByCard.has(id))) {
+        return { correct: false, score: 0, maxScore };
+    }
+
+    // A pair matches a group when it holds exactly the cards of that group
+    const score = pairs.filter(([first, second]) => {
+        const group = cardsByGroup.get(groupByCard.get(Number(first)));
+        return group.length === 2 && group.includes(Number(second));
+    }).length;
+    const correct = maxScore > 0 && score === maxScore;
+
+    return { correct, score, maxScore };
+};
+
+// Events compare by year, then month and day when both events have them
+const compareEvents = (a, b) => a.event_year - b.event_year
+    || (a.event_month && b.event_month ? a.event_month - b.event_month : 0)
+    || (a.event_day && b.event_day && a.event_month === b.event_month
+        ? a.event_day - b.event_day
+        : 0);
+
+const checkTimelineAnswer = (events, answer) => {
+    const submitted = Array.isArray(answer) ? answer.map(Number) : [];
+    const position = new Map();
+    submitted.forEach((id, i) => {
+        if (!position.has(id)) position.set(id, i);
+    });
+
+    // Kendall tau: every pair of events in the right relative order earns credit,
+    // events given the same date may go either way and are not counted
+    const pairs = events.flatMap((first, i) => events.slice(i + 1)
+        .filter((second) => compareEvents(first, second) !== 0)
+        .map((second) => (compareEvents(first, second) < 0 ? [first, second] : [second, first])));
+    const inOrder = pairs.filter(([earlier, later]) => position.has(earlier.id)
+        && position.has(later.id)
+        && position.get(earlier.id) < position.get(later.id)).length;
+
+    // Scaled to one point per event, so a nearly right order scores nearly full marks
+    const maxScore = events.length;
+    const complete = submitted.length === events.length
+        && events.every((event) => position.has(event.id));
+    const correct = maxScore > 0 && complete && inOrder === pairs.length;
+    const ratio = pairs.length ? inOrder / pairs.length : Number(complete);
+    const score = correct ? maxScore : Math.floor(maxScore * ratio * 100) / 100;
+
+    return { correct, score, maxScore };
+};
+
+const checkMapAnswer = (game, answer) => {
+    const pin = readPin(answer);
+    if (!pin) {
+        return {
+            correct: false,
+            score: 0,
+            maxScore: 1,
+            distanceKm: null,
+        };
+    }
+
+    const target = { lat: Number(game.latitude), lng: Number(game.longitude) };
+    const tolerance = Number(game.tolerance_km);
+    const distance = distanceKm(pin, target);
+    const correct = distance <= tolerance;
+
+    // Full marks inside the tolerance radius, then less the further the pin is
+    const ratio = (distance - tolerance) / (tolerance * (MAP_ZERO_SCORE_RADII - 1));
+    const score = correct ? 1 : Math.max(0, Math.floor((1 - ratio) * 100) / 100);
+
+    return {
+        correct,
+        score,
+        maxScore: 1,
+        distanceKm: Math.round(distance * 10) / 10,
+    };
+};
+
+module.exports = {
+    OPTION_KEYS,
+    normalizeText,
+    resolveOptionLetter,
+    getQuizOptions,
+    checkQuizAnswer,
+    checkWordAnswer,
+    checkPuzzleAnswer,
+    checkTreasureAnswer,
+    compareEvents,
+    checkTimelineAnswer,
+    checkMapAnswer,
+};
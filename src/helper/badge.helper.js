@@ -0,0 +1,86 @@
+const { enum_badges_tier } = require('@prisma/client');
+const { isBlank } = require('./gameContent.helper');
+const { MAX_REGION_STARS } = require('./heritageStars.helper');
+
+// Lowest to highest
+const BADGE_TIERS = Object.values(enum_badges_tier);
+
+// Stars a tier needs unless the badge sets its own min_stars
+const TIER_MIN_STARS = {
+    bronze: 1,
+    silver: 2,
+    gold: 3,
+};
+
+/**
+ * Check a badge definition
+ * @param {Object} badge - code, name, tier, and optionally minStars and regionId
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateBadge = ({
+    code,
+    name,
+    tier,
+    minStars,
+    regionId,
+}) => {
+    const errors = [];
+
+    if (isBlank(code) || !/^[a-z0-9][a-z0-9_-]*$/.test(code)) {
+        errors.push('code must be lowercase letters, digits, - and _');
+    }
+    if (isBlank(name)) errors.push('name is required');
+    if (!BADGE_TIERS.includes(tier)) {
+        errors.push(`tier must be one of ${BADGE_TIERS.join(', ')}`);
+    }
+    const validMinStars = Number.isInteger(Number(minStars))
+        && Number(minStars) >= 1
+        && Number(minStars) <= MAX_REGION_STARS;
+    if (!isBlank(minStars) && !validMinStars) {
+        errors.push(`minStars must be an integer from 1 to ${MAX_REGION_STARS}`);
+    }
+    if (!isBlank(regionId) && !(Number.isInteger(Number(regionId)) && Number(regionId) > 0)) {
+        errors.push('regionId must be a positive integer');
+    }
+
+    return errors;
+};
+
+/**
+ * Stars a badge needs, as stored
+ * @param {string} tier
+ * @param {number|string} [minStars]
+ * @returns {number}
+ */
+const badgeMinStars = (tier, minStars) => (isBlank(minStars)
+    ? TIER_MIN_STARS[tier]
+    : Number(minStars));
+
+/**
+ * The badge an achievement earns: the highest one its stars reach, a badge of the region before one
+ * of every region
+ * @param {Object[]} badges - Badges with tier, region_id_id, min_stars and active
+ * @param {Object} achievement
+ * @param {number} achievement.regionId
+ * @param {number} achievement.stars
+ * @returns {Object|null} The badge, null when none is earned yet
+ */
+const pickBadge = (badges, { regionId, stars }) => {
+    const [badge] = badges
+        .filter((candidate) => candidate.active && candidate.min_stars <= (Number(stars) || 0))
+        .filter((candidate) => !candidate.region_id_id || candidate.region_id_id === regionId)
+        .sort((a, b) => b.min_stars - a.min_stars
+            || BADGE_TIERS.indexOf(b.tier) - BADGE_TIERS.indexOf(a.tier)
+            || Boolean(b.region_id_id) - Boolean(a.region_id_id)
+            || a.id - b.id);
+
+    return badge || null;
+};
+
+module.exports = {
+    BADGE_TIERS,
+    TIER_MIN_STARS,
+    validateBadge,
+    badgeMinStars,
+    pickBadge,
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Crockford base32: no I, L, O or U, which are easily misread when a code is typed from paper
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 12;
+const CODE_GROUP = 4;
+
+const CERTIFICATE_FORMATS = ['pdf', 'png'];
+
+// A4 landscape, in pixels at 150 dpi for the image and in points for the PDF page
+const PAGE_PIXELS = { width: 1754, height: 1240 };
+const PAGE_POINTS = { width: 842, height: 595 };
+
+const BADGE_SIZE = 300;
+
+const FONT_FAMILY = "'DejaVu Serif', 'Noto Serif', 'Times New Roman', serif";
+
+const groupCode = (code) => code.match(new RegExp(`.{1,${CODE_GROUP}}`, 'g')).join('-');
+
+/**
+ * A new random verification code such as 7KQ2-M9XD-4RTA
+ * @param {Buffer} [bytes] - Random bytes, one per character
+ * @returns {string}
+ */
+const generateCertificateCode = (bytes = crypto.randomBytes(CODE_LENGTH)) => groupCode(
+    // 256 is a multiple of 32, so every character is equally likely
+    [...bytes].slice(0, CODE_LENGTH).map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join(''),
+);
+
+/**
+ * Read a code as typed by a person: any case, with or without dashes and spaces, O for 0 and I or L
+ * for 1
+ * @param {string} value
+ * @returns {string|null} The code as stored, null when it cannot be a certificate code
+ */
+const normalizeCertificateCode = (value) => {
+    const code = String(value == null ? '' : value)
+        .toUpperCase()
+        .replace(/[\s-]/g, '')
+        .replace(/O/g, '0')
+        .replace(/[IL]/g, '1');
+    if (code.length !== CODE_LENGTH || [...code].some((char) => !CODE_ALPHABET.includes(char))) {
+        return null;
+    }
+    return groupCode(code);
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// SVG text does not wrap, so long names get a smaller font; 0.55em is about the average width
+// of a letter
+const fitFontSize = (text, maxWidth, maxSize) => Math.min(
+    maxSize,
+    Math.floor(maxWidth / (String(text).length * 0.55)),
+);
+
+/**
+ * Draw a certificate
+ * @param {Object} certificate
+ * @param {string} certificate.fullName
+ * @param {string} certificate.regionName
+ * @param {number} certificate.stars
+ * @param {number} certificate.maxStars
+ * @param {string} certificate.issuedDate - Date as printed, e.g. 19/10/2026
+ * @param {string} certificate.code - Verification code
+ * @param {string} certificate.verifyUrl - Where the code can be checked
+ * @param {string|null} [certificate.badgeDataUri] - Badge artwork as a data URI
+ * @returns {string} SVG of one A4 landscape page
+ */
+const certificateSvg = ({
+    fullName,
+    regionName,
+    stars,
+    maxStars,
+    issuedDate,
+    code,
+    verifyUrl,
+    badgeDataUri,
+}) => {
+    const { width, height } = PAGE_PIXELS;
+    const center = width / 2;
+    const nameSize = fitFontSize(fullName, width - 560, 96);
+    const regionSize = fitFontSize(regionName, width - 560, 64);
+    const starMarks = `${'★'.repeat(stars)}${'☆'.repeat(Math.max(maxStars - stars, 0))}`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="${width}" height="${height}" fill="#fffdf6"/>
+  <rect x="40" y="40" width="${width - 80}" height="${height - 80}" fill="none" stroke="#8a5a14" stroke-width="8"/>
+  <rect x="64" y="64" width="${width - 128}" height="${height - 128}" fill="none" stroke="#c9a04a" stroke-width="3"/>
+  <g font-family="${FONT_FAMILY}" fill="#3b2a10" text-anchor="middle">
+    <text x="${center}" y="200" font-size="80" font-weight="bold" fill="#8a5a14">GIẤY CHỨNG NHẬN</text>
+    <text x="${center}" y="290" font-size="40">Chứng nhận</text>
+    <text x="${center}" y="${290 + 40 + nameSize}" font-size="${nameSize}" font-weight="bold">${escapeXml(fullName)}</text>
+    <text x="${center}" y="520" font-size="40">đã hoàn thành vùng</text>
+    <text x="${center}" y="${520 + 20 + regionSize}" font-size="${regionSize}" font-weight="bold">${escapeXml(regionName)}</text>
+    <text x="${center}" y="720" font-size="64" fill="#c9a04a">${starMarks}</text>
+  </g>
+  ${badgeDataUri ? `<image x="${center - BADGE_SIZE / 2}" y="760" width="${BADGE_SIZE}" height="${BADGE_SIZE}" href="${badgeDataUri}"/>` : ''}
+  <g font-family="${FONT_FAMILY}" fill="#3b2a10" font-size="30">
+    <text x="140" y="${height - 120}">Ngày cấp: ${escapeXml(issuedDate)}</text>
+    <text x="${width - 140}" y="${height - 160}" text-anchor="end">Mã xác thực: ${escapeXml(code)}</text>
+    <text x="${width - 140}" y="${height - 120}" text-anchor="end" font-size="22">${escapeXml(verifyUrl)}</text>
+  </g>
+</svg>`;
+};
+
+/**
+ * Wrap a JPEG into a one-page PDF that shows it over the whole page
+ * @param {Buffer} jpeg - Baseline RGB JPEG
+ * @param {{width: number, height: number}} size - Pixel size of the JPEG
+ * @param {{width: number, height: number}} [page] - Page size in points
+ * @returns {Buffer} The PDF
+ */
+const jpegToPdf = (jpeg, size, page = PAGE_POINTS) => {
+    const content = `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] `
+            + '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>',
+        [
+            `<< /Type /XObject /Subtype /Image /Width ${size.width} /Height ${size.height} /ColorSpace /DeviceRGB `
+                + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+            jpeg,
+            '\nendstream',
+        ],
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    ];
+
+    const header = Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1');
+    const chunks = [header];
+    const offsets = [];
+    let { length } = header;
+    const push = (chunk) => {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+        chunks.push(buffer);
+        length += buffer.length;
+    };
+
+    objects.forEach((object, i) => {
+        offsets.push(length);
+        push(`${i + 1} 0 obj\n`);
+        [].concat(object).forEach(push);
+        push('\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach((offset) => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Badge artwork as a PNG data URI the certificate SVG can embed
+ * @param {Buffer} image - Image data in any format sharp reads
+ * @returns {Promise<string>}
+ */
+const toBadgeDataUri = async (image) => {
+    const png = await sharp(image)
+        .resize(BADGE_SIZE * 2, BADGE_SIZE * 2, {
+            fit: 'contain',
+            background: {
+                r: 0, g: 0, b: 0, alpha: 0,
+            },
+        })
+        .png()
+        .toBuffer();
+    return `data:image/png;base64,${png.toString('base64')}`;
+};
+
+/**
+ * Render a certificate SVG to a file
+ * @param {string} svg - certificateSvg result
+ * @param {string} format - pdf or png
+ * @returns {Promise<Buffer>}
+ */
+const renderCertificate = async (svg, format) => {
+    if (!CERTIFICATE_FORMATS.includes(format)) {
+        throw new Error(`format must be one of ${CERTIFICATE_FORMATS.join(', ')}`);
+    }
+
+    const image = sharp(Buffer.from(svg));
+    if (format === 'png') {
+        return image.png().toBuffer();
+    }
+    const jpeg = await image.flatten({ background: '#ffffff' }).jpeg({ quality: 92 }).toBuffer();
+    return jpegToPdf(jpeg, PAGE_PIXELS);
+};
+
+module.exports = {
+    CERTIFICATE_FORMATS,
+    generateCertificateCode,
+    normalizeCertificateCode,
+    escapeXml,
+    certificateSvg,
+    jpegToPdf,
+    toBadgeDataUri,
+    renderCertificate,
+};
@@ -0,0 +1,97 @@
+const { normalizeText } = require('./answer.helper');
+
+// Game types in the coverage report and what their explanations (after_question_info) are written
+// for
+const EXPLAINED_UNITS = {
+    word: 'game',
+    quiz: 'question',
+    puzzle: 'game',
+    treasure: 'card',
+    timeline: 'event',
+    map: 'game',
+};
+
+/**
+ * Count the explainable items of one game type in a region
+ * @param {number} gameCount - Number of games
+ * @param {number[]} itemIds - IDs of the items explanations are written for
+ * @param {Set<number>} explainedIds - IDs of the items that have an explanation
+ * @returns {Object} games, items, explained and the IDs of the items missing an explanation
+ */
+const summarizeGameType = (gameCount, itemIds, explainedIds) => {
+    const missingExplanation = itemIds.filter((id) => !explainedIds.has(id)).sort((a, b) => a - b);
+
+    return {
+        games: gameCount,
+        items: itemIds.length,
+        explained: itemIds.length - missingExplanation.length,
+        missingExplanation,
+    };
+};
+
+// Words of a text between spaces, so names are matched as whole words
+const wordsOf = (text) => ` ${normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean).join(' ')} `;
+
+/**
+ * Region a knowledge post is about: the one it is linked to, otherwise the only region its subject
+ * or title names
+ * @param {Object} post - Knowledge post with subject, title and region_id_id
+ * @param {Object[]} regions - Regions with id and region_name
+ * @returns {number|null} Region ID, null when the post names no region or several
+ */
+const findPostRegionId = (post, regions) => {
+    if (post.region_id_id) return post.region_id_id;
+
+    const text = wordsOf(`${post.subject || ''} ${post.title || ''}`);
+    const named = regions.filter((region) => {
+        const name = wordsOf(region.region_name);
+        return name.trim() && text.includes(name);
+    });
+    return named.length === 1 ? named[0].id : null;
+};
+
+/**
+ * What the content team still has to write for a region, most important first
+ * @param {Object} coverage
+ * @param {Object<string, Object>} coverage.games - summarizeGameType result per game type
+ * @param {number} coverage.knowledgePosts - Knowledge posts about the region
+ * @param {boolean} coverage.hasBadgeMedia - Whether the region has badges and all of them have an
+ * image
+ * @returns {Object[]} code, detail and, for game gaps, gameType and itemIds
+ */
+const findCoverageGaps = ({ games, knowledgePosts, hasBadgeMedia }) => {
+    const gameTypes = Object.keys(EXPLAINED_UNITS);
+    const noGames = gameTypes
+        .filter((gameType) => !games[gameType].games)
+        .map((gameType) => ({ code: 'no_games', gameType, detail: `no ${gameType} games` }));
+    const noItems = gameTypes
+        .filter((gameType) => games[gameType].games && !games[gameType].items)
+        .map((gameType) => ({
+            code: 'no_items',
+            gameType,
+            detail: `${gameType} games without any ${EXPLAINED_UNITS[gameType]}`,
+        }));
+    const missingExplanations = gameTypes
+        .filter((gameType) => games[gameType].missingExplanation.length)
+        .map((gameType) => ({
+            code: 'missing_explanation',
+            gameType,
+            itemIds: games[gameType].missingExplanation,
+            detail: `${gameType} ${EXPLAINED_UNITS[gameType]}s ${games[gameType].missingExplanation.join(', ')} have no explanation`,
+        }));
+
+    return [
+        ...noGames,
+        ...noItems,
+        ...missingExplanations,
+        ...(knowledgePosts ? [] : [{ code: 'no_knowledge_post', detail: 'no knowledge posts' }]),
+        ...(hasBadgeMedia ? [] : [{ code: 'no_badge_media', detail: 'no badges, or a badge without an image' }]),
+    ];
+};
+
+module.exports = {
+    EXPLAINED_UNITS,
+    summarizeGameType,
+    findPostRegionId,
+    findCoverageGaps,
+};
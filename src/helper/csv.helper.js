@@ -0,0 +1,81 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes) into objects
+ * keyed by the header row
+ * @param {string} text - CSV text, a UTF-8 byte order mark is ignored
+ * @returns {Object[]} One object per data row, empty lines are skipped
+ */
+const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const rows = records.filter((values) => values.some((value) => value.trim() !== ''));
+    if (!rows.length) return [];
+
+    const header = rows[0].map((name) => name.trim());
+    return rows.slice(1).map((values) => header.reduce((row, name, i) => ({
+        ...row,
+        [name]: values[i] === undefined ? '' : values[i],
+    }), {}));
+};
+
+const escapeField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write objects as CSV with a header row
+ * @param {Object[]} rows
+ * @param {string[]} columns - Column order, also used as the header
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = (rows, columns) => [
+    columns,
+    ...rows.map((row) => columns.map((column) => row[column])),
+]
+    .map((values) => values.map(escapeField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+
+module.exports = {
+    parseCsv,
+    toCsv,
+};
@@ -0,0 +1,102 @@
+// Days roll over at midnight in Vietnam for every player
+const APP_TIME_ZONE = 'Asia/Ho_Chi_Minh';
+
+// Vietnam has no daylight saving time, so the offset is fixed at UTC+7
+const APP_UTC_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar day of a moment in the app time zone
+ * @param {Date} [date]
+ * @param {string} [timeZone]
+ * @returns {string} YYYY-MM-DD
+ */
+const getLocalDay = (date = new Date(), timeZone = APP_TIME_ZONE) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+}).format(date);
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+/**
+ * Date value to store a calendar day in a DATE column
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Date} Midnight UTC of that day
+ */
+const dayToDate = (day) => new Date(`${day}T00:00:00Z`);
+
+/**
+ * Calendar day of a value read from a DATE column
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+const dateToDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Move a calendar day forward or back
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days - Number of days, negative to go back
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (day, days) => dateToDay(new Date(dayToDate(day).getTime() + days * DAY_MS));
+
+/**
+ * Moment a calendar day starts in the app time zone
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Date}
+ */
+const startOfLocalDay = (day) => new Date(dayToDate(day).getTime() - APP_UTC_OFFSET_MS);
+
+/**
+ * First day of the week (Monday) containing a day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+const startOfWeek = (day) => addDays(day, -((dayToDate(day).getUTCDay() + 6) % 7));
+
+/**
+ * First day of the month containing a day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+const startOfMonth = (day) => `${day.slice(0, 7)}-01`;
+
+/**
+ * Current and longest runs of consecutive days
+ * @param {string[]} days - YYYY-MM-DD days, in any order
+ * @param {string} today - YYYY-MM-DD; a run that ended yesterday is still current
+ * @returns {{currentStreak: number, longestStreak: number}}
+ */
+const countStreaks = (days, today) => {
+    const played = new Set(days);
+
+    const longestStreak = [...played].sort().reduce((acc, day) => {
+        const run = played.has(addDays(day, -1)) ? acc.run + 1 : 1;
+        return { run, longest: Math.max(acc.longest, run) };
+    }, { run: 0, longest: 0 }).longest;
+
+    let day = played.has(today) ? today : addDays(today, -1);
+    let currentStreak = 0;
+    while (played.has(day)) {
+        currentStreak += 1;
+        day = addDays(day, -1);
+    }
+
+    return { currentStreak, longestStreak };
+};
+
+module.exports = {
+    APP_TIME_ZONE,
+    getLocalDay,
+    isDay,
+    dayToDate,
+    dateToDay,
+    addDays,
+    startOfLocalDay,
+    startOfWeek,
+    startOfMonth,
+    countStreaks,
+};
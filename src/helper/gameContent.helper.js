@@ -0,0 +1,324 @@
+const {
+    OPTION_KEYS,
+    normalizeText,
+    resolveOptionLetter,
+    compareEvents,
+} = require('./answer.helper');
+const { DIACRITIC_MODES, foldVietnamese } = require('./letter.helper');
+const { isInVietnam } = require('./geo.helper');
+const { EXPLAINED_UNITS } = require('./coverage.helper');
+const { parseYoutubeLink } = require('./youtube.helper');
+
+// A tolerance wider than this would accept a pin anywhere in a large part of the country
+const MAX_MAP_TOLERANCE_KM = 300;
+
+const TREASURE_CARD_TYPES = ['text', 'image'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const compactLetters = (value) => normalizeText(value).replace(/\s/g, '');
+
+// Letters generated with folded diacritics spell the answer once it is folded the same way
+const spellsAnswer = (letters, answer) => {
+    const spelled = compactLetters(letters.join(''));
+
+    return DIACRITIC_MODES.some((mode) => foldVietnamese(spelled, mode) === spelled
+        && spelled === compactLetters(foldVietnamese(answer, mode)));
+};
+
+// Count letters case-insensitively so the pool can be compared with the correct letters
+const countLetters = (letters) => letters.reduce((counts, letter) => {
+    const key = compactLetters(letter);
+    counts.set(key, (counts.get(key) || 0) + 1);
+    return counts;
+}, new Map());
+
+/**
+ * Check that a word game's answer, correct letters and letter pool agree
+ * @param {Object} game - answer, correctLetters and letters
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateWordGame = ({
+    question,
+    answer,
+    correctLetters,
+    letters,
+}) => {
+    const errors = [];
+
+    if (isBlank(question)) errors.push('question is required');
+    if (isBlank(answer)) errors.push('answer is required');
+    if (!Array.isArray(correctLetters) || !correctLetters.length) {
+        errors.push('correctLetters must be a non-empty array');
+        return errors;
+    }
+    if (!Array.isArray(letters) || !letters.length) {
+        errors.push('letters must be a non-empty array');
+        return errors;
+    }
+    if (correctLetters.some(isBlank) || letters.some(isBlank)) {
+        errors.push('letters cannot be empty');
+        return errors;
+    }
+
+    if (!isBlank(answer) && !spellsAnswer(correctLetters, answer)) {
+        errors.push('correctLetters do not spell the answer');
+    }
+
+    const pool = countLetters(letters);
+    const missing = [...countLetters(correctLetters)]
+        .filter(([letter, count]) => (pool.get(letter) || 0) < count)
+        .map(([letter]) => letter);
+    if (missing.length) {
+        errors.push(`letters are missing: ${missing.join(', ')}`);
+    }
+
+    return errors;
+};
+
+/**
+ * Check that a quiz question has its options and a correct answer among them
+ * @param {Object} question - question, option_a..option_d and correct_answer
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateQuizQuestion = (question) => {
+    const errors = [];
+
+    if (isBlank(question.question)) errors.push('question is required');
+    ['option_a', 'option_b', 'option_c'].forEach((field) => {
+        if (isBlank(question[field])) errors.push(`${field} is required`);
+    });
+
+    const options = {
+        A: question.option_a,
+        B: question.option_b,
+        C: question.option_c,
+        D: question.option_d,
+    };
+    const letter = resolveOptionLetter(options, question.correct_answer);
+    if (!letter || isBlank(options[letter])) {
+        errors.push(`correct_answer must be one of ${OPTION_KEYS.filter((key) => !isBlank(options[key])).join(', ')}`);
+    }
+
+    return errors;
+};
+
+/**
+ * Check that the puzzle answer is an ordering of exactly the puzzle's pieces
+ * @param {Object} puzzle - imageId, pieces ({ pieceIndex, imageId }) and answer (piece indexes)
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validatePuzzleGame = ({ imageId, pieces, answer }) => {
+    const errors = [];
+
+    if (isBlank(imageId)) errors.push('imageId is required');
+    if (!Array.isArray(pieces) || !pieces.length) {
+        errors.push('pieces must be a non-empty array');
+        return errors;
+    }
+    if (pieces.some((piece) => isBlank(piece.imageId))) {
+        errors.push('every piece needs an imageId');
+    }
+
+    const indexes = pieces.map((piece) => Number(piece.pieceIndex));
+    if (indexes.some((index) => !Number.isInteger(index) || index < 0)) {
+        errors.push('pieceIndex must be a non-negative integer');
+    }
+    if (new Set(indexes).size !== indexes.length) {
+        errors.push('pieceIndex values must be unique');
+    }
+
+    const order = Array.isArray(answer) ? answer.map(Number) : [];
+    const sameSet = order.length === indexes.length
+        && new Set(order).size === order.length
+        && order.every((index) => indexes.includes(index));
+    if (!sameSet) {
+        errors.push('answer must list every pieceIndex exactly once');
+    }
+
+    return errors;
+};
+
+/**
+ * Check that treasure cards come in complete pairs
+ * @param {Object[]} cards - type, value, imageId and matchGroup
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateTreasureCards = (cards) => {
+    const errors = [];
+
+    if (!Array.isArray(cards) || cards.length < 2) {
+        errors.push('a treasure game needs at least two cards');
+        return errors;
+    }
+
+    cards.forEach((card, i) => {
+        if (!TREASURE_CARD_TYPES.includes(card.type)) {
+            errors.push(`card ${i + 1}: type must be text or image`);
+        } else if (card.type === 'text' && isBlank(card.value)) {
+            errors.push(`card ${i + 1}: text cards need a value`);
+        } else if (card.type === 'image' && isBlank(card.imageId)) {
+            errors.push(`card ${i + 1}: image cards need an imageId`);
+        }
+        if (isBlank(card.matchGroup) || Number.isNaN(Number(card.matchGroup))) {
+            errors.push(`card ${i + 1}: matchGroup must be a number`);
+        }
+    });
+
+    const groups = cards.reduce((counts, card) => {
+        const group = Number(card.matchGroup);
+        counts.set(group, (counts.get(group) || 0) + 1);
+        return counts;
+    }, new Map());
+    [...groups]
+        .filter(([group, count]) => !Number.isNaN(group) && count !== 2)
+        .forEach(([group, count]) => errors.push(`matchGroup ${group} has ${count} cards instead of 2`));
+
+    return errors;
+};
+
+const isIntegerIn = (value, min, max) => Number.isInteger(Number(value))
+    && Number(value) >= min
+    && Number(value) <= max;
+
+/**
+ * Check that timeline events have a label and a date, and that they can be put in an order
+ * @param {Object[]} events - label, year, month and day
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateTimelineEvents = (events) => {
+    const errors = [];
+
+    if (!Array.isArray(events) || events.length < 2) {
+        errors.push('a timeline game needs at least two events');
+        return errors;
+    }
+
+    events.forEach((event, i) => {
+        if (isBlank(event.label)) errors.push(`event ${i + 1}: label is required`);
+        if (isBlank(event.year) || !Number.isInteger(Number(event.year))) {
+            errors.push(`event ${i + 1}: year must be an integer, negative before the common era`);
+        }
+        if (!isBlank(event.month) && !isIntegerIn(event.month, 1, 12)) {
+            errors.push(`event ${i + 1}: month must be between 1 and 12`);
+        }
+        if (!isBlank(event.day) && (isBlank(event.month) || !isIntegerIn(event.day, 1, 31))) {
+            errors.push(`event ${i + 1}: day must be between 1 and 31 and needs a month`);
+        }
+    });
+    if (errors.length) return errors;
+
+    const dated = events.map((event) => ({
+        event_year: Number(event.year),
+        event_month: isBlank(event.month) ? null : Number(event.month),
+        event_day: isBlank(event.day) ? null : Number(event.day),
+    }));
+    if (dated.every((event) => compareEvents(event, dated[0]) === 0)) {
+        errors.push('events need at least two different dates');
+    }
+
+    return errors;
+};
+
+/**
+ * Check that a map game has a prompt, a target inside Vietnam and a usable tolerance radius
+ * @param {Object} game - prompt, latitude, longitude and toleranceKm
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateMapGame = ({
+    prompt,
+    latitude,
+    longitude,
+    toleranceKm,
+}) => {
+    const errors = [];
+
+    if (isBlank(prompt)) errors.push('prompt is required');
+    if (isBlank(latitude) || isBlank(longitude)
+        || Number.isNaN(Number(latitude)) || Number.isNaN(Number(longitude))) {
+        errors.push('latitude and longitude are required');
+    } else if (!isInVietnam({ lat: Number(latitude), lng: Number(longitude) })) {
+        errors.push('the target must be inside Vietnam');
+    }
+    const tolerance = Number(toleranceKm);
+    if (isBlank(toleranceKm) || Number.isNaN(tolerance)
+        || tolerance <= 0 || tolerance > MAX_MAP_TOLERANCE_KM) {
+        errors.push(`toleranceKm must be greater than 0 and at most ${MAX_MAP_TOLERANCE_KM}`);
+    }
+
+    return errors;
+};
+
+const isPositiveInteger = (value) => !isBlank(value)
+    && Number.isInteger(Number(value))
+    && Number(value) > 0;
+
+/**
+ * Check an explanation: the one game item it is written for, its slides and its media links.
+ * Slides and links are only checked when sent.
+ * @param {Object} info - gameType, itemId, topicName, slides (heading, paragraphs) and links (alt,
+ * youtubeLink, imageIds)
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateAfterInfo = ({
+    gameType,
+    itemId,
+    topicName,
+    slides,
+    links,
+}) => {
+    const errors = [];
+
+    if (!EXPLAINED_UNITS[gameType]) {
+        errors.push(`gameType must be one of ${Object.keys(EXPLAINED_UNITS).join(', ')}`);
+    }
+    if (!isPositiveInteger(itemId)) errors.push('itemId must be a positive integer');
+    if (isBlank(topicName)) errors.push('topicName is required');
+
+    if (slides !== undefined && !Array.isArray(slides)) {
+        errors.push('slides must be an array');
+    } else if (slides) {
+        slides.forEach((slide, i) => {
+            if (!Array.isArray(slide.paragraphs) || !slide.paragraphs.length) {
+                errors.push(`slide ${i + 1}: needs at least one paragraph`);
+                return;
+            }
+            slide.paragraphs.forEach((paragraph, j) => {
+                if (isBlank(paragraph.paragraph)) errors.push(`slide ${i + 1}, paragraph ${j + 1}: paragraph is required`);
+                if (paragraph.order !== undefined && !isPositiveInteger(paragraph.order)) {
+                    errors.push(`slide ${i + 1}, paragraph ${j + 1}: order must be a positive integer`);
+                }
+            });
+        });
+    }
+
+    if (links !== undefined && !Array.isArray(links)) {
+        errors.push('links must be an array');
+    } else if (links) {
+        links.forEach((link, i) => {
+            const imageIds = link.imageIds === undefined ? [] : link.imageIds;
+            if (!Array.isArray(imageIds) || !imageIds.every(isPositiveInteger)) {
+                errors.push(`link ${i + 1}: imageIds must be media ids`);
+            } else if (isBlank(link.youtubeLink) && !imageIds.length) {
+                errors.push(`link ${i + 1}: needs a youtubeLink or imageIds`);
+            }
+            if (!isBlank(link.youtubeLink) && !parseYoutubeLink(link.youtubeLink)) {
+                errors.push(`link ${i + 1}: youtubeLink is not a YouTube video link`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+module.exports = {
+    TREASURE_CARD_TYPES,
+    isBlank,
+    validateWordGame,
+    validateQuizQuestion,
+    validatePuzzleGame,
+    validateTreasureCards,
+    validateTimelineEvents,
+    validateMapGame,
+    validateAfterInfo,
+};
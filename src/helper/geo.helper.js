@@ -0,0 +1,52 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Mainland Vietnam with the Hoàng Sa and Trường Sa archipelagos
+const VIETNAM_BOUNDS = {
+    minLat: 6,
+    maxLat: 24,
+    minLng: 102,
+    maxLng: 118,
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number} Distance in kilometres
+ */
+const distanceKm = (from, to) => {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const isInVietnam = ({ lat, lng }) => lat >= VIETNAM_BOUNDS.minLat && lat <= VIETNAM_BOUNDS.maxLat
+    && lng >= VIETNAM_BOUNDS.minLng && lng <= VIETNAM_BOUNDS.maxLng;
+
+/**
+ * Read a pin sent as { lat, lng } or [lat, lng]
+ * @param {*} value
+ * @returns {{lat: number, lng: number}|null} The pin, or null when it is not a valid coordinate
+ */
+const readPin = (value) => {
+    if (!value || typeof value !== 'object') return null;
+
+    const [lat, lng] = (Array.isArray(value) ? value : [value.lat, value.lng])
+        .map((coordinate) => (coordinate === null || coordinate === '' ? NaN : Number(coordinate)));
+    const valid = Number.isFinite(lat) && Number.isFinite(lng)
+        && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+    return valid ? { lat, lng } : null;
+};
+
+module.exports = {
+    VIETNAM_BOUNDS,
+    distanceKm,
+    isInVietnam,
+    readPin,
+};
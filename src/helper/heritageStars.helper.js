@@ -0,0 +1,103 @@
+const { enum_game_types_code, enum_heritage_star_mappings_category } = require('@prisma/client');
+const { isBlank } = require('./gameContent.helper');
+const { normalizeText } = require('./answer.helper');
+
+const GAME_TYPES = Object.values(enum_game_types_code);
+
+// Heritage categories of a region; each one earned is worth a star
+const HERITAGE_CATEGORIES = Object.values(enum_heritage_star_mappings_category);
+
+// Most stars a region can give
+const MAX_REGION_STARS = HERITAGE_CATEGORIES.length;
+
+// Share of the maximum score of the region's items a completed game needs to earn heritage stars
+const MIN_STAR_SCORE_RATIO = 0.5;
+
+/**
+ * Whether a completed session played well enough to earn heritage stars: at least
+ * MIN_STAR_SCORE_RATIO of the score all the region's items of its game type can give. Items left
+ * unanswered count as missed, each worth the average maximum of the answered ones.
+ * @param {Object} session - Session with attempt_count, score and max_score
+ * @param {number} totalItems - Playable items of the session's region and game type
+ * @returns {boolean}
+ */
+const earnsHeritageStars = (session, totalItems) => {
+    const { attempt_count: attemptCount, score, max_score: maxScore } = session;
+    if (!(attemptCount > 0) || !(Number(maxScore) > 0)) return false;
+
+    const regionMaxScore = (Number(maxScore) / attemptCount) * Math.max(totalItems, attemptCount);
+    return Number(score) / regionMaxScore >= MIN_STAR_SCORE_RATIO;
+};
+
+/**
+ * Check a mapping from a game to a heritage category
+ * @param {Object} mapping - gameType, category, and optionally regionId and topic
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validateHeritageMapping = ({ gameType, category, regionId }) => {
+    const errors = [];
+
+    if (!GAME_TYPES.includes(gameType)) {
+        errors.push(`gameType must be one of ${GAME_TYPES.join(', ')}`);
+    }
+    if (!HERITAGE_CATEGORIES.includes(category)) {
+        errors.push(`category must be one of ${HERITAGE_CATEGORIES.join(', ')}`);
+    }
+    if (!isBlank(regionId) && !(Number.isInteger(Number(regionId)) && Number(regionId) > 0)) {
+        errors.push('regionId must be a positive integer');
+    }
+
+    return errors;
+};
+
+/**
+ * Heritage categories a completed game earns
+ * @param {Object[]} mappings - Mappings with game_type, category, region_id_id and topic
+ * @param {Object} game
+ * @param {string} game.gameType - Game type of the completed session
+ * @param {number} game.regionId - Region of the completed session
+ * @param {string[]} game.topics - Topics of the explanations of the answered items
+ * @returns {string[]} Earned categories, in HERITAGE_CATEGORIES order
+ */
+const matchHeritageCategories = (mappings, { gameType, regionId, topics = [] }) => {
+    const normalizedTopics = topics.map(normalizeText);
+    const earned = new Set(mappings
+        .filter((mapping) => mapping.game_type === gameType)
+        .filter((mapping) => !mapping.region_id_id || mapping.region_id_id === regionId)
+        .filter((mapping) => isBlank(mapping.topic)
+            || normalizedTopics.some((topic) => topic.includes(normalizeText(mapping.topic))))
+        .map((mapping) => mapping.category));
+
+    return HERITAGE_CATEGORIES.filter((category) => earned.has(category));
+};
+
+/**
+ * Flags and stars of an achievement or play process once categories are earned.
+ * Stars are one per earned category, so they cannot drift from the flags.
+ * @param {Object} current - Row with history, intangible_heritage and tangible_heritage
+ * @param {string[]} categories - Categories earned now
+ * @returns {{flags: Object, stars: number, awarded: string[]}} awarded holds the categories earned
+ * for the first time
+ */
+const applyHeritageCategories = (current, categories) => {
+    const flags = HERITAGE_CATEGORIES.reduce((result, category) => ({
+        ...result,
+        [category]: Boolean(current[category]) || categories.includes(category),
+    }), {});
+
+    return {
+        flags,
+        stars: HERITAGE_CATEGORIES.filter((category) => flags[category]).length,
+        awarded: HERITAGE_CATEGORIES.filter((category) => flags[category] && !current[category]),
+    };
+};
+
+module.exports = {
+    HERITAGE_CATEGORIES,
+    MAX_REGION_STARS,
+    MIN_STAR_SCORE_RATIO,
+    earnsHeritageStars,
+    validateHeritageMapping,
+    matchHeritageCategories,
+    applyHeritageCategories,
+};
@@ -0,0 +1,67 @@
+const sharp = require('sharp');
+
+const PUZZLE_GRID_SIZES = [3, 4, 5];
+
+/**
+ * Read the pixel size of an image
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<{width: number, height: number}>} Size after applying the EXIF orientation
+ */
+const getImageSize = async (buffer) => {
+    const { width, height, orientation } = await sharp(buffer).metadata();
+    // Orientations 5-8 are rotated by 90 degrees
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+};
+
+/**
+ * Cut an image into a grid of equally sized PNG pieces, in row-major order
+ * @param {Buffer} buffer - Image data
+ * @param {number} gridSize - Number of rows and columns
+ * @returns {Promise<{width: number, height: number, pieces: Object[]}>} Source size and the pieces
+ * with their index, row, column, position, size and data
+ */
+const sliceImage = async (buffer, gridSize) => {
+    if (!PUZZLE_GRID_SIZES.includes(gridSize)) {
+        throw new Error(`gridSize must be one of ${PUZZLE_GRID_SIZES.join(', ')}`);
+    }
+
+    // Apply the EXIF orientation once so every piece is cut from the upright image
+    const upright = await sharp(buffer).rotate().toBuffer();
+    const { width, height } = await getImageSize(upright);
+    const pieceWidth = Math.floor(width / gridSize);
+    const pieceHeight = Math.floor(height / gridSize);
+    if (!pieceWidth || !pieceHeight) {
+        throw new Error(`Image is too small for a ${gridSize}x${gridSize} puzzle`);
+    }
+
+    // Leftover pixels are trimmed evenly from the edges so all pieces have the same size
+    const offsetLeft = Math.floor((width - pieceWidth * gridSize) / 2);
+    const offsetTop = Math.floor((height - pieceHeight * gridSize) / 2);
+
+    const cells = Array.from({ length: gridSize * gridSize }, (_, index) => ({
+        index,
+        row: Math.floor(index / gridSize),
+        col: index % gridSize,
+    }));
+
+    // Pieces are cut one after the other to keep memory use low on large images
+    const pieces = await cells.reduce(async (previous, cell) => {
+        const done = await previous;
+        const area = {
+            left: offsetLeft + cell.col * pieceWidth,
+            top: offsetTop + cell.row * pieceHeight,
+            width: pieceWidth,
+            height: pieceHeight,
+        };
+        const data = await sharp(upright).extract(area).png().toBuffer();
+        return [...done, { ...cell, ...area, buffer: data }];
+    }, Promise.resolve([]));
+
+    return { width, height, pieces };
+};
+
+module.exports = {
+    PUZZLE_GRID_SIZES,
+    getImageSize,
+    sliceImage,
+};
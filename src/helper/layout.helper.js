@@ -0,0 +1,97 @@
+const { OPTION_KEYS, getQuizOptions, resolveOptionLetter } = require('./answer.helper');
+const { shuffle, createSeededRandom } = require('./random.helper');
+
+// Every item gets its own generator so a layout does not depend on which other items were loaded
+const itemRandom = (seed, itemId) => createSeededRandom(`${seed}:${itemId}`);
+
+/**
+ * Order in which a quiz question's options are shown for a seed
+ * @param {string|null} seed - Session seed, no seed keeps the stored order
+ * @param {Object} question - Quiz question with option_a..option_d
+ * @returns {string[]} Stored option letters in display order, e.g. ['C', 'A', 'B']
+ */
+const getQuizOptionOrder = (seed, question) => {
+    const options = getQuizOptions(question);
+    const letters = OPTION_KEYS.filter((key) => options[key]);
+
+    return seed ? shuffle(letters, itemRandom(seed, question.id)) : letters;
+};
+
+/**
+ * Options of a quiz question as shown for a seed, relabelled A, B, C... in display order
+ * @param {string|null} seed - Session seed
+ * @param {Object} question - Quiz question
+ * @returns {Object} Display letter to option text
+ */
+const getShuffledQuizOptions = (seed, question) => {
+    const options = getQuizOptions(question);
+
+    return getQuizOptionOrder(seed, question).reduce((shown, letter, i) => ({
+        ...shown,
+        [OPTION_KEYS[i]]: options[letter],
+    }), {});
+};
+
+/**
+ * Map an answer given on the shuffled options back to the stored option letter
+ * @param {string|null} seed - Session seed
+ * @param {Object} question - Quiz question
+ * @param {string} answer - Display letter or option text
+ * @returns {string|null} Stored option letter, or null when the answer matches no option
+ */
+const toStoredOptionLetter = (seed, question, answer) => {
+    const shown = resolveOptionLetter(getShuffledQuizOptions(seed, question), answer);
+    if (!shown) return null;
+
+    return getQuizOptionOrder(seed, question)[OPTION_KEYS.indexOf(shown)];
+};
+
+/**
+ * Map a stored option letter to the letter it is shown under for a seed
+ * @param {string|null} seed - Session seed
+ * @param {Object} question - Quiz question
+ * @param {string} letter - Stored option letter or option text
+ * @returns {string|null} Display letter
+ */
+const toShownOptionLetter = (seed, question, letter) => {
+    const stored = resolveOptionLetter(getQuizOptions(question), letter);
+    const index = getQuizOptionOrder(seed, question).indexOf(stored);
+
+    return index === -1 ? null : OPTION_KEYS[index];
+};
+
+/**
+ * Treasure cards in the position they are laid out for a seed
+ * @param {string|null} seed - Session seed
+ * @param {Object} game - Treasure game
+ * @param {Object[]} cards - Its cards, in stored order
+ * @returns {Object[]} Cards in display order
+ */
+const shuffleTreasureCards = (seed, game, cards) => {
+    const ordered = [...cards].sort((a, b) => a.id - b.id);
+
+    return seed ? shuffle(ordered, itemRandom(seed, game.id)) : cards;
+};
+
+/**
+ * Timeline events in the position they are dealt for a seed; without a seed they are shuffled at
+ * random, as the stored order usually follows the chronology
+ * @param {string|null} seed - Session seed
+ * @param {Object} game - Timeline game
+ * @param {Object[]} events - Its events
+ * @returns {Object[]} Events in display order
+ */
+const shuffleTimelineEvents = (seed, game, events) => {
+    const ordered = [...events].sort((a, b) => a.id - b.id);
+
+    return shuffle(ordered, seed ? itemRandom(seed, game.id) : undefined);
+};
+
+module.exports = {
+    getQuizOptionOrder,
+    getShuffledQuizOptions,
+    toStoredOptionLetter,
+    toShownOptionLetter,
+    shuffleTreasureCards,
+    shuffleTimelineEvents,
+};
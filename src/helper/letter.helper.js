@@ -0,0 +1,142 @@
+const { shuffle, pickRandom } = require('./random.helper');
+
+// Tone marks: huyền, sắc, hỏi, ngã, nặng
+const TONE_MARKS = ['\u0300', '\u0301', '\u0309', '\u0303', '\u0323'];
+// Letter diacritics: circumflex (â ê ô), breve (ă) and horn (ơ ư)
+const LETTER_MARKS = ['\u0302', '\u0306', '\u031b'];
+
+const DIACRITIC_MODES = ['keep', 'tones', 'fold'];
+
+const VIETNAMESE_ALPHABET = ['A', 'Ă', 'Â', 'B', 'C', 'D', 'Đ', 'E', 'Ê', 'G', 'H', 'I', 'K', 'L', 'M', 'N', 'O', 'Ô', 'Ơ', 'P', 'Q', 'R', 'S', 'T', 'U', 'Ư', 'V', 'X', 'Y'];
+
+// Letters a player could mistake for one another
+const LETTER_FAMILIES = [
+    ['A', 'Ă', 'Â'],
+    ['E', 'Ê'],
+    ['O', 'Ô', 'Ơ'],
+    ['U', 'Ư'],
+    ['I'],
+    ['Y'],
+    ['D', 'Đ'],
+];
+
+// How many decoys are added, relative to the number of correct letters,
+// and which share of them are lookalikes of the correct letters
+const DIFFICULTIES = {
+    easy: { ratio: 0.25, min: 2, lookalikes: 0 },
+    medium: { ratio: 0.5, min: 3, lookalikes: 0.5 },
+    hard: { ratio: 1, min: 5, lookalikes: 1 },
+};
+
+const removeMarks = (text, marks) => [...text.normalize('NFD')]
+    .filter((char) => !marks.includes(char))
+    .join('')
+    .normalize('NFC');
+
+/**
+ * Fold Vietnamese diacritics
+ * @param {string} text - Text to fold
+ * @param {string} mode - "keep" everything, drop the "tones" only, or "fold" to plain latin letters
+ * @returns {string} Folded text
+ */
+const foldVietnamese = (text, mode = 'keep') => {
+    const value = String(text).normalize('NFC');
+
+    switch (mode) {
+        case 'keep':
+            return value;
+        case 'tones':
+            return removeMarks(value, TONE_MARKS);
+        case 'fold':
+            return removeMarks(value, [...TONE_MARKS, ...LETTER_MARKS]).replace(/đ/g, 'd').replace(/Đ/g, 'D');
+        default:
+            throw new Error(`Unknown diacritics mode: ${mode}`);
+    }
+};
+
+const toLetters = (word) => [...word].filter((char) => /[\p{L}\p{N}]/u.test(char));
+
+const splitWords = (text) => String(text)
+    .trim()
+    .split(/\s+/)
+    .map(toLetters)
+    .filter((letters) => letters.length);
+
+/**
+ * Number of letter slots of each word of an answer, so players can see where words break
+ * @param {string} answer - The answer
+ * @returns {number[]} Letter count per word
+ */
+const getWordLengths = (answer) => splitWords(foldVietnamese(answer))
+    .map((letters) => letters.length);
+
+// All letters of the same family, with every tone when tones are kept
+const lookalikesOf = (letter, mode) => {
+    const family = LETTER_FAMILIES.find((members) => members.includes(foldVietnamese(letter, 'tones')));
+    if (!family || mode === 'fold') return [];
+
+    const variants = mode === 'keep'
+        ? family.flatMap((base) => [base, ...TONE_MARKS.map((mark) => `${base}${mark}`.normalize('NFC'))])
+        : family;
+
+    return variants.filter((variant) => variant !== letter);
+};
+
+const alphabetFor = (mode) => [
+    ...new Set(VIETNAMESE_ALPHABET.map((letter) => foldVietnamese(letter, mode))),
+];
+
+/**
+ * Build the correct letters and a shuffled letter pool with decoys for a word game answer
+ * @param {string} answer - The answer, may contain several words
+ * @param {Object} [options]
+ * @param {string} [options.diacritics] - keep, tones or fold
+ * @param {string} [options.difficulty] - easy, medium or hard
+ * @param {Function} [options.random] - Random number generator used for decoys and shuffling
+ * @returns {{answer: string, wordLengths: number[], correctLetters: string[], letters: string[]}}
+ */
+const buildLetterPool = (answer, {
+    diacritics = 'keep',
+    difficulty = 'medium',
+    random = Math.random,
+} = {}) => {
+    if (!DIACRITIC_MODES.includes(diacritics)) {
+        throw new Error(`diacritics must be one of ${DIACRITIC_MODES.join(', ')}`);
+    }
+    const level = DIFFICULTIES[difficulty];
+    if (!level) {
+        throw new Error(`difficulty must be one of ${Object.keys(DIFFICULTIES).join(', ')}`);
+    }
+
+    const words = splitWords(foldVietnamese(answer, diacritics).toLocaleUpperCase('vi'));
+    const correctLetters = words.flat();
+    if (!correctLetters.length) {
+        throw new Error('answer must contain at least one letter');
+    }
+
+    const decoyCount = Math.max(level.min, Math.ceil(correctLetters.length * level.ratio));
+    const lookalikeCount = Math.round(decoyCount * level.lookalikes);
+    const letterLookalikes = correctLetters.flatMap((letter) => lookalikesOf(letter, diacritics));
+    const lookalikes = shuffle([...new Set(letterLookalikes)], random);
+    const alphabet = alphabetFor(diacritics);
+
+    const decoys = lookalikes.slice(0, lookalikeCount);
+    while (decoys.length < decoyCount) {
+        decoys.push(pickRandom(alphabet, random));
+    }
+
+    return {
+        answer: words.map((letters) => letters.join('')).join(' '),
+        wordLengths: words.map((letters) => letters.length),
+        correctLetters,
+        letters: shuffle([...correctLetters, ...decoys], random),
+    };
+};
+
+module.exports = {
+    DIACRITIC_MODES,
+    DIFFICULTIES,
+    foldVietnamese,
+    getWordLengths,
+    buildLetterPool,
+};
@@ -0,0 +1,95 @@
+// Least time a player needs to read and answer one item of each game type
+const MIN_ITEM_MS = {
+    quiz: 1500,
+    word: 3000,
+    puzzle: 5000,
+    treasure: 5000,
+    timeline: 4000,
+    map: 2000,
+};
+
+// An answer sent this soon after its item was served cannot have been read
+const MIN_ANSWER_MS = 300;
+
+const MAX_COMPLETIONS_PER_MINUTE = 3;
+
+// Results with these review statuses count towards history, leaderboards and rankings
+const COUNTED_REVIEW_STATUSES = ['clear', 'approved'];
+
+/**
+ * Shortest plausible time to play a set of items
+ * @param {Object<string, number>} itemCounts - Number of items per game type
+ * @returns {number} Milliseconds
+ */
+const minimumDurationMs = (itemCounts) => Object.entries(itemCounts)
+    .reduce((sum, [gameType, count]) => sum + (MIN_ITEM_MS[gameType] || 0) * count, 0);
+
+const tooFast = (durationMs, minimumMs) => (minimumMs > 0 && durationMs < minimumMs
+    ? [{ code: 'too_fast', detail: `completed in ${durationMs} ms, at least ${minimumMs} ms expected` }]
+    : []);
+
+/**
+ * Reasons to doubt a finished game session
+ * @param {Object} session
+ * @param {string} session.gameType - Game type code
+ * @param {number} session.durationMs - Playing time without pauses
+ * @param {Object[]} session.attempts - Attempts with served_time, answered_time and time_spent_ms
+ * @param {number} session.recentCompletions - Other sessions the user completed in the last minute
+ * @returns {Object[]} code and detail of every reason, empty when the session looks plausible
+ */
+const checkSessionPlausibility = ({
+    gameType,
+    durationMs,
+    attempts,
+    recentCompletions,
+}) => {
+    const answered = attempts.filter((attempt) => attempt.answered_time);
+    const unserved = answered.filter((attempt) => !attempt.served_time
+        || attempt.answered_time < attempt.served_time);
+    const instant = answered.filter((attempt) => attempt.served_time
+        && attempt.time_spent_ms !== null && attempt.time_spent_ms < MIN_ANSWER_MS);
+
+    return [
+        ...tooFast(durationMs, minimumDurationMs({ [gameType]: answered.length })),
+        ...(unserved.length ? [{
+            code: 'unserved_answer',
+            detail: `items ${unserved.map((attempt) => attempt.item_id).join(', ')} were answered before being served`,
+        }] : []),
+        ...(instant.length ? [{
+            code: 'instant_answer',
+            detail: `items ${instant.map((attempt) => attempt.item_id).join(', ')} were answered within ${MIN_ANSWER_MS} ms`,
+        }] : []),
+        ...(recentCompletions + 1 > MAX_COMPLETIONS_PER_MINUTE ? [{
+            code: 'rate_limit',
+            detail: `${recentCompletions + 1} games completed within a minute, at most ${MAX_COMPLETIONS_PER_MINUTE} expected`,
+        }] : []),
+    ];
+};
+
+/**
+ * Reasons to doubt a daily challenge submission
+ * @param {Object} attempt
+ * @param {number} attempt.durationMs - Time between starting and submitting
+ * @param {Object[]} attempt.results - gameType and answer of every item
+ * @returns {Object[]} code and detail of every reason, empty when the attempt looks plausible
+ */
+const checkChallengePlausibility = ({ durationMs, results }) => {
+    const itemCounts = results
+        .filter((result) => result.answer !== null)
+        .reduce((counts, result) => ({
+            ...counts,
+            [result.gameType]: (counts[result.gameType] || 0) + 1,
+        }), {});
+
+    return tooFast(durationMs, minimumDurationMs(itemCounts));
+};
+
+module.exports = {
+    MIN_ITEM_MS,
+    MIN_ANSWER_MS,
+    MAX_COMPLETIONS_PER_MINUTE,
+    COUNTED_REVIEW_STATUSES,
+    minimumDurationMs,
+    checkSessionPlausibility,
+    checkChallengePlausibility,
+};
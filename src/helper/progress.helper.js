@@ -0,0 +1,68 @@
+const { HERITAGE_CATEGORIES, MAX_REGION_STARS } = require('./heritageStars.helper');
+
+const latest = (a, b) => (!a || (b && b > a) ? b || null : a);
+
+/**
+ * Heritage categories a user finished in a region, from its achievement and play process rows.
+ * A category done in either table counts, so rows written by older clients are not lost.
+ * @param {Object[]} rows - Rows with history, intangible_heritage and tangible_heritage
+ * @returns {{stars: number, maxStars: number, categories: Object<string, boolean>}}
+ */
+const heritageStatus = (rows) => {
+    const categories = HERITAGE_CATEGORIES.reduce((done, category) => ({
+        ...done,
+        [category]: rows.some((row) => Boolean(row[category])),
+    }), {});
+
+    return {
+        stars: HERITAGE_CATEGORIES.filter((category) => categories[category]).length,
+        maxStars: MAX_REGION_STARS,
+        categories,
+    };
+};
+
+/**
+ * Plays before any is added
+ * @returns {{played: number, completed: number, timeSpentMs: number, lastPlayed: Date|null}}
+ */
+const emptyPlays = () => ({
+    played: 0,
+    completed: 0,
+    timeSpentMs: 0,
+    lastPlayed: null,
+});
+
+/**
+ * Add plays to a summary
+ * @param {Object} plays - emptyPlays or addPlays result, other fields are kept
+ * @param {Object} added - played, completed, timeSpentMs and lastPlayed to add
+ * @returns {Object} The new summary
+ */
+const addPlays = (plays, added) => ({
+    ...plays,
+    played: plays.played + (added.played || 0),
+    completed: plays.completed + (added.completed || 0),
+    timeSpentMs: plays.timeSpentMs + (added.timeSpentMs || 0),
+    lastPlayed: latest(plays.lastPlayed, added.lastPlayed),
+});
+
+/**
+ * Share of the items of a region the user answered in counted games, over every game type
+ * @param {Object[]} games - Plays per game type with items and answeredItems
+ * @returns {number|null} Whole percentage, null when the region has no items
+ */
+const completionPercent = (games) => {
+    const items = games.reduce((sum, game) => sum + game.items, 0);
+    if (!items) return null;
+
+    const answered = games.reduce((sum, game) => sum + Math.min(game.answeredItems, game.items), 0);
+    return Math.floor((answered / items) * 100);
+};
+
+module.exports = {
+    latest,
+    heritageStatus,
+    emptyPlays,
+    addPlays,
+    completionPercent,
+};
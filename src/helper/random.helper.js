@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Fisher-Yates shuffle returning a new array, `random` returns a number in [0, 1)
+const shuffle = (items, random = Math.random) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i -= 1) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+const pickRandom = (items, random = Math.random) => items[Math.floor(random() * items.length)];
+
+/**
+ * Create a random seed for a game session
+ * @returns {string} 32 hex characters
+ */
+const createSeed = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Deterministic random number generator (mulberry32) for a seed string
+ * @param {string} seed - Any string, e.g. a session seed combined with an item ID
+ * @returns {Function} Returns a number in [0, 1) on every call, the same sequence for the same seed
+ */
+const createSeededRandom = (seed) => {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+    /* eslint-disable no-bitwise -- mulberry32 is defined by 32-bit integer shifts and xors */
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    /* eslint-enable no-bitwise */
+};
+
+module.exports = {
+    createSeed,
+    createSeededRandom,
+    shuffle,
+    pickRandom,
+};
@@ -0,0 +1,96 @@
+const { isBlank } = require('./gameContent.helper');
+const { MAX_REGION_STARS } = require('./heritageStars.helper');
+
+const isPositiveInteger = (value) => !isBlank(value)
+    && Number.isInteger(Number(value))
+    && Number(value) > 0;
+
+/**
+ * Check the prerequisites of a region
+ * @param {number} regionId - The region they unlock
+ * @param {Object[]} prerequisites - regionId and minStars of each prerequisite region
+ * @returns {string[]} Validation errors, empty when valid
+ */
+const validatePrerequisites = (regionId, prerequisites) => {
+    if (!Array.isArray(prerequisites)) return ['prerequisites must be an array'];
+
+    const errors = [];
+    prerequisites.forEach((prerequisite, i) => {
+        if (!prerequisite || !isPositiveInteger(prerequisite.regionId)) {
+            errors.push(`prerequisite ${i + 1}: regionId must be a positive integer`);
+            return;
+        }
+        if (Number(prerequisite.regionId) === Number(regionId)) {
+            errors.push(`prerequisite ${i + 1}: a region cannot require itself`);
+        }
+        if (!isPositiveInteger(prerequisite.minStars)
+            || Number(prerequisite.minStars) > MAX_REGION_STARS) {
+            errors.push(`prerequisite ${i + 1}: minStars must be an integer from 1 to ${MAX_REGION_STARS}`);
+        }
+    });
+
+    const regionIds = prerequisites
+        .filter(Boolean)
+        .map((prerequisite) => Number(prerequisite.regionId));
+    if (new Set(regionIds).size !== regionIds.length) {
+        errors.push('a region can only be required once');
+    }
+
+    return errors;
+};
+
+/**
+ * Find a cycle in the progression graph, which would keep its regions locked forever
+ * @param {Object[]} edges - Prerequisites with region_id_id and required_region_id_id
+ * @returns {number[]|null} Region IDs of a cycle, the first repeated at the end, null when there is
+ * none
+ */
+const findPrerequisiteCycle = (edges) => {
+    const required = edges.reduce((graph, edge) => graph.set(
+        edge.region_id_id,
+        [...(graph.get(edge.region_id_id) || []), edge.required_region_id_id],
+    ), new Map());
+    const done = new Set();
+
+    const visit = (regionId, path) => {
+        if (path.includes(regionId)) return [...path.slice(path.indexOf(regionId)), regionId];
+        if (done.has(regionId)) return null;
+
+        const cycle = (required.get(regionId) || [])
+            .reduce((found, next) => found || visit(next, [...path, regionId]), null);
+        done.add(regionId);
+        return cycle;
+    };
+
+    return [...required.keys()].reduce((found, regionId) => found || visit(regionId, []), null);
+};
+
+/**
+ * Whether a region is locked for a user, and what is left to unlock it
+ * @param {Object[]} prerequisites - Prerequisites of the region with required_region_id_id and
+ * min_stars
+ * @param {Map<number, number>} starsByRegion - Stars of the user per region
+ * @returns {{locked: boolean, requirements: Object[]}} The unmet prerequisites with regionId,
+ * minStars, stars and missingStars
+ */
+const regionLock = (prerequisites, starsByRegion) => {
+    const requirements = prerequisites
+        .map((prerequisite) => {
+            const stars = starsByRegion.get(prerequisite.required_region_id_id) || 0;
+            return {
+                regionId: prerequisite.required_region_id_id,
+                minStars: prerequisite.min_stars,
+                stars,
+                missingStars: Math.max(prerequisite.min_stars - stars, 0),
+            };
+        })
+        .filter((requirement) => requirement.missingStars > 0);
+
+    return { locked: requirements.length > 0, requirements };
+};
+
+module.exports = {
+    validatePrerequisites,
+    findPrerequisiteCycle,
+    regionLock,
+};
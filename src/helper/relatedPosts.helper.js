@@ -0,0 +1,109 @@
+const { normalizeText } = require('./answer.helper');
+
+const MAX_RELATED_POSTS = 3;
+
+// Most terms the knowledge posts are searched with before ranking
+const MAX_SEARCH_TERMS = 30;
+
+// Relevance of each kind of match. A shared region moves a matching post up but does not make a
+// post related.
+const WEIGHTS = {
+    topicInTitle: 3,
+    title: 3,
+    subject: 1,
+    content: 2,
+    region: 0.5,
+};
+
+// Common Vietnamese function words that say nothing about the topic
+const STOPWORDS = new Set([
+    'của', 'và', 'là', 'các', 'những', 'một', 'có', 'được', 'trong', 'cho', 'với', 'này', 'đã', 'từ',
+    'khi', 'tại', 'để', 'theo', 'về', 'như', 'thì', 'không', 'nhiều', 'ra', 'vào', 'đến', 'lên', 'hay',
+    'hoặc', 'cũng', 'rất', 'nơi', 'đây', 'đó', 'nào', 'gì', 'bị', 'sẽ', 'đang', 'vì', 'nên', 'mà',
+]);
+
+/**
+ * Words and two-word phrases of a text, without function words. Vietnamese words are often
+ * two syllables (văn miếu, hạ long), so phrases match much better than single syllables.
+ * @param {string} text
+ * @returns {Set<string>} Lowercase keywords
+ */
+const keywords = (text) => {
+    const words = normalizeText(text)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((word) => word.length > 1 && !STOPWORDS.has(word));
+    const phrases = words.slice(1).map((word, i) => `${words[i]} ${word}`);
+
+    return new Set([...words, ...phrases]);
+};
+
+/**
+ * Terms to search knowledge posts with before ranking them: the two-word phrases of each text, or
+ * its words when it has no phrase. Single syllables would match most posts.
+ * @param {string[]} texts - Topics and slide headings
+ * @param {number} [limit] - Most terms to return
+ * @returns {string[]} Lowercase terms
+ */
+const searchTerms = (texts, limit = MAX_SEARCH_TERMS) => {
+    const terms = texts.flatMap((text) => {
+        const words = [...keywords(text)];
+        const phrases = words.filter((word) => word.includes(' '));
+        return phrases.length ? phrases : words;
+    });
+
+    return [...new Set(terms)].slice(0, limit);
+};
+
+const sharedCount = (words, others) => [...words].filter((word) => others.has(word)).length;
+
+/**
+ * Rank knowledge posts by how closely they relate to an explanation
+ * @param {Object} explanation
+ * @param {number|null} explanation.regionId - Region of the explained game item
+ * @param {string} explanation.topicName - Topic of the explanation
+ * @param {string} explanation.text - Slide headings and paragraphs
+ * @param {Object[]} posts - Knowledge posts with id, subject, title, content and region_id_id
+ * @param {number} [limit] - Most posts to return
+ * @returns {{post: Object, score: number}[]} Related posts, most relevant first
+ */
+const rankRelatedPosts = ({ regionId, topicName, text }, posts, limit = MAX_RELATED_POSTS) => {
+    const topic = normalizeText(topicName);
+    const explanationWords = keywords(`${topicName || ''} ${text || ''}`);
+    if (!explanationWords.size) return [];
+
+    return posts
+        .map((post) => {
+            const titleWords = keywords(post.title);
+            const subjectWords = keywords(post.subject);
+            const contentWords = keywords(post.content);
+            const topicInTitle = Boolean(topic) && normalizeText(post.title).includes(topic);
+            const titleShare = sharedCount(titleWords, explanationWords)
+                / Math.max(titleWords.size, 1);
+            const subjectMatches = subjectWords.size > 0
+                && sharedCount(subjectWords, explanationWords) === subjectWords.size;
+            const contentShare = sharedCount(explanationWords, contentWords)
+                / explanationWords.size;
+            const relevance = (topicInTitle ? WEIGHTS.topicInTitle : 0)
+                + WEIGHTS.title * titleShare
+                + (subjectMatches ? WEIGHTS.subject : 0)
+                + WEIGHTS.content * contentShare;
+            const sameRegion = Boolean(regionId) && post.region_id_id === regionId;
+
+            return {
+                post,
+                relevance,
+                score: relevance + (sameRegion ? WEIGHTS.region : 0),
+            };
+        })
+        .filter(({ relevance }) => relevance > 0)
+        .sort((a, b) => b.score - a.score || a.post.id - b.post.id)
+        .slice(0, limit)
+        .map(({ post, score }) => ({ post, score: Math.round(score * 100) / 100 }));
+};
+
+module.exports = {
+    MAX_RELATED_POSTS,
+    keywords,
+    searchTerms,
+    rankRelatedPosts,
+};
@@ -0,0 +1,98 @@
+const { shuffle } = require('./random.helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+// A question seen again after three weeks or more counts as mastered
+const MASTERED_INTERVAL_DAYS = 21;
+
+// SM-2 grades: 5 for a quick correct answer, 4 for a slow one, 1 for a miss
+const SLOW_ANSWER_MS = 20000;
+const gradeQuality = ({ correct, timeSpentMs }) => {
+    if (!correct) return 1;
+    return timeSpentMs && timeSpentMs > SLOW_ANSWER_MS ? 4 : 5;
+};
+
+/**
+ * Schedule the next review of a question after an answer (SM-2)
+ * @param {Object|null} memory - Stored memory record, null for a question never answered
+ * @param {Object} result - correct and optional timeSpentMs
+ * @param {Date} [now]
+ * @returns {Object} Memory fields to store
+ */
+const reviewQuestion = (memory, result, now = new Date()) => {
+    const current = {
+        repetitions: memory ? memory.repetitions : 0,
+        interval_days: memory ? memory.interval_days : 0,
+        ease_factor: memory ? Number(memory.ease_factor) : DEFAULT_EASE,
+        attempt_count: memory ? memory.attempt_count : 0,
+        correct_count: memory ? memory.correct_count : 0,
+        lapse_count: memory ? memory.lapse_count : 0,
+    };
+    const quality = gradeQuality(result);
+    const missed = 5 - quality;
+    const ease = Math.max(MIN_EASE, current.ease_factor + 0.1 - missed * (0.08 + missed * 0.02));
+
+    let repetitions = 0;
+    let interval = 0;
+    if (quality >= 3) {
+        repetitions = current.repetitions + 1;
+        if (repetitions === 1) interval = 1;
+        else if (repetitions === 2) interval = 6;
+        else interval = Math.round(current.interval_days * ease);
+    }
+
+    // A missed question comes back in the same sitting, so its due time is now
+    return {
+        repetitions,
+        interval_days: interval,
+        ease_factor: Math.round(ease * 100) / 100,
+        due_time: new Date(now.getTime() + interval * DAY_MS),
+        last_answered_time: now,
+        attempt_count: current.attempt_count + 1,
+        correct_count: current.correct_count + (result.correct ? 1 : 0),
+        lapse_count: current.lapse_count + (!result.correct && current.repetitions > 0 ? 1 : 0),
+    };
+};
+
+const isMastered = (memory) => memory.interval_days >= MASTERED_INTERVAL_DAYS;
+
+/**
+ * Pick the questions to ask a user, in this order: due questions (most overdue first),
+ * questions never answered, then questions not due yet with mastered ones last
+ * @param {Object[]} questions - Candidate questions
+ * @param {Object[]} memories - The user's memory records for those questions
+ * @param {number} count - Number of questions to pick
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Function} [options.random] - Random number generator for the order of new questions
+ * @returns {Object[]} The picked questions, each with its memory record or null
+ */
+const selectQuestions = (questions, memories, count, {
+    now = new Date(),
+    random = Math.random,
+} = {}) => {
+    const memoryById = new Map(memories.map((memory) => [memory.question_id_id, memory]));
+    const withMemory = questions.map((question) => ({
+        question,
+        memory: memoryById.get(question.id) || null,
+    }));
+    const byDueTime = (a, b) => a.memory.due_time - b.memory.due_time;
+
+    const seen = withMemory.filter((entry) => entry.memory);
+    const due = seen.filter((entry) => entry.memory.due_time <= now).sort(byDueTime);
+    const fresh = shuffle(withMemory.filter((entry) => !entry.memory), random);
+    const upcoming = seen
+        .filter((entry) => entry.memory.due_time > now)
+        .sort((a, b) => Number(isMastered(a.memory)) - Number(isMastered(b.memory))
+            || byDueTime(a, b));
+
+    return [...due, ...fresh, ...upcoming].slice(0, count);
+};
+
+module.exports = {
+    MASTERED_INTERVAL_DAYS,
+    reviewQuestion,
+    isMastered,
+    selectQuestions,
+};
@@ -0,0 +1,81 @@
+const YOUTUBE_EMBED_BASE_URL = 'https://www.youtube-nocookie.com/embed/';
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// Hosts serving the same videos; music and mobile links use the watch page format
+const YOUTUBE_HOSTS = ['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com'];
+
+// Path prefixes followed by the video id, e.g. /shorts/<id>
+const ID_PATH_PREFIXES = ['embed', 'shorts', 'live', 'v', 'e'];
+
+/**
+ * Read a YouTube time such as 90, 90s, 1m30s or 1h2m3s
+ * @param {string|null} value
+ * @returns {number|null|undefined} Seconds, null when absent, undefined when malformed
+ */
+const parseSeconds = (value) => {
+    if (value === null || value === '') return null;
+
+    const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/.exec(value);
+    if (!match || !match.slice(1).some(Boolean)) return undefined;
+
+    const [hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+    return hours * 3600 + minutes * 60 + seconds;
+};
+
+function findVideoId(url) {
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (host === 'youtu.be') return segments[0];
+    if (!YOUTUBE_HOSTS.includes(host)) return undefined;
+    if (segments[0] === 'watch') return url.searchParams.get('v');
+    if (ID_PATH_PREFIXES.includes(segments[0])) return segments[1];
+    return undefined;
+}
+
+/**
+ * Normalize a YouTube watch, share, shorts, live or embed link, without calling YouTube
+ * @param {string} link - The link as entered by an editor
+ * @returns {Object|null} videoId, start, end (seconds or null), embedUrl and watchUrl of the video
+ * and the part to play, or null when it is not a valid YouTube video link
+ */
+const parseYoutubeLink = (link) => {
+    if (typeof link !== 'string' || !link.trim()) return null;
+
+    let url;
+    try {
+        url = new URL(/^[a-z]+:\/\//i.test(link.trim()) ? link.trim() : `https://${link.trim()}`);
+    } catch (err) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    const videoId = findVideoId(url);
+    if (!videoId || !VIDEO_ID_PATTERN.test(videoId)) return null;
+
+    const hash = new URLSearchParams(url.hash.slice(1));
+    const start = parseSeconds(url.searchParams.get('t') || url.searchParams.get('start') || hash.get('t'));
+    const end = parseSeconds(url.searchParams.get('end'));
+    if (start === undefined || end === undefined) return null;
+    if (end !== null && end <= (start || 0)) return null;
+
+    const embedParams = new URLSearchParams();
+    if (start) embedParams.set('start', start);
+    if (end !== null) embedParams.set('end', end);
+    const query = embedParams.toString();
+
+    return {
+        videoId,
+        start,
+        end,
+        embedUrl: `${YOUTUBE_EMBED_BASE_URL}${videoId}${query ? `?${query}` : ''}`,
+        watchUrl: `https://www.youtube.com/watch?v=${videoId}${start ? `&t=${start}s` : ''}`,
+    };
+};
+
+module.exports = {
+    YOUTUBE_EMBED_BASE_URL,
+    parseSeconds,
+    parseYoutubeLink,
+};
@@ -1,8 +1,15 @@
 const app = require('./app');
+const { attachLiveQuiz } = require('./api/live_quiz/liveQuiz.socket');
+const { isLiveQuizEnabled } = require('./api/live_quiz/liveQuiz.services');
 
 const port = process.env.PORT || 5000;
-app.listen(port, () => {
+const server = app.listen(port, () => {
   /* eslint-disable no-console */
   console.log(`Listening: http://localhost:${port}`);
   /* eslint-enable no-console */
 });
+
+// Live quiz rooms share the HTTP server, which serverless deployments do not keep running
+if (isLiveQuizEnabled()) {
+  attachLiveQuiz(server, { allowedOrigins: app.locals.allowedOrigins });
+}
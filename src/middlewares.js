@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { db } = require('./utils/db');
 
 function notFound(req, res, next) {
   res.status(404);
@@ -9,7 +10,7 @@ function notFound(req, res, next) {
 /* eslint-disable no-unused-vars */
 function errorHandler(err, req, res, next) {
   /* eslint-enable no-unused-vars */
-  const statusCode = res.statusCode !== 200 ? res.statusCode : 500;
+  const statusCode = err.status || (res.statusCode !== 200 ? res.statusCode : 500);
   res.status(statusCode);
   res.json({
     message: err.message,
@@ -39,8 +40,99 @@ function isAuthenticated(req, res, next) {
 
   return next();
 }
+
+// Same as isAuthenticated, for the access token the auth routes set as a cookie
+function isCookieAuthenticated(req, res, next) {
+  const token = req.cookies && req.cookies.token;
+
+  if (!token) {
+    res.status(401);
+    throw new Error('No token provided');
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    req.payload = payload;
+  } catch (err) {
+    res.status(401);
+    if (err.name === 'TokenExpiredError') {
+      throw new Error(err.name);
+    }
+    throw new Error('🚫 Un-Authorized 🚫');
+  }
+
+  return next();
+}
+
+// For routes visitors can use too: sets req.payload when the cookie holds a valid token, and goes
+// on without it otherwise
+function readCookieUser(req, res, next) {
+  const token = req.cookies && req.cookies.token;
+
+  if (token) {
+    try {
+      req.payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    } catch (err) {
+      req.payload = undefined;
+    }
+  }
+
+  return next();
+}
+
+// Use after isCookieAuthenticated to restrict a route to some user roles
+function hasRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await db.user.findUnique({
+        where: { id: req.payload.userId },
+        select: { role: true },
+      });
+
+      if (!user || !roles.includes(user.role)) {
+        res.status(403);
+        throw new Error('🚫 Forbidden 🚫');
+      }
+
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+// Allow at most `max` requests per user (or IP for visitors) in each window of `windowMs`.
+// Counts are kept in memory, so each server process limits on its own.
+function rateLimit({ windowMs, max }) {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetTime <= now) hits.delete(key);
+    });
+
+    const key = req.payload ? `user:${req.payload.userId}` : `ip:${req.ip}`;
+    const entry = hits.get(key) || { count: 0, resetTime: now + windowMs };
+    entry.count += 1;
+    hits.set(key, entry);
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetTime - now) / 1000)));
+      res.status(429);
+      throw new Error('Too many requests, try again later');
+    }
+
+    return next();
+  };
+}
+
 module.exports = {
   notFound,
   errorHandler,
   isAuthenticated,
+  isCookieAuthenticated,
+  readCookieUser,
+  hasRole,
+  rateLimit,
 };
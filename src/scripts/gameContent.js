@@ -0,0 +1,96 @@
+/* eslint-disable no-console */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../utils/db');
+const {
+  CONTENT_TYPES,
+  readImportRows,
+  importContent,
+  exportContent,
+} = require('../api/game_admin/gameImport.services');
+
+const USAGE = `Usage:
+  npm run content -- import <${CONTENT_TYPES.join('|')}> --region <id> --file <path> [--format csv|json] [--dry-run]
+  npm run content -- export <${CONTENT_TYPES.join('|')}> --region <id> [--file <path>] [--format csv|json]`;
+
+function parseArgs(argv) {
+  const [command, contentType, ...rest] = argv;
+  const options = { command, contentType, dryRun: false };
+
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (['--region', '--file', '--format'].includes(arg) && rest[i + 1] !== undefined) {
+      options[arg.slice(2)] = rest[i + 1];
+      i += 1;
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+const formatOf = (options) => options.format
+  || (options.file && path.extname(options.file).slice(1).toLowerCase())
+  || 'json';
+
+function printReport(report) {
+  const { summary } = report;
+  console.log(`${summary.rows} rows: ${summary.create} to create, ${summary.update} to update, ${summary.invalid} invalid`);
+  report.rows
+    .filter((row) => row.errors.length)
+    .forEach((row) => console.log(`  row ${row.row}: ${row.errors.join('; ')}`));
+
+  if (report.imported) console.log('Imported.');
+  else if (!report.valid) console.log('Nothing was imported, fix the rows above first.');
+  else console.log('Dry run, nothing was imported.');
+}
+
+async function run(options) {
+  if (options.command === 'import') {
+    if (!options.file) throw new Error('--file is required');
+    const rows = readImportRows({
+      format: formatOf(options),
+      content: fs.readFileSync(options.file, 'utf8'),
+    });
+    const report = await importContent(options.contentType, {
+      regionId: options.region,
+      rows,
+      dryRun: options.dryRun,
+    });
+    printReport(report);
+    return report.valid;
+  }
+
+  if (options.command === 'export') {
+    const format = formatOf(options);
+    const { rows, csv } = await exportContent(options.contentType, options.region, format);
+    const output = format === 'csv' ? csv : `${JSON.stringify(rows, null, 2)}\n`;
+    if (options.file) {
+      fs.writeFileSync(options.file, output);
+      console.log(`Exported ${rows.length} rows to ${options.file}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return true;
+  }
+
+  throw new Error(USAGE);
+}
+
+async function main() {
+  let ok = false;
+  try {
+    ok = await run(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    console.error(err.message);
+  } finally {
+    await db.$disconnect();
+  }
+  process.exitCode = ok ? 0 : 1;
+}
+
+main();
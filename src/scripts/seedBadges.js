@@ -0,0 +1,53 @@
+/* eslint-disable no-console */
+require('dotenv').config();
+const { db } = require('../utils/db');
+const { BADGE_TIERS, TIER_MIN_STARS } = require('../helper/badge.helper');
+const { syncAchievementBadges } = require('../api/achievements/badge.services');
+
+// Region badge artwork that used to be hardcoded in achievement.services: region ID to media ID
+const LEGACY_BADGE_MEDIA = {
+  1: 107,
+  2: 106,
+  3: 109,
+  4: 108,
+  6: 110,
+  7: 111,
+};
+
+// Create the bronze, silver and gold badges of every region that had artwork, then give
+// achievements the badges their stars earn. Badges that already exist are left as they are, so it
+// can be run again.
+async function run() {
+  const regions = await db.regions.findMany({
+    where: { id: { in: Object.keys(LEGACY_BADGE_MEDIA).map(Number) } },
+    orderBy: { id: 'asc' },
+  });
+
+  const badges = regions.flatMap((region) => BADGE_TIERS.map((tier) => ({
+    code: `region-${region.id}-${tier}`,
+    name: `${region.region_name} (${tier})`,
+    tier,
+    region_id_id: region.id,
+    min_stars: TIER_MIN_STARS[tier],
+    media_id: LEGACY_BADGE_MEDIA[region.id],
+  })));
+  const { count: created } = await db.badges.createMany({ data: badges, skipDuplicates: true });
+
+  const updated = await syncAchievementBadges(null);
+  console.log(`Created ${created} badges, updated the badge of ${updated} achievements`);
+}
+
+async function main() {
+  let ok = false;
+  try {
+    await run();
+    ok = true;
+  } catch (err) {
+    console.error(err.message);
+  } finally {
+    await db.$disconnect();
+  }
+  process.exitCode = ok ? 0 : 1;
+}
+
+main();
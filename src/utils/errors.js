@@ -0,0 +1,9 @@
+// Errors carrying an HTTP status so services can signal 4xx responses
+// without the routes having to match on error messages.
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = { createHttpError };
@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Payload stores array rows (letters, answers, slide paragraphs...) with
+// a 24 character hex id instead of an autoincrement one.
+function createRowId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+module.exports = { createRowId };
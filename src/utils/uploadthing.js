@@ -1,9 +1,13 @@
 const { createUploadthing } = require("uploadthing/server");
 const { UploadThingError } = require("uploadthing/server");
+const { UTApi } = require("uploadthing/server");
 
 // Initialize UploadThing
 const f = createUploadthing();
 
+// Server-side API for files created on the server (reads UPLOADTHING_TOKEN)
+const utapi = new UTApi();
+
 // Authentication/authorization handler
 const handleAuth = (req) => {
   // You should implement your own auth logic here
@@ -36,4 +40,4 @@ const uploadRouter = {
     }),
 };
 
-module.exports = { uploadRouter };
\ No newline at end of file
+module.exports = { uploadRouter, utapi };
\ No newline at end of file
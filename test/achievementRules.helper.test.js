@@ -0,0 +1,68 @@
+const { enum_game_types_code } = require('@prisma/client');
+const {
+  MIN_GAME_ITEMS,
+  validateAchievementRule,
+  normalizeRuleParams,
+  isRuleAffectedBy,
+  ruleProgress,
+} = require('../src/helper/achievementRules.helper');
+
+describe('validateAchievementRule', () => {
+  const rule = {
+    code: 'quiz-ha-noi',
+    name: 'Hà Nội quiz',
+    condition: 'region_completed',
+    params: { regionId: 1, gameType: 'quiz' },
+  };
+
+  it('accepts a rule with the params of its condition', () => {
+    expect(validateAchievementRule(rule)).toEqual([]);
+    expect(validateAchievementRule({ ...rule, condition: 'daily_streak', params: { days: '3' } })).toEqual([]);
+  });
+
+  it('reports missing, unused and malformed params', () => {
+    expect(validateAchievementRule({ ...rule, condition: 'games_completed', params: { days: 3, gameType: 'chess' } }))
+      .toEqual([
+        'games_completed needs params.count',
+        'params.days is not used by games_completed',
+        'params.gameType must be one of puzzle, quiz, word, treasure, timeline, map',
+      ]);
+    expect(validateAchievementRule({ ...rule, code: 'Quiz Hà Nội', condition: 'correct_answers', params: { count: 0 } }))
+      .toEqual(['code must be lowercase letters, digits, - and _', 'params.count must be a positive integer']);
+  });
+
+  it('reports an unknown condition', () => {
+    expect(validateAchievementRule({ ...rule, condition: 'login' }))
+      .toEqual(['condition must be one of region_completed, games_completed, perfect_games, correct_answers, daily_streak']);
+  });
+});
+
+describe('normalizeRuleParams', () => {
+  it('keeps the params of the condition as numbers', () => {
+    expect(normalizeRuleParams('games_completed', { count: '10', gameType: 'map', regionId: '' }))
+      .toEqual({ count: 10, gameType: 'map' });
+  });
+});
+
+describe('isRuleAffectedBy', () => {
+  it('matches rules to the events that can change them', () => {
+    expect(isRuleAffectedBy({ condition: 'daily_streak' }, 'daily_completed')).toBe(true);
+    expect(isRuleAffectedBy({ condition: 'daily_streak' }, 'game_completed')).toBe(false);
+    expect(isRuleAffectedBy({ condition: 'correct_answers' }, 'game_completed')).toBe(true);
+  });
+});
+
+describe('ruleProgress', () => {
+  it('is met once the target is reached, never without a target', () => {
+    expect(ruleProgress(120, 100)).toEqual({ current: 100, target: 100, met: true });
+    expect(ruleProgress(2, 3)).toEqual({ current: 2, target: 3, met: false });
+    expect(ruleProgress(0, 0).met).toBe(false);
+  });
+});
+
+describe('MIN_GAME_ITEMS', () => {
+  it('has a positive minimum for every game type', () => {
+    expect(Object.keys(MIN_GAME_ITEMS).sort()).toEqual(Object.values(enum_game_types_code).sort());
+    Object.values(MIN_GAME_ITEMS).forEach((min) => expect(min).toBeGreaterThan(0));
+  });
+});
@@ -0,0 +1,147 @@
+const {
+  checkQuizAnswer,
+  checkWordAnswer,
+  checkPuzzleAnswer,
+  checkTreasureAnswer,
+  checkTimelineAnswer,
+  checkMapAnswer,
+} = require('../src/helper/answer.helper');
+
+describe('checkQuizAnswer', () => {
+  const question = {
+    option_a: 'Hà Nội',
+    option_b: 'Huế',
+    option_c: 'Sài Gòn',
+    option_d: null,
+    correct_answer: 'B',
+  };
+
+  it('accepts the correct option letter in any case', () => {
+    expect(checkQuizAnswer(question, 'b')).toEqual({ correct: true, score: 1, maxScore: 1 });
+  });
+
+  it('accepts the option text when correct_answer holds the text', () => {
+    expect(checkQuizAnswer({ ...question, correct_answer: 'Huế' }, 'B').correct).toBe(true);
+  });
+
+  it('rejects a wrong option', () => {
+    expect(checkQuizAnswer(question, 'A')).toEqual({ correct: false, score: 0, maxScore: 1 });
+  });
+});
+
+describe('checkWordAnswer', () => {
+  const game = {
+    answer: 'Hạ Long',
+    word_games_correct_letters: [{ letter: 'H' }, { letter: 'Ạ' }, { letter: 'L' }, { letter: 'O' }, { letter: 'N' }, { letter: 'G' }],
+  };
+
+  it('ignores case and spacing', () => {
+    expect(checkWordAnswer(game, ' hạ  LONG ').correct).toBe(true);
+  });
+
+  it('accepts the letters as an array', () => {
+    expect(checkWordAnswer(game, ['H', 'Ạ', 'L', 'O', 'N', 'G']).correct).toBe(true);
+  });
+
+  it('rejects a missing tone mark', () => {
+    expect(checkWordAnswer(game, 'Ha Long').correct).toBe(false);
+  });
+});
+
+describe('checkPuzzleAnswer', () => {
+  const rows = [{ order: 2, index: 0 }, { order: 1, index: 2 }, { order: 3, index: 1 }];
+
+  it('scores one point per correct slot', () => {
+    expect(checkPuzzleAnswer(rows, [2, 1, 0])).toEqual({ correct: false, score: 1, maxScore: 3 });
+    expect(checkPuzzleAnswer(rows, [2, 0, 1])).toEqual({ correct: true, score: 3, maxScore: 3 });
+  });
+});
+
+describe('checkTreasureAnswer', () => {
+  const cards = [
+    { id: 1, match_group: 1 },
+    { id: 2, match_group: 2 },
+    { id: 3, match_group: 1 },
+    { id: 4, match_group: 2 },
+  ];
+
+  it('counts the matched pairs', () => {
+    expect(checkTreasureAnswer(cards, [[1, 3]])).toEqual({ correct: false, score: 1, maxScore: 2 });
+    expect(checkTreasureAnswer(cards, [[1, 2], [3, 4]])).toEqual({ correct: false, score: 0, maxScore: 2 });
+  });
+
+  it('rejects an answer that turns a card over more than once', () => {
+    expect(checkTreasureAnswer(cards, [[1, 3], [3, 1], [2, 3]])).toEqual({ correct: false, score: 0, maxScore: 2 });
+    expect(checkTreasureAnswer(cards, [[1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]]))
+      .toEqual({ correct: false, score: 0, maxScore: 2 });
+  });
+
+  it('rejects pairs that are not two known cards', () => {
+    expect(checkTreasureAnswer(cards, [[1, 3], [2]]).score).toBe(0);
+    expect(checkTreasureAnswer(cards, [[1, 3], [2, 9]]).score).toBe(0);
+  });
+
+  it('only matches a group with exactly its cards', () => {
+    const triple = [...cards, { id: 5, match_group: 1 }];
+    expect(checkTreasureAnswer(triple, [[1, 3], [2, 4]])).toEqual({ correct: false, score: 1, maxScore: 2 });
+  });
+
+  it('is correct when every group is matched', () => {
+    expect(checkTreasureAnswer(cards, [[1, 3], [4, 2]]).correct).toBe(true);
+  });
+});
+
+describe('checkTimelineAnswer', () => {
+  const events = [
+    { id: 10, event_year: 1288, event_month: 4, event_day: 9 }, // Bạch Đằng 1288
+    { id: 11, event_year: 938 }, // Bạch Đằng 938
+    { id: 12, event_year: -111 }, // Nhà Hán chiếm Nam Việt
+    { id: 13, event_year: 1789, event_month: 1 }, // Ngọc Hồi - Đống Đa
+  ];
+
+  it('gives full marks for the chronological order', () => {
+    expect(checkTimelineAnswer(events, [12, 11, 10, 13])).toEqual({ correct: true, score: 4, maxScore: 4 });
+  });
+
+  it('gives partial credit for pairs in the right order', () => {
+    // One adjacent swap leaves 5 of 6 pairs in order
+    expect(checkTimelineAnswer(events, [11, 12, 10, 13])).toEqual({ correct: false, score: 3.33, maxScore: 4 });
+    expect(checkTimelineAnswer(events, [13, 10, 11, 12]).score).toBe(0);
+  });
+
+  it('does not count missing events', () => {
+    expect(checkTimelineAnswer(events, [12, 11, 10])).toEqual({ correct: false, score: 2, maxScore: 4 });
+  });
+
+  it('accepts either order for events on the same date', () => {
+    const tied = [...events, { id: 14, event_year: 938 }];
+    expect(checkTimelineAnswer(tied, [12, 14, 11, 10, 13]).correct).toBe(true);
+    expect(checkTimelineAnswer(tied, [12, 11, 14, 10, 13]).correct).toBe(true);
+  });
+});
+
+describe('checkMapAnswer', () => {
+  // Chùa Một Cột, 5 km tolerance
+  const game = { latitude: '21.035872', longitude: '105.833604', tolerance_km: '5' };
+
+  it('gives full marks inside the tolerance radius', () => {
+    const result = checkMapAnswer(game, { lat: 21.03, lng: 105.85 });
+    expect(result).toMatchObject({ correct: true, score: 1, maxScore: 1 });
+    expect(result.distanceKm).toBeLessThan(5);
+  });
+
+  it('scores less the further the pin is', () => {
+    const near = checkMapAnswer(game, [21.1, 105.83]); // about 7 km away
+    const far = checkMapAnswer(game, [21.2, 105.83]); // about 18 km away
+    expect(near.correct).toBe(false);
+    expect(near.score).toBeGreaterThan(far.score);
+    expect(far.score).toBeGreaterThan(0);
+    expect(checkMapAnswer(game, [10.77, 106.7]).score).toBe(0);
+  });
+
+  it('rejects a pin that is not a coordinate', () => {
+    expect(checkMapAnswer(game, 'Hà Nội')).toEqual({
+      correct: false, score: 0, maxScore: 1, distanceKm: null,
+    });
+  });
+});
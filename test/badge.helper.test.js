@@ -0,0 +1,55 @@
+const { validateBadge, badgeMinStars, pickBadge } = require('../src/helper/badge.helper');
+
+describe('validateBadge', () => {
+  const badge = { code: 'ha-noi-gold', name: 'Hà Nội', tier: 'gold' };
+
+  it('accepts a badge with or without region and stars', () => {
+    expect(validateBadge(badge)).toEqual([]);
+    expect(validateBadge({ ...badge, regionId: '1', minStars: '2' })).toEqual([]);
+  });
+
+  it('reports a malformed code, tier, stars and region', () => {
+    expect(validateBadge({
+      code: 'Hà Nội', name: ' ', tier: 'platinum', minStars: 4, regionId: 0,
+    })).toEqual([
+      'code must be lowercase letters, digits, - and _',
+      'name is required',
+      'tier must be one of bronze, silver, gold',
+      'minStars must be an integer from 1 to 3',
+      'regionId must be a positive integer',
+    ]);
+  });
+});
+
+describe('badgeMinStars', () => {
+  it('defaults to the stars of the tier', () => {
+    expect(badgeMinStars('bronze')).toBe(1);
+    expect(badgeMinStars('gold', '')).toBe(3);
+    expect(badgeMinStars('silver', '3')).toBe(3);
+  });
+});
+
+describe('pickBadge', () => {
+  const badges = [
+    { id: 1, tier: 'bronze', region_id_id: 1, min_stars: 1, active: true },
+    { id: 2, tier: 'silver', region_id_id: 1, min_stars: 2, active: true },
+    { id: 3, tier: 'gold', region_id_id: 1, min_stars: 3, active: false },
+    { id: 4, tier: 'bronze', region_id_id: null, min_stars: 1, active: true },
+    { id: 5, tier: 'silver', region_id_id: 2, min_stars: 2, active: true },
+  ];
+
+  it('picks the highest active badge the stars reach', () => {
+    expect(pickBadge(badges, { regionId: 1, stars: 3 }).id).toBe(2);
+    expect(pickBadge(badges, { regionId: 1, stars: '2' }).id).toBe(2);
+  });
+
+  it('prefers a badge of the region to one of every region', () => {
+    expect(pickBadge(badges, { regionId: 1, stars: 1 }).id).toBe(1);
+    expect(pickBadge(badges, { regionId: 5, stars: 3 }).id).toBe(4);
+  });
+
+  it('returns null before the first star', () => {
+    expect(pickBadge(badges, { regionId: 1, stars: 0 })).toBeNull();
+    expect(pickBadge(badges, { regionId: 1, stars: null })).toBeNull();
+  });
+});
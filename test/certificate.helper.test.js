@@ -0,0 +1,92 @@
+const sharp = require('sharp');
+const {
+  generateCertificateCode,
+  normalizeCertificateCode,
+  escapeXml,
+  certificateSvg,
+  jpegToPdf,
+  renderCertificate,
+} = require('../src/helper/certificate.helper');
+
+const certificate = {
+  fullName: 'Nguyễn Văn <An> & Co',
+  regionName: 'Hà Nội',
+  stars: 3,
+  maxStars: 3,
+  issuedDate: '19/10/2026',
+  code: '7KQ2-M9XD-4RTA',
+  verifyUrl: 'http://localhost:5000/api/v1/certificates/verify/7KQ2-M9XD-4RTA',
+};
+
+describe('generateCertificateCode', () => {
+  it('maps each byte to a letter of the alphabet in groups of four', () => {
+    expect(generateCertificateCode(Buffer.from([0, 1, 10, 31, 32, 255, 18, 19, 20, 21, 27, 28])))
+      .toBe('01AZ-0ZJK-MNVW');
+  });
+
+  it('generates codes that read back unchanged', () => {
+    const code = generateCertificateCode();
+    expect(code).toMatch(/^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+    expect(normalizeCertificateCode(code)).toBe(code);
+  });
+});
+
+describe('normalizeCertificateCode', () => {
+  it('accepts any case, spaces, missing dashes and look-alike letters', () => {
+    expect(normalizeCertificateCode(' 7kq2 m9xd-4rta ')).toBe('7KQ2-M9XD-4RTA');
+    expect(normalizeCertificateCode('O1IL-0000-0000')).toBe('0111-0000-0000');
+  });
+
+  it('rejects codes of the wrong length or with other characters', () => {
+    expect(normalizeCertificateCode('7KQ2-M9XD')).toBeNull();
+    expect(normalizeCertificateCode('7KQ2-M9XD-4RTU')).toBeNull();
+    expect(normalizeCertificateCode(undefined)).toBeNull();
+  });
+});
+
+describe('certificateSvg', () => {
+  it('escapes the printed text', () => {
+    expect(escapeXml('<a href="x">&\'')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&apos;');
+    const svg = certificateSvg(certificate);
+    expect(svg).toContain('Nguyễn Văn &lt;An&gt; &amp; Co');
+    expect(svg).toContain('7KQ2-M9XD-4RTA');
+    expect(svg).not.toContain('<image');
+  });
+
+  it('embeds the badge artwork when there is one', () => {
+    expect(certificateSvg({ ...certificate, badgeDataUri: 'data:image/png;base64,AAAA' }))
+      .toContain('href="data:image/png;base64,AAAA"');
+  });
+});
+
+describe('jpegToPdf', () => {
+  it('points the cross-reference table at every object', () => {
+    const pdf = jpegToPdf(Buffer.from([0xff, 0xd8, 0xff, 0xd9]), { width: 2, height: 1 }).toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.endsWith('%%EOF\n')).toBe(true);
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+    const offsets = [...pdf.slice(xref).matchAll(/(\d{10}) 00000 n/g)].map((match) => Number(match[1]));
+    expect(offsets).toHaveLength(5);
+    offsets.forEach((offset, i) => expect(pdf.slice(offset)).toMatch(new RegExp(`^${i + 1} 0 obj`)));
+  });
+});
+
+describe('renderCertificate', () => {
+  it('renders an A4 landscape PNG', async () => {
+    const png = await renderCertificate(certificateSvg(certificate), 'png');
+    const { format, width, height } = await sharp(png).metadata();
+    expect({ format, width, height }).toEqual({ format: 'png', width: 1754, height: 1240 });
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await renderCertificate(certificateSvg(certificate), 'pdf');
+    expect(pdf.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+    expect(pdf.toString('latin1')).toContain('/Filter /DCTDecode');
+  });
+
+  it('rejects other formats', async () => {
+    await expect(renderCertificate(certificateSvg(certificate), 'gif')).rejects.toThrow('format');
+  });
+});
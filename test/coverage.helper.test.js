@@ -0,0 +1,67 @@
+const { summarizeGameType, findPostRegionId, findCoverageGaps } = require('../src/helper/coverage.helper');
+
+const empty = summarizeGameType(0, [], new Set());
+const covered = summarizeGameType(1, [1], new Set([1]));
+
+describe('summarizeGameType', () => {
+  it('lists the items without an explanation', () => {
+    expect(summarizeGameType(2, [5, 3, 4], new Set([4, 9]))).toEqual({
+      games: 2,
+      items: 3,
+      explained: 1,
+      missingExplanation: [3, 5],
+    });
+  });
+});
+
+describe('findCoverageGaps', () => {
+  const games = {
+    word: covered,
+    quiz: summarizeGameType(1, [10, 11], new Set([10])),
+    puzzle: empty,
+    treasure: summarizeGameType(1, [], new Set()),
+    timeline: covered,
+    map: covered,
+  };
+
+  it('reports missing games, empty games, missing explanations, posts and badge media', () => {
+    const gaps = findCoverageGaps({ games, knowledgePosts: 0, hasBadgeMedia: false });
+
+    expect(gaps.map((gap) => gap.code)).toEqual([
+      'no_games', 'no_items', 'missing_explanation', 'no_knowledge_post', 'no_badge_media',
+    ]);
+    expect(gaps[0].gameType).toBe('puzzle');
+    expect(gaps[1].gameType).toBe('treasure');
+    expect(gaps[2]).toMatchObject({ gameType: 'quiz', itemIds: [11] });
+  });
+
+  it('reports nothing for a fully covered region', () => {
+    const full = {
+      word: covered, quiz: covered, puzzle: covered, treasure: covered, timeline: covered, map: covered,
+    };
+
+    expect(findCoverageGaps({ games: full, knowledgePosts: 2, hasBadgeMedia: true })).toEqual([]);
+  });
+});
+
+describe('findPostRegionId', () => {
+  const regions = [
+    { id: 1, region_name: 'Hà Nội' },
+    { id: 2, region_name: 'Huế' },
+    { id: 3, region_name: 'Nam Định' },
+  ];
+
+  it('keeps the linked region', () => {
+    expect(findPostRegionId({ subject: 'Huế', title: null, region_id_id: 1 }, regions)).toBe(1);
+  });
+
+  it('finds the only region the subject or title names', () => {
+    expect(findPostRegionId({ subject: 'Di tích', title: 'Văn Miếu, hà nội', region_id_id: null }, regions)).toBe(1);
+    expect(findPostRegionId({ subject: 'Ẩm thực Huế', title: 'Bún bò', region_id_id: null }, regions)).toBe(2);
+  });
+
+  it('matches whole words only and leaves posts naming several regions out', () => {
+    expect(findPostRegionId({ subject: 'Phong tục', title: 'Người Nam', region_id_id: null }, regions)).toBeNull();
+    expect(findPostRegionId({ subject: null, title: 'Từ Hà Nội đến Huế', region_id_id: null }, regions)).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+const { parseCsv, toCsv } = require('../src/helper/csv.helper');
+
+describe('csv.helper', () => {
+  it('parses quoted fields, doubled quotes and line breaks', () => {
+    const text = '\uFEFFquestion,optionA,hint\r\n"Thủ đô, nước ta?","Hà ""Nội""","dòng 1\ndòng 2"\r\n\r\nCâu 2,A,\n';
+
+    expect(parseCsv(text)).toEqual([
+      { question: 'Thủ đô, nước ta?', optionA: 'Hà "Nội"', hint: 'dòng 1\ndòng 2' },
+      { question: 'Câu 2', optionA: 'A', hint: '' },
+    ]);
+  });
+
+  it('fills missing trailing cells with empty strings', () => {
+    expect(parseCsv('a,b,c\n1')).toEqual([{ a: '1', b: '', c: '' }]);
+  });
+
+  it('rejects an unterminated quote', () => {
+    expect(() => parseCsv('a\n"open')).toThrow('unterminated');
+  });
+
+  it('round-trips rows written by toCsv', () => {
+    const rows = [
+      { id: 1, question: 'Sông "Hồng", chảy qua?', optionD: null },
+      { id: 2, question: 'Một\r\nhai', optionD: 'D' },
+    ];
+    const csv = toCsv(rows, ['id', 'question', 'optionD']);
+
+    expect(csv.startsWith('id,question,optionD\r\n')).toBe(true);
+    expect(parseCsv(csv)).toEqual([
+      { id: '1', question: 'Sông "Hồng", chảy qua?', optionD: '' },
+      { id: '2', question: 'Một\r\nhai', optionD: 'D' },
+    ]);
+  });
+});
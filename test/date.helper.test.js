@@ -0,0 +1,55 @@
+const {
+  getLocalDay,
+  isDay,
+  addDays,
+  startOfLocalDay,
+  startOfWeek,
+  startOfMonth,
+  countStreaks,
+} = require('../src/helper/date.helper');
+
+describe('getLocalDay', () => {
+  it('uses the Vietnam calendar day', () => {
+    // 18:30 UTC is already 01:30 the next day in Vietnam
+    expect(getLocalDay(new Date('2025-03-01T18:30:00Z'))).toBe('2025-03-02');
+    expect(getLocalDay(new Date('2025-03-01T16:59:00Z'))).toBe('2025-03-01');
+  });
+});
+
+describe('addDays', () => {
+  it('moves across month and year ends', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2025-01-01', -1)).toBe('2024-12-31');
+  });
+});
+
+describe('isDay', () => {
+  it('accepts only YYYY-MM-DD dates', () => {
+    expect(isDay('2025-03-02')).toBe(true);
+    expect(isDay('02/03/2025')).toBe(false);
+    expect(isDay('2025-13-40')).toBe(false);
+  });
+});
+
+describe('calendar windows', () => {
+  it('starts weeks on Monday and months on the first', () => {
+    expect(startOfWeek('2025-03-02')).toBe('2025-02-24');
+    expect(startOfWeek('2025-03-03')).toBe('2025-03-03');
+    expect(startOfMonth('2025-03-19')).toBe('2025-03-01');
+  });
+
+  it('starts a day at midnight Vietnam time', () => {
+    expect(startOfLocalDay('2025-03-02').toISOString()).toBe('2025-03-01T17:00:00.000Z');
+  });
+});
+
+describe('countStreaks', () => {
+  it('counts the current run up to today or yesterday and the longest run', () => {
+    const days = ['2025-03-05', '2025-03-01', '2025-03-02', '2025-03-03', '2025-03-06'];
+
+    expect(countStreaks(days, '2025-03-06')).toEqual({ currentStreak: 2, longestStreak: 3 });
+    expect(countStreaks(days, '2025-03-07')).toEqual({ currentStreak: 2, longestStreak: 3 });
+    expect(countStreaks(days, '2025-03-08')).toEqual({ currentStreak: 0, longestStreak: 3 });
+    expect(countStreaks([], '2025-03-08')).toEqual({ currentStreak: 0, longestStreak: 0 });
+  });
+});
@@ -0,0 +1,133 @@
+const {
+  validateWordGame,
+  validateQuizQuestion,
+  validatePuzzleGame,
+  validateTreasureCards,
+  validateTimelineEvents,
+  validateMapGame,
+  validateAfterInfo,
+} = require('../src/helper/gameContent.helper');
+
+describe('validateWordGame', () => {
+  const game = {
+    question: 'Vịnh nổi tiếng ở Quảng Ninh?',
+    answer: 'Hạ Long',
+    correctLetters: ['H', 'Ạ', 'L', 'O', 'N', 'G'],
+    letters: ['G', 'Ạ', 'X', 'L', 'H', 'O', 'N'],
+  };
+
+  it('accepts letters that spell the answer', () => {
+    expect(validateWordGame(game)).toEqual([]);
+  });
+
+  it('accepts correct letters with folded diacritics', () => {
+    expect(validateWordGame({ ...game, correctLetters: ['H', 'A', 'L', 'O', 'N', 'G'], letters: ['H', 'A', 'L', 'O', 'N', 'G'] }))
+      .toEqual([]);
+  });
+
+  it('reports correct letters that do not spell the answer', () => {
+    expect(validateWordGame({ ...game, correctLetters: ['H', 'À', 'L', 'O', 'N', 'G'] }))
+      .toContain('correctLetters do not spell the answer');
+  });
+
+  it('reports letters missing from the pool', () => {
+    expect(validateWordGame({ ...game, letters: ['H', 'Ạ', 'L'] })).toContain('letters are missing: o, n, g');
+  });
+});
+
+describe('validateQuizQuestion', () => {
+  it('requires the correct answer to be an existing option', () => {
+    const question = {
+      question: 'Q', option_a: 'a', option_b: 'b', option_c: 'c', correct_answer: 'D',
+    };
+    expect(validateQuizQuestion(question)).toEqual(['correct_answer must be one of A, B, C']);
+    expect(validateQuizQuestion({ ...question, correct_answer: 'c' })).toEqual([]);
+  });
+});
+
+describe('validatePuzzleGame', () => {
+  it('requires the answer to use every piece once', () => {
+    const pieces = [{ pieceIndex: 0, imageId: 1 }, { pieceIndex: 1, imageId: 2 }];
+    expect(validatePuzzleGame({ imageId: 3, pieces, answer: [1, 0] })).toEqual([]);
+    expect(validatePuzzleGame({ imageId: 3, pieces, answer: [1, 1] }))
+      .toEqual(['answer must list every pieceIndex exactly once']);
+  });
+});
+
+describe('validateTreasureCards', () => {
+  it('requires pairs of cards per match group', () => {
+    const cards = [
+      { type: 'text', value: 'Phở', matchGroup: 1 },
+      { type: 'image', imageId: 4, matchGroup: 1 },
+      { type: 'text', value: 'Bún chả', matchGroup: 2 },
+    ];
+    expect(validateTreasureCards(cards)).toEqual(['matchGroup 2 has 1 cards instead of 2']);
+  });
+});
+
+describe('validateTimelineEvents', () => {
+  it('requires a label and a valid date for every event', () => {
+    const events = [
+      { label: 'Khởi nghĩa Hai Bà Trưng', year: 40 },
+      { label: '', year: 938, day: 5 },
+    ];
+    expect(validateTimelineEvents(events)).toEqual([
+      'event 2: label is required',
+      'event 2: day must be between 1 and 31 and needs a month',
+    ]);
+  });
+
+  it('requires events that can be ordered', () => {
+    const events = [{ label: 'Trận Bạch Đằng', year: 938 }, { label: 'Ngô Quyền xưng vương', year: 938 }];
+    expect(validateTimelineEvents(events)).toEqual(['events need at least two different dates']);
+    expect(validateTimelineEvents([...events, { label: 'Nhà Lý dời đô', year: 1010 }])).toEqual([]);
+  });
+});
+
+describe('validateMapGame', () => {
+  it('requires a target inside Vietnam and a usable tolerance', () => {
+    const game = {
+      prompt: 'Phố cổ Hội An', latitude: 15.8801, longitude: 108.338, toleranceKm: 10,
+    };
+    expect(validateMapGame(game)).toEqual([]);
+    expect(validateMapGame({ ...game, latitude: 48.85, longitude: 2.35 })).toEqual(['the target must be inside Vietnam']);
+    expect(validateMapGame({ ...game, toleranceKm: 0 })).toEqual(['toleranceKm must be greater than 0 and at most 300']);
+  });
+});
+
+describe('validateAfterInfo', () => {
+  const info = {
+    gameType: 'quiz',
+    itemId: 12,
+    topicName: 'Văn Miếu',
+    slides: [{ heading: 'Lịch sử', paragraphs: [{ paragraph: 'Xây năm 1070', order: 1 }] }],
+    links: [{ alt: 'Video', youtubeLink: 'https://youtu.be/dQw4w9WgXcQ' }, { imageIds: [3, 4] }],
+  };
+
+  it('accepts an explanation of one item', () => {
+    expect(validateAfterInfo(info)).toEqual([]);
+    expect(validateAfterInfo({ ...info, slides: undefined, links: undefined })).toEqual([]);
+  });
+
+  it('requires a known game type and an item id', () => {
+    expect(validateAfterInfo({ ...info, gameType: 'chess', itemId: 0 })).toEqual([
+      'gameType must be one of word, quiz, puzzle, treasure, timeline, map',
+      'itemId must be a positive integer',
+    ]);
+  });
+
+  it('checks slides and links', () => {
+    expect(validateAfterInfo({
+      ...info,
+      slides: [{ heading: 'Trống', paragraphs: [] }, { paragraphs: [{ paragraph: ' ', order: 'x' }] }],
+      links: [{ alt: 'Không có gì' }, { imageIds: ['a'] }, { youtubeLink: 'https://vimeo.com/1' }],
+    })).toEqual([
+      'slide 1: needs at least one paragraph',
+      'slide 2, paragraph 1: paragraph is required',
+      'slide 2, paragraph 1: order must be a positive integer',
+      'link 1: needs a youtubeLink or imageIds',
+      'link 2: imageIds must be media ids',
+      'link 3: youtubeLink is not a YouTube video link',
+    ]);
+  });
+});
@@ -0,0 +1,27 @@
+const { distanceKm, isInVietnam, readPin } = require('../src/helper/geo.helper');
+
+describe('geo.helper', () => {
+  const hoanKiem = { lat: 21.028511, lng: 105.852005 };
+  const benThanh = { lat: 10.772461, lng: 106.698055 };
+
+  it('measures great-circle distances', () => {
+    expect(distanceKm(hoanKiem, hoanKiem)).toBe(0);
+    // Hà Nội to Sài Gòn is about 1,140 km as the crow flies
+    expect(Math.round(distanceKm(hoanKiem, benThanh))).toBeGreaterThan(1130);
+    expect(Math.round(distanceKm(hoanKiem, benThanh))).toBeLessThan(1150);
+  });
+
+  it('knows the bounds of Vietnam, islands included', () => {
+    expect(isInVietnam(hoanKiem)).toBe(true);
+    expect(isInVietnam({ lat: 8.64, lng: 111.92 })).toBe(true); // Trường Sa
+    expect(isInVietnam({ lat: 13.75, lng: 100.5 })).toBe(false); // Bangkok
+  });
+
+  it('reads pins as objects or pairs', () => {
+    expect(readPin({ lat: '21.5', lng: 105 })).toEqual({ lat: 21.5, lng: 105 });
+    expect(readPin([10.7, 106.7])).toEqual({ lat: 10.7, lng: 106.7 });
+    expect(readPin({ lat: null, lng: null })).toBeNull();
+    expect(readPin([100, 0])).toBeNull();
+    expect(readPin('21,105')).toBeNull();
+  });
+});
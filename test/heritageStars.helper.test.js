@@ -0,0 +1,89 @@
+const {
+  MIN_STAR_SCORE_RATIO,
+  earnsHeritageStars,
+  validateHeritageMapping,
+  matchHeritageCategories,
+  applyHeritageCategories,
+} = require('../src/helper/heritageStars.helper');
+
+describe('validateHeritageMapping', () => {
+  it('accepts a mapping with or without region and topic', () => {
+    expect(validateHeritageMapping({ gameType: 'quiz', category: 'history' })).toEqual([]);
+    expect(validateHeritageMapping({
+      gameType: 'word', category: 'intangible_heritage', regionId: '2', topic: 'Lễ hội',
+    })).toEqual([]);
+  });
+
+  it('reports an unknown game type, category and a malformed region', () => {
+    expect(validateHeritageMapping({ gameType: 'chess', category: 'stars', regionId: -1 })).toEqual([
+      'gameType must be one of puzzle, quiz, word, treasure, timeline, map',
+      'category must be one of history, intangible_heritage, tangible_heritage',
+      'regionId must be a positive integer',
+    ]);
+  });
+});
+
+describe('matchHeritageCategories', () => {
+  const mappings = [
+    { game_type: 'quiz', category: 'history', region_id_id: null, topic: null },
+    { game_type: 'quiz', category: 'intangible_heritage', region_id_id: null, topic: 'lễ hội' },
+    { game_type: 'puzzle', category: 'tangible_heritage', region_id_id: 1, topic: null },
+  ];
+
+  it('matches the game type of the session', () => {
+    expect(matchHeritageCategories(mappings, { gameType: 'quiz', regionId: 1 })).toEqual(['history']);
+    expect(matchHeritageCategories(mappings, { gameType: 'map', regionId: 1 })).toEqual([]);
+  });
+
+  it('limits mappings with a region to that region', () => {
+    expect(matchHeritageCategories(mappings, { gameType: 'puzzle', regionId: 1 })).toEqual(['tangible_heritage']);
+    expect(matchHeritageCategories(mappings, { gameType: 'puzzle', regionId: 2 })).toEqual([]);
+  });
+
+  it('matches topics case-insensitively inside explanation topics', () => {
+    expect(matchHeritageCategories(mappings, {
+      gameType: 'quiz', regionId: 3, topics: ['Văn Miếu', 'Lễ hội Gióng'],
+    })).toEqual(['history', 'intangible_heritage']);
+  });
+});
+
+describe('applyHeritageCategories', () => {
+  it('sets the earned flags and counts a star per category', () => {
+    expect(applyHeritageCategories({ history: true, intangible_heritage: null, tangible_heritage: false }, [
+      'history', 'tangible_heritage',
+    ])).toEqual({
+      flags: { history: true, intangible_heritage: false, tangible_heritage: true },
+      stars: 2,
+      awarded: ['tangible_heritage'],
+    });
+  });
+
+  it('never removes a category already earned', () => {
+    expect(applyHeritageCategories({ history: true, intangible_heritage: true, tangible_heritage: false }, []))
+      .toEqual({
+        flags: { history: true, intangible_heritage: true, tangible_heritage: false },
+        stars: 2,
+        awarded: [],
+      });
+  });
+});
+
+describe('earnsHeritageStars', () => {
+  it('needs an answered item and enough of the maximum score', () => {
+    expect(earnsHeritageStars({ attempt_count: 4, score: 2, max_score: 4 }, 4)).toBe(true);
+    expect(earnsHeritageStars({ attempt_count: 4, score: '1.5', max_score: '4' }, 4)).toBe(false);
+    expect(earnsHeritageStars({ attempt_count: 0, score: 0, max_score: 0 }, 4)).toBe(false);
+    expect(earnsHeritageStars({ attempt_count: 1, score: 0, max_score: 0 }, 4)).toBe(false);
+  });
+
+  it('counts the items left unanswered as missed', () => {
+    expect(earnsHeritageStars({ attempt_count: 1, score: 1, max_score: 1 }, 20)).toBe(false);
+    expect(earnsHeritageStars({ attempt_count: 10, score: 10, max_score: 10 }, 20)).toBe(true);
+    expect(earnsHeritageStars({ attempt_count: 9, score: 9, max_score: 9 }, 20)).toBe(false);
+  });
+
+  it('uses MIN_STAR_SCORE_RATIO', () => {
+    const session = { attempt_count: 10, score: MIN_STAR_SCORE_RATIO * 10, max_score: 10 };
+    expect(earnsHeritageStars(session, 10)).toBe(true);
+  });
+});
@@ -0,0 +1,41 @@
+const sharp = require('sharp');
+const { getImageSize, sliceImage } = require('../src/helper/image.helper');
+
+// 100x70 image, left half red and right half blue
+const createImage = () => sharp({
+  create: { width: 100, height: 70, channels: 3, background: 'red' },
+})
+  .composite([{
+    input: { create: { width: 50, height: 70, channels: 3, background: 'blue' } },
+    left: 50,
+    top: 0,
+  }])
+  .png()
+  .toBuffer();
+
+describe('sliceImage', () => {
+  it('cuts the image into equally sized pieces in reading order', async () => {
+    const { width, height, pieces } = await sliceImage(await createImage(), 3);
+
+    expect({ width, height }).toEqual({ width: 100, height: 70 });
+    expect(pieces).toHaveLength(9);
+    expect(pieces.map((piece) => piece.index)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(pieces[5]).toMatchObject({ row: 1, col: 2, width: 33, height: 23 });
+
+    const sizes = await Promise.all(pieces.map((piece) => getImageSize(piece.buffer)));
+    expect(sizes.every((size) => size.width === 33 && size.height === 23)).toBe(true);
+  });
+
+  it('keeps the colours of the source image', async () => {
+    const { pieces } = await sliceImage(await createImage(), 4);
+    const first = await sharp(pieces[0].buffer).stats();
+    const last = await sharp(pieces[15].buffer).stats();
+
+    expect(first.channels.slice(0, 3).map((channel) => channel.mean)).toEqual([255, 0, 0]);
+    expect(last.channels.slice(0, 3).map((channel) => channel.mean)).toEqual([0, 0, 255]);
+  });
+
+  it('rejects unsupported grid sizes', async () => {
+    await expect(sliceImage(await createImage(), 6)).rejects.toThrow('gridSize must be one of 3, 4, 5');
+  });
+});
@@ -0,0 +1,73 @@
+const { checkQuizAnswer } = require('../src/helper/answer.helper');
+const { createSeededRandom } = require('../src/helper/random.helper');
+const {
+  getQuizOptionOrder,
+  getShuffledQuizOptions,
+  toStoredOptionLetter,
+  toShownOptionLetter,
+  shuffleTreasureCards,
+} = require('../src/helper/layout.helper');
+
+const question = {
+  id: 7,
+  question: 'Cố đô của Việt Nam?',
+  option_a: 'Hà Nội',
+  option_b: 'Huế',
+  option_c: 'Đà Nẵng',
+  option_d: 'Cần Thơ',
+  correct_answer: 'B',
+};
+
+describe('createSeededRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const first = createSeededRandom('abc');
+    const second = createSeededRandom('abc');
+    const values = [first(), first(), first()];
+
+    expect([second(), second(), second()]).toEqual(values);
+    expect(values.every((value) => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe('quiz option layout', () => {
+  it('keeps the stored order without a seed', () => {
+    expect(getQuizOptionOrder(null, question)).toEqual(['A', 'B', 'C', 'D']);
+  });
+
+  it('shuffles the options the same way for the same seed', () => {
+    const seeds = ['s1', 's2', 's3', 's4', 's5'];
+    const orders = seeds.map((seed) => getQuizOptionOrder(seed, question).join(''));
+
+    expect(seeds.map((seed) => getQuizOptionOrder(seed, question).join(''))).toEqual(orders);
+    expect(new Set(orders).size).toBeGreaterThan(1);
+  });
+
+  it('maps the shown letter of the correct option back to the stored answer', () => {
+    ['s1', 's2', 's3', 's4', 's5'].forEach((seed) => {
+      const shown = toShownOptionLetter(seed, question, question.correct_answer);
+
+      expect(getShuffledQuizOptions(seed, question)[shown]).toBe('Huế');
+      expect(toStoredOptionLetter(seed, question, shown)).toBe('B');
+      expect(checkQuizAnswer(question, toStoredOptionLetter(seed, question, shown)).correct).toBe(true);
+    });
+  });
+
+  it('accepts the option text on shuffled options', () => {
+    expect(toStoredOptionLetter('s1', question, 'huế')).toBe('B');
+  });
+});
+
+describe('shuffleTreasureCards', () => {
+  const cards = [1, 2, 3, 4, 5, 6].map((id) => ({ id, match_group: Math.ceil(id / 2) }));
+
+  it('lays out the cards the same way for the same seed, whatever the stored order', () => {
+    const layout = shuffleTreasureCards('seed', { id: 3 }, cards).map((card) => card.id);
+
+    expect(shuffleTreasureCards('seed', { id: 3 }, [...cards].reverse()).map((card) => card.id)).toEqual(layout);
+    expect([...layout].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('keeps the cards as they are without a seed', () => {
+    expect(shuffleTreasureCards(null, { id: 3 }, cards)).toBe(cards);
+  });
+});
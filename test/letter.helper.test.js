@@ -0,0 +1,59 @@
+const { foldVietnamese, getWordLengths, buildLetterPool } = require('../src/helper/letter.helper');
+const { validateWordGame } = require('../src/helper/gameContent.helper');
+
+describe('foldVietnamese', () => {
+  it('keeps every diacritic', () => {
+    expect(foldVietnamese('Đường Lâm')).toBe('Đường Lâm');
+  });
+
+  it('drops only the tone marks', () => {
+    expect(foldVietnamese('Đường Lâm', 'tones')).toBe('Đương Lâm');
+  });
+
+  it('folds to plain letters', () => {
+    expect(foldVietnamese('Đường Lâm', 'fold')).toBe('Duong Lam');
+  });
+});
+
+describe('getWordLengths', () => {
+  it('counts the letters of each word', () => {
+    expect(getWordLengths('  Vịnh  Hạ Long ')).toEqual([4, 2, 4]);
+  });
+});
+
+describe('buildLetterPool', () => {
+  it('splits a multi-word answer into uppercase letters', () => {
+    const pool = buildLetterPool('Hạ Long', { difficulty: 'easy' });
+
+    expect(pool.answer).toBe('HẠ LONG');
+    expect(pool.wordLengths).toEqual([2, 4]);
+    expect(pool.correctLetters).toEqual(['H', 'Ạ', 'L', 'O', 'N', 'G']);
+  });
+
+  it('adds more decoys on harder difficulties', () => {
+    const easy = buildLetterPool('Hội An', { difficulty: 'easy' });
+    const hard = buildLetterPool('Hội An', { difficulty: 'hard' });
+
+    expect(easy.letters.length).toBeLessThan(hard.letters.length);
+  });
+
+  it('only uses folded letters when diacritics are folded', () => {
+    const pool = buildLetterPool('Đà Lạt', { diacritics: 'fold', difficulty: 'hard' });
+
+    expect(pool.correctLetters).toEqual(['D', 'A', 'L', 'A', 'T']);
+    expect(pool.letters.every((letter) => /^[A-Z]$/.test(letter))).toBe(true);
+  });
+
+  it('builds letters that pass word game validation', () => {
+    ['keep', 'tones', 'fold'].forEach((diacritics) => {
+      const pool = buildLetterPool('Phố cổ Hội An', { diacritics, difficulty: 'medium' });
+
+      expect(validateWordGame({ question: 'Ở đâu?', answer: 'Phố cổ Hội An', ...pool })).toEqual([]);
+    });
+  });
+
+  it('rejects unknown options', () => {
+    expect(() => buildLetterPool('Huế', { diacritics: 'none' })).toThrow('diacritics must be one of');
+    expect(() => buildLetterPool('Huế', { difficulty: 'extreme' })).toThrow('difficulty must be one of');
+  });
+});
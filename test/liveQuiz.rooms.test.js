@@ -0,0 +1,106 @@
+const {
+  createRoom,
+  connect,
+  nextQuestion,
+  submitAnswer,
+  endRoom,
+  getScoreboard,
+} = require('../src/api/live_quiz/liveQuiz.rooms');
+const { toShownOptionLetter } = require('../src/helper/layout.helper');
+
+const quiz = {
+  id: 1,
+  title: 'Huế',
+  quiz_game_questions: [
+    {
+      id: 10, question: 'Sông nào chảy qua Huế?', option_a: 'Sông Hương', option_b: 'Sông Hồng', option_c: 'Sông Đà', correct_answer: 'A',
+    },
+    {
+      id: 11, question: 'Huế từng là gì?', option_a: 'Cảng biển', option_b: 'Kinh đô', option_c: 'Cao nguyên', correct_answer: 'B',
+    },
+  ],
+};
+
+const member = () => {
+  const messages = [];
+  const send = (message) => messages.push(message);
+  return { messages, send, last: (type) => messages.filter((m) => m.type === type).pop() };
+};
+
+describe('live quiz rooms', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const setup = () => {
+    const room = createRoom({ userId: 1, name: 'Cô Lan' }, quiz, { questionSeconds: 10 });
+    const host = member();
+    const an = member();
+    const binh = member();
+    connect(room, { userId: 1, name: 'Cô Lan' }, host.send);
+    connect(room, { userId: 2, name: 'An' }, an.send);
+    connect(room, { userId: 3, name: 'Bình' }, binh.send);
+    return { room, host, an, binh };
+  };
+
+  it('gives a six digit join code and lists the players', () => {
+    const { room, host } = setup();
+
+    expect(room.code).toMatch(/^\d{6}$/);
+    expect(host.last('players').players.map((p) => p.name)).toEqual(['An', 'Bình']);
+  });
+
+  it('only lets the host push questions', () => {
+    const { room } = setup();
+
+    expect(() => nextQuestion(room, 2)).toThrow('Only the host can do this');
+  });
+
+  it('scores faster correct answers higher and closes when everyone answered', () => {
+    const { room, an, binh } = setup();
+    nextQuestion(room, 1);
+    const { question } = an.last('question');
+    const correct = toShownOptionLetter(room.seed, quiz.quiz_game_questions[0], 'A');
+    const wrong = ['A', 'B', 'C'].find((letter) => letter !== correct);
+
+    expect(question.options[correct]).toBe('Sông Hương');
+
+    const fast = submitAnswer(room, 2, { questionId: question.id, answer: correct });
+    jest.advanceTimersByTime(5000);
+    const slow = submitAnswer(room, 3, { questionId: question.id, answer: wrong });
+
+    expect(fast).toEqual({ correct: true, points: 1000 });
+    expect(slow).toEqual({ correct: false, points: 0 });
+    expect(binh.last('question_closed')).toMatchObject({ questionId: 10, correctAnswer: correct, hasNext: true });
+    expect(getScoreboard(room).map((entry) => [entry.name, entry.rank, entry.score])).toEqual([['An', 1, 1000], ['Bình', 2, 0]]);
+  });
+
+  it('closes the question when the time is up and rejects late answers', () => {
+    const { room, an } = setup();
+    nextQuestion(room, 1);
+    jest.advanceTimersByTime(10000);
+
+    expect(an.last('question_closed').questionId).toBe(10);
+    expect(() => submitAnswer(room, 2, { questionId: 10, answer: 'A' })).toThrow('This question is closed');
+  });
+
+  it('accepts one answer per player and question', () => {
+    const { room } = setup();
+    nextQuestion(room, 1);
+    submitAnswer(room, 2, { questionId: 10, answer: 'A' });
+
+    expect(() => submitAnswer(room, 2, { questionId: 10, answer: 'B' })).toThrow('You already answered this question');
+  });
+
+  it('broadcasts the final scoreboard and closes the room to new players', () => {
+    const { room, binh } = setup();
+    endRoom(room, 1);
+
+    expect(binh.last('ended').scoreboard).toHaveLength(2);
+    expect(() => connect(room, { userId: 4, name: 'Chi' }, member().send)).toThrow('This quiz has ended');
+  });
+});
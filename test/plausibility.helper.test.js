@@ -0,0 +1,52 @@
+const {
+  MIN_ITEM_MS,
+  checkSessionPlausibility,
+  checkChallengePlausibility,
+} = require('../src/helper/plausibility.helper');
+
+describe('checkSessionPlausibility', () => {
+  const served = new Date('2025-03-01T08:00:00Z');
+  const attempt = (itemId, timeSpentMs) => ({
+    item_id: itemId,
+    served_time: served,
+    answered_time: new Date(served.getTime() + timeSpentMs),
+    time_spent_ms: timeSpentMs,
+  });
+  const session = {
+    gameType: 'quiz',
+    durationMs: 60000,
+    attempts: [attempt(1, 4000), attempt(2, 5000)],
+    recentCompletions: 0,
+  };
+
+  it('accepts a normal session', () => {
+    expect(checkSessionPlausibility(session)).toEqual([]);
+  });
+
+  it('flags a session faster than the minimum per item', () => {
+    const reasons = checkSessionPlausibility({ ...session, durationMs: 2 * MIN_ITEM_MS.quiz - 1 });
+    expect(reasons.map((reason) => reason.code)).toEqual(['too_fast']);
+  });
+
+  it('flags answers sent before or right after serving', () => {
+    const unserved = { ...attempt(3, 0), served_time: null, time_spent_ms: null };
+    const reasons = checkSessionPlausibility({ ...session, attempts: [...session.attempts, unserved, attempt(4, 50)] });
+    expect(reasons.map((reason) => reason.code)).toEqual(['unserved_answer', 'instant_answer']);
+    expect(reasons[0].detail).toContain('items 3');
+  });
+
+  it('flags too many completions in a minute', () => {
+    expect(checkSessionPlausibility({ ...session, recentCompletions: 3 })[0].code).toBe('rate_limit');
+  });
+});
+
+describe('checkChallengePlausibility', () => {
+  it('only counts answered items towards the minimum time', () => {
+    const results = [
+      { gameType: 'quiz', answer: 'A' },
+      { gameType: 'puzzle', answer: null },
+    ];
+    expect(checkChallengePlausibility({ durationMs: MIN_ITEM_MS.quiz, results })).toEqual([]);
+    expect(checkChallengePlausibility({ durationMs: 100, results })[0].code).toBe('too_fast');
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  latest,
+  heritageStatus,
+  emptyPlays,
+  addPlays,
+  completionPercent,
+} = require('../src/helper/progress.helper');
+
+describe('latest', () => {
+  it('keeps the most recent date', () => {
+    const earlier = new Date('2026-01-01T00:00:00Z');
+    const later = new Date('2026-02-01T00:00:00Z');
+    expect(latest(earlier, later)).toBe(later);
+    expect(latest(later, earlier)).toBe(later);
+    expect(latest(null, earlier)).toBe(earlier);
+    expect(latest(null, null)).toBeNull();
+  });
+});
+
+describe('heritageStatus', () => {
+  it('counts a category done in any row once', () => {
+    expect(heritageStatus([
+      { history: true, intangible_heritage: false, tangible_heritage: null },
+      { history: true, intangible_heritage: true },
+    ])).toEqual({
+      stars: 2,
+      maxStars: 3,
+      categories: { history: true, intangible_heritage: true, tangible_heritage: false },
+    });
+  });
+
+  it('has no stars without rows', () => {
+    expect(heritageStatus([]).stars).toBe(0);
+  });
+});
+
+describe('addPlays', () => {
+  it('adds counts and time and keeps the last played date and other fields', () => {
+    const last = new Date('2026-03-01T00:00:00Z');
+    const plays = addPlays({ ...emptyPlays(), items: 4 }, {
+      played: 2, completed: 1, timeSpentMs: 500, lastPlayed: last,
+    });
+    expect(addPlays(plays, { played: 1, lastPlayed: new Date('2026-01-01T00:00:00Z') })).toEqual({
+      played: 3, completed: 1, timeSpentMs: 500, lastPlayed: last, items: 4,
+    });
+  });
+});
+
+describe('completionPercent', () => {
+  it('is the share of items answered over every game type', () => {
+    expect(completionPercent([
+      { items: 4, answeredItems: 1 },
+      { items: 2, answeredItems: 5 },
+      { items: 0, answeredItems: 0 },
+    ])).toBe(50);
+  });
+
+  it('is null without items', () => {
+    expect(completionPercent([{ items: 0, answeredItems: 0 }])).toBeNull();
+  });
+});
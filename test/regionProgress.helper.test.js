@@ -0,0 +1,58 @@
+const {
+  validatePrerequisites,
+  findPrerequisiteCycle,
+  regionLock,
+} = require('../src/helper/regionProgress.helper');
+
+describe('validatePrerequisites', () => {
+  it('accepts prerequisites and an empty list', () => {
+    expect(validatePrerequisites(3, [{ regionId: 1, minStars: 2 }, { regionId: '2', minStars: '3' }])).toEqual([]);
+    expect(validatePrerequisites(3, [])).toEqual([]);
+  });
+
+  it('reports malformed, self and repeated prerequisites', () => {
+    expect(validatePrerequisites(3, [
+      { regionId: 3, minStars: 1 },
+      { regionId: 1, minStars: 4 },
+      { regionId: 'x' },
+      { regionId: 1, minStars: 1 },
+    ])).toEqual([
+      'prerequisite 1: a region cannot require itself',
+      'prerequisite 2: minStars must be an integer from 1 to 3',
+      'prerequisite 3: regionId must be a positive integer',
+      'a region can only be required once',
+    ]);
+    expect(validatePrerequisites(3, { regionId: 1 })).toEqual(['prerequisites must be an array']);
+  });
+});
+
+describe('findPrerequisiteCycle', () => {
+  const edge = (region, required) => ({ region_id_id: region, required_region_id_id: required });
+
+  it('accepts a graph without cycles', () => {
+    expect(findPrerequisiteCycle([edge(2, 1), edge(3, 1), edge(4, 2), edge(4, 3)])).toBeNull();
+  });
+
+  it('finds a cycle', () => {
+    expect(findPrerequisiteCycle([edge(2, 1), edge(3, 2), edge(1, 3)])).toEqual([2, 1, 3, 2]);
+  });
+});
+
+describe('regionLock', () => {
+  const prerequisites = [
+    { required_region_id_id: 1, min_stars: 2 },
+    { required_region_id_id: 2, min_stars: 1 },
+  ];
+
+  it('lists the stars still missing', () => {
+    expect(regionLock(prerequisites, new Map([[1, 1], [2, 3]]))).toEqual({
+      locked: true,
+      requirements: [{ regionId: 1, minStars: 2, stars: 1, missingStars: 1 }],
+    });
+  });
+
+  it('unlocks regions whose prerequisites are met or that have none', () => {
+    expect(regionLock(prerequisites, new Map([[1, 2], [2, 1]]))).toEqual({ locked: false, requirements: [] });
+    expect(regionLock([], new Map())).toEqual({ locked: false, requirements: [] });
+  });
+});
@@ -0,0 +1,46 @@
+const { keywords, searchTerms, rankRelatedPosts } = require('../src/helper/relatedPosts.helper');
+
+describe('keywords', () => {
+  it('keeps words and two-word phrases without function words', () => {
+    expect([...keywords('Lịch sử của Văn Miếu')]).toEqual(['lịch', 'sử', 'văn', 'miếu', 'lịch sử', 'sử văn', 'văn miếu']);
+  });
+});
+
+describe('searchTerms', () => {
+  it('searches with two-word phrases, or with the words of a text that has none', () => {
+    expect(searchTerms(['Văn Miếu', 'Lịch sử của Văn Miếu', 'Huế'])).toEqual(['văn miếu', 'lịch sử', 'sử văn', 'huế']);
+  });
+
+  it('returns at most the limit', () => {
+    expect(searchTerms(['Chùa Một Cột ở Hà Nội'], 2)).toEqual(['chùa cột', 'cột hà']);
+  });
+});
+
+describe('rankRelatedPosts', () => {
+  const posts = [
+    { id: 1, title: 'Ẩm thực Huế', subject: 'Ẩm thực', content: 'Bún bò, cơm hến', region_id_id: 2 },
+    { id: 2, title: 'Văn Miếu - Quốc Tử Giám', subject: 'Di tích', content: 'Trường đại học đầu tiên', region_id_id: 1 },
+    { id: 3, title: 'Các trường học xưa', subject: 'Giáo dục', content: 'Quốc Tử Giám và trường đại học đầu tiên', region_id_id: 3 },
+    { id: 4, title: 'Chùa Một Cột', subject: 'Di tích', content: 'Xây dựng năm 1049', region_id_id: 1 },
+  ];
+  const explanation = {
+    regionId: 1,
+    topicName: 'Văn Miếu',
+    text: 'Quốc Tử Giám là trường đại học đầu tiên của Việt Nam. Di tích được xây năm 1070.',
+  };
+
+  it('ranks posts by overlap with the topic and slides', () => {
+    const ranked = rankRelatedPosts(explanation, posts);
+
+    expect(ranked.map(({ post }) => post.id)).toEqual([2, 3, 4]);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+  });
+
+  it('leaves out posts that only share the region', () => {
+    expect(rankRelatedPosts({ regionId: 2, topicName: 'Phố cổ', text: '' }, posts)).toEqual([]);
+  });
+
+  it('returns at most the limit', () => {
+    expect(rankRelatedPosts(explanation, posts, 1)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,57 @@
+const { reviewQuestion, selectQuestions, isMastered } = require('../src/helper/spacedRepetition.helper');
+
+const now = new Date('2025-01-10T00:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+describe('reviewQuestion', () => {
+  it('schedules a first correct answer for the next day', () => {
+    const memory = reviewQuestion(null, { correct: true }, now);
+
+    expect(memory).toMatchObject({ repetitions: 1, interval_days: 1, attempt_count: 1, correct_count: 1 });
+    expect(memory.due_time).toEqual(daysFromNow(1));
+  });
+
+  it('grows the interval with every correct answer', () => {
+    const first = reviewQuestion(null, { correct: true }, now);
+    const second = reviewQuestion(first, { correct: true }, now);
+    const third = reviewQuestion(second, { correct: true }, now);
+
+    expect([first.interval_days, second.interval_days, third.interval_days]).toEqual([1, 6, 17]);
+  });
+
+  it('brings a missed question back right away and lowers its ease', () => {
+    const learned = reviewQuestion(reviewQuestion(null, { correct: true }, now), { correct: true }, now);
+    const missed = reviewQuestion(learned, { correct: false }, now);
+
+    expect(missed).toMatchObject({ repetitions: 0, interval_days: 0, lapse_count: 1 });
+    expect(missed.due_time).toEqual(now);
+    expect(missed.ease_factor).toBeLessThan(learned.ease_factor);
+  });
+});
+
+describe('selectQuestions', () => {
+  const questions = [1, 2, 3, 4, 5].map((id) => ({ id }));
+  const memory = (id, dueInDays, intervalDays) => ({
+    question_id_id: id,
+    due_time: daysFromNow(dueInDays),
+    interval_days: intervalDays,
+  });
+
+  it('asks due questions first, then new ones, then the rest with mastered ones last', () => {
+    const memories = [
+      memory(1, 30, 30),
+      memory(2, -1, 0),
+      memory(3, 2, 6),
+      memory(4, -3, 1),
+    ];
+
+    const picked = selectQuestions(questions, memories, 5, { now });
+
+    expect(picked.map((entry) => entry.question.id)).toEqual([4, 2, 5, 3, 1]);
+    expect(isMastered(picked[4].memory)).toBe(true);
+  });
+
+  it('returns at most the requested number of questions', () => {
+    expect(selectQuestions(questions, [], 3, { now })).toHaveLength(3);
+  });
+});
@@ -0,0 +1,49 @@
+const { parseSeconds, parseYoutubeLink } = require('../src/helper/youtube.helper');
+
+describe('parseSeconds', () => {
+  it('reads plain seconds and h/m/s times', () => {
+    expect(parseSeconds('90')).toBe(90);
+    expect(parseSeconds('90s')).toBe(90);
+    expect(parseSeconds('1m30s')).toBe(90);
+    expect(parseSeconds('1h2m3s')).toBe(3723);
+    expect(parseSeconds(null)).toBeNull();
+    expect(parseSeconds('abc')).toBeUndefined();
+  });
+});
+
+describe('parseYoutubeLink', () => {
+  const id = 'dQw4w9WgXcQ';
+
+  it('reads watch, share, shorts, live and embed links', () => {
+    [
+      `https://www.youtube.com/watch?v=${id}`,
+      `https://m.youtube.com/watch?feature=share&v=${id}`,
+      `https://youtu.be/${id}?si=abc`,
+      `youtube.com/shorts/${id}`,
+      `https://www.youtube.com/live/${id}`,
+      `https://www.youtube-nocookie.com/embed/${id}`,
+    ].forEach((link) => expect(parseYoutubeLink(link)).toMatchObject({ videoId: id, start: null, end: null }));
+  });
+
+  it('reads start and end times into a nocookie embed url', () => {
+    expect(parseYoutubeLink(`https://youtu.be/${id}?t=1m30s`)).toEqual({
+      videoId: id,
+      start: 90,
+      end: null,
+      embedUrl: `https://www.youtube-nocookie.com/embed/${id}?start=90`,
+      watchUrl: `https://www.youtube.com/watch?v=${id}&t=90s`,
+    });
+    expect(parseYoutubeLink(`https://www.youtube.com/embed/${id}?start=10&end=40`).embedUrl)
+      .toBe(`https://www.youtube-nocookie.com/embed/${id}?start=10&end=40`);
+  });
+
+  it('rejects other sites, missing ids and impossible times', () => {
+    expect(parseYoutubeLink(`https://vimeo.com/${id}`)).toBeNull();
+    expect(parseYoutubeLink('https://www.youtube.com/watch?v=short')).toBeNull();
+    expect(parseYoutubeLink('https://www.youtube.com/@channel')).toBeNull();
+    expect(parseYoutubeLink(`https://youtu.be/${id}?t=abc`)).toBeNull();
+    expect(parseYoutubeLink(`https://www.youtube.com/embed/${id}?start=40&end=10`)).toBeNull();
+    expect(parseYoutubeLink('')).toBeNull();
+    expect(parseYoutubeLink(null)).toBeNull();
+  });
+});